@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+// perceptual_alchemy_cli.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: COMMAND-LINE INTERFACE
+// =====================================================
+// Drives the encoder and decoder without a browser, so
+// build pipelines can encode screenshots offline:
+//
+//   encode  <image>                 PNG/BMP/PPM/PGM → code
+//   decode  <code>                  code → experience + narrative
+//   inspect <code>                  header, repairs, symbol meanings
+//   batch   <directory>             encode every image in a folder
+//
+// Options (where they apply):
+//   --mode <m>        encoder: mobile|balanced|rich
+//                     decoder: stable|dreamlike|npc
+//   --culture <c>     universal|japanese|norse, or a blend (a+b, a:0.7+b:0.3);
+//                     decode defaults to the culture in the code's header
+//   --culture-pack <f>  register a JSON culture pack first
+//   --seed <s>        reproducible randomness; numbers seed as the
+//                     same number would through the API
+//   --debug           encoder symbol map and analysis
+//   --hierarchical    also emit strata (encode, batch)
+//   --json            machine-readable output
+//
+// Exit code 0 on success, 1 when any input fails, 2 on
+// usage errors.
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const PerceptualAlchemyEncoder = require('../encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../decoder/symbolic_decoder');
+const CodeHeader = require('../utils/code_header');
+const StrataFormat = require('../utils/strata_format');
+const ImageLoader = require('../utils/image_loader');
+const CultureRegistry = require('../culture/culture_registry');
+
+const COMMANDS = ['encode', 'decode', 'inspect', 'batch'];
+const FLAGS = ['debug', 'hierarchical', 'json', 'help'];
+const VALUES = ['mode', 'culture', 'culture-pack', 'seed'];
+const IMAGE_EXTENSIONS = ['.png', '.bmp', '.ppm', '.pgm', '.pnm'];
+
+const USAGE = `Usage: perceptual_alchemy_cli <command> <input> [options]
+
+Commands:
+  encode <image>                 Encode a PNG, BMP, PPM or PGM file
+  decode <code>                  Reconstruct the experience behind a code
+  inspect <code>                 Show header, repairs and symbol meanings
+  batch <directory>              Encode every image file in a directory
+
+Options:
+  --mode <mode>       mobile|balanced|rich (encode) or stable|dreamlike|npc (decode)
+  --culture <name>    universal|japanese|norse, a culture from --culture-pack,
+                      or a weighted blend such as japanese:0.7+norse:0.3
+                      (decode defaults to the culture in the code's header)
+  --culture-pack <f>  Register a JSON culture pack (see src/culture/packs)
+  --seed <seed>       Reproducible codes and narratives
+  --debug             Include the encoder symbol map and analysis
+  --hierarchical      Also emit intermediate and fine strata
+  --json              Print JSON instead of text`;
+
+class UsageError extends Error {}
+
+class PerceptualAlchemyCli {
+    /**
+     * @param {Object} io - { stdout, stderr } writable streams (default: process streams)
+     */
+    constructor(io = {}) {
+        this.stdout = io.stdout || process.stdout;
+        this.stderr = io.stderr || process.stderr;
+    }
+
+    /**
+     * Runs one command line
+     * @param {string[]} argv - Arguments after the script name
+     * @returns {number} Exit code
+     */
+    run(argv) {
+        let args;
+        try {
+            args = PerceptualAlchemyCli.parseArgs(argv);
+        } catch (error) {
+            this.stderr.write(`${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+
+        if (args.options.help) {
+            this.stdout.write(`${USAGE}\n`);
+            return 0;
+        }
+        if (!args.command) {
+            this.stderr.write(`${USAGE}\n`);
+            return 2;
+        }
+
+        try {
+            const report = this[args.command](args.input, args.options);
+            this.stdout.write(`${args.options.json ? JSON.stringify(report, null, 2) : this.format(args.command, report)}\n`);
+            return report.ok === false || (report.failed || 0) > 0 ? 1 : 0;
+        } catch (error) {
+            if (error instanceof UsageError) {
+                this.stderr.write(`${error.message}\n\n${USAGE}\n`);
+                return 2;
+            }
+            if (args.options.json) {
+                this.stdout.write(`${JSON.stringify({ ok: false, input: args.input, error: error.message }, null, 2)}\n`);
+            } else {
+                this.stderr.write(`Error: ${args.input}: ${error.message}\n`);
+            }
+            return 1;
+        }
+    }
+
+    /**
+     * Splits argv into command, input and options
+     * @returns {Object} { command, input, options }
+     */
+    static parseArgs(argv) {
+        const options = {};
+        const positional = [];
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (!arg.startsWith('--')) {
+                positional.push(arg);
+                continue;
+            }
+
+            const [name, inline] = arg.slice(2).split(/=(.*)/s);
+            if (FLAGS.includes(name)) {
+                options[name] = true;
+            } else if (VALUES.includes(name)) {
+                const value = inline !== undefined ? inline : argv[++i];
+                if (value === undefined || value === '') throw new UsageError(`Option --${name} needs a value`);
+                options[name] = value;
+            } else {
+                throw new UsageError(`Unknown option: --${name}`);
+            }
+        }
+
+        const [command, input, ...extra] = positional;
+        if (command && !COMMANDS.includes(command)) throw new UsageError(`Unknown command: ${command}`);
+        if (command && !input && !options.help) throw new UsageError(`Command '${command}' needs an input`);
+        if (extra.length) throw new UsageError(`Unexpected argument: ${extra[0]}`);
+
+        return { command, input, options };
+    }
+
+    // === COMMANDS ===========================================================
+
+    encode(file, options) {
+        const encoder = this.createEncoder(options);
+        return this.encodeImage(encoder, file, options);
+    }
+
+    decode(code, options) {
+        const decoder = this.createDecoder(options);
+        const [global] = StrataFormat.split(code.trim());
+        const result = decoder.decode(global);
+
+        if (result.error || !result.experience) {
+            return { ok: false, code, error: result.error || 'Code could not be decoded' };
+        }
+
+        return {
+            ok: true,
+            code,
+            mode: decoder.mode,
+            culture: result.metadata.culture,
+            experience: result.experience,
+            narrative: result.narrative,
+            memory: result.memory,
+            rendering: result.rendering,
+            metadata: result.metadata
+        };
+    }
+
+    inspect(code, options) {
+        const decoder = this.createDecoder({ ...options, mode: undefined });
+        const registry = decoder.symbolInterpreter.registry;
+        const [global, ...strata] = StrataFormat.split(code.trim());
+
+        if (global.startsWith('>')) {
+            return { ok: false, code, kind: 'delta', error: 'Delta frames depend on their keyframe; decode the whole sequence instead' };
+        }
+
+        const validated = decoder.validateAndCorrect(global);
+        const report = {
+            ok: validated.valid,
+            code,
+            kind: CodeHeader.isVersioned(global) ? 'versioned' : 'legacy',
+            strata: strata.map(stratum => ({
+                code: stratum,
+                level: StrataFormat.levelName(stratum[1]),
+                layout: StrataFormat.layoutName(stratum[2])
+            }))
+        };
+
+        if (!validated.valid) {
+            return { ...report, error: validated.error };
+        }
+
+        const segments = decoder.segmentCode(validated.code, validated.format.mode);
+        return {
+            ...report,
+            format: { ...validated.format, mode: segments.mode },
+            payload: validated.code,
+            corrections: validated.corrections,
+            segments: {
+                scene: segments.scene,
+                objects: segments.objects,
+                spatial: segments.spatial,
+                emotion: segments.emotion
+            },
+            symbols: this.describeSymbols(segments, registry)
+        };
+    }
+
+    batch(directory, options) {
+        if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+            throw new Error(`Not a directory: ${directory}`);
+        }
+
+        const files = fs.readdirSync(directory)
+            .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .sort()
+            .map(name => path.join(directory, name));
+
+        const encoder = this.createEncoder(options);
+        const results = files.map(file => {
+            try {
+                return this.encodeImage(encoder, file, options);
+            } catch (error) {
+                return { ok: false, file, error: error.message };
+            }
+        });
+
+        return {
+            directory,
+            total: results.length,
+            failed: results.filter(r => !r.ok).length,
+            results
+        };
+    }
+
+    // === HELPERS ============================================================
+
+    createEncoder(options) {
+        return new PerceptualAlchemyEncoder({
+            mode: options.mode,
+            culture: options.culture,
+            cultures: this.loadCultures(options),
+            seed: PerceptualAlchemyCli.parseSeed(options.seed),
+            debug: options.debug || false,
+            hierarchical: options.hierarchical || false
+        });
+    }
+
+    createDecoder(options) {
+        return new PerceptualAlchemyDecoder({
+            mode: options.mode,
+            culture: options.culture,
+            cultures: this.loadCultures(options),
+            seed: PerceptualAlchemyCli.parseSeed(options.seed)
+        });
+    }
+
+    /**
+     * Numeric --seed values as numbers: SeededRandom hashes the string '1' and the number 1 differently
+     * @param {string|undefined} seed - Raw option value
+     * @returns {number|string|undefined}
+     */
+    static parseSeed(seed) {
+        return typeof seed === 'string' && /^-?\d+(\.\d+)?$/.test(seed) ? Number(seed) : seed;
+    }
+
+    /**
+     * Built-in cultures plus the --culture-pack file, if any
+     */
+    loadCultures(options) {
+        const cultures = new CultureRegistry();
+        if (options['culture-pack']) cultures.load(options['culture-pack']);
+        return cultures;
+    }
+
+    encodeImage(encoder, file, options) {
+        const imageData = ImageLoader.load(file);
+        const result = encoder.encode(imageData);
+        const report = {
+            ok: true,
+            file,
+            width: imageData.width,
+            height: imageData.height,
+            inputMode: result.inputMode,
+            code: result.code,
+            confidence: result.confidence,
+            narrative: result.narrative
+        };
+
+        if (result.hierarchicalCode) {
+            report.hierarchicalCode = result.hierarchicalCode;
+            report.strata = result.strata;
+        }
+        if (options.debug) {
+            report.debug = result.debug;
+            report.analysis = result.analysis;
+        }
+
+        return report;
+    }
+
+    /**
+     * Meaning of every payload symbol, in code order
+     * @returns {Array} [{ segment, symbol, category, meaning }]
+     */
+    describeSymbols(segments, registry) {
+        const symbols = [];
+        const add = (segment, symbol, category, meaning) => {
+            symbols.push({ segment, symbol, category, meaning });
+        };
+        const lookup = (category, symbol) => {
+            const entry = registry.decode(category, symbol);
+            return entry ? entry.value : null;
+        };
+        const level = symbol => (Math.max(0, Math.min(25, symbol.toUpperCase().charCodeAt(0) - 65)) / 25).toFixed(2);
+
+        ['scene', 'light', 'mood', 'complexity'].forEach((category, i) => {
+            const symbol = segments.scene[i];
+            if (symbol) add('scene', symbol, category, lookup(category, symbol));
+        });
+
+        registry.tokenizeObjects(segments.objects).forEach(token => {
+            add('objects', token.symbol, 'object', lookup('object', token.symbol));
+            token.modifiers.forEach(symbol => add('objects', symbol, 'modifier', lookup('modifier', symbol)));
+            add('objects', token.position, 'position', this.describePosition(token.position, registry));
+        });
+
+        const spatial = segments.spatial;
+        if (spatial[0]) add('spatial', spatial[0], 'focus', lookup('focus', spatial[0]));
+        if (spatial[1]) add('spatial', spatial[1], 'distribution', lookup('distribution', spatial[1]));
+        if (spatial[2]) add('spatial', spatial[2], 'depth', lookup('depth', spatial[2]));
+        if (spatial[3] && spatial[3] !== registry.padding.spatial) add('spatial', spatial[3], 'foreground', level(spatial[3]));
+
+        const emotion = segments.emotion;
+        ['valence', 'arousal'].forEach((name, i) => {
+            if (emotion[i]) add('emotion', emotion[i], name, level(emotion[i]));
+        });
+        if (emotion[2]) add('emotion', emotion[2], 'trend', lookup('trend', emotion[2]));
+        if (emotion[3]) add('emotion', emotion[3], 'resonance', level(emotion[3]));
+
+        return symbols;
+    }
+
+    /**
+     * Grid zone name for a grid digit, cell centre for an A-Z pair
+     */
+    describePosition(position, registry) {
+        const decoded = registry.decodePosition(position);
+        if (!decoded) return null;
+        if (decoded.precision === 1) return registry.decode('focus', position).value;
+        return `${decoded.x.toFixed(2)}, ${decoded.y.toFixed(2)} (±${((decoded.box.maxX - decoded.box.minX) / 2).toFixed(2)})`;
+    }
+
+    // === TEXT OUTPUT ========================================================
+
+    format(command, report) {
+        if (command === 'batch') {
+            const lines = report.results.map(r => this.formatEncode(r));
+            lines.push(`${report.total - report.failed}/${report.total} encoded from ${report.directory}`);
+            return lines.join('\n');
+        }
+        if (report.ok === false) {
+            return `${report.file || report.code}: ${report.error}`;
+        }
+        if (command === 'encode') return this.formatEncode(report);
+        if (command === 'decode') return this.formatDecode(report);
+        return this.formatInspect(report);
+    }
+
+    formatEncode(report) {
+        if (!report.ok) return `✗ ${report.file}: ${report.error}`;
+
+        const lines = [
+            `${report.file} (${report.width}×${report.height}, ${report.inputMode})`,
+            `  code        ${report.code}`
+        ];
+        if (report.hierarchicalCode) lines.push(`  strata      ${report.hierarchicalCode}`);
+        lines.push(`  confidence  ${report.confidence.toFixed(2)}`);
+        if (report.narrative && report.narrative.summary) lines.push(`  narrative   ${report.narrative.summary}`);
+        if (report.debug) {
+            report.debug.symbolMap.forEach(([key, entry]) => {
+                lines.push(`  ${key.padEnd(12)}${entry.symbol}  ${entry.meaning}`);
+            });
+        }
+        return lines.join('\n');
+    }
+
+    formatDecode(report) {
+        const { scene, objects, emotional } = report.experience;
+        const names = objects.map(obj => `${obj.type} (${obj.size})`).join(', ') || 'none';
+
+        return [
+            report.narrative.primary,
+            '',
+            `  scene       ${scene.type}, ${scene.lighting.quality} light, ${scene.mood.primary} mood`,
+            `  objects     ${names}`,
+            `  emotion     ${emotional.current.label} (valence ${emotional.current.valence.toFixed(2)}, arousal ${emotional.current.arousal.toFixed(2)}, ${emotional.trajectory.direction})`,
+            `  poetic      ${report.narrative.poetic}`,
+            `  confidence  ${report.metadata.confidence.toFixed(2)}${report.metadata.isReliable ? '' : ' (unreliable)'}`
+        ].join('\n');
+    }
+
+    formatInspect(report) {
+        const { format } = report;
+        const lines = [
+            `${report.code}`,
+            `  format      ${report.kind} v${format.version}, mode ${format.mode}, culture ${format.culture || 'unknown'}, ${format.paritySymbols} parity`,
+            `  payload     ${report.payload}`,
+            `  repairs     ${report.corrections.length ? report.corrections.map(c => `#${c.index} ${c.from}→${c.to}`).join(', ') : 'none'}`,
+            ''
+        ];
+
+        report.symbols.forEach(s => {
+            lines.push(`  ${s.segment.padEnd(8)} ${s.symbol.padEnd(2)} ${s.category.padEnd(13)} ${s.meaning === null ? '(unknown)' : s.meaning}`);
+        });
+        report.strata.forEach(s => lines.push(`  stratum  ${s.level} (${s.layout}) ${s.code}`));
+
+        return lines.join('\n');
+    }
+}
+
+// === CLI ====================================================================
+
+if (typeof require !== 'undefined' && require.main === module) {
+    process.exitCode = new PerceptualAlchemyCli().run(process.argv.slice(2));
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerceptualAlchemyCli;
+}
@@ -0,0 +1,395 @@
+// culture_registry.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: CULTURE PACKS
+// =====================================================
+// A culture is data, not engine code. One JSON pack holds
+// everything the encoder and the decoder need to know:
+//
+//   id         culture name, as passed in options.culture
+//   headerId   one code alphabet character for code headers
+//   grammar    encoder side: how a culture perceives
+//     colors     { red: { weight, symbol } } colour symbolism
+//     spatial    { priority: 'cartesian' | 'radial' }
+//     shapes     { circle: 1.2 } perceptual weight per shape
+//   lens       decoder side: how a culture interprets
+//     scenes     { outdoor: { type, subtype } } scene readings
+//     objectSignificance  { tree: 1.5 } (1.0 when absent)
+//     colorMeanings       { white: 'death' }
+//   imagery    poetic images for narratives
+//
+// The built-in packs live in packs/. Writers add cultures by
+// registering a pack object or loading a pack file; every
+// pack is validated on registration, and asking for a
+// culture nobody registered is an error rather than a
+// silent fall back to universal. Header ids belong to the
+// registry: two of its packs may not claim the same
+// character, but separate registries never see each
+// other's ids.
+//
+// Anywhere a culture is accepted, a weighted blend is too:
+// { japanese: 0.7, norse: 0.3 } or 'japanese:0.7+norse:0.3'
+// ('japanese+norse' weighs both equally). Encoder grammar
+// and decoder lens blend by the same rules (see BLENDING),
+// so a hybrid character perceives and interprets alike.
+// =====================================================
+
+const CodeHeader = require('../utils/code_header');
+
+const BUILT_IN_PACKS = [
+    require('./packs/universal.json'),
+    require('./packs/japanese.json'),
+    require('./packs/norse.json')
+];
+
+const PACK_KEYS = ['id', 'name', 'headerId', 'grammar', 'lens', 'imagery'];
+const GRAMMAR_KEYS = ['colors', 'spatial', 'shapes'];
+const LENS_KEYS = ['scenes', 'objectSignificance', 'colorMeanings'];
+const SPATIAL_PRIORITIES = ['cartesian', 'radial'];
+
+// Lowercase name; '+' and ':' are reserved for blends
+const ID_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+let defaultRegistry = null;
+
+class CultureRegistry {
+    /**
+     * @param {Array} packs - Packs in the packs/*.json format (defaults to the built-in packs)
+     */
+    constructor(packs = BUILT_IN_PACKS) {
+        this.packs = new Map();
+        // { culture: id } for CodeHeader
+        this.headerIds = {};
+        packs.forEach(pack => this.register(pack));
+    }
+
+    /**
+     * Shared registry over the built-in packs; packs registered here are seen by every default encoder and decoder
+     * @returns {CultureRegistry}
+     */
+    static default() {
+        if (!defaultRegistry) defaultRegistry = new CultureRegistry();
+        return defaultRegistry;
+    }
+
+    /**
+     * Throws, naming the pack and the field, if a pack is malformed
+     */
+    static validate(pack) {
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            throw new Error('A culture pack must be an object');
+        }
+        if (typeof pack.id !== 'string' || !ID_PATTERN.test(pack.id)) {
+            throw new Error(`Culture pack id must be a lowercase name, got ${JSON.stringify(pack.id)}`);
+        }
+
+        const fail = message => { throw new Error(`Culture pack '${pack.id}': ${message}`); };
+        const section = (value, prefix, keys, optional = []) => {
+            if (!CultureRegistry.isMap(value)) fail(`${prefix} must be an object`);
+            Object.keys(value).forEach(key => {
+                if (!keys.includes(key)) fail(`unknown field '${prefix}${key}'`);
+            });
+            keys.forEach(key => {
+                if (value[key] === undefined && !optional.includes(key)) fail(`missing field '${prefix}${key}'`);
+            });
+        };
+        const weights = (map, name) => {
+            if (!CultureRegistry.isMap(map)) fail(`${name} must be an object`);
+            Object.entries(map).forEach(([key, weight]) => {
+                if (!Number.isFinite(weight) || weight < 0) fail(`${name}.${key} must be a non-negative number, got ${JSON.stringify(weight)}`);
+            });
+        };
+        const words = (map, name) => {
+            if (!CultureRegistry.isMap(map)) fail(`${name} must be an object`);
+            Object.entries(map).forEach(([key, word]) => {
+                if (typeof word !== 'string' || !word) fail(`${name}.${key} must be a non-empty string`);
+            });
+        };
+
+        section(pack, '', PACK_KEYS, ['name']);
+        if (pack.name !== undefined && typeof pack.name !== 'string') fail('name must be a string');
+        if (typeof pack.headerId !== 'string' || pack.headerId.length !== 1) {
+            fail(`headerId must be one character, got ${JSON.stringify(pack.headerId)}`);
+        }
+
+        const { grammar, lens } = pack;
+        section(grammar, 'grammar.', GRAMMAR_KEYS);
+        if (!CultureRegistry.isMap(grammar.colors)) fail('grammar.colors must be an object');
+        Object.entries(grammar.colors).forEach(([color, entry]) => {
+            if (!CultureRegistry.isMap(entry) || !Number.isFinite(entry.weight) || entry.weight < 0 ||
+                typeof entry.symbol !== 'string' || !entry.symbol) {
+                fail(`grammar.colors.${color} must be { weight: non-negative number, symbol: string }`);
+            }
+        });
+        if (!CultureRegistry.isMap(grammar.spatial) || !SPATIAL_PRIORITIES.includes(grammar.spatial.priority)) {
+            fail(`grammar.spatial.priority must be ${SPATIAL_PRIORITIES.join(' or ')}`);
+        }
+        weights(grammar.shapes, 'grammar.shapes');
+
+        section(lens, 'lens.', LENS_KEYS);
+        if (!CultureRegistry.isMap(lens.scenes)) fail('lens.scenes must be an object');
+        Object.entries(lens.scenes).forEach(([scene, reading]) => {
+            if (!CultureRegistry.isMap(reading) || typeof reading.type !== 'string' || typeof reading.subtype !== 'string') {
+                fail(`lens.scenes.${scene} must be { type: string, subtype: string }`);
+            }
+        });
+        weights(lens.objectSignificance, 'lens.objectSignificance');
+        words(lens.colorMeanings, 'lens.colorMeanings');
+
+        if (!Array.isArray(pack.imagery) || !pack.imagery.length ||
+            pack.imagery.some(image => typeof image !== 'string' || !image)) {
+            fail('imagery must be a non-empty array of strings');
+        }
+        return pack;
+    }
+
+    static isMap(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // === REGISTRATION =======================================================
+
+    /**
+     * Validates a pack and makes its culture available
+     * @param {Object} pack - Culture pack
+     * @returns {Object} The registered (frozen copy of the) pack
+     */
+    register(pack) {
+        CultureRegistry.validate(pack);
+        if (this.packs.has(pack.id)) {
+            throw new Error(`Culture '${pack.id}' is already registered`);
+        }
+        try {
+            CodeHeader.registerCulture(pack.id, pack.headerId, this.headerIds);
+        } catch (error) {
+            throw new Error(`Culture pack '${pack.id}': ${error.message}`);
+        }
+
+        const registered = CultureRegistry.freeze(JSON.parse(JSON.stringify(pack)));
+        this.packs.set(pack.id, registered);
+        return registered;
+    }
+
+    /**
+     * Reads and registers a pack file (Node only)
+     * @param {string} file - Path to a JSON culture pack
+     */
+    load(file) {
+        const fs = require('fs');
+
+        let pack;
+        try {
+            pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Culture pack file ${file} could not be read: ${error.message}`);
+        }
+
+        try {
+            return this.register(pack);
+        } catch (error) {
+            throw new Error(`Culture pack file ${file}: ${error.message}`);
+        }
+    }
+
+    static freeze(value) {
+        if (value && typeof value === 'object') {
+            Object.values(value).forEach(CultureRegistry.freeze);
+            Object.freeze(value);
+        }
+        return value;
+    }
+
+    // === LOOKUP =============================================================
+
+    has(culture) {
+        return this.packs.has(culture);
+    }
+
+    ids() {
+        return Array.from(this.packs.keys());
+    }
+
+    /**
+     * @returns {Object} The registered pack
+     */
+    get(culture) {
+        const pack = this.packs.get(culture);
+        if (!pack) {
+            throw new Error(`Unknown culture '${culture}' (registered: ${this.ids().join(', ')})`);
+        }
+        return pack;
+    }
+
+    /**
+     * Cultures of a culture option with normalized weights, heaviest first (ties keep the given order)
+     * @param {string|Object} culture - 'japanese', 'japanese+norse' (equal weights),
+     *   'japanese:0.7+norse:0.3' or { japanese: 0.7, norse: 0.3 }
+     * @returns {Array} [{ id, weight }] with weights summing to 1
+     */
+    resolve(culture) {
+        let entries;
+        if (CultureRegistry.isMap(culture)) {
+            entries = Object.entries(culture);
+        } else if (typeof culture === 'string') {
+            entries = culture.split('+').map(part => {
+                const [id, weight] = part.split(':');
+                return [id.trim(), weight === undefined ? 1 : Number(weight)];
+            });
+        } else {
+            throw new Error(`Culture must be a name or a { culture: weight } blend, got ${JSON.stringify(culture)}`);
+        }
+
+        if (!entries.length) throw new Error('A culture blend needs at least one culture');
+        entries.forEach(([id, weight]) => {
+            this.get(id);
+            if (!Number.isFinite(weight) || weight < 0) {
+                throw new Error(`Blend weight for culture '${id}' must be a non-negative number, got ${weight}`);
+            }
+        });
+        if (new Set(entries.map(([id]) => id)).size !== entries.length) {
+            throw new Error(`Culture blend names a culture twice: ${JSON.stringify(culture)}`);
+        }
+
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (!(total > 0)) throw new Error('Culture blend weights must not all be zero');
+
+        return entries
+            .map(([id, weight], order) => ({ id, weight: weight / total, order }))
+            .sort((x, y) => (y.weight - x.weight) || (x.order - y.order))
+            .map(({ id, weight }) => ({ id, weight }));
+    }
+
+    /**
+     * Heaviest culture of a blend; it names the blend in code headers and supplies imagery
+     */
+    primary(culture) {
+        return this.resolve(culture)[0].id;
+    }
+
+    /**
+     * Encoder grammar: { colors, spatial, shapes }, blended when several cultures are given
+     */
+    grammar(culture) {
+        const parts = this.resolve(culture).map(({ id, weight }) => ({ grammar: this.get(id).grammar, weight }));
+        return parts.length === 1 ? parts[0].grammar : CultureRegistry.blendGrammars(parts);
+    }
+
+    /**
+     * Decoder lens: { interpretScene(type), getObjectSignificance(type), colorMeanings }, blended when several cultures are given
+     */
+    lens(culture) {
+        const parts = this.resolve(culture).map(({ id, weight }) => ({ lens: this.packLens(id), weight }));
+        return parts.length === 1 ? parts[0].lens : CultureRegistry.blendLenses(parts);
+    }
+
+    packLens(culture) {
+        const { scenes, objectSignificance, colorMeanings } = this.get(culture).lens;
+        return {
+            interpretScene: (type) => ({ ...(scenes[type] || { type, subtype: 'general' }) }),
+            getObjectSignificance: (obj) => objectSignificance[obj] ?? 1.0,
+            colorMeanings
+        };
+    }
+
+    imagery(culture) {
+        return this.get(this.primary(culture)).imagery;
+    }
+
+    // === BLENDING ===========================================================
+    //
+    // Numbers (colour, shape and object weights) are weighted means; a
+    // culture that does not weight something counts as the neutral 1.0.
+    // Categories (scene readings, colour symbols and meanings, spatial
+    // priority) are never mixed: the reading with the most weight behind it
+    // wins, ties going to the heavier culture. A culture without a colour
+    // symbol or meaning abstains rather than voting for none.
+
+    /**
+     * @param {Array} parts - [{ grammar, weight }], weights summing to 1
+     */
+    static blendGrammars(parts) {
+        const colors = {};
+        CultureRegistry.keysOf(parts.map(part => part.grammar.colors)).forEach(color => {
+            const symbol = CultureRegistry.vote(parts
+                .filter(part => part.grammar.colors[color])
+                .map(part => ({ value: part.grammar.colors[color].symbol, weight: part.weight })));
+            colors[color] = {
+                weight: CultureRegistry.mean(parts.map(part => ({ value: part.grammar.colors[color]?.weight, weight: part.weight }))),
+                symbol
+            };
+        });
+
+        const shapes = {};
+        CultureRegistry.keysOf(parts.map(part => part.grammar.shapes)).forEach(shape => {
+            shapes[shape] = CultureRegistry.mean(parts.map(part => ({ value: part.grammar.shapes[shape], weight: part.weight })));
+        });
+
+        const priority = CultureRegistry.vote(parts.map(part => ({ value: part.grammar.spatial.priority, weight: part.weight })));
+        return { colors, spatial: { priority }, shapes };
+    }
+
+    /**
+     * @param {Array} parts - [{ lens, weight }], weights summing to 1
+     */
+    static blendLenses(parts) {
+        const colorMeanings = {};
+        CultureRegistry.keysOf(parts.map(part => part.lens.colorMeanings || {})).forEach(color => {
+            colorMeanings[color] = CultureRegistry.vote(parts
+                .filter(part => (part.lens.colorMeanings || {})[color])
+                .map(part => ({ value: part.lens.colorMeanings[color], weight: part.weight })));
+        });
+
+        return {
+            interpretScene: (type) => CultureRegistry.vote(parts.map(part => ({
+                value: part.lens.interpretScene(type),
+                key: (reading) => `${reading.type}/${reading.subtype}`,
+                weight: part.weight
+            }))),
+            getObjectSignificance: (obj) => CultureRegistry.mean(parts.map(part => ({
+                value: part.lens.getObjectSignificance(obj),
+                weight: part.weight
+            }))),
+            colorMeanings
+        };
+    }
+
+    /**
+     * Value with the most weight behind it; ties go to the earliest (heaviest) voter
+     * @param {Array} votes - [{ value, weight, key? }]; key(value) groups equal readings
+     */
+    static vote(votes) {
+        const tally = new Map();
+        votes.forEach(({ value, weight, key }) => {
+            const id = key ? key(value) : value;
+            const entry = tally.get(id);
+            if (entry) entry.weight += weight;
+            else tally.set(id, { value, weight });
+        });
+
+        let best = null;
+        tally.forEach(entry => {
+            if (!best || entry.weight > best.weight) best = entry;
+        });
+        return best ? best.value : null;
+    }
+
+    /**
+     * Weighted mean; missing values count as 1.0
+     */
+    static mean(values) {
+        return values.reduce((sum, { value, weight }) => sum + (value ?? 1.0) * weight, 0);
+    }
+
+    static keysOf(maps) {
+        return Array.from(new Set(maps.flatMap(map => Object.keys(map))));
+    }
+}
+
+CultureRegistry.SPATIAL_PRIORITIES = SPATIAL_PRIORITIES;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CultureRegistry;
+} else if (typeof window !== 'undefined') {
+    window.CultureRegistry = CultureRegistry;
+}
@@ -0,0 +1,218 @@
+// code_comparator.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: SEMANTIC CODE COMPARISON
+// =====================================================
+// Compares two codes by what they mean, not by which
+// characters line up. Each code is validated (parity
+// repaired), split into its segments and read through the
+// vocabulary; the segments are then scored separately:
+//
+//   scene     scene type, lighting, mood, complexity
+//   objects   order-independent: each object pairs with the
+//             closest unpaired object of the same type;
+//             pairs score by distance, size and salience
+//   spatial   focus, distribution, depth layers
+//   emotion   valence/arousal distance, trend
+//
+// Parity, header and padding never count, codes of
+// different modes compare by meaning, and an object that
+// moved one slot along the segment is still the same
+// object. The weighted segment scores give similarity
+// (1 identical, 0 nothing shared) and distance = 1 - it.
+// =====================================================
+
+const SEGMENTS = ['scene', 'objects', 'spatial', 'emotion'];
+
+const DEFAULT_WEIGHTS = { scene: 0.25, objects: 0.35, spatial: 0.15, emotion: 0.25 };
+
+class CodeComparator {
+    /**
+     * @param {PerceptualAlchemyDecoder} decoder - Supplies validation, segmentation and the vocabulary
+     * @param {Object} weights - Segment weights, merged over DEFAULT_WEIGHTS
+     */
+    constructor(decoder, weights = {}) {
+        this.decoder = decoder;
+        this.weights = CodeComparator.normalizeWeights(weights);
+    }
+
+    /**
+     * @param {Object} weights - Any of { scene, objects, spatial, emotion }, non-negative
+     * @returns {Object} All four weights, summing to 1
+     */
+    static normalizeWeights(weights = {}) {
+        Object.keys(weights).forEach(key => {
+            if (!SEGMENTS.includes(key)) {
+                throw new Error(`Unknown comparison segment '${key}' (expected ${SEGMENTS.join(', ')})`);
+            }
+            if (!Number.isFinite(weights[key]) || weights[key] < 0) {
+                throw new Error(`Comparison weight for ${key} must be a non-negative number, got ${weights[key]}`);
+            }
+        });
+
+        const merged = { ...DEFAULT_WEIGHTS, ...weights };
+        const total = SEGMENTS.reduce((sum, segment) => sum + merged[segment], 0);
+        if (!(total > 0)) throw new Error('Comparison weights must not all be zero');
+
+        const normalized = {};
+        SEGMENTS.forEach(segment => { normalized[segment] = merged[segment] / total; });
+        return normalized;
+    }
+
+    /**
+     * @param {string} a - Code
+     * @param {string} b - Code
+     * @param {Object} weights - Overrides the comparator's weights for this call
+     * @returns {Object} { similarity, distance, segments, pairs, weights }
+     */
+    compare(a, b, weights = null) {
+        const used = weights ? CodeComparator.normalizeWeights(weights) : this.weights;
+        const left = this.read(a);
+        const right = this.read(b);
+
+        const objects = this.compareObjects(left.objects, right.objects);
+        const segments = {
+            scene: this.compareScene(left.scene, right.scene),
+            objects: objects.score,
+            spatial: this.compareSpatial(left.spatial, right.spatial),
+            emotion: this.compareEmotion(left.emotion, right.emotion)
+        };
+
+        const similarity = SEGMENTS.reduce((sum, segment) => sum + segments[segment] * used[segment], 0);
+        return {
+            similarity,
+            distance: 1 - similarity,
+            segments,
+            pairs: objects.pairs,
+            weights: used
+        };
+    }
+
+    // === READING ============================================================
+
+    /**
+     * Meaning of each segment of a code
+     */
+    read(code) {
+        const validated = this.decoder.validateAndCorrect(String(code));
+        if (!validated.valid) throw new Error(`Cannot compare code '${code}': ${validated.error}`);
+
+        const segments = this.decoder.segmentCode(validated.code, validated.format.mode);
+        const interpreter = this.decoder.symbolInterpreter;
+
+        const scene = {
+            type: interpreter.decodeSceneType(segments.scene[0]),
+            lighting: interpreter.decodeLighting(segments.scene[1]).value,
+            mood: segments.scene[2] ? interpreter.decodeMood(segments.scene[2]) : null,
+            complexity: segments.scene[3] ? interpreter.decodeComplexity(segments.scene[3]) : null
+        };
+
+        const objects = [];
+        interpreter.tokenizeObjects(segments.objects).forEach(token => {
+            const type = interpreter.decodeObjectType(token.symbol);
+            if (!type) return;
+            objects.push({
+                type: type.primary,
+                position: this.decoder.decodePosition(token.position),
+                ...interpreter.decodeModifiers(token.modifiers)
+            });
+        });
+
+        const depth = segments.spatial.length > 2 ? this.decoder.decodeDepthLayers(segments.spatial.slice(2)) : null;
+        const spatial = {
+            focus: interpreter.decodeFocus(segments.spatial[0]).zone,
+            distribution: interpreter.decodeDistribution(segments.spatial[1]).pattern,
+            depth: depth && { distribution: depth.distribution, foregroundWeight: depth.foregroundWeight }
+        };
+
+        const emotion = segments.emotion.length >= 2 ? {
+            valence: this.decoder.decodeEmotionalValue(segments.emotion[0]),
+            arousal: this.decoder.decodeEmotionalValue(segments.emotion[1]),
+            trend: segments.emotion[2] ? interpreter.decodeTrajectory(segments.emotion[2]) : null
+        } : null;
+
+        return { scene, objects, spatial, emotion };
+    }
+
+    // === SEGMENT SCORES =====================================================
+
+    /**
+     * Share of scene fields both codes carry that agree
+     */
+    compareScene(a, b) {
+        const fields = ['type', 'lighting', 'mood', 'complexity'].filter(field => a[field] !== null && b[field] !== null);
+        return fields.filter(field => a[field] === b[field]).length / fields.length;
+    }
+
+    /**
+     * Pairs same-type objects closest first; unpaired objects on either side count as misses
+     * @returns {Object} { score, pairs: [{ type, a, b, score }] } with a/b object indices
+     */
+    compareObjects(a, b) {
+        if (!a.length && !b.length) return { score: 1, pairs: [] };
+
+        const candidates = [];
+        a.forEach((left, i) => {
+            b.forEach((right, j) => {
+                if (left.type !== right.type) return;
+                candidates.push({ type: left.type, a: i, b: j, score: this.objectScore(left, right) });
+            });
+        });
+        candidates.sort((x, y) => (y.score - x.score) || (x.a - y.a) || (x.b - y.b));
+
+        const pairedA = new Set();
+        const pairedB = new Set();
+        const pairs = [];
+        candidates.forEach(candidate => {
+            if (pairedA.has(candidate.a) || pairedB.has(candidate.b)) return;
+            pairedA.add(candidate.a);
+            pairedB.add(candidate.b);
+            pairs.push(candidate);
+        });
+
+        const score = pairs.reduce((sum, pair) => sum + pair.score, 0) / Math.max(a.length, b.length);
+        return { score, pairs };
+    }
+
+    /**
+     * Two objects of the same type: half for the type, the rest for place, size and salience
+     */
+    objectScore(a, b) {
+        const distance = Math.hypot(a.position.x - b.position.x, a.position.y - b.position.y);
+        const closeness = 1 - Math.min(1, distance / Math.SQRT2);
+        const size = a.size === b.size ? 1 : 0;
+        const salience = a.salience === b.salience ? 1 : 0;
+        return 0.5 + closeness * 0.3 + size * 0.1 + salience * 0.1;
+    }
+
+    compareSpatial(a, b) {
+        const scores = [a.focus === b.focus ? 1 : 0, a.distribution === b.distribution ? 1 : 0];
+        if (a.depth && b.depth) {
+            scores.push(
+                (a.depth.distribution === b.depth.distribution ? 0.5 : 0) +
+                (1 - Math.abs(a.depth.foregroundWeight - b.depth.foregroundWeight)) * 0.5);
+        }
+        return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
+
+    /**
+     * Valence/arousal closeness (as MemoryResonance measures it), with the trend when both carry one
+     */
+    compareEmotion(a, b) {
+        if (!a || !b) return a === b ? 1 : 0;
+
+        const closeness = 1 - (Math.abs(a.valence - b.valence) + Math.abs(a.arousal - b.arousal)) / 2;
+        if (a.trend === null || b.trend === null) return closeness;
+        return closeness * 0.8 + (a.trend === b.trend ? 0.2 : 0);
+    }
+}
+
+CodeComparator.SEGMENTS = SEGMENTS;
+CodeComparator.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeComparator;
+} else if (typeof window !== 'undefined') {
+    window.CodeComparator = CodeComparator;
+}
@@ -0,0 +1,337 @@
+// code_translator.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: CROSS-CULTURAL CODE TRANSLATION
+// =====================================================
+// Re-expresses a code as another culture would have
+// encoded the same moment. The code is read through the
+// source culture, then each culture-dependent part is
+// re-weighted through the target culture pack and the
+// code is re-encoded by a target-culture encoder:
+//
+//   objects   priority (which sets token length, and so
+//             what fits the budget) re-weighted by the
+//             ratio of target to source grammar shape
+//             weight, as the target encoder would weigh it
+//   spatial   when spatial priority differs, focus and
+//             pattern are re-derived from the objects
+//             (radial via convertToRadialSpace), as the
+//             target encoder derives them; an empty
+//             scene gets the target's empty-scene reading
+//   header    the target culture
+//
+// Scene, lighting, mood, depth and emotion symbols carry
+// no culture and pass through unchanged. What the target
+// reads differently (scene readings, object significance,
+// colour symbols and meanings) is reported alongside.
+//
+// A code keeps only a priority bucket per object (token
+// length), so priorities are estimated from the bucket:
+// translation is lossy, and objects dropped from the
+// source code cannot come back. Two more losses:
+//
+//   - The encoder weighs an object by its grammar weight,
+//     falling back to the weight of its geometric type
+//     (a door drawn as a rectangle takes 'rectangle').
+//     The code keeps only the object type, so types the
+//     grammar does not list weigh 1.0 here, and the token
+//     length can differ from a direct encode.
+//   - The encoder derives focus and pattern from every
+//     shape it found, including those too faint to be
+//     encoded. Only the encoded objects are left, so the
+//     re-derived spatial symbols match a direct encode
+//     only when every shape made it into the code.
+// =====================================================
+
+const PerceptualAlchemyEncoder = require('../encoder/symbolic_encoder');
+
+// Estimated priority per token length (the encoder emits 1 above 0.8, 2 above 0.5, else 3)
+const PRIORITY_BY_LENGTH = { 1: 1.0, 2: 0.65, 3: 0.35 };
+
+// Relative area per size modifier, for the centre of mass
+const SIZE_AREA = { small: 1, medium: 2, large: 3 };
+
+class CodeTranslator {
+    /**
+     * @param {PerceptualAlchemyDecoder} decoder - Supplies validation, segmentation, the vocabulary and the culture registry
+     */
+    constructor(decoder) {
+        this.decoder = decoder;
+    }
+
+    /**
+     * @param {string} code - Code encoded under fromCulture
+     * @param {string|Object} fromCulture - Culture or blend the code was written in
+     * @param {string|Object} toCulture - Culture or blend to re-express it in
+     * @returns {Object} { code, from, to, format, shifts: { scene, objects, colors, spatial }, summary }
+     *   shifts.objects: [{ type, position, weight, significance, length, dropped }], each { from, to } but dropped
+     */
+    translate(code, fromCulture, toCulture) {
+        const cultures = this.decoder.cultures;
+        const source = this.cultureView(fromCulture);
+        const target = this.cultureView(toCulture);
+
+        const validated = this.decoder.validateAndCorrect(String(code));
+        if (!validated.valid) throw new Error(`Cannot translate code '${code}': ${validated.error}`);
+        const segments = this.decoder.segmentCode(validated.code, validated.format.mode);
+        const versioned = validated.format.version !== 0;
+
+        const encoder = new PerceptualAlchemyEncoder({
+            mode: segments.mode,
+            culture: toCulture,
+            cultures,
+            vocabulary: this.decoder.symbolInterpreter.registry,
+            paritySymbols: validated.format.paritySymbols,
+            versionHeader: versioned
+        });
+        const budget = encoder.budgets[segments.mode];
+
+        const objects = this.translateObjects(segments.objects, source, target, encoder, budget.objects);
+        const spatial = this.translateSpatial(segments.spatial, objects.shapes, source, target, encoder);
+
+        const translated = encoder.frameCode(segments.scene + objects.code + spatial.code + segments.emotion);
+        const sceneType = this.decoder.symbolInterpreter.decodeSceneType(segments.scene[0]);
+
+        const shifts = {
+            scene: this.sceneShift(sceneType, source, target),
+            objects: objects.shifts,
+            colors: this.colorShifts(source, target),
+            spatial: spatial.shift
+        };
+
+        return {
+            code: translated,
+            from: fromCulture,
+            to: toCulture,
+            format: { version: versioned ? validated.format.version : 0, mode: segments.mode, paritySymbols: validated.format.paritySymbols },
+            shifts,
+            summary: this.summarize(shifts)
+        };
+    }
+
+    /**
+     * Grammar and lens of a culture (or blend) in one place
+     */
+    cultureView(culture) {
+        const cultures = this.decoder.cultures;
+        return { grammar: cultures.grammar(culture), lens: cultures.lens(culture) };
+    }
+
+    /**
+     * Grammar shape weight of an object type (applyCulturalLens() multiplies priority by it;
+     * the geometric-type fallback is lost, see the file header)
+     */
+    shapeWeight(view, type) {
+        return view.grammar.shapes[type] ?? 1.0;
+    }
+
+    // === OBJECTS ============================================================
+
+    /**
+     * Rebuilds each token at the length its re-weighted priority earns; tokens that no longer fit are dropped
+     * @returns {Object} { code, shapes, shifts } - shapes for spatial analysis, in code order
+     */
+    translateObjects(segment, source, target, encoder, budget) {
+        const interpreter = this.decoder.symbolInterpreter;
+        const tokens = [];
+        const shapes = [];
+        const shifts = [];
+        let length = 0;
+        let full = false;
+
+        interpreter.tokenizeObjects(segment).forEach(token => {
+            const text = token.symbol + token.modifiers.join('') + token.position;
+            const type = interpreter.decodeObjectType(token.symbol);
+            const position = this.decoder.decodePosition(token.position);
+
+            if (!type) {
+                // Unknown symbol: nothing to re-weight, keep it as it was
+                if (!full && length + text.length <= budget) {
+                    tokens.push(text);
+                    length += text.length;
+                } else {
+                    full = true;
+                }
+                return;
+            }
+
+            const { size, salience } = interpreter.decodeModifiers(token.modifiers);
+            const fromLength = 1 + token.modifiers.length;
+            const fromWeight = this.shapeWeight(source, type.primary);
+            const toWeight = this.shapeWeight(target, type.primary);
+            const fromSignificance = source.lens.getObjectSignificance(type.primary);
+            const toSignificance = target.lens.getObjectSignificance(type.primary);
+            const weight = PRIORITY_BY_LENGTH[Math.min(3, fromLength)] / (fromWeight || 1);
+            const priority = weight * toWeight;
+            const toLength = priority > 0.8 ? 1 : priority > 0.5 ? 2 : 3;
+
+            const symbol = encoder.vocabulary.getSymbolWithLength('object', type.primary, toLength, {
+                size,
+                salience: salience || (weight > 0.5 ? 'salient' : 'faint')
+            });
+            const rebuilt = symbol + token.position;
+
+            const dropped = full || length + rebuilt.length > budget;
+            if (dropped) {
+                full = true;
+            } else {
+                tokens.push(rebuilt);
+                length += rebuilt.length;
+                shapes.push({
+                    centroid: { x: position.x, y: position.y },
+                    area: SIZE_AREA[size] || SIZE_AREA.medium,
+                    symbolWeight: weight
+                });
+            }
+
+            if (dropped || fromLength !== toLength || fromWeight !== toWeight || fromSignificance !== toSignificance) {
+                shifts.push({
+                    type: type.primary,
+                    position: { x: position.x, y: position.y },
+                    weight: { from: fromWeight, to: toWeight },
+                    significance: { from: fromSignificance, to: toSignificance },
+                    length: { from: fromLength, to: dropped ? 0 : toLength },
+                    dropped
+                });
+            }
+        });
+
+        return {
+            code: tokens.join('').padEnd(budget, encoder.vocabulary.getPadding('objects')),
+            shapes,
+            shifts
+        };
+    }
+
+    // === SPATIAL ============================================================
+
+    /**
+     * Re-derives focus and pattern when the target reads space differently; depth symbols pass through.
+     * With no objects the encoder's empty-scene readings apply (centre/empty, or east/balanced radially)
+     * @returns {Object} { code, shift }
+     */
+    translateSpatial(segment, shapes, source, target, encoder) {
+        const fromPriority = source.grammar.spatial.priority;
+        const toPriority = target.grammar.spatial.priority;
+        if (fromPriority === toPriority) return { code: segment, shift: null };
+
+        const interpreter = this.decoder.symbolInterpreter;
+        const from = {
+            focus: interpreter.decodeFocus(segment[0]).zone,
+            pattern: interpreter.decodeDistribution(segment[1]).pattern
+        };
+
+        // Same centre of mass as analyzeSpatial(), on a unit frame
+        const mass = shapes.reduce((sum, shape) => sum + shape.area * shape.symbolWeight, 0);
+        const centerOfMass = mass > 0 ? {
+            x: shapes.reduce((sum, shape) => sum + shape.centroid.x * shape.area * shape.symbolWeight, 0) / mass,
+            y: shapes.reduce((sum, shape) => sum + shape.centroid.y * shape.area * shape.symbolWeight, 0) / mass
+        } : { x: 0.5, y: 0.5 };
+
+        let to;
+        if (toPriority === 'radial') {
+            const radial = encoder.convertToRadialSpace({
+                centerOfMass,
+                radialDistribution: encoder.analyzeRadialDistribution(shapes, centerOfMass.x, centerOfMass.y)
+            });
+            to = { focus: radial.primaryFocus, pattern: radial.pattern };
+        } else {
+            to = {
+                focus: encoder.determinePrimaryFocus(shapes, centerOfMass, 1, 1),
+                pattern: encoder.analyzeDistributionPattern(shapes, centerOfMass.x, centerOfMass.y, 1, 1).pattern
+            };
+        }
+
+        const code = encoder.vocabulary.getSymbol('focus', to.focus) +
+            encoder.vocabulary.getSymbol('distribution', to.pattern) +
+            segment.slice(2);
+
+        return {
+            code,
+            shift: {
+                priority: { from: fromPriority, to: toPriority },
+                focus: { from: from.focus, to: this.decoder.symbolInterpreter.decodeFocus(code[0]).zone },
+                pattern: { from: from.pattern, to: to.pattern }
+            }
+        };
+    }
+
+    // === MEANING ============================================================
+
+    sceneShift(sceneType, source, target) {
+        const from = source.lens.interpretScene(sceneType);
+        const to = target.lens.interpretScene(sceneType);
+        if (from.type === to.type && from.subtype === to.subtype) return null;
+        return { scene: sceneType, from, to };
+    }
+
+    /**
+     * Colours whose symbol, weight or meaning differs between the two cultures
+     */
+    colorShifts(source, target) {
+        const reading = (view, color) => ({
+            symbol: view.grammar.colors[color]?.symbol ?? null,
+            weight: view.grammar.colors[color]?.weight ?? 1.0,
+            meaning: (view.lens.colorMeanings || {})[color] ?? null
+        });
+        const names = new Set([source, target].flatMap(view =>
+            [...Object.keys(view.grammar.colors), ...Object.keys(view.lens.colorMeanings || {})]));
+
+        const shifts = [];
+        names.forEach(color => {
+            const from = reading(source, color);
+            const to = reading(target, color);
+            if (from.symbol !== to.symbol || from.weight !== to.weight || from.meaning !== to.meaning) {
+                shifts.push({ color, from, to });
+            }
+        });
+        return shifts;
+    }
+
+    /**
+     * One line per shift, for logs and tooling
+     */
+    summarize(shifts) {
+        const lines = [];
+        const round = value => Math.round(value * 100) / 100;
+
+        if (shifts.scene) {
+            const { scene, from, to } = shifts.scene;
+            lines.push(`scene '${scene}' reads as ${to.type} (${to.subtype}) instead of ${from.type} (${from.subtype})`);
+        }
+        shifts.objects.forEach(object => {
+            if (object.dropped) {
+                lines.push(`${object.type} no longer fits and is dropped`);
+                return;
+            }
+            if (object.weight.from !== object.weight.to) {
+                lines.push(`${object.type} weighs ${round(object.weight.from)} → ${round(object.weight.to)} in perception`);
+            }
+            if (object.significance.from !== object.significance.to) {
+                lines.push(`${object.type} significance ${round(object.significance.from)} → ${round(object.significance.to)}`);
+            }
+        });
+        shifts.colors.forEach(({ color, from, to }) => {
+            const meaning = reading => [...new Set([reading.symbol, reading.meaning].filter(Boolean))].join(' / ') || 'nothing in particular';
+            if (meaning(from) !== meaning(to)) {
+                lines.push(`${color} means ${meaning(to)} instead of ${meaning(from)}`);
+            } else {
+                lines.push(`${color} weighs ${round(to.weight)} instead of ${round(from.weight)}`);
+            }
+        });
+        if (shifts.spatial) {
+            const { priority, focus, pattern } = shifts.spatial;
+            lines.push(`space read ${priority.to} instead of ${priority.from}: focus ${focus.from} → ${focus.to}, pattern ${pattern.from} → ${pattern.to}`);
+        }
+        return lines;
+    }
+}
+
+CodeTranslator.PRIORITY_BY_LENGTH = PRIORITY_BY_LENGTH;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeTranslator;
+} else if (typeof window !== 'undefined') {
+    window.CodeTranslator = CodeTranslator;
+}
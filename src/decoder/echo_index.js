@@ -0,0 +1,248 @@
+// echo_index.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: ECHO INDEX
+// =====================================================
+// Finds the top-k memory echoes without scoring every
+// memory. Memories are bucketed by code length and by a
+// valence/arousal grid cell; each bucket keeps its
+// memories newest first. An inverted index maps each
+// (position, symbol) pair to the buckets holding that
+// symbol at that position of the code.
+//
+// For a query, every bucket gets an upper bound on echo
+// strength from the best similarity its symbols allow,
+// the best resonance its cell allows and the age of its
+// newest memory, all fed through MemoryResonance's own
+// scoring functions. Buckets are searched best bound
+// first, newest memory first, and the search stops once
+// no remaining memory can beat the k-th echo found. The
+// result is exactly what a full scan returns, in the same
+// order (ties go to the memory stored first).
+//
+// Bounds rely on calculateSimilarity summing one weight
+// per matching position, and on calculateMemoryStrength
+// rising with similarity and resonance and falling with
+// age. Memories are indexed by codeOf(memory), the same
+// form scoreEcho() compares.
+// =====================================================
+
+// Grid cells per valence and arousal axis
+const GRID_SIZE = 8;
+
+// Stands in for "no symbol here" when measuring a position's similarity weight
+const NO_MATCH = '\u0000';
+
+// Float slack, so bounds summed per position never undercut a direct score
+const EPSILON = 1e-9;
+
+class EchoIndex {
+    /**
+     * @param {Object} options - { gridSize, codeOf }
+     *   codeOf: memory → code to index (defaults to memory.code)
+     */
+    constructor(options = {}) {
+        this.gridSize = options.gridSize ?? GRID_SIZE;
+        this.codeOf = options.codeOf || (memory => memory.code);
+        this.clear();
+    }
+
+    clear() {
+        this.buckets = new Map();
+        this.postings = new Map();
+        this.entries = new Map();
+        this.sequence = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // === MAINTENANCE ========================================================
+
+    add(memory) {
+        if (this.entries.has(memory)) return;
+
+        const code = this.codeOf(memory);
+        const key = `${code.length}/${this.cellIndex(memory.emotion)}`;
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { key, length: code.length, cell: this.cellBounds(memory.emotion), memories: [] };
+            this.buckets.set(key, bucket);
+        }
+
+        // Newest first; equal timestamps keep storage order
+        const timestamp = memory.timestamp || 0;
+        let low = 0, high = bucket.memories.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if ((bucket.memories[mid].timestamp || 0) >= timestamp) low = mid + 1;
+            else high = mid;
+        }
+        bucket.memories.splice(low, 0, memory);
+
+        this.entries.set(memory, { bucket, code, order: this.sequence++ });
+        this.forEachPosting(code, posting => {
+            posting.set(bucket, (posting.get(bucket) || 0) + 1);
+        });
+    }
+
+    remove(memory) {
+        const entry = this.entries.get(memory);
+        if (!entry) return;
+
+        const { bucket, code } = entry;
+        bucket.memories.splice(bucket.memories.indexOf(memory), 1);
+        if (!bucket.memories.length) this.buckets.delete(bucket.key);
+        this.entries.delete(memory);
+
+        this.forEachPosting(code, (posting, symbolKey) => {
+            const count = posting.get(bucket) - 1;
+            if (count) posting.set(bucket, count);
+            else posting.delete(bucket);
+            if (!posting.size) this.postings.delete(symbolKey);
+        });
+    }
+
+    forEachPosting(code, visit) {
+        for (let i = 0; i < code.length; i++) {
+            const symbolKey = `${i}:${code[i]}`;
+            let posting = this.postings.get(symbolKey);
+            if (!posting) {
+                posting = new Map();
+                this.postings.set(symbolKey, posting);
+            }
+            visit(posting, symbolKey);
+        }
+    }
+
+    /**
+     * Grid cell of an emotion; -1 for memories without one
+     */
+    cellIndex(emotion) {
+        if (!emotion) return -1;
+        const axis = value => Math.min(this.gridSize - 1, Math.max(0, Math.floor(value * this.gridSize)));
+        return axis(emotion.valence) * this.gridSize + axis(emotion.arousal);
+    }
+
+    /**
+     * Valence/arousal ranges a cell covers; edge cells reach past 0-1 so clamped values stay inside
+     */
+    cellBounds(emotion) {
+        const index = this.cellIndex(emotion);
+        if (index < 0) return null;
+
+        const range = i => ({
+            min: i === 0 ? -Infinity : i / this.gridSize,
+            max: i === this.gridSize - 1 ? Infinity : (i + 1) / this.gridSize
+        });
+        return {
+            valence: range(Math.floor(index / this.gridSize)),
+            arousal: range(index % this.gridSize)
+        };
+    }
+
+    // === SEARCH =============================================================
+
+    /**
+     * Top echoes in MemoryResonance.findEchoes() order
+     * @param {string} code - Code being decoded
+     * @param {Object} emotion - reconstructEmotion() output
+     * @param {MemoryResonance} resonance - Supplies scoreEcho() and the scoring functions
+     * @param {number} limit - Echoes returned
+     * @returns {Array} { memory, similarity, resonance, age, strength }
+     */
+    search(code, emotion, resonance, limit) {
+        const similarityBounds = this.similarityBounds(code, resonance);
+        const plans = [];
+        this.buckets.forEach(bucket => {
+            const plan = {
+                bucket,
+                similarity: similarityBounds.get(bucket) ?? 0,
+                resonance: this.resonanceBound(bucket, emotion, resonance)
+            };
+            plan.bound = this.strengthBound(plan, bucket.memories[0], resonance);
+            plans.push(plan);
+        });
+        plans.sort((a, b) => b.bound - a.bound);
+
+        const top = [];
+        const kth = () => (top.length < limit ? -Infinity : top[top.length - 1].strength);
+
+        for (const plan of plans) {
+            if (plan.bound < kth()) break;
+
+            for (const memory of plan.bucket.memories) {
+                if (this.strengthBound(plan, memory, resonance) < kth()) break;
+
+                const echo = resonance.scoreEcho(code, emotion, memory);
+                if (!echo || echo.strength < kth()) continue;
+
+                echo.order = this.entries.get(memory).order;
+                top.push(echo);
+                top.sort((a, b) => (b.strength - a.strength) || (a.order - b.order));
+                if (top.length > limit) top.pop();
+            }
+        }
+
+        return top.map(({ order, ...echo }) => echo);
+    }
+
+    /**
+     * Best similarity per bucket: the query's symbols wherever the bucket holds them
+     * @returns {Map} bucket → similarity bound
+     */
+    similarityBounds(code, resonance) {
+        const weights = new Map();
+        const weight = (length, i) => {
+            if (!weights.has(length)) weights.set(length, this.positionWeights(code, length, resonance));
+            return weights.get(length)[i];
+        };
+
+        const bounds = new Map();
+        for (let i = 0; i < code.length; i++) {
+            const posting = this.postings.get(`${i}:${code[i]}`);
+            if (!posting) continue;
+            posting.forEach((count, bucket) => {
+                if (i < bucket.length) bounds.set(bucket, (bounds.get(bucket) || 0) + weight(bucket.length, i));
+            });
+        }
+        return bounds;
+    }
+
+    /**
+     * What a match at each position adds to calculateSimilarity() against a code of this length
+     */
+    positionWeights(code, length, resonance) {
+        return Array.from({ length: Math.min(length, code.length) }, (_, i) => {
+            const single = NO_MATCH.repeat(i) + code[i] + NO_MATCH.repeat(length - i - 1);
+            return resonance.calculateSimilarity(code, single);
+        });
+    }
+
+    /**
+     * Resonance with the cell point nearest the query emotion
+     */
+    resonanceBound(bucket, emotion, resonance) {
+        if (!bucket.cell || !emotion) return resonance.calculateEmotionalResonance(emotion, null);
+
+        const clamp = (value, range) => Math.min(range.max, Math.max(range.min, value));
+        return resonance.calculateEmotionalResonance(emotion, {
+            valence: clamp(emotion.current.valence, bucket.cell.valence),
+            arousal: clamp(emotion.current.arousal, bucket.cell.arousal)
+        });
+    }
+
+    strengthBound(plan, memory, resonance) {
+        return resonance.calculateMemoryStrength(plan.similarity, plan.resonance, memory.timestamp) + EPSILON;
+    }
+}
+
+EchoIndex.GRID_SIZE = GRID_SIZE;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EchoIndex;
+} else if (typeof window !== 'undefined') {
+    window.EchoIndex = EchoIndex;
+}
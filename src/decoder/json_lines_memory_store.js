@@ -0,0 +1,133 @@
+// json_lines_memory_store.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: PERSISTENT MEMORY STORE (Node)
+// =====================================================
+// A MemoryStore backed by a JSON-lines file, so an NPC
+// remembers across sessions. One line per memory:
+//
+//   { "memory": { code, timestamp, emotion, objects },
+//     "stats": { used, similarity, resonance } }
+//
+// The file is read once when the store opens; queries run
+// in memory. add() appends a line. Forgetting, remove(),
+// clear() and save() rewrite the file (via a temporary
+// file and rename, so a crash leaves the old contents).
+// Echo stats live in memory until the next rewrite: call
+// save() before shutdown to keep recency and strength.
+//
+// A crash during add() can leave the last line half
+// written. An unparseable final line is dropped and the
+// file rewritten without it; a bad line anywhere else
+// means the file is corrupt, and load() throws.
+// =====================================================
+
+const MemoryStore = require('./memory_store');
+
+class JsonLinesMemoryStore extends MemoryStore {
+    /**
+     * @param {Object} options - { file, capacity, policy, strength, index }
+     */
+    constructor(options = {}) {
+        if (!options.file) throw new Error('JsonLinesMemoryStore needs a file path');
+
+        super({ ...options, memories: [] });
+        this.file = options.file;
+        this.fs = require('fs');
+        this.load();
+    }
+
+    /**
+     * Reads the file; a missing file is an empty store, a torn final line is dropped
+     */
+    load() {
+        super.clear();
+        this.tornLine = null;
+        if (!this.fs.existsSync(this.file)) return;
+
+        const lines = this.fs.readFileSync(this.file, 'utf8').split('\n');
+        const last = lines.reduce((found, line, i) => (line.trim() ? i : found), -1);
+
+        lines.forEach((line, i) => {
+            if (!line.trim()) return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                if (i === last) {
+                    this.tornLine = i + 1;
+                    return;
+                }
+                throw new Error(`Memory file ${this.file} line ${i + 1} is not valid JSON: ${error.message}`);
+            }
+            if (!entry || !entry.memory) {
+                throw new Error(`Memory file ${this.file} line ${i + 1} has no memory record`);
+            }
+
+            const memory = MemoryStore.validate(entry.memory);
+            this.attach(memory);
+            if (entry.stats) {
+                this.stats.set(memory, { ...this.statsFor(memory), ...entry.stats });
+                this.clock = Math.max(this.clock, entry.stats.used || 0);
+            }
+        });
+
+        // Capacity may have shrunk since the file was written. The strength policy waits
+        // for its strength function (MemoryResonance trims once it supplies one)
+        const forgotten = this.policy === 'strength' && !this.strength ? [] : this.trim();
+
+        // Rewrite so the next append does not land on the end of a torn line
+        if (this.tornLine && !forgotten.length) this.save();
+    }
+
+    add(memory) {
+        const forgotten = super.add(memory);
+        if (!forgotten.length) {
+            const stored = this.memories[this.memories.length - 1];
+            this.fs.appendFileSync(this.file, this.serialize(stored) + '\n');
+        }
+        return forgotten;
+    }
+
+    /**
+     * Forgets over capacity, then rewrites the file if anything went
+     */
+    trim() {
+        const forgotten = super.trim();
+        if (forgotten.length) this.save();
+        return forgotten;
+    }
+
+    remove(memory) {
+        const removed = super.remove(memory);
+        if (removed) this.save();
+        return removed;
+    }
+
+    clear() {
+        super.clear();
+        this.save();
+    }
+
+    /**
+     * Rewrites the file with every memory and its current stats
+     */
+    save() {
+        const temporary = `${this.file}.tmp`;
+        const contents = this.memories.map(memory => this.serialize(memory) + '\n').join('');
+        this.fs.writeFileSync(temporary, contents);
+        this.fs.renameSync(temporary, this.file);
+    }
+
+    serialize(memory) {
+        return JSON.stringify({ memory, stats: this.statsFor(memory) });
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JsonLinesMemoryStore;
+} else if (typeof window !== 'undefined') {
+    window.JsonLinesMemoryStore = JsonLinesMemoryStore;
+}
@@ -0,0 +1,252 @@
+// memory_store.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: MEMORY STORE
+// =====================================================
+// Where a decoder keeps the moments it may echo. Memories
+// are { code, timestamp, emotion: { valence, arousal },
+// objects } records, exactly as memoryBuffer held them.
+//
+//   capacity   most memories kept (default unlimited)
+//   policy     what is forgotten once capacity is reached:
+//              'lru'       least recently added or echoed
+//              'strength'  weakest by strength(memory, stats)
+//                          (MemoryResonance supplies its
+//                          calculateMemoryStrength)
+//
+// Every memory carries stats: when it was last used and
+// the best similarity and resonance it echoed with. An
+// unechoed memory counts as a middling echo (0.5 / 0.5),
+// so fresh moments can displace old, faded ones.
+// Queries run against memory, never against a backend, so
+// findEchoes() costs the same whichever store is used.
+// With index: true an EchoIndex finds the top echoes
+// without scoring every memory; memories must then be
+// added through the store, not pushed into its array.
+// Codes are compared in the form codeOf(memory) gives;
+// MemoryResonance sets it with compareAs().
+// JsonLinesMemoryStore persists the same contents to disk.
+// =====================================================
+
+const EchoIndex = require('./echo_index');
+
+const POLICIES = ['lru', 'strength'];
+
+// Similarity and resonance credited to a memory before it first echoes
+const UNECHOED = 0.5;
+
+class MemoryStore {
+    /**
+     * @param {Object} options - { capacity, policy, strength, index, memories }
+     *   index: true (or EchoIndex options) to search echoes through an EchoIndex
+     *   memories: initial array, used in place (memoryBuffer compatibility)
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity ?? Infinity;
+        if (!(this.capacity > 0)) {
+            throw new Error(`Memory store capacity must be a positive number, got ${options.capacity}`);
+        }
+
+        this.policy = options.policy || 'lru';
+        if (!POLICIES.includes(this.policy)) {
+            throw new Error(`Unknown memory store policy '${this.policy}' (expected ${POLICIES.join(' or ')})`);
+        }
+
+        this.strength = options.strength || null;
+        this.memories = options.memories || [];
+        this.stats = new Map();
+        this.clock = 0;
+        this.codeOf = memory => memory.code;
+        this.index = options.index ?
+            new EchoIndex({ ...(options.index === true ? {} : options.index), codeOf: memory => this.codeOf(memory) }) :
+            null;
+        this.memories.forEach(memory => {
+            MemoryStore.validate(memory);
+            if (this.index) this.index.add(memory);
+        });
+    }
+
+    /**
+     * A store for a memoryBuffer array, or the store itself
+     * @param {MemoryStore|Array|null} source
+     * @returns {MemoryStore}
+     */
+    static from(source) {
+        if (source instanceof MemoryStore) return source;
+        return new MemoryStore({ memories: source || [] });
+    }
+
+    static validate(memory) {
+        if (!memory || typeof memory.code !== 'string') {
+            throw new Error('A memory needs a code string');
+        }
+        if (memory.emotion && (!Number.isFinite(memory.emotion.valence) || !Number.isFinite(memory.emotion.arousal))) {
+            throw new Error(`Memory '${memory.code}' needs a numeric emotion { valence, arousal }`);
+        }
+        return memory;
+    }
+
+    // === CONTENTS ===========================================================
+
+    get size() {
+        return this.memories.length;
+    }
+
+    /**
+     * @returns {Array} Memories in insertion order (do not modify)
+     */
+    all() {
+        return this.memories;
+    }
+
+    /**
+     * Stores a memory, then forgets by policy while over capacity
+     * @param {Object} memory - { code, timestamp, emotion, objects }; timestamp defaults to now
+     * @returns {Array} Memories forgotten to make room
+     */
+    add(memory) {
+        MemoryStore.validate(memory);
+        const stored = memory.timestamp ? memory : { ...memory, timestamp: Date.now() };
+
+        this.attach(stored);
+        this.statsFor(stored).used = this.tick();
+        return this.trim();
+    }
+
+    /**
+     * @returns {boolean} Whether the memory was stored
+     */
+    remove(memory) {
+        if (!this.memories.includes(memory)) return false;
+        this.detach(memory);
+        return true;
+    }
+
+    clear() {
+        this.memories.length = 0;
+        this.stats.clear();
+        if (this.index) this.index.clear();
+    }
+
+    attach(memory) {
+        this.memories.push(memory);
+        if (this.index) this.index.add(memory);
+    }
+
+    detach(memory) {
+        this.memories.splice(this.memories.indexOf(memory), 1);
+        this.stats.delete(memory);
+        if (this.index) this.index.remove(memory);
+    }
+
+    // === QUERIES ============================================================
+
+    /**
+     * Sets the form memory codes are compared in, re-indexing under it
+     * @param {Function} codeOf - memory → code
+     */
+    compareAs(codeOf) {
+        this.codeOf = codeOf;
+        if (this.index) {
+            this.index.clear();
+            this.memories.forEach(memory => this.index.add(memory));
+        }
+    }
+
+    /**
+     * Strongest echoes of a code, strongest first (ties: stored first)
+     * @param {string} code - Code being decoded
+     * @param {Object} emotion - reconstructEmotion() output
+     * @param {MemoryResonance} resonance - Scores each memory
+     * @param {number} limit - Echoes returned
+     */
+    echoes(code, emotion, resonance, limit) {
+        if (this.index) return this.index.search(code, emotion, resonance, limit);
+
+        return this.memories
+            .map(memory => resonance.scoreEcho(code, emotion, memory))
+            .filter(Boolean)
+            .sort((a, b) => b.strength - a.strength)
+            .slice(0, limit);
+    }
+
+    /**
+     * Records that a memory echoed, for the lru and strength policies
+     * @param {Object} memory - Stored memory
+     * @param {Object} echo - { similarity, resonance }
+     */
+    touch(memory, echo = {}) {
+        const stats = this.statsFor(memory);
+        stats.used = this.tick();
+        stats.similarity = Math.max(stats.similarity, echo.similarity || 0);
+        stats.resonance = Math.max(stats.resonance, echo.resonance || 0);
+    }
+
+    /**
+     * Usage stats; memories placed in a memoryBuffer directly start from their timestamp
+     * @returns {Object} { used, similarity, resonance }
+     */
+    statsFor(memory) {
+        let stats = this.stats.get(memory);
+        if (!stats) {
+            stats = { used: memory.timestamp || 0, similarity: UNECHOED, resonance: UNECHOED };
+            this.stats.set(memory, stats);
+        }
+        return stats;
+    }
+
+    /**
+     * Wall-clock time, strictly increasing so recency never ties
+     */
+    tick() {
+        this.clock = Math.max(Date.now(), this.clock + 1);
+        return this.clock;
+    }
+
+    // === FORGETTING =========================================================
+
+    /**
+     * Forgets by policy while over capacity
+     * @returns {Array} Memories forgotten
+     */
+    trim() {
+        const forgotten = [];
+        while (this.memories.length > this.capacity) {
+            const victim = this.selectVictim();
+            this.detach(victim);
+            forgotten.push(victim);
+        }
+        return forgotten;
+    }
+
+    /**
+     * Memory the policy forgets next; ties go to the oldest
+     */
+    selectVictim() {
+        const score = this.policy === 'strength' ?
+            memory => this.strengthOf(memory) :
+            memory => this.statsFor(memory).used;
+
+        return this.memories.reduce((victim, memory) => {
+            if (!victim) return memory;
+            const difference = score(memory) - score(victim);
+            if (difference < 0) return memory;
+            if (difference === 0 && (memory.timestamp || 0) < (victim.timestamp || 0)) return memory;
+            return victim;
+        }, null);
+    }
+
+    strengthOf(memory) {
+        if (!this.strength) throw new Error("Memory store policy 'strength' needs a strength function");
+        return this.strength(memory, this.statsFor(memory));
+    }
+}
+
+MemoryStore.POLICIES = POLICIES;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryStore;
+} else if (typeof window !== 'undefined') {
+    window.MemoryStore = MemoryStore;
+}
@@ -0,0 +1,197 @@
+// progressive_decoder.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: PROGRESSIVE STRATA DECODER
+// =====================================================
+// Renders a coarse memory from the global code, then
+// refines it as the intermediate and fine strata arrive:
+// regional objects and atmosphere first, then a light map
+// that pulls object positions onto occupied cells.
+// Strata may arrive in any order; each push recomposes
+// the memory from everything received so far.
+// =====================================================
+
+const StrataFormat = require('../utils/strata_format');
+
+class ProgressiveDecoder {
+    /**
+     * @param {PerceptualAlchemyDecoder} decoder - Decoder used for the global code
+     */
+    constructor(decoder) {
+        this.decoder = decoder;
+        this.global = null;
+        this.format = null;
+        this.strata = {};
+    }
+
+    // === PUBLIC API =========================================================
+
+    /**
+     * Decodes a combined Global ⊕ Intermediate ⊕ Fine code stratum by stratum
+     * @param {string} code - Hierarchical code
+     * @param {Object} context - Passed to global decoding
+     * @returns {Object} { memory, stages } where stages holds the memory after each stratum
+     */
+    decode(code, context = {}) {
+        const stages = StrataFormat.split(code.trim()).map(part => this.push(part, context));
+        return { memory: stages[stages.length - 1], stages };
+    }
+
+    /**
+     * Adds one stratum (or the global code) and returns the refined memory
+     * @param {string} code - Global code or '^'-prefixed stratum
+     * @returns {Object} { level, experience, regions, cells, errors }
+     */
+    push(code, context = {}) {
+        code = code.trim();
+
+        if (StrataFormat.isStratum(code)) {
+            this.receiveStratum(code);
+        } else {
+            const validated = this.decoder.validateAndCorrect(code);
+            this.global = validated.valid ? this.decoder.decode(code, context) : { error: validated.error };
+            this.format = validated.valid ? validated.format : null;
+        }
+
+        return this.compose();
+    }
+
+    // === STRATA =============================================================
+
+    receiveStratum(code) {
+        const paritySymbols = this.format ? this.format.paritySymbols : this.decoder.paritySymbols;
+        const corrected = this.decoder.getErrorCorrection(paritySymbols).decode(code.slice(1));
+
+        if (!corrected.valid) {
+            this.strata.error = corrected.error;
+            return;
+        }
+
+        const level = StrataFormat.levelName(corrected.data[0]);
+        const layout = StrataFormat.layoutName(corrected.data[1]);
+        if (!level || !layout) {
+            this.strata.error = 'Unknown stratum level or layout';
+            return;
+        }
+
+        this.strata[level] = { layout, body: corrected.data.slice(2), corrections: corrected.corrections };
+    }
+
+    parseIntermediate({ layout, body }) {
+        const regions = [];
+
+        for (let i = 0; i < StrataFormat.regionCount('intermediate'); i++) {
+            const [symbol, warmth, energy] = body.slice(i * 3, i * 3 + 3);
+            const type = symbol === '0' ? null : this.decoder.symbolInterpreter.decodeObjectType(symbol);
+
+            regions.push({
+                index: i,
+                center: StrataFormat.regionCenter(i, 'intermediate', layout),
+                object: type ? type.primary : null,
+                variants: type ? type.variants : [],
+                warmth: this.decoder.decodeQuantizedValue(warmth),
+                energy: this.decoder.decodeQuantizedValue(energy)
+            });
+        }
+
+        return regions;
+    }
+
+    parseFine({ layout, body }) {
+        return Array.from(body).slice(0, StrataFormat.regionCount('fine')).map((symbol, i) => ({
+            index: i,
+            center: StrataFormat.regionCenter(i, 'fine', layout),
+            luminance: this.decoder.decodeQuantizedValue(symbol),
+            occupied: symbol !== symbol.toUpperCase()
+        }));
+    }
+
+    // === COMPOSITION ========================================================
+
+    compose() {
+        const memory = {
+            level: 0,
+            experience: this.global && this.global.experience ?
+                JSON.parse(JSON.stringify(this.global.experience)) :
+                null,
+            regions: null,
+            cells: null,
+            errors: [this.global && this.global.error, this.strata.error].filter(Boolean)
+        };
+
+        if (this.strata.intermediate) {
+            memory.regions = this.parseIntermediate(this.strata.intermediate);
+            memory.level = 1;
+            if (memory.experience) this.refineWithRegions(memory.experience, memory.regions);
+        }
+
+        if (this.strata.fine) {
+            memory.cells = this.parseFine(this.strata.fine);
+            memory.level = Math.max(memory.level, 2);
+            if (memory.experience) this.refineWithCells(memory.experience, memory.cells);
+        }
+
+        return memory;
+    }
+
+    refineWithRegions(experience, regions) {
+        const objects = experience.objects || (experience.objects = []);
+
+        // Regional objects the global code had no room for
+        regions.forEach(region => {
+            if (!region.object || objects.some(obj => obj.type === region.object)) return;
+            objects.push({
+                type: region.object,
+                variants: region.variants,
+                position: { ...region.center },
+                size: 'medium',
+                importance: 0.3 + region.energy * 0.3,
+                fromStratum: 'intermediate'
+            });
+        });
+
+        experience.regions = regions.map(region => ({
+            center: region.center,
+            warmth: region.warmth,
+            energy: region.energy
+        }));
+    }
+
+    refineWithCells(experience, cells) {
+        const occupied = cells.filter(cell => cell.occupied);
+        const claimed = new Set();
+
+        // Snap each object onto the nearest unclaimed occupied cell
+        (experience.objects || [])
+            .slice()
+            .sort((a, b) => (b.importance || 0) - (a.importance || 0))
+            .forEach(obj => {
+                let best = null;
+                let bestDist = 0.35;
+
+                occupied.forEach(cell => {
+                    if (claimed.has(cell)) return;
+                    const dist = Math.hypot(cell.center.x - obj.position.x, cell.center.y - obj.position.y);
+                    if (dist < bestDist) {
+                        bestDist = dist;
+                        best = cell;
+                    }
+                });
+
+                if (best) {
+                    claimed.add(best);
+                    obj.position = { ...best.center };
+                    obj.refined = true;
+                }
+            });
+
+        experience.lightMap = cells.map(cell => ({ center: cell.center, luminance: cell.luminance }));
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressiveDecoder;
+} else if (typeof window !== 'undefined') {
+    window.ProgressiveDecoder = ProgressiveDecoder;
+}
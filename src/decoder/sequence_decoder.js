@@ -0,0 +1,152 @@
+// sequence_decoder.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: FRAME SEQUENCE DECODER
+// =====================================================
+// Rebuilds a timeline of experiences from a keyframe +
+// delta stream. Keyframes are decoded in full; delta
+// frames move, add and remove tracked objects on top of
+// the most recent keyframe, exactly as the sequence
+// encoder modelled them.
+// =====================================================
+
+const MotionCodec = require('../utils/motion_codec');
+
+class SequenceDecoder {
+    /**
+     * @param {PerceptualAlchemyDecoder} decoder - Decoder used for keyframes
+     */
+    constructor(decoder) {
+        this.decoder = decoder;
+        this.keyframe = null;
+        this.tracked = [];
+        this.camera = { x: 0, y: 0 };
+        this.frameIndex = 0;
+    }
+
+    // === PUBLIC API =========================================================
+
+    /**
+     * Decodes a whole stream
+     * @param {string[]} codes - Keyframe and delta codes in stream order
+     * @param {Object} context - Passed to keyframe decoding
+     * @returns {Object} { frames, keyframes, deltas, errors }
+     */
+    decode(codes, context = {}) {
+        const frames = codes.map(code => this.push(code, context));
+
+        return {
+            frames,
+            keyframes: frames.filter(f => f.type === 'keyframe').length,
+            deltas: frames.filter(f => f.type === 'delta').length,
+            errors: frames.filter(f => f.error).length
+        };
+    }
+
+    /**
+     * Decodes the next code of a stream
+     * @returns {Object} Timeline entry { index, type, code, keyframeIndex, experience, objects, camera, motion }
+     */
+    push(code, context = {}) {
+        const index = this.frameIndex++;
+        code = code.trim();
+
+        if (code[0] === MotionCodec.DELTA_MARKER) {
+            return this.decodeDelta(code, index);
+        }
+
+        return this.decodeKeyframe(code, index, context);
+    }
+
+    // === KEYFRAMES ==========================================================
+
+    decodeKeyframe(code, index, context) {
+        const validated = this.decoder.validateAndCorrect(code);
+        if (!validated.valid) {
+            this.keyframe = null;
+            this.tracked = [];
+            return { index, type: 'keyframe', code, error: validated.error };
+        }
+
+        const decoded = this.decoder.decode(code, context);
+        const segments = this.decoder.segmentCode(validated.code, validated.format.mode);
+
+        this.keyframe = { index, format: validated.format, decoded };
+        this.tracked = MotionCodec.parseObjectSegment(segments.objects, this.decoder.symbolInterpreter.registry);
+        this.camera = { x: 0, y: 0 };
+
+        return {
+            index,
+            type: 'keyframe',
+            code,
+            keyframeIndex: index,
+            experience: decoded.experience,
+            objects: this.describeObjects(),
+            camera: { ...this.camera },
+            motion: null
+        };
+    }
+
+    // === DELTA FRAMES =======================================================
+
+    decodeDelta(code, index) {
+        if (!this.keyframe) {
+            return { index, type: 'delta', code, error: 'Delta frame without a preceding keyframe' };
+        }
+
+        const codec = this.decoder.getErrorCorrection(this.keyframe.format.paritySymbols);
+        const corrected = codec.decode(code.slice(1));
+        if (!corrected.valid) {
+            return { index, type: 'delta', code, keyframeIndex: this.keyframe.index, error: corrected.error };
+        }
+
+        const delta = MotionCodec.parseDelta(corrected.data);
+        const changes = MotionCodec.applyDelta(this.tracked, delta);
+
+        const camera = {
+            x: MotionCodec.dequantizeVelocity(delta.camera[0]),
+            y: MotionCodec.dequantizeVelocity(delta.camera[1])
+        };
+        this.camera.x += camera.x;
+        this.camera.y += camera.y;
+
+        return {
+            index,
+            type: 'delta',
+            code,
+            keyframeIndex: this.keyframe.index,
+            experience: this.keyframe.decoded.experience,
+            objects: this.describeObjects(),
+            camera: { ...this.camera },
+            motion: {
+                camera,
+                moved: changes.moved.map(obj => this.describeObject(obj)),
+                appeared: changes.appeared.map(obj => this.describeObject(obj)),
+                vanished: changes.vanished.map(obj => this.describeObject(obj))
+            },
+            corrections: corrected.corrections.map(c => ({ ...c, index: c.index + 1 }))
+        };
+    }
+
+    // === OBJECT STATE =======================================================
+
+    describeObjects() {
+        return this.tracked.map(obj => this.describeObject(obj));
+    }
+
+    describeObject(obj) {
+        const type = this.decoder.symbolInterpreter.decodeObjectType(obj.symbol);
+        return {
+            symbol: obj.symbol,
+            type: type ? type.primary : 'unknown',
+            position: { x: obj.x, y: obj.y }
+        };
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SequenceDecoder;
+} else if (typeof window !== 'undefined') {
+    window.SequenceDecoder = SequenceDecoder;
+}
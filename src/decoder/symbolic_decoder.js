@@ -9,6 +9,21 @@
 // or stable interpretations based on context and memory.
 // =====================================================
 
+const { ReedSolomonCodec, PARITY_WIDTH } = require('../utils/reed_solomon');
+const CodeHeader = require('../utils/code_header');
+const SequenceDecoder = require('./sequence_decoder');
+const ProgressiveDecoder = require('./progressive_decoder');
+const VocabularyRegistry = require('../vocabulary/vocabulary_registry');
+const SeededRandom = require('../utils/prng');
+const PerceptualDegradation = require('../utils/perceptual_degradation');
+const CultureRegistry = require('../culture/culture_registry');
+const MemoryStore = require('./memory_store');
+const CodeComparator = require('./code_comparator');
+const CodeTranslator = require('./code_translator');
+
+// High-resolution timer where available (browsers, Node 16+), wall clock elsewhere
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
 class PerceptualAlchemyDecoder {   
         /* ---------- QUANTISATION HELPERS ---------- */
 
@@ -24,26 +39,46 @@ class PerceptualAlchemyDecoder {
     constructor(options = {}) {
         this.mode = options.mode || 'stable'; // stable | dreamlike | npc
         this.culture = options.culture || 'universal';
-        this.memoryBuffer = options.memoryBuffer || [];
+        
+        // Without an explicit culture, each code is read through the culture its header names
+        this.followHeaderCulture = !options.culture;
         this.personalBias = options.bias || {};
         
-        // Load cultural interpretation matrix
+        // Memories to echo: a MemoryStore (in-memory or JSON lines), or a plain memoryBuffer array
+        this.memoryStore = MemoryStore.from(options.memoryStore || options.memoryBuffer);
+        this.memoryBuffer = this.memoryStore.all();
+        
+        // Fatigue/stress misremembering: forgets, blurs and confabulates from memory
+        this.degradation = PerceptualDegradation.from(options.degradation);
+        
+        // Random source: a seed restarts the same stream on every decode()
+        this.seed = options.seed ?? null;
+        this.random = options.random || Math.random;
+        
+        // Parity length for legacy headerless codes; versioned codes declare their own
+        this.paritySymbols = options.paritySymbols ?? 4;
+        this.errorCorrection = new ReedSolomonCodec({ paritySymbols: this.paritySymbols });
+        this.codecCache = new Map([[this.paritySymbols, this.errorCorrection]]);
+        
+        // Cultural interpretation lens from culture packs: a name or a weighted blend
+        // ({ japanese: 0.7, norse: 0.3 }, 'japanese+norse'); unknown cultures throw
+        this.cultures = options.cultures || CultureRegistry.default();
         this.culturalLens = this.loadCulturalLens(this.culture);
         
-            // ---- in constructor (after loadCulturalLens):
-        if (this.culture.includes('+')) {
-            const [c1, c2] = this.culture.split('+');
-            const L1 = this.loadCulturalLens(c1), L2 = this.loadCulturalLens(c2);
-            this.culturalLens = this.blendLenses(L1, L2, 0.5);
-        }
         // Symbol interpretation system
-        this.symbolInterpreter = new SymbolInterpreter(this.culturalLens);
+        this.symbolInterpreter = new SymbolInterpreter(this.culturalLens, options.vocabulary);
         
-        // Memory echo system
-        this.memoryResonance = new MemoryResonance(this.memoryBuffer);
+        // Memory echo system; stored codes are compared as decode() reads them
+        this.memoryResonance = new MemoryResonance(this.memoryStore, code => this.payloadOf(code));
+        
+        // Segment-aware code comparison (weights: { scene, objects, spatial, emotion })
+        this.codeComparator = new CodeComparator(this, options.comparisonWeights);
+        
+        // Re-expressing codes as another culture would have encoded them
+        this.codeTranslator = new CodeTranslator(this);
         
         // Narrative generator
-        this.narrativeEngine = new NarrativeEngine(this.culture);
+        this.narrativeEngine = new NarrativeEngine(this.culture, () => this.random(), this.cultures);
         
         // Decoding confidence threshold
         this.confidenceThreshold = 0.6;
@@ -160,7 +195,11 @@ class PerceptualAlchemyDecoder {
      * @returns {Object} Reconstructed perceptual experience
      */
     decode(code, context = {}) {
-        const startTime = performance.now();
+        const startTime = now();
+        
+        // Seeded decodes (narrative and dream variation) repeat for the same input and the
+        // same stored memories, which echoes and misremembering read
+        if (this.seed !== null) this.random = SeededRandom.create(this.seed);
         
         // 1. VALIDATION & ERROR CORRECTION
         const validated = this.validateAndCorrect(code);
@@ -168,18 +207,41 @@ class PerceptualAlchemyDecoder {
             return this.handleInvalidCode(validated);
         }
         
+        // 1b. CULTURE: the header's culture unless one was given
+        const culture = this.readingCulture(validated.format);
+        if (culture === this.culture) {
+            return this.reconstruct(validated, context, startTime);
+        }
+        
+        const previous = this.culture;
+        this.useCulture(culture);
+        try {
+            return this.reconstruct(validated, context, startTime);
+        } finally {
+            this.useCulture(previous);
+        }
+    }
+    
+    /**
+     * Steps 2-11 of decode() on a validated code, through the active culture
+     */
+    reconstruct(validated, context, startTime) {
         // 2. SYMBOL SEGMENTATION
-        const segments = this.segmentCode(validated.code);
+        const segments = this.segmentCode(validated.code, validated.format.mode);
         
         // 3. CORE RECONSTRUCTION
         const scene = this.reconstructScene(segments.scene);
-        const objects = this.reconstructObjects(segments.objects);
+        const perceived = this.reconstructObjects(segments.objects);
         const spatial = this.reconstructSpatial(segments.spatial);
         const emotion = this.reconstructEmotion(segments.emotion);
         
         // 4. MEMORY INTEGRATION
         const memories = this.memoryResonance.findEchoes(validated.code, emotion);
         
+        // 4b. MISREMEMBERING (fatigue/stress)
+        const recalled = this.misremember(perceived, memories);
+        const objects = recalled.objects;
+        
         // 5. CULTURAL INTERPRETATION
         const interpreted = this.applyInterpretation(scene, objects, spatial, emotion);
         
@@ -190,7 +252,8 @@ class PerceptualAlchemyDecoder {
         const experience = this.applyDreamLogic(interpreted, memories);
         
         // 8. CONFIDENCE CALCULATION
-        const confidence = this.calculateReconstructionConfidence(segments);
+        const reconstructed = this.calculateReconstructionConfidence(segments, validated.corrections);
+        const confidence = this.degradation ? this.degradation.confidence(reconstructed) : reconstructed;
         
         // 9. ENTROPY DIAGNOSTICS  (place this before the return)
         const entropy = this.estimateSymbolEntropy(validated.code);   // or codeStr
@@ -199,6 +262,13 @@ class PerceptualAlchemyDecoder {
         const mood  = this.extractMoodPalette(experience);
         const paint = this.extractColorPalette(experience);
 
+        // 11. MEMORY STATE  (rendering hints read its decay)
+        const memory = {
+            echoes     : memories,
+            resonance  : this.calculateMemoryResonance(memories),
+            decay      : this.estimateMemoryDecay(context.timestamp)
+        };
+
         // -- RETURN ---------------------------------------------------
         return {
             experience: {                          // full perceptual state
@@ -211,14 +281,10 @@ class PerceptualAlchemyDecoder {
 
             narrative,                              // { primary, variations, poetic }
 
-            memory: {
-                echoes     : memories,
-                resonance  : this.calculateMemoryResonance(memories),
-                decay      : this.estimateMemoryDecay(context.timestamp)
-            },
+            memory,
 
             rendering: {
-                hints  : this.generateRenderingHints(experience),
+                hints  : this.generateRenderingHints({ ...experience, memory }),
                 focus  : this.calculateFocalPoints(experience),
                 palettes : { mood, paint }          // <- optional
             },
@@ -232,104 +298,286 @@ class PerceptualAlchemyDecoder {
             metadata: {
                 confidence,
                 isReliable      : confidence >= this.confidenceThreshold,
+                corrections     : validated.corrections,
+                format          : validated.format,
                 mode            : this.mode,
                 culture         : this.culture,
-                processingTime  : performance.now() - startTime
+                degradation     : recalled.report,
+                processingTime  : now() - startTime
             }
         };
 
         
     }
     
+    /**
+     * Culture to read a code through: the header's, when no culture was given and it is registered
+     * @param {Object} format - validateAndCorrect() format
+     */
+    readingCulture(format) {
+        if (!this.followHeaderCulture || !format.culture || !this.cultures.has(format.culture)) {
+            return this.culture;
+        }
+        return format.culture;
+    }
+    
+    /**
+     * Switches the lens, symbol interpreter and narrative engine to another culture
+     * @param {string|Object} culture - Culture id or weighted blend
+     */
+    useCulture(culture) {
+        this.lensCache = this.lensCache || new Map();
+        const key = typeof culture === 'string' ? culture : JSON.stringify(culture);
+        if (!this.lensCache.has(key)) this.lensCache.set(key, this.loadCulturalLens(culture));
+        
+        this.culture = culture;
+        this.culturalLens = this.lensCache.get(key);
+        this.symbolInterpreter.culturalLens = this.culturalLens;
+        this.narrativeEngine.culture = culture;
+    }
+    
+    /**
+     * Semantic similarity of two codes, segment by segment (header, parity and padding ignored)
+     * @param {string} a - Code
+     * @param {string} b - Code
+     * @param {Object} options - { weights } to override comparisonWeights for this call
+     * @returns {Object} { similarity, distance, segments: { scene, objects, spatial, emotion }, pairs, weights }
+     */
+    compareCodes(a, b, options = {}) {
+        return this.codeComparator.compare(a, b, options.weights);
+    }
+    
+    /**
+     * The code as another culture would have encoded the same moment
+     * @param {string} code - Code encoded under fromCulture
+     * @param {string|Object} fromCulture - Culture or weighted blend of the source
+     * @param {string|Object} toCulture - Culture or weighted blend to translate into
+     * @returns {Object} { code, from, to, format, shifts: { scene, objects, colors, spatial }, summary }
+     */
+    translateCode(code, fromCulture, toCulture) {
+        return this.codeTranslator.translate(code, fromCulture, toCulture);
+    }
+    
+    /**
+     * Stores a moment for future echoes; the store's capacity policy decides what is forgotten
+     * @param {Object} memory - { code, timestamp, emotion: { valence, arousal }, objects }
+     * @returns {Array} Memories forgotten to make room
+     */
+    remember(memory) {
+        return this.memoryStore.add(memory);
+    }
+    
+    /**
+     * Rebuilds a timeline of experiences from a keyframe/delta stream
+     * @param {string[]} codes - Codes in stream order
+     * @param {Object} context - Passed to keyframe decoding
+     * @returns {Object} { frames, keyframes, deltas, errors }
+     */
+    decodeSequence(codes, context = {}) {
+        return this.createTimeline().decode(codes, context);
+    }
+    
+    /**
+     * Opens a streaming decoder; call push(code) per received code
+     * @returns {SequenceDecoder}
+     */
+    createTimeline() {
+        return new SequenceDecoder(this);
+    }
+    
+    /**
+     * Decodes a Global ⊕ Intermediate ⊕ Fine code, refining stratum by stratum
+     * @param {string} code - Hierarchical code from encoder.encode(..).hierarchicalCode
+     * @param {Object} context - Passed to global decoding
+     * @returns {Object} { memory, stages }
+     */
+    decodeHierarchical(code, context = {}) {
+        return this.createProgressive().decode(code, context);
+    }
+    
+    /**
+     * Opens a progressive decoder; call push(code) as each stratum arrives
+     * @returns {ProgressiveDecoder}
+     */
+    createProgressive() {
+        return new ProgressiveDecoder(this);
+    }
+    
     // === VALIDATION & ERROR CORRECTION ======================================
     
     validateAndCorrect(code) {
         // Remove any whitespace
         code = code.trim();
         
-        // Check basic format
-        if (!/^[A-Za-z0-9αβγδ]{16,33}$/.test(code)) {
-            return { valid: false, error: 'Invalid character set' };
+        // Dispatch on the version header; headerless codes are legacy
+        if (CodeHeader.isVersioned(code)) {
+            return this.validateVersioned(code);
         }
         
-        // Extract and verify checksum
-        const checksum = code[code.length - 1];
-        const payload = code.slice(0, -1);
+        return this.validateLegacy(code);
+    }
+    
+    validateLegacy(code) {
+        const format = { version: CodeHeader.LEGACY_VERSION, mode: null, culture: null, paritySymbols: this.paritySymbols };
+        
+        // Check basic format (data part carries 16-32 symbols)
+        const dataLength = code.length - this.errorCorrection.parityLength;
+        if (dataLength < 16 || dataLength > 32) {
+            return { valid: false, error: 'Invalid code length' };
+        }
         
-        if (this.verifyChecksum(payload, checksum)) {
-            return { valid: true, code: payload };
+        if (this.verifyChecksum(code)) {
+            return { valid: true, code: code.slice(0, dataLength), corrections: [], format };
         }
         
         // Attempt error correction
-        const corrected = this.attemptErrorCorrection(payload);
-        if (corrected) {
-            return { valid: true, code: corrected, corrected: true };
+        const corrected = this.attemptErrorCorrection(code);
+        if (corrected.valid) {
+            return { valid: true, code: corrected.data, corrected: true, corrections: corrected.corrections, format };
         }
         
-        return { valid: false, error: 'Checksum validation failed' };
+        return { valid: false, error: corrected.error };
     }
     
-    verifyChecksum(payload, checksum) {
-        let sum = 0;
-        for (let i = 0; i < payload.length; i++) {
-            sum += payload.charCodeAt(i) * (i + 1);
+    /**
+     * The parity field is read before correction, so a corrupted count would sink the whole code.
+     * Every parity length the code length allows is tried, the header's own count first; only a
+     * repair whose corrected header agrees with the length tried is accepted, fewest repairs wins.
+     */
+    validateVersioned(code) {
+        const candidates = this.parityCandidates(code);
+        if (!candidates.length) {
+            return { valid: false, error: 'Invalid code length' };
         }
-        return String.fromCharCode(65 + (sum % 26)) === checksum;
+        
+        let best = null;
+        let firstError = null;
+        candidates.forEach(paritySymbols => {
+            const result = this.correctVersioned(code, paritySymbols);
+            if (!result.valid) {
+                firstError = firstError || result;
+            } else if (!best || result.corrections.length < best.corrections.length) {
+                best = result;
+            }
+        });
+        
+        return best || firstError;
     }
     
-    attemptErrorCorrection(code) {
-        // Simple error correction - in production would use Reed-Solomon
-        // For now, try common character substitutions
-        const commonErrors = {
-            '0': 'O', 'O': '0',
-            '1': 'I', 'I': '1',
-            '5': 'S', 'S': '5'
-        };
+    /**
+     * Parity lengths that leave 16-32 data symbols after the header, the declared one first
+     * @returns {number[]}
+     */
+    parityCandidates(code) {
+        const declared = CodeHeader.peekParity(code);
+        const body = code.length - CodeHeader.LENGTH;
+        const candidates = [];
+        
+        for (let paritySymbols = 0; paritySymbols < CodeHeader.PARITY_RADIX; paritySymbols++) {
+            const dataLength = body - paritySymbols * PARITY_WIDTH;
+            if (dataLength >= 16 && dataLength <= 32) candidates.push(paritySymbols);
+        }
         
-        for (let i = 0; i < code.length; i++) {
-            const char = code[i];
-            if (commonErrors[char]) {
-                const corrected = code.slice(0, i) + commonErrors[char] + code.slice(i + 1);
-                if (this.verifyChecksum(corrected, this.calculateChecksum(corrected))) {
-                    return corrected;
-                }
-            }
+        return candidates.includes(declared) ?
+            [declared, ...candidates.filter(p => p !== declared)] :
+            candidates;
+    }
+    
+    correctVersioned(code, paritySymbols) {
+        const codec = this.getErrorCorrection(paritySymbols);
+        const body = code.slice(1); // Marker sits outside the codeword
+        
+        const corrected = this.attemptErrorCorrection(body, codec);
+        if (!corrected.valid) {
+            return { valid: false, error: corrected.error };
+        }
+        
+        let format;
+        try {
+            format = CodeHeader.parse(CodeHeader.MARKER + corrected.data, this.cultures.headerIds);
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+        
+        if (format.paritySymbols !== paritySymbols) {
+            return { valid: false, error: 'Unreadable code header' };
+        }
+        if (format.version !== CodeHeader.VERSION) {
+            return { valid: false, error: `Unsupported code format version: ${format.version}` };
+        }
+        
+        // Report indices against the full code, marker included
+        const corrections = corrected.corrections.map(c => ({ ...c, index: c.index + 1 }));
+        
+        return {
+            valid: true,
+            code: corrected.data.slice(CodeHeader.LENGTH - 1),
+            corrected: corrections.length > 0,
+            corrections,
+            format
+        };
+    }
+    
+    getErrorCorrection(paritySymbols) {
+        if (!this.codecCache.has(paritySymbols)) {
+            this.codecCache.set(paritySymbols, new ReedSolomonCodec({ paritySymbols }));
+        }
+        return this.codecCache.get(paritySymbols);
+    }
+    
+    /**
+     * A code's symbols without header or parity, the form decode() reads them in
+     * @param {string} code - Full code or bare payload
+     * @returns {string}
+     */
+    payloadOf(code) {
+        code = code.trim();
+        if (CodeHeader.isVersioned(code)) {
+            const validated = this.validateVersioned(code);
+            return validated.valid ? validated.code : code;
         }
         
-        return null;
+        // A legacy code ends in parity only if it checks out; anything else is a bare payload
+        return this.verifyChecksum(code) ? code.slice(0, code.length - this.errorCorrection.parityLength) : code;
+    }
+    
+    verifyChecksum(codeWithParity) {
+        return this.errorCorrection.verify(codeWithParity);
+    }
+    
+    /**
+     * Reed-Solomon repair of up to floor(paritySymbols / 2) symbol errors.
+     * Corrections list each repaired index with its original and restored symbol.
+     */
+    attemptErrorCorrection(codeWithParity, codec = this.errorCorrection) {
+        return codec.decode(codeWithParity);
     }
     
     // === SYMBOL SEGMENTATION ================================================
     
-    segmentCode(code) {
-        const length = code.length;
+    segmentCode(code, mode = null) {
+        // Segment lengths mirror the encoder's symbol budgets
+        const layouts = {
+            mobile: { scene: 3, objects: 6, spatial: 4, emotion: 3 },
+            balanced: { scene: 4, objects: 12, spatial: 6, emotion: 4 },
+            rich: { scene: 4, objects: 14, spatial: 8, emotion: 6 }
+        };
         
-        // Adaptive segmentation based on code length
-        if (length <= 16) {
-            // Mobile mode
-            return {
-                scene: code.slice(0, 3),
-                objects: code.slice(3, 9),
-                spatial: code.slice(9, 13),
-                emotion: code.slice(13, 16)
-            };
-        } else if (length <= 26) {
-            // Balanced mode
-            return {
-                scene: code.slice(0, 4),
-                objects: code.slice(4, 16),
-                spatial: code.slice(16, 22),
-                emotion: code.slice(22, 26)
-            };
-        } else {
-            // Rich mode
-            return {
-                scene: code.slice(0, 4),
-                objects: code.slice(4, 18),
-                spatial: code.slice(18, 26),
-                emotion: code.slice(26, 32)
-            };
+        // Legacy codes carry no mode, so guess it from length
+        if (!layouts[mode]) {
+            mode = code.length <= 16 ? 'mobile' : code.length <= 26 ? 'balanced' : 'rich';
         }
+        
+        const layout = layouts[mode];
+        const segments = { mode };
+        let position = 0;
+        
+        ['scene', 'objects', 'spatial', 'emotion'].forEach(name => {
+            segments[name] = code.slice(position, position + layout[name]);
+            position += layout[name];
+        });
+        
+        return segments;
     }
     
     // === CORE RECONSTRUCTION ================================================
@@ -363,13 +611,9 @@ class PerceptualAlchemyDecoder {
     
     reconstructObjects(objectCode) {
         const objects = [];
-        const objectSize = this.mode === 'mobile' ? 2 : 3;
         
-        for (let i = 0; i < objectCode.length; i += objectSize) {
-            const objSegment = objectCode.slice(i, i + objectSize);
-            if (objSegment === '00' || objSegment === '000') continue;
-            
-            const decoded = this.decodeObject(objSegment);
+        this.symbolInterpreter.tokenizeObjects(objectCode).forEach(token => {
+            const decoded = this.decodeObject(token);
             if (decoded) {
                 // Apply memory associations
                 decoded.memories = this.memoryResonance.findObjectMemories(decoded.type);
@@ -379,7 +623,7 @@ class PerceptualAlchemyDecoder {
                 
                 objects.push(decoded);
             }
-        }
+        });
         
         // Sort by perceptual importance
         objects.sort((a, b) => b.importance - a.importance);
@@ -388,28 +632,17 @@ class PerceptualAlchemyDecoder {
     }
 
         /* ---------- POSITION DECODER ---------- */
+    /**
+     * Cell centre of an object position, with the box the symbol covers
+     * @param {string} symbols - Grid digit (3×3) or A-Z pair (26×26)
+     * @returns {Object} { x, y, precision, box: { minX, minY, maxX, maxY } } normalized to the frame
+     */
     decodePosition(symbols) {
-        const grid = '123456789';                         // encoder table :contentReference[oaicite:1]{index=1}
-
-        // ── 1-char, coarse (3×3) ──────────────────────
-        if (symbols.length === 1 && grid.includes(symbols[0])) {
-            const i  = grid.indexOf(symbols[0]);
-            const gx = i % 3, gy = Math.floor(i / 3);
-
-            // centre of the cell ( ≈ encoder’s +0.5 offset )
-            return { x: (gx + 0.5) / 3, y: (gy + 0.5) / 3 };
-        }
-
-        // ── 2-char, high-precision (A-Z × A-Z) ─────────
-        if (symbols.length === 2) {
-            return {
-                x: this.decodeQuantizedValue(symbols[0]),
-                y: this.decodeQuantizedValue(symbols[1])
-            };
-        }
+        const decoded = this.symbolInterpreter.registry.decodePosition(symbols || '');
+        if (decoded) return decoded;
 
-        // Fallback – centre of frame
-        return { x: 0.5, y: 0.5 };
+        // Unreadable: centre of frame, could be anywhere
+        return { x: 0.5, y: 0.5, precision: 0, box: { minX: 0, minY: 0, maxX: 1, maxY: 1 } };
     }
 
         /* ---------- DEPTH-LAYER DECODER ---------- */
@@ -418,13 +651,7 @@ class PerceptualAlchemyDecoder {
             return { distribution: 'flat', foregroundWeight: 0.33 };
         }
 
-        const distMap = {           // encoder used DynamicVocabulary depth “!@#$%” :contentReference[oaicite:2]{index=2}
-            '!': 'forward',   '@': 'distant',
-            '#': 'balanced',  '$': 'centered',
-            '%': 'flat'
-        };
-
-        const distribution      = distMap[code[0]] || 'balanced';
+        const distribution      = this.symbolInterpreter.decodeDepth(code[0]);
         const foregroundWeight  = code[1] ? this.decodeQuantizedValue(code[1]) : 0.33;
 
         // Derive simple foreground/mid/background split for narrative & maths
@@ -440,15 +667,18 @@ class PerceptualAlchemyDecoder {
     }
 
     
-    decodeObject(segment) {
-        const type = this.symbolInterpreter.decodeObjectType(segment[0]);
+    /**
+     * @param {Object} token - { symbol, modifiers, position } from tokenizeObjects()
+     */
+    decodeObject(token) {
+        const type = this.symbolInterpreter.decodeObjectType(token.symbol);
         if (!type) return null;
         
-        const position = segment[1] ? this.decodePosition(segment[1]) : { x: 0.5, y: 0.5 };
-        const size = segment[2] ? this.symbolInterpreter.decodeSize(segment[2]) : 'medium';
+        const position = this.decodePosition(token.position);
+        const { size, salience } = this.symbolInterpreter.decodeModifiers(token.modifiers);
         
         // Calculate perceptual importance
-        const importance = this.calculateObjectImportance(type, position, size);
+        const importance = this.calculateObjectImportance(type, position, size, salience);
         
         // Generate archetypal associations
         const archetypes = this.narrativeEngine.getArchetypes(type);
@@ -458,6 +688,7 @@ class PerceptualAlchemyDecoder {
             variants: type.variants,
             position,
             size,
+            salience,
             importance,
             archetypes,
             culturalSignificance: this.culturalLens.getObjectSignificance(type.primary)
@@ -532,6 +763,267 @@ class PerceptualAlchemyDecoder {
         };
     }
     
+    // === RECONSTRUCTION HELPERS =============================================
+    
+    /**
+     * Perceptual importance of a decoded object (0-1)
+     * @param {Object} type - { primary, variants } from the symbol interpreter
+     * @param {Object} position - Normalized { x, y }
+     * @param {string} size - 'small' | 'medium' | 'large'
+     * @param {string} salience - 'salient' | 'faint' | null
+     */
+    calculateObjectImportance(type, position, size, salience = null) {
+        const sizeWeight = { small: 0.3, medium: 0.6, large: 0.9 }[size] || 0.6;
+        
+        // Centre of frame draws the eye; corners are ~0.71 away
+        const centrality = 1 - Math.min(1, Math.hypot(position.x - 0.5, position.y - 0.5) / 0.71);
+        
+        // Cultural significance is a multiplier around 1.0
+        const significance = Math.min(1, this.culturalLens.getObjectSignificance(type.primary) / 2);
+        
+        let importance = sizeWeight * 0.4 + centrality * 0.3 + significance * 0.3;
+        if (salience === 'salient') importance += 0.1;
+        if (salience === 'faint') importance -= 0.05;
+        
+        return Math.max(0, Math.min(1, importance));
+    }
+    
+    /**
+     * How emotionally charged an object feels (0-1): memories, archetypes, cultural weight
+     */
+    calculateEmotionalWeight(object) {
+        const memoryCharge = Math.min(3, (object.memories || []).length) * 0.1;
+        const archetypeCharge = Math.min(2, (object.archetypes || []).length) * 0.1;
+        const culturalCharge = ((object.culturalSignificance || 1) - 1) * 0.25;
+        
+        return Math.max(0, Math.min(1, 0.5 + memoryCharge + archetypeCharge + culturalCharge));
+    }
+    
+    generateSpatialNarrative(focus, distribution, depthLayers) {
+        const focusPhrases = {
+            center: 'attention gathers at the heart of the scene',
+            top: 'the eye is drawn upward',
+            bottom: 'attention settles near the ground',
+            left: 'the gaze leans to the left',
+            right: 'the gaze leans to the right',
+            'top-left': 'something waits in the upper left',
+            'top-right': 'something waits in the upper right',
+            'bottom-left': 'something rests in the lower left',
+            'bottom-right': 'something rests in the lower right'
+        };
+        
+        const patternPhrases = {
+            balanced: 'everything held in quiet balance',
+            asymmetric: 'weight pulling to one side',
+            radial: 'forms circling a hidden centre',
+            diagonal: 'a line of tension cutting across',
+            clustered: 'forms crowding together',
+            directional: 'everything leaning one way',
+            empty: 'open space all around'
+        };
+        
+        const depthPhrases = {
+            forward: 'close enough to touch',
+            distant: 'receding into distance',
+            centered: 'suspended in the middle distance',
+            balanced: 'layered near and far',
+            flat: 'pressed flat like a memory'
+        };
+        
+        const focusText = focusPhrases[focus.zone] || focusPhrases.center;
+        const patternText = patternPhrases[distribution.pattern] || patternPhrases.balanced;
+        const depthText = depthPhrases[depthLayers.distribution] || depthPhrases.flat;
+        
+        return `${focusText.charAt(0).toUpperCase()}${focusText.slice(1)}, ${patternText}, ${depthText}.`;
+    }
+    
+    calculatePerspective(depthLayers) {
+        const types = {
+            forward: 'intimate',
+            distant: 'deep',
+            centered: 'layered',
+            balanced: 'layered',
+            flat: 'flat'
+        };
+        
+        const layers = depthLayers.layers || { foreground: depthLayers.foregroundWeight, background: 1 - depthLayers.foregroundWeight };
+        
+        return {
+            type: types[depthLayers.distribution] || 'flat',
+            depth: depthLayers.distribution === 'flat' ? 0 : layers.background,
+            foreground: layers.foreground
+        };
+    }
+    
+    /**
+     * Haze and contrast falloff with distance (aerial perspective)
+     */
+    calculateAtmosphericPerspective(depthLayers) {
+        const distance = this.calculatePerspective(depthLayers).depth;
+        
+        return {
+            haze: distance * 0.6,
+            contrastFalloff: distance * 0.5,
+            colorShift: distance > 0.5 ? 'blue' : 'none'
+        };
+    }
+    
+    /**
+     * How the eye travels through the scene
+     */
+    calculateVisualFlow(focus, distribution) {
+        let direction = 'radiating';
+        if (distribution.pattern === 'radial') direction = 'circular';
+        else if (distribution.pattern === 'diagonal') direction = 'diagonal';
+        else if (focus.zone.includes('left')) direction = 'right-to-left';
+        else if (focus.zone.includes('right')) direction = 'left-to-right';
+        else if (focus.zone === 'top') direction = 'ascending';
+        else if (focus.zone === 'bottom') direction = 'descending';
+        
+        const rhythms = { clustered: 'staccato', balanced: 'even', empty: 'still' };
+        
+        return {
+            direction,
+            strength: focus.intensity * (0.5 + distribution.tension * 0.5),
+            rhythm: rhythms[distribution.pattern] || 'flowing'
+        };
+    }
+    
+    mapEmotionToColor(valence, arousal) {
+        return this.extractMoodPalette({ valence, arousal });
+    }
+    
+    calculateEmotionalMomentum(trajectory) {
+        const momentum = {
+            stable: 0,
+            relaxing: 0.3,
+            calming: 0.5,
+            brightening: 0.5,
+            darkening: 0.5,
+            intensifying: 0.6,
+            escalating: 0.8
+        };
+        return momentum[trajectory] ?? 0;
+    }
+    
+    /**
+     * Where the emotion is heading if the trajectory continues
+     * @returns {Object} { valence, arousal, label }
+     */
+    predictEmotionalFuture(valence, arousal, trajectory) {
+        const step = 0.15;
+        const shifts = {
+            escalating: [step, step],
+            calming: [-step, -step],
+            brightening: [step, 0],
+            darkening: [-step, 0],
+            intensifying: [0, step],
+            relaxing: [0, -step]
+        };
+        const [dv, da] = shifts[trajectory] || [0, 0];
+        const clamp = v => Math.max(0, Math.min(1, v));
+        
+        const future = { valence: clamp(valence + dv), arousal: clamp(arousal + da) };
+        return { ...future, label: this.labelEmotion(future.valence, future.arousal) };
+    }
+    
+    /**
+     * Overtones of the emotional resonance; weaker ones drop out
+     */
+    calculateEmotionalHarmonics(resonance) {
+        return [1, 2, 3]
+            .map(order => ({ order, amplitude: Math.pow(resonance, order) }))
+            .filter(harmonic => harmonic.amplitude > 0.1);
+    }
+    
+    generateEmotionalTexture(valence, arousal, resonance) {
+        return {
+            grain: arousal > 0.6 ? 'rough' : arousal < 0.3 ? 'smooth' : 'even',
+            weight: valence < 0.4 ? 'heavy' : valence > 0.6 ? 'light' : 'neutral',
+            density: resonance
+        };
+    }
+    
+    // === INTERPRETATION =====================================================
+    
+    /**
+     * Applies cultural significance and personal bias to the reconstructed layers
+     * @param {Object} scene - reconstructScene() output (already through the lens)
+     * @param {Array} objects - reconstructObjects() output
+     * @param {Object} spatial - reconstructSpatial() output
+     * @param {Object} emotion - reconstructEmotion() output
+     * @returns {Object} { scene, objects, spatial, emotional }
+     *
+     * Bias (options.bias) shape: { objects: { [type]: weight }, valence: offset, arousal: offset }
+     */
+    applyInterpretation(scene, objects, spatial, emotion) {
+        const bias = this.personalBias;
+        const objectBias = bias.objects || {};
+        
+        const interpretedObjects = objects
+            .map(obj => ({
+                ...obj,
+                importance: Math.min(1, obj.importance * (objectBias[obj.type] ?? 1))
+            }))
+            .sort((a, b) => b.importance - a.importance);
+        
+        const emotional = { ...emotion, current: { ...emotion.current } };
+        if (bias.valence || bias.arousal) {
+            const clamp = v => Math.max(0, Math.min(1, v));
+            emotional.current.valence = clamp(emotional.current.valence + (bias.valence || 0));
+            emotional.current.arousal = clamp(emotional.current.arousal + (bias.arousal || 0));
+            emotional.current.label = this.labelEmotion(emotional.current.valence, emotional.current.arousal);
+        }
+        
+        // Object that sits in the focus zone anchors the spatial reading
+        const focusPoint = this.calculateFocusGradient(spatial.focus).center;
+        const anchor = interpretedObjects.reduce((best, obj) => {
+            const dist = Math.hypot(obj.position.x - focusPoint.x, obj.position.y - focusPoint.y);
+            return !best || dist < best.dist ? { obj, dist } : best;
+        }, null);
+        
+        return {
+            scene,
+            objects: interpretedObjects,
+            spatial: { ...spatial, anchor: anchor ? anchor.obj.type : null },
+            emotional
+        };
+    }
+    
+    /**
+     * Share of symbols that decoded to a known meaning, less a penalty per repaired symbol
+     * @param {Object} segments - segmentCode() output
+     * @param {Array} corrections - Reed-Solomon repairs applied to the code
+     * @returns {number} 0-1
+     */
+    calculateReconstructionConfidence(segments, corrections = []) {
+        const interpreter = this.symbolInterpreter;
+        const known = (category, char) => Boolean(interpreter.lookup(category, char));
+        const quantized = char => /[A-Z]/.test(char);
+        
+        const checks = [
+            known('scene', segments.scene[0]),
+            known('light', segments.scene[1])
+        ];
+        if (segments.scene[2]) checks.push(known('mood', segments.scene[2]));
+        if (segments.scene[3]) checks.push(known('complexity', segments.scene[3]));
+        checks.push(known('focus', segments.spatial[0]), known('distribution', segments.spatial[1]));
+        checks.push(quantized(segments.emotion[0] || ''), quantized(segments.emotion[1] || ''));
+        if (segments.emotion.length > 2) checks.push(known('trend', segments.emotion[2]));
+        
+        const symbolScore = checks.filter(Boolean).length / checks.length;
+        
+        // Every non-padding object symbol should belong to a token
+        const padding = interpreter.registry.padding.objects;
+        const objectCode = segments.objects.replace(new RegExp(`${padding}+$`), '');
+        const covered = interpreter.tokenizeObjects(objectCode)
+            .reduce((sum, token) => sum + 1 + token.modifiers.length + token.position.length, 0);
+        const objectScore = objectCode.length ? covered / objectCode.length : 1;
+        
+        const confidence = (symbolScore * 0.7 + objectScore * 0.3) * (1 - corrections.length * 0.1);
+        return Math.max(0, Math.min(1, confidence));
+    }
+    
     // === MEMORY INTEGRATION =================================================
     
     applyMemoryEchoes(current, memories) {
@@ -548,7 +1040,7 @@ class PerceptualAlchemyDecoder {
             if (memory.objects) {
                 memory.objects.forEach(memObj => {
                     const exists = blended.objects.find(obj => obj.type === memObj.type);
-                    if (!exists && Math.random() < strength) {
+                    if (!exists && this.random() < strength) {
                         blended.objects.push({
                             ...memObj,
                             fromMemory: true,
@@ -569,6 +1061,79 @@ class PerceptualAlchemyDecoder {
         return blended;
     }
     
+    /**
+     * Fatigue/stress degradation of decoded objects: faint ones are forgotten, positions
+     * drift and objects from echoed (then stored) memories are recalled as if present
+     * @param {Array} objects - reconstructObjects() output
+     * @param {Array} echoes - findEchoes() output
+     * @returns {Object} { objects, report } (report null when not degraded)
+     */
+    misremember(objects, echoes) {
+        if (!this.degradation || !this.degradation.active) return { objects, report: null };
+        
+        const registry = this.symbolInterpreter.registry;
+        const sources = [...echoes.map(echo => echo.memory), ...this.memoryStore.all()]
+            .filter((memory, i, all) => all.indexOf(memory) === i);
+        const recall = [].concat(...sources.map(memory => memory.objects || []))
+            .map(obj => (typeof obj === 'string' ? { type: obj } : obj))
+            .filter(obj => registry.has('object', obj.type));
+        
+        const result = this.degradation.apply(objects, {
+            saliency: obj => obj.importance,
+            position: obj => obj.position || { x: this.random(), y: this.random() },
+            move: (obj, x, y) => ({ ...obj, position: { ...obj.position, x, y } }),
+            recall,
+            typeOf: obj => registry.resolve('object', obj.type),
+            forge: (memory, x, y) => this.recallObject(memory.type, x, y),
+            random: () => this.random()
+        });
+        
+        return {
+            objects: result.items.sort((a, b) => b.importance - a.importance),
+            report: {
+                ...this.degradation.toJSON(),
+                forgotten: result.forgotten.map(obj => obj.type),
+                intrusions: result.intrusions.map(obj => obj.type)
+            }
+        };
+    }
+    
+    /**
+     * A remembered object placed in the scene, decoded as if its symbol had been read
+     */
+    recallObject(type, x, y) {
+        const symbol = this.symbolInterpreter.registry.encode('object', type);
+        const recalled = this.decodeObject({ symbol, modifiers: [], position: '' });
+        if (!recalled) return null;
+        
+        const position = { x, y, precision: 0, box: { minX: x, minY: y, maxX: x, maxY: y } };
+        recalled.position = position;
+        recalled.importance = this.calculateObjectImportance(
+            { primary: recalled.type, variants: recalled.variants }, position, recalled.size, recalled.salience);
+        recalled.memories = this.memoryResonance.findObjectMemories(recalled.type);
+        recalled.emotionalWeight = this.calculateEmotionalWeight(recalled);
+        recalled.misremembered = true;
+        return recalled;
+    }
+    
+    /**
+     * Combined pull of all echoes (0-1); strong echoes reinforce each other
+     */
+    calculateMemoryResonance(echoes) {
+        if (!echoes || echoes.length === 0) return 0;
+        return 1 - echoes.reduce((rest, echo) => rest * (1 - Math.max(0, Math.min(1, echo.strength))), 1);
+    }
+    
+    /**
+     * How faded the memory is (0 fresh - 1 gone), same 30-day constant as echo strength
+     * @param {number} timestamp - When the moment was encoded
+     */
+    estimateMemoryDecay(timestamp) {
+        if (!timestamp) return 0;
+        const days = Math.max(0, this.memoryResonance.calculateMemoryAge(timestamp));
+        return 1 - Math.exp(-days / 30);
+    }
+    
     generateMoodUndertones(mood, lighting) {
         const undertones = {
             peaceful: ['serene', 'calm'],
@@ -605,7 +1170,7 @@ class PerceptualAlchemyDecoder {
 
         return memories.slice(0, 5).map(mem => {
             const jitter   = (1 - stability) * 0.15;
-            const duration = this.lerp(3, 12, mem.resonance) * (1 + (Math.random() - 0.5) * jitter);
+            const duration = this.lerp(3, 12, mem.resonance) * (1 + (this.random() - 0.5) * jitter);
 
             return {
                 snapshotCode : mem.memory.code,
@@ -649,7 +1214,7 @@ class PerceptualAlchemyDecoder {
         
         // Object morphing
         dreamscape.objects = dreamscape.objects.map(obj => {
-            if (Math.random() > stability) {
+            if (this.random() > stability) {
                 // Object transforms based on emotional resonance
                 const morphTarget = this.findEmotionallyResonantForm(obj, interpreted.emotional);
                 return {
@@ -663,7 +1228,7 @@ class PerceptualAlchemyDecoder {
         });
         
         // Spatial warping
-        if (Math.random() > stability) {
+        if (this.random() > stability) {
             dreamscape.spatial.warping = {
                 type: this.selectWarpingType(interpreted.emotional),
                 strength: (1 - stability) * this.dreamParams.associativity,
@@ -676,7 +1241,7 @@ class PerceptualAlchemyDecoder {
             mode: this.mode,
             coherence: stability,
             fragments: this.generateTemporalFragments(memories, stability),
-            loops: Math.random() > stability ? this.detectMemoryLoops(memories) : []
+            loops: this.random() > stability ? this.detectMemoryLoops(memories) : []
         };
         
         // Emotional bleeding between objects
@@ -686,6 +1251,64 @@ class PerceptualAlchemyDecoder {
         
         return dreamscape;
     }
+    
+    /**
+     * Form an object drifts toward under the scene's emotion
+     */
+    findEmotionallyResonantForm(obj, emotional) {
+        const forms = {
+            excited: 'light',
+            content: 'harmony',
+            anxious: 'shadow',
+            melancholic: 'void'
+        };
+        
+        const form = forms[emotional.current.label];
+        if (form && form !== obj.type) return form;
+        return (obj.variants && obj.variants[0]) || 'mystery';
+    }
+    
+    selectWarpingType(emotional) {
+        const warps = {
+            anxious: 'compression',
+            excited: 'expansion',
+            melancholic: 'stretch',
+            content: 'drift'
+        };
+        return warps[emotional.current.label] || 'drift';
+    }
+    
+    /**
+     * Echoes that keep coming back (near-identical codes), grouped by code
+     * @returns {Array} [{ code, occurrences, strength }]
+     */
+    detectMemoryLoops(echoes) {
+        const loops = new Map();
+        
+        (echoes || []).filter(echo => echo.similarity > 0.7).forEach(echo => {
+            const code = echo.memory.code;
+            const loop = loops.get(code) || { code, occurrences: 0, strength: 0 };
+            loop.occurrences++;
+            loop.strength = Math.max(loop.strength, echo.strength);
+            loops.set(code, loop);
+        });
+        
+        return Array.from(loops.values()).sort((a, b) => b.strength - a.strength);
+    }
+    
+    /**
+     * Objects take on the scene's emotional charge
+     */
+    applyEmotionalContagion(objects, emotional) {
+        const bleed = this.dreamParams.emotionalBleed;
+        const charge = emotional.current.arousal;
+        
+        return objects.map(obj => ({
+            ...obj,
+            emotionalWeight: this.lerp(obj.emotionalWeight ?? 0.5, charge, bleed * 0.5),
+            tint: emotional.color ? emotional.color.adjective : undefined
+        }));
+    }
 
         /* ---------- COLOR-PALETTE EXTRACTOR ---------- */
     extractColorPalette(exp) {
@@ -747,93 +1370,96 @@ class PerceptualAlchemyDecoder {
         };
     }
     
-    // === UTILITY METHODS ====================================================
+    calculateFillLight(lighting) {
+        const ratios = { dramatic: 0.2, harsh: 0.3, natural: 0.5, warm: 0.5, cool: 0.6, soft: 0.8 };
+        const directions = { side: 'opposite-side', backlit: 'front', direct: 'ambient' };
+        
+        return {
+            intensity: lighting.intensity * (ratios[lighting.quality] ?? 0.5),
+            direction: directions[lighting.direction] || 'ambient'
+        };
+    }
     
-    loadCulturalLens(culture) {
-        // Cultural interpretation matrices
-        const lenses = {
-            universal: {
-                interpretScene: (type) => ({ type, subtype: 'general' }),
-                getObjectSignificance: (obj) => 1.0,
-                colorMeanings: {
-                    warm: 'comfort',
-                    cool: 'distance',
-                    saturated: 'intensity',
-                    muted: 'memory'
-                }
-            },
-            japanese: {
-                interpretScene: (type) => {
-                    const mappings = {
-                        indoor: { type: 'interior', subtype: 'wa' },
-                        outdoor: { type: 'nature', subtype: 'mono-no-aware' }
-                    };
-                    return mappings[type] || { type, subtype: 'general' };
-                },
-                getObjectSignificance: (obj) => {
-                    const significance = {
-                        'tree': 1.5,
-                        'water': 1.3,
-                        'stone': 1.2
-                    };
-                    return significance[obj] || 1.0;
-                },
-                colorMeanings: {
-                    white: 'death',
-                    red: 'life',
-                    indigo: 'tradition'
-                }
-            },
-            norse: {
-                interpretScene: (type) => {
-                    const mappings = {
-                        outdoor: { type: 'landscape', subtype: 'mythic' },
-                        architectural: { type: 'hall', subtype: 'sacred' }
-                    };
-                    return mappings[type] || { type, subtype: 'general' };
-                },
-                getObjectSignificance: (obj) => {
-                    const significance = {
-                        'tree': 2.0, // Yggdrasil
-                        'wolf': 1.8,
-                        'raven': 1.7
-                    };
-                    return significance[obj] || 1.0;
-                },
-                colorMeanings: {
-                    gold: 'glory',
-                    red: 'battle',
-                    blue: 'wisdom'
-                }
-            }
-            
+    determineCompositionRule(spatial) {
+        const pattern = spatial.distribution.pattern;
+        const zone = spatial.focus.primary;
+        
+        if (pattern === 'radial') return 'radial';
+        if (pattern === 'diagonal') return 'diagonal';
+        if (zone === 'center') return pattern === 'balanced' ? 'symmetry' : 'central';
+        return 'rule-of-thirds';
+    }
+    
+    /**
+     * Sharpness falloff around the focus zone
+     * @param {Object} focus - { primary, strength, type } or { zone, intensity, type }
+     */
+    calculateFocusGradient(focus) {
+        const zone = focus.primary || focus.zone;
+        const strength = focus.strength ?? focus.intensity ?? 0.5;
+        const symbol = this.symbolInterpreter.registry.encode('focus', zone);
+        
+        return {
+            center: this.decodePosition(symbol),
+            sharpness: strength,
+            falloff: 1 - strength
         };
+    }
+    
+    suggestAnimations(experience) {
+        const animations = [];
+        const { current, trajectory } = experience.emotional;
+        
+        if (current.arousal > 0.7) {
+            animations.push({ type: 'pulse', target: 'scene', intensity: current.arousal });
+        }
+        if (trajectory.direction === 'escalating' || trajectory.direction === 'intensifying') {
+            animations.push({ type: 'slow-zoom-in', target: 'focus', intensity: trajectory.momentum });
+        }
+        if (trajectory.direction === 'calming' || trajectory.direction === 'relaxing') {
+            animations.push({ type: 'slow-fade', target: 'scene', intensity: trajectory.momentum });
+        }
+        
+        experience.objects.forEach(obj => {
+            if (obj.morphing) animations.push({ type: 'morph', target: obj.type, intensity: obj.morphStrength });
+            else if (obj.fromMemory) animations.push({ type: 'flicker', target: obj.type, intensity: obj.opacity });
+        });
         
-        return lenses[culture] || lenses.universal;
+        if (experience.spatial.warping) {
+            animations.push({ type: 'warp', target: 'space', intensity: experience.spatial.warping.strength });
+        }
+        
+        return animations;
     }
-
-    blendLenses(primary, secondary, weight = 0.5) {
-        const lerpObj = (a, b) => {
-            const out = { ...a };
-            Object.entries(b).forEach(([k, v]) => {
-                out[k] = a[k] ? this.lerp(a[k], v, weight) : v;
-            });
-            return out;
-        };
     
+    calculateAnimationTiming(emotional) {
+        const { valence, arousal } = emotional.current;
+        
         return {
-            interpretScene      : (t) => lerpObj(primary.interpretScene(t), secondary.interpretScene(t)),
-            getObjectSignificance : (o) => this.lerp(
-                primary.getObjectSignificance(o),
-                secondary.getObjectSignificance(o),
-                weight
-            ),
-            colorMeanings : { ...primary.colorMeanings, ...secondary.colorMeanings }
+            tempo: Math.round(50 + arousal * 90), // beats per minute
+            duration: 1.5 - arousal, // seconds per cycle
+            easing: valence > 0.6 ? 'ease-out' : valence < 0.4 ? 'ease-in' : 'ease-in-out'
         };
     }
     
-   
+    // === UTILITY METHODS ====================================================
     
+    /**
+     * Interpretation lens of a registered culture pack, or a weighted blend of several
+     * @param {string|Object} culture - 'japanese', 'japanese+norse' or { japanese: 0.7, norse: 0.3 }
+     * @returns {Object} { interpretScene, getObjectSignificance, colorMeanings }
+     */
+    loadCulturalLens(culture) {
+        return this.cultures.lens(culture);
+    }
+
+    /**
+     * Two lenses blended by weight (0 = primary only, 1 = secondary only)
+     */
+    blendLenses(primary, secondary, weight = 0.5) {
+        const parts = [{ lens: primary, weight: 1 - weight }, { lens: secondary, weight }];
+        return CultureRegistry.blendLenses(weight > 0.5 ? parts.reverse() : parts);
+    }
     
     handleInvalidCode(validated) {
         return {
@@ -865,7 +1491,7 @@ class PerceptualAlchemyDecoder {
             trajectory: {
                 direction: 'stable',
                 momentum: 0,
-                prediction: 'continued-neutral'
+                prediction: this.predictEmotionalFuture(0.5, 0.5, 'stable')
             },
             resonance: {
                 strength: 0.3,
@@ -875,14 +1501,6 @@ class PerceptualAlchemyDecoder {
         };
     }
     
-    calculateChecksum(code) {
-        let sum = 0;
-        for (let i = 0; i < code.length; i++) {
-            sum += code.charCodeAt(i) * (i + 1);
-        }
-        return String.fromCharCode(65 + (sum % 26));
-    }
-    
     decodeEmotionalValue(char) {
         // Map A-Z to 0-1
         const value = (char.charCodeAt(0) - 65) / 25;
@@ -902,170 +1520,160 @@ class PerceptualAlchemyDecoder {
 // === SYMBOL INTERPRETER =====================================================
 
 class SymbolInterpreter {
-    constructor(culturalLens) {
+    /**
+     * @param {Object} culturalLens - Active cultural lens
+     * @param {VocabularyRegistry} registry - Published symbol table shared with the encoder
+     */
+    constructor(culturalLens, registry = VocabularyRegistry.default()) {
         this.culturalLens = culturalLens;
-        this.initializeMappings();
+        this.registry = registry;
     }
     
-    initializeMappings() {
-        this.sceneMappings = {
-            'A': 'outdoor', 'B': 'indoor', 'C': 'portrait',
-            'D': 'architectural', 'E': 'natural', 'F': 'urban',
-            'G': 'artistic', 'H': 'document', 'I': 'pattern', 'J': 'complex'
-        };
-        
-        this.lightingMappings = {
-            'K': { quality: 'natural', direction: 'overhead', intensity: 0.7, colorTemp: 'neutral' },
-            'L': { quality: 'warm', direction: 'side', intensity: 0.6, colorTemp: 'golden' },
-            'M': { quality: 'cool', direction: 'diffuse', intensity: 0.5, colorTemp: 'blue' },
-            'N': { quality: 'dramatic', direction: 'backlit', intensity: 0.8, colorTemp: 'contrast' },
-            'O': { quality: 'soft', direction: 'ambient', intensity: 0.4, colorTemp: 'neutral' },
-            'P': { quality: 'harsh', direction: 'direct', intensity: 0.9, colorTemp: 'white' }
-        };
-        
-        this.moodMappings = {
-            'Q': 'peaceful', 'R': 'tense', 'S': 'melancholic',
-            'T': 'joyful', 'U': 'mysterious', 'V': 'foreboding'
-        };
-        
-        this.objectMappings = this.buildObjectMappings();
-    }
-    
-    buildObjectMappings() {
-        // Comprehensive object vocabulary
-        const categories = {
-            // People & creatures
-            'a': { primary: 'person', variants: ['figure', 'silhouette', 'presence'] },
-            'b': { primary: 'child', variants: ['youth', 'innocent'] },
-            'c': { primary: 'elder', variants: ['wise-one', 'ancestor'] },
-            'd': { primary: 'animal', variants: ['creature', 'beast'] },
-            'e': { primary: 'bird', variants: ['flying-thing', 'messenger'] },
-            
-            // Nature
-            'f': { primary: 'tree', variants: ['growth', 'shelter'] },
-            'g': { primary: 'flower', variants: ['bloom', 'beauty'] },
-            'h': { primary: 'water', variants: ['flow', 'reflection'] },
-            'i': { primary: 'stone', variants: ['permanence', 'obstacle'] },
-            'j': { primary: 'mountain', variants: ['ascent', 'challenge'] },
-            
-            // Structures
-            'k': { primary: 'door', variants: ['passage', 'threshold'] },
-            'l': { primary: 'window', variants: ['view', 'barrier'] },
-            'm': { primary: 'bridge', variants: ['connection', 'crossing'] },
-            'n': { primary: 'wall', variants: ['boundary', 'protection'] },
-            'o': { primary: 'tower', variants: ['height', 'isolation'] },
-            
-            // Objects
-            'p': { primary: 'light', variants: ['illumination', 'hope'] },
-            'q': { primary: 'shadow', variants: ['darkness', 'unknown'] },
-            'r': { primary: 'mirror', variants: ['reflection', 'self'] },
-            's': { primary: 'key', variants: ['solution', 'access'] },
-            't': { primary: 'book', variants: ['knowledge', 'story'] },
-            
-            // Abstract
-            'u': { primary: 'spiral', variants: ['journey', 'cycle'] },
-            'v': { primary: 'void', variants: ['emptiness', 'potential'] },
-            'w': { primary: 'pattern', variants: ['order', 'repetition'] },
-            'x': { primary: 'chaos', variants: ['disorder', 'change'] },
-            'y': { primary: 'harmony', variants: ['balance', 'peace'] },
-            'z': { primary: 'mystery', variants: ['unknown', 'question'] }
-        };
-        
-        return categories;
+    lookup(category, char) {
+        return char ? this.registry.decode(category, char) : null;
     }
     
     decodeSceneType(char) {
-        return this.sceneMappings[char] || 'unknown';
+        const entry = this.lookup('scene', char);
+        return entry ? entry.value : 'unknown';
     }
     
     decodeLighting(char) {
-        return this.lightingMappings[char] || this.lightingMappings['O'];
+        return this.lookup('light', char) || this.registry.decode('light', this.registry.encode('light', 'soft'));
     }
     
     decodeMood(char) {
-        return this.moodMappings[char] || 'neutral';
+        const entry = this.lookup('mood', char);
+        return entry ? entry.value : 'neutral';
     }
     
     decodeObjectType(char) {
-        return this.objectMappings[char.toLowerCase()] || null;
+        const entry = this.lookup('object', char);
+        return entry ? { primary: entry.value, variants: entry.variants || [] } : null;
     }
 
     decodeComplexity(char) {
-        const complexityMap = {
-            'α': 'minimal', 'β': 'low',
-            'γ': 'medium', 'δ': 'high'
-        };
-        return complexityMap[char] || 'medium';
+        const entry = this.lookup('complexity', char);
+        return entry ? entry.value : 'medium';
     }
     
-    decodeSize(char) {
-        const code = char.charCodeAt(0);
-        if (code >= 48 && code <= 57) { // 0-9
-            return ['tiny', 'small', 'medium', 'large', 'huge'][Math.floor(code - 48) / 2];
-        }
-        return 'medium';
+    /**
+     * Object modifiers → { size, salience }
+     * @param {string[]} modifiers - Modifier symbols following an object symbol
+     */
+    decodeModifiers(modifiers = []) {
+        const decoded = { size: 'medium', salience: null };
+        
+        modifiers.forEach(char => {
+            const entry = this.lookup('modifier', char);
+            if (entry) decoded[entry.kind] = entry.value;
+        });
+        
+        return decoded;
     }
     
     decodeTrajectory(char) {
-        const trajectoryMap = {
-            '5': 'escalating', '6': 'calming',
-            '7': 'brightening', '8': 'darkening',
-            '9': 'stable'
-        };
-        return trajectoryMap[char] || 'stable';
+        const entry = this.lookup('trend', char);
+        return entry ? entry.value : 'stable';
     }
     
     decodeFocus(char) {
-        const focusMap = {
-            'W': { zone: 'center', intensity: 0.9, type: 'concentrated' },
-            'X': { zone: 'upper-third', intensity: 0.7, type: 'elevated' },
-            'Y': { zone: 'lower-third', intensity: 0.7, type: 'grounded' },
-            'Z': { zone: 'edges', intensity: 0.6, type: 'dispersed' }
-        };
-        return focusMap[char] || focusMap['W'];
+        const entry = this.lookup('focus', char) || this.registry.decode('focus', this.registry.encode('focus', 'center'));
+        return { zone: entry.value, intensity: entry.intensity, type: entry.type };
     }
     
     decodeDistribution(char) {
-        const distMap = {
-            '0': { pattern: 'balanced', balance: 0.9, tension: 0.1 },
-            '1': { pattern: 'asymmetric', balance: 0.4, tension: 0.6 },
-            '2': { pattern: 'radial', balance: 0.7, tension: 0.3 },
-            '3': { pattern: 'diagonal', balance: 0.5, tension: 0.5 },
-            '4': { pattern: 'clustered', balance: 0.3, tension: 0.7 }
-        };
-        return distMap[char] || distMap['0'];
+        const entry = this.lookup('distribution', char) || this.registry.decode('distribution', this.registry.encode('distribution', 'balanced'));
+        return { pattern: entry.value, balance: entry.balance, tension: entry.tension };
+    }
+    
+    decodeDepth(char) {
+        const entry = this.lookup('depth', char);
+        return entry ? entry.value : 'balanced';
+    }
+    
+    /**
+     * Splits an object segment into { symbol, modifiers, position } tokens
+     */
+    tokenizeObjects(objectCode, positionLength = null) {
+        return this.registry.tokenizeObjects(objectCode, positionLength);
     }
 }
 
 // === MEMORY RESONANCE SYSTEM ================================================
 
 class MemoryResonance {
-    constructor(memoryBuffer) {
-        this.memories = memoryBuffer;
+    /**
+     * @param {MemoryStore|Array} store - Store or memoryBuffer array
+     * @param {Function} payloadOf - code → symbols without header or parity (decoder.payloadOf)
+     */
+    constructor(store, payloadOf = code => code) {
+        this.store = MemoryStore.from(store);
         this.resonanceThreshold = 0.3;
+        
+        // Stored codes keep their header and parity; both sides are compared without them
+        this.payloadOf = payloadOf;
+        this.payloads = new WeakMap();
+        this.store.compareAs(memory => this.memoryPayload(memory));
+        
+        // Strength-based forgetting keeps the memories that echo strongest
+        if (!this.store.strength) {
+            this.store.strength = (memory, stats) =>
+                this.calculateMemoryStrength(stats.similarity, stats.resonance, memory.timestamp);
+            this.store.trim();
+        }
+    }
+    
+    get memories() {
+        return this.store.all();
     }
     
+    /**
+     * Five strongest echoes; an indexed store finds them without scoring every memory
+     */
     findEchoes(currentCode, currentEmotion) {
-        const echoes = [];
+        const strongest = this.store.echoes(this.payloadOf(currentCode), currentEmotion, this, 5);
+        strongest.forEach(echo => this.store.touch(echo.memory, echo));
+        return strongest;
+    }
+    
+    /**
+     * @param {string} currentCode - Payload of the code being decoded
+     * @returns {Object|null} { memory, similarity, resonance, age, strength }, null when it does not echo
+     */
+    scoreEcho(currentCode, currentEmotion, memory) {
+        const similarity = this.calculateSimilarity(currentCode, this.memoryPayload(memory));
+        const emotionalResonance = this.calculateEmotionalResonance(currentEmotion, memory.emotion);
         
-        this.memories.forEach(memory => {
-            const similarity = this.calculateSimilarity(currentCode, memory.code);
-            const emotionalResonance = this.calculateEmotionalResonance(currentEmotion, memory.emotion);
-            
-            if (similarity > this.resonanceThreshold || emotionalResonance > 0.6) {
-                echoes.push({
-                    memory,
-                    similarity,
-                    resonance: emotionalResonance,
-                    age: this.calculateMemoryAge(memory.timestamp),
-                    strength: this.calculateMemoryStrength(similarity, emotionalResonance, memory.timestamp)
-                });
-            }
-        });
+        if (similarity <= this.resonanceThreshold && emotionalResonance <= 0.6) return null;
         
-        return echoes.sort((a, b) => b.strength - a.strength).slice(0, 5);
+        return {
+            memory,
+            similarity,
+            resonance: emotionalResonance,
+            age: this.calculateMemoryAge(memory.timestamp),
+            strength: this.calculateMemoryStrength(similarity, emotionalResonance, memory.timestamp)
+        };
+    }
+    
+    /**
+     * Payload of a stored memory's code, worked out once per code
+     */
+    memoryPayload(memory) {
+        let cached = this.payloads.get(memory);
+        if (!cached || cached.code !== memory.code) {
+            cached = { code: memory.code, payload: this.payloadOf(memory.code) };
+            this.payloads.set(memory, cached);
+        }
+        return cached.payload;
     }
     
+    /**
+     * Positional on purpose, unlike CodeComparator: each matching position adds a
+     * fixed weight, which is what lets EchoIndex bound a bucket by summing the
+     * weights of the query symbols it holds. compareCodes() pairs objects in any
+     * order, so no per-position sum bounds it.
+     */
     calculateSimilarity(code1, code2) {
         if (!code1 || !code2) return 0;
         
@@ -1104,13 +1712,53 @@ class MemoryResonance {
         
         return (similarity * 0.4 + resonance * 0.6) * decay;
     }
+    
+    /**
+     * Stored memories that contained an object of this type, most recent first
+     */
+    findObjectMemories(type) {
+        return this.memories
+            .filter(memory => (memory.objects || []).some(obj => (obj.type || obj) === type))
+            .map(memory => ({
+                code: memory.code,
+                emotion: memory.emotion,
+                age: this.calculateMemoryAge(memory.timestamp)
+            }))
+            .sort((a, b) => a.age - b.age)
+            .slice(0, 3);
+    }
+    
+    /**
+     * Stored memories that felt like this (valence/arousal), strongest first
+     */
+    findEmotionalMemories(valence, arousal) {
+        const current = { current: { valence, arousal } };
+        
+        return this.memories
+            .filter(memory => memory.emotion)
+            .map(memory => ({
+                code: memory.code,
+                resonance: this.calculateEmotionalResonance(current, memory.emotion),
+                age: this.calculateMemoryAge(memory.timestamp)
+            }))
+            .filter(match => match.resonance > 0.8)
+            .sort((a, b) => b.resonance - a.resonance)
+            .slice(0, 3);
+    }
 }
 
 // === NARRATIVE ENGINE =======================================================
 
 class NarrativeEngine {
-    constructor(culture) {
+    /**
+     * @param {string|Object} culture - Culture id or weighted blend
+     * @param {Function} random - Random source for template choice (defaults to Math.random)
+     * @param {CultureRegistry} cultures - Supplies the culture's poetic imagery
+     */
+    constructor(culture, random = Math.random, cultures = CultureRegistry.default()) {
         this.culture = culture;
+        this.random = random;
+        this.cultures = cultures;
         this.archetypes = this.loadArchetypes();
         this.narrativePatterns = this.loadNarrativePatterns();
     }
@@ -1130,7 +1778,7 @@ class NarrativeEngine {
     generatePrimaryNarrative(context) {
         const { scene, objects, emotion, spatial } = context;
         
-        let narrative = `${this.describeScene(scene)} `;
+        let narrative = `${this.describeScene(scene)}. `;
         
         if (objects.length > 0) {
             narrative += `${this.describeObjects(objects)} `;
@@ -1165,11 +1813,44 @@ class NarrativeEngine {
                 "Among the living earth",
                 "Where nature breathes",
                 "In the wild's embrace"
-            ]
+            ],
+            architectural: [
+                "Between lines that people built",
+                "Among walls and measured angles"
+            ],
+            urban: [
+                "In the press of the city",
+                "Where streets cross and crowd"
+            ],
+            portrait: [
+                "Face to face with a single presence",
+                "Before one figure, close"
+            ],
+            artistic: [
+                "Inside an arranged image",
+                "Where every line was placed"
+            ],
+            minimal: [
+                "In an almost empty space",
+                "Where little interrupts the quiet"
+            ],
+            complex: [
+                "In a crowded tangle of things",
+                "Where detail spills everywhere"
+            ],
+            general: [
+                "In an ordinary place",
+                "Somewhere familiar enough"
+            ],
+            // Cultural lens scene types
+            interior: ["Within a quiet room of paper and wood"],
+            nature: ["Where the seasons pass quietly"],
+            landscape: ["Across a land of old stories"],
+            hall: ["Within a great timbered hall"]
         };
         
         const sceneTemplates = templates[scene.type] || ["In a space undefined"];
-        const template = sceneTemplates[Math.floor(Math.random() * sceneTemplates.length)];
+        const template = sceneTemplates[Math.floor(this.random() * sceneTemplates.length)];
         
         const lightingDesc = this.describeLighting(scene.lighting);
         
@@ -1189,6 +1870,341 @@ class NarrativeEngine {
         return descriptions[lighting.quality] || "lit by mysterious sources";
     }
     
+    // === ELEMENTS & CONTEXT =================================================
+    
+    /**
+     * Pulls the parts of an interpreted experience the narrative needs
+     * @param {Object} experience - { scene, objects, spatial, emotional }
+     */
+    extractNarrativeElements(experience) {
+        const { scene, spatial, emotional } = experience;
+        
+        const objects = (experience.objects || [])
+            .slice()
+            .sort((a, b) => (b.importance || 0) - (a.importance || 0))
+            .slice(0, 5)
+            .map(obj => ({
+                type: obj.type,
+                variants: obj.variants || [],
+                position: obj.position,
+                size: obj.size,
+                importance: obj.importance || 0,
+                archetypes: obj.archetypes || this.getArchetypes(obj),
+                fromMemory: Boolean(obj.fromMemory)
+            }));
+        
+        return {
+            scene: {
+                type: scene.type,
+                subtype: scene.subtype,
+                lighting: scene.lighting,
+                mood: scene.mood ? scene.mood.primary : 'neutral',
+                atmosphere: scene.atmosphere
+            },
+            objects,
+            spatial: {
+                focus: spatial.focus ? spatial.focus.primary : 'center',
+                pattern: spatial.distribution ? spatial.distribution.pattern : 'balanced',
+                depth: spatial.depth && spatial.depth.layers ? spatial.depth.layers.distribution : 'flat',
+                flow: spatial.flow ? spatial.flow.direction : 'radiating',
+                anchor: spatial.anchor || null,
+                narrative: spatial.narrative || ''
+            },
+            emotion: {
+                valence: emotional.current.valence,
+                arousal: emotional.current.arousal,
+                label: emotional.current.label,
+                trajectory: emotional.trajectory ? emotional.trajectory.direction : 'stable',
+                resonance: emotional.resonance ? emotional.resonance.strength : 0.5,
+                narrative: emotional.narrative || this.describeEmotion(emotional.current.valence, emotional.current.arousal, 'stable')
+            }
+        };
+    }
+    
+    /**
+     * Adds memory echoes and culture to the narrative elements
+     * @param {Object} elements - extractNarrativeElements() output
+     * @param {Array} memories - Echoes from MemoryResonance.findEchoes()
+     */
+    buildNarrativeContext(elements, memories = []) {
+        const echoes = memories.map(echo => ({
+            code: echo.memory.code,
+            strength: echo.strength,
+            similarity: echo.similarity,
+            age: echo.age
+        }));
+        
+        return {
+            ...elements,
+            memories: echoes,
+            echo: echoes[0] || null,
+            culture: this.culture
+        };
+    }
+    
+    // === PROSE ==============================================================
+    
+    describeObjects(objects) {
+        const phrases = objects.slice(0, 3).map(obj => {
+            const size = obj.size === 'large' ? 'large ' : obj.size === 'small' ? 'small ' : '';
+            const name = `${size}${this.nameObject(obj.type)}`;
+            const memory = obj.fromMemory ? ', half-remembered' : '';
+            return `${this.withArticle(name)} ${this.describePosition(obj.position)}${memory}`;
+        });
+        
+        const extra = objects.length - phrases.length;
+        if (extra > 0) phrases.push(`${extra} more ${extra === 1 ? 'presence' : 'presences'} at the edges`);
+        
+        const list = phrases.length > 1 ?
+            `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}` :
+            phrases[0];
+        
+        return `There is ${list}.`;
+    }
+    
+    withArticle(word) {
+        return `${/^[aeiou]/i.test(word) ? 'an' : 'a'} ${word}`;
+    }
+    
+    nameObject(type) {
+        const names = {
+            'horizontal-line': 'horizontal line',
+            'vertical-line': 'vertical line',
+            organic: 'organic form',
+            complex: 'tangled form',
+            angular: 'angular form'
+        };
+        return names[type] || type;
+    }
+    
+    describePosition(position) {
+        if (!position) return 'somewhere near';
+        
+        const row = position.y < 1 / 3 ? 'upper' : position.y > 2 / 3 ? 'lower' : null;
+        const col = position.x < 1 / 3 ? 'left' : position.x > 2 / 3 ? 'right' : null;
+        
+        if (row && col) return `in the ${row} ${col}`;
+        if (row) return row === 'upper' ? 'above' : 'below';
+        if (col) return `to the ${col}`;
+        return 'at the center';
+    }
+    
+    describeSpatialRelations(spatial) {
+        const anchor = spatial.anchor ? ` The ${this.nameObject(spatial.anchor)} holds the eye.` : '';
+        return `${spatial.narrative}${anchor}`.trim();
+    }
+    
+    describeEmotionalTone(emotion) {
+        return `It feels like ${emotion.narrative}.`;
+    }
+    
+    /**
+     * Emotion as prose, e.g. "a faint unease, darkening at the edges"
+     * @param {number} valence - 0-1
+     * @param {number} arousal - 0-1
+     * @param {string} trajectory - Trend from the emotion segment
+     */
+    describeEmotion(valence, arousal, trajectory = 'stable') {
+        const band = v => v > 0.6 ? 2 : v < 0.4 ? 0 : 1;
+        const words = [
+            ['melancholy', 'unease', 'dread'],          // low valence: calm → aroused
+            ['calm', 'quiet attention', 'restlessness'],
+            ['contentment', 'warmth', 'exhilaration']   // high valence
+        ];
+        
+        const feeling = words[band(valence)][band(arousal)];
+        const intensity = Math.hypot(valence - 0.5, arousal - 0.5);
+        const degree = intensity > 0.45 ? 'deep ' : intensity < 0.15 ? 'faint ' : '';
+        
+        const motion = {
+            escalating: 'rising toward something',
+            calming: 'settling',
+            brightening: 'slowly brightening',
+            darkening: 'darkening at the edges',
+            intensifying: 'gathering intensity',
+            relaxing: 'loosening its grip'
+        }[trajectory];
+        
+        return motion ? `a ${degree}${feeling}, ${motion}` : `a ${degree}${feeling}`;
+    }
+    
+    /**
+     * Alternative tellings of the same moment: object-led, feeling-led, memory-led
+     */
+    generateVariations(context) {
+        const { scene, objects, spatial, emotion, echo } = context;
+        const variations = [];
+        const lighting = this.describeLighting(scene.lighting);
+        
+        if (objects.length > 0) {
+            const lead = objects[0];
+            variations.push(`What remains is the ${this.nameObject(lead.type)} ${this.describePosition(lead.position)}, ${lighting}.`);
+        }
+        
+        const feeling = emotion.narrative.charAt(0).toUpperCase() + emotion.narrative.slice(1);
+        variations.push(`${feeling}, in ${this.withArticle(scene.type)} place ${lighting}.`);
+        
+        if (echo) {
+            const when = echo.age < 1 ? 'only hours ago' : `${Math.round(echo.age)} days ago`;
+            variations.push(`It echoes something seen ${when}, ${spatial.narrative.charAt(0).toLowerCase()}${spatial.narrative.slice(1)}`);
+        } else {
+            variations.push(`Seen only once: ${spatial.narrative.charAt(0).toLowerCase()}${spatial.narrative.slice(1)}`);
+        }
+        
+        const archetype = this.identifyArchetypalPattern(context);
+        if (archetype.pattern) variations.push(`${archetype.pattern.text}.`);
+        
+        return variations;
+    }
+    
+    // === POETRY =============================================================
+    
+    selectPoetryImagery(context) {
+        const { scene, objects, emotion, echo } = context;
+        
+        const bank = this.cultures.imagery(this.culture);
+        
+        const lead = objects[0];
+        const lightImages = {
+            natural: 'plain daylight',
+            warm: 'golden light',
+            cool: 'blue light',
+            dramatic: 'light against shadow',
+            soft: 'soft light',
+            harsh: 'hard light'
+        };
+        
+        return {
+            subject: lead ? (lead.variants[0] || this.nameObject(lead.type)) : 'emptiness',
+            light: lightImages[scene.lighting.quality] || 'uncertain light',
+            setting: bank[Math.min(bank.length - 1, Math.floor(emotion.valence * bank.length))],
+            feeling: emotion.narrative,
+            echo: echo ? 'as it was before' : null
+        };
+    }
+    
+    /**
+     * Line length and cadence follow arousal and valence
+     * @returns {Object} { meter: 'short'|'long', cadence: 'rising'|'falling'|'level' }
+     */
+    determineRhythm(emotion) {
+        return {
+            meter: emotion.arousal > 0.6 ? 'short' : 'long',
+            cadence: emotion.valence > 0.6 ? 'rising' : emotion.valence < 0.4 ? 'falling' : 'level'
+        };
+    }
+    
+    composePoetic(imagery, rhythm) {
+        const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+        
+        if (rhythm.meter === 'short') {
+            return [imagery.subject, imagery.light, imagery.feeling]
+                .map(line => `${capitalize(line)}.`)
+                .join(' ');
+        }
+        
+        const turn = { rising: 'and still rising', falling: 'and fading', level: 'and holding' }[rhythm.cadence];
+        const lines = [
+            `${capitalize(imagery.light)} on ${imagery.subject}`,
+            `${imagery.setting}, ${turn}`
+        ];
+        if (imagery.echo) lines.push(imagery.echo);
+        
+        return lines.join(' / ');
+    }
+    
+    // === ARCHETYPES =========================================================
+    
+    /**
+     * Archetypes whose symbols include an object's type or one of its variants
+     * @param {Object} object - { primary|type, variants }
+     * @returns {string[]} Archetype names
+     */
+    getArchetypes(object) {
+        const names = [object.primary || object.type, ...(object.variants || [])];
+        
+        return Object.entries(this.archetypes)
+            .filter(([, symbols]) => symbols.some(symbol => names.includes(symbol)))
+            .map(([archetype]) => archetype);
+    }
+    
+    /**
+     * Scores each archetype from objects, emotion and space, and fills the matching narrative pattern
+     * @returns {Object} { archetype, confidence, evidence, pattern }
+     */
+    identifyArchetypalPattern(context) {
+        const { scene, objects, spatial, emotion } = context;
+        const scores = {};
+        const evidence = {};
+        const add = (archetype, weight, source, detail) => {
+            scores[archetype] = (scores[archetype] || 0) + weight;
+            (evidence[archetype] = evidence[archetype] || []).push({ source, detail, weight });
+        };
+        
+        objects.forEach(obj => {
+            obj.archetypes.forEach(archetype => add(archetype, 0.3 + obj.importance * 0.7, 'object', obj.type));
+        });
+        
+        if (emotion.valence < 0.4 && emotion.arousal > 0.6) add('conflict', 0.6, 'emotion', emotion.label);
+        if (emotion.valence > 0.6 && emotion.arousal < 0.4) add('sanctuary', 0.6, 'emotion', emotion.label);
+        if (scene.mood === 'tense') add('conflict', 0.4, 'mood', scene.mood);
+        if (scene.mood === 'peaceful') add('sanctuary', 0.4, 'mood', scene.mood);
+        if (scene.mood === 'mysterious') add('mystery', 0.5, 'mood', scene.mood);
+        if (['escalating', 'brightening', 'darkening'].includes(emotion.trajectory)) {
+            add('transformation', 0.5, 'trajectory', emotion.trajectory);
+        }
+        if (['left-to-right', 'right-to-left', 'diagonal', 'ascending'].includes(spatial.flow)) {
+            add('journey', 0.4, 'flow', spatial.flow);
+        }
+        if (scene.lighting.quality === 'dramatic' && emotion.valence < 0.5) {
+            add('mystery', 0.3, 'lighting', scene.lighting.quality);
+        }
+        if (spatial.pattern === 'empty') add('mystery', 0.2, 'space', spatial.pattern);
+        
+        const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+        const [best, bestScore] = ranked[0] || [null, 0];
+        const matched = bestScore >= 0.3 ? best : null;
+        
+        return {
+            archetype: matched,
+            confidence: matched ? bestScore / total : 0,
+            evidence: matched ? evidence[matched] : [],
+            pattern: this.selectNarrativePattern(context)
+        };
+    }
+    
+    /**
+     * Picks and fills one of the narrative patterns from the emotional and spatial shape
+     * @returns {Object} { name, text }
+     */
+    selectNarrativePattern(context) {
+        const { scene, objects, spatial, emotion, echo } = context;
+        const anchor = spatial.anchor || (objects[0] && objects[0].type) || spatial.focus;
+        const named = value => this.nameObject(value);
+        
+        let name = 'contracting';
+        if ((echo && echo.strength > 0.5) || spatial.pattern === 'radial') name = 'circular';
+        else if (['escalating', 'brightening', 'intensifying'].includes(emotion.trajectory)) name = 'rising';
+        else if (emotion.trajectory === 'darkening') name = 'falling';
+        else if (spatial.flow === 'radiating' && spatial.focus === 'center' && objects.length > 0) name = 'expanding';
+        
+        const values = {
+            origin: `the ${scene.type} ground`,
+            destination: `the ${named(anchor)}`,
+            height: this.describeLighting(scene.lighting).replace(/^\w+ /, ''),
+            depth: 'shadow',
+            center: `the ${named(anchor)}`,
+            source: `the ${named(anchor)}`,
+            focus: `the ${named(anchor)}`
+        };
+        
+        return {
+            name,
+            text: this.narrativePatterns[name].replace(/\{(\w+)\}/g, (_, key) => values[key])
+        };
+    }
+    
     loadArchetypes() {
         return {
             journey: ['spiral', 'path', 'door', 'bridge'],
@@ -0,0 +1,239 @@
+// channel_analyzer.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: ENGINE DEPTH + SEGMENTATION INPUT
+// =====================================================
+// Game engines know what the encoder otherwise guesses.
+// A frame may carry two optional channels next to its
+// RGBA data, one value per pixel:
+//
+//   depth         distance per pixel, smaller = nearer
+//                 (or { data, near, far, reversed })
+//   segmentation  object id per pixel, 0 = no object
+//                 (or { data, background, labels })
+//
+// Segmentation replaces contour tracing: each id becomes
+// one object with its exact area, bounds and boundary.
+// Depth replaces the size/position guess: objects and
+// pixels fall into foreground / midground / background
+// thirds of the frame's depth range.
+// =====================================================
+
+// Normalized depth thresholds between foreground, midground and background
+const LAYER_LIMITS = [1 / 3, 2 / 3];
+
+// Keep every nth boundary pixel as a contour point
+const BOUNDARY_STRIDE = 4;
+
+class ChannelAnalyzer {
+    /**
+     * @param {PerceptualAlchemyEncoder} encoder - Supplies saliency, shape types and weights
+     */
+    constructor(encoder) {
+        this.encoder = encoder;
+    }
+
+    /**
+     * Validates and normalizes the channels a frame carries
+     * @param {Object} imageData - { width, height, data, depth?, segmentation? }
+     * @returns {Object} { depth, segmentation }, each null when absent
+     */
+    prepare(imageData) {
+        const { width, height } = imageData;
+        return {
+            depth: imageData.depth ? this.prepareDepth(imageData.depth, width * height) : null,
+            segmentation: imageData.segmentation ? this.prepareSegmentation(imageData.segmentation, width * height) : null
+        };
+    }
+
+    /**
+     * @returns {Object} { values, coverage } with values 0 (near) to 1 (far)
+     */
+    prepareDepth(depth, pixels) {
+        const options = ChannelAnalyzer.isArrayLike(depth) ? { data: depth } : depth;
+        const data = options.data;
+        if (!ChannelAnalyzer.isArrayLike(data) || data.length < pixels) {
+            throw new Error('Depth channel must have one value per pixel (width × height)');
+        }
+
+        // Non-finite depth (cleared buffer, sky) is as far as it gets
+        let near = options.near;
+        let far = options.far;
+        if (near === undefined || far === undefined) {
+            let min = Infinity, max = -Infinity;
+            for (let i = 0; i < pixels; i++) {
+                const value = data[i];
+                if (!Number.isFinite(value)) continue;
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            near = near ?? (min === Infinity ? 0 : min);
+            far = far ?? (max === -Infinity ? 1 : max);
+        }
+
+        const range = far - near || 1;
+        const values = new Float32Array(pixels);
+        const counts = [0, 0, 0];
+        for (let i = 0; i < pixels; i++) {
+            let value = Number.isFinite(data[i]) ? (data[i] - near) / range : 1;
+            value = Math.min(1, Math.max(0, value));
+            if (options.reversed) value = 1 - value;
+            values[i] = value;
+            counts[ChannelAnalyzer.layerIndex(value)]++;
+        }
+
+        return {
+            values,
+            coverage: {
+                foreground: counts[0] / pixels,
+                midground: counts[1] / pixels,
+                background: counts[2] / pixels
+            }
+        };
+    }
+
+    /**
+     * @returns {Object} { ids, background, labels }
+     */
+    prepareSegmentation(segmentation, pixels) {
+        const options = ChannelAnalyzer.isArrayLike(segmentation) ? { data: segmentation } : segmentation;
+        if (!ChannelAnalyzer.isArrayLike(options.data) || options.data.length < pixels) {
+            throw new Error('Segmentation channel must have one object id per pixel (width × height)');
+        }
+
+        const labels = options.labels || {};
+        const registry = this.encoder.vocabulary.registry;
+        Object.entries(labels).forEach(([id, label]) => {
+            if (!registry.has('object', label)) {
+                throw new Error(`Segmentation label '${label}' for id ${id} is not in the object vocabulary`);
+            }
+        });
+
+        return {
+            ids: options.data,
+            background: options.background ?? 0,
+            labels
+        };
+    }
+
+    static isArrayLike(value) {
+        return Array.isArray(value) || ArrayBuffer.isView(value);
+    }
+
+    // === SEGMENTS ===========================================================
+
+    /**
+     * One shape per segmentation id, with exact area, bounds, perimeter and boundary points
+     * @returns {Array} Shapes in extractShapes() form plus segmentId, label and depth
+     */
+    extractSegments(segmentation, depth, width, height) {
+        const { ids, background, labels } = segmentation;
+        const segments = new Map();
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                const id = ids[idx];
+                if (id === background) continue;
+
+                let segment = segments.get(id);
+                if (!segment) {
+                    segment = {
+                        count: 0, sumX: 0, sumY: 0, perimeter: 0, boundary: 0, depth: 0, points: [],
+                        minX: x, minY: y, maxX: x, maxY: y
+                    };
+                    segments.set(id, segment);
+                }
+
+                segment.count++;
+                segment.sumX += x;
+                segment.sumY += y;
+                if (x < segment.minX) segment.minX = x;
+                if (x > segment.maxX) segment.maxX = x;
+                segment.maxY = y;
+                if (depth) segment.depth += depth.values[idx];
+
+                // Sides facing another id or the frame edge
+                const sides = (x === 0 || ids[idx - 1] !== id) +
+                    (x === width - 1 || ids[idx + 1] !== id) +
+                    (y === 0 || ids[idx - width] !== id) +
+                    (y === height - 1 || ids[idx + width] !== id);
+                if (sides) {
+                    segment.perimeter += sides;
+                    if (segment.boundary++ % BOUNDARY_STRIDE === 0) segment.points.push({ x, y });
+                }
+            }
+        }
+
+        const shapes = [];
+        segments.forEach((segment, id) => {
+            if (segment.count <= 20) return;
+
+            const boxWidth = segment.maxX - segment.minX;
+            const boxHeight = segment.maxY - segment.minY;
+            const shape = {
+                points: segment.points,
+                centroid: { x: segment.sumX / segment.count, y: segment.sumY / segment.count },
+                area: segment.count,
+                perimeter: segment.perimeter,
+                boundingBox: {
+                    minX: segment.minX, minY: segment.minY, maxX: segment.maxX, maxY: segment.maxY,
+                    width: boxWidth, height: boxHeight
+                },
+                segmentId: id,
+                label: labels[id] || null,
+                labelSource: 'segmentation'
+            };
+            if (depth) shape.depth = segment.depth / segment.count;
+
+            const fill = segment.count / ((boxWidth + 1) * (boxHeight + 1));
+            shape.type = this.encoder.classifyRegionShape(fill, (boxWidth + 1) / (boxHeight + 1));
+            shape.saliency = this.encoder.calculateShapeSaliency(shape, width, height);
+            shape.symbolWeight = this.encoder.calculateSymbolWeight(shape);
+            shapes.push(shape);
+        });
+
+        return shapes;
+    }
+
+    // === DEPTH ==============================================================
+
+    /**
+     * Sets depth (mean over a sample grid, unless known exactly) and layer on each shape
+     */
+    assignLayers(shapes, depth, width) {
+        shapes.forEach(shape => {
+            if (shape.depth === undefined) shape.depth = this.sampleDepth(shape.boundingBox, depth, width);
+            shape.layer = ChannelAnalyzer.LAYERS[ChannelAnalyzer.layerIndex(shape.depth)];
+        });
+        return shapes;
+    }
+
+    sampleDepth(box, depth, width) {
+        const samples = 5;
+        let sum = 0;
+        for (let j = 0; j < samples; j++) {
+            for (let i = 0; i < samples; i++) {
+                const x = Math.round(box.minX + (box.width * (i + 0.5)) / samples);
+                const y = Math.round(box.minY + (box.height * (j + 0.5)) / samples);
+                sum += depth.values[y * width + x] ?? 1;
+            }
+        }
+        return sum / (samples * samples);
+    }
+
+    static layerIndex(value) {
+        if (value < LAYER_LIMITS[0]) return 0;
+        if (value < LAYER_LIMITS[1]) return 1;
+        return 2;
+    }
+}
+
+ChannelAnalyzer.LAYERS = ['foreground', 'midground', 'background'];
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChannelAnalyzer;
+} else if (typeof window !== 'undefined') {
+    window.ChannelAnalyzer = ChannelAnalyzer;
+}
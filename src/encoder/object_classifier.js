@@ -0,0 +1,338 @@
+// object_classifier.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: SEMANTIC OBJECT RECOGNITION
+// =====================================================
+// Sits between shape extraction and object encoding and
+// turns geometric contours (circle, organic, ...) into
+// the semantic objects of the shared vocabulary (person,
+// tree, door, water, ...), so decoders see what the
+// encoder saw:
+//
+//   shape → detection features → registered classifiers
+//                              → rule-based default
+//                              → geometric type (fallback)
+//
+// Registered classifiers run first, highest priority
+// first; the first answer at or above minConfidence wins.
+// Every label must be an 'object' value of the vocabulary
+// (aliases allowed), so game classifiers map their own
+// detections onto the shared alphabet.
+// =====================================================
+
+const VocabularyRegistry = require('../vocabulary/vocabulary_registry');
+
+// Samples per axis when estimating a shape's colour
+const COLOR_SAMPLES = 7;
+
+class ObjectClassifier {
+    /**
+     * @param {Object} options - { registry, rules, minConfidence }
+     *   rules: false disables the built-in rule-based classifier
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || VocabularyRegistry.default();
+        this.minConfidence = options.minConfidence ?? 0.5;
+        this.rules = options.rules === false ? null : new RuleBasedClassifier();
+        this.classifiers = [];
+    }
+
+    /**
+     * Adds a classifier ahead of the rule-based default
+     * @param {string} name - Reported as the classification source
+     * @param {Function|Object} classifier - (detection, context) => { label, confidence } | null,
+     *   or an object with such a classify() method
+     * @param {Object} options - { priority } (higher runs first, default 0)
+     */
+    register(name, classifier, options = {}) {
+        const classify = typeof classifier === 'function' ? classifier : classifier && classifier.classify;
+        if (typeof classify !== 'function') {
+            throw new Error(`Classifier '${name}' must be a function or have a classify() method`);
+        }
+        if (this.classifiers.some(entry => entry.name === name)) {
+            throw new Error(`Classifier '${name}' is already registered`);
+        }
+
+        this.classifiers.push({ name, classify: classify.bind(classifier), priority: options.priority || 0 });
+        this.classifiers.sort((a, b) => b.priority - a.priority);
+        return this;
+    }
+
+    unregister(name) {
+        this.classifiers = this.classifiers.filter(entry => entry.name !== name);
+        return this;
+    }
+
+    /**
+     * Labels shapes in place: type becomes the semantic label, geometricType keeps the contour class
+     * @param {Array} shapes - Shapes from extractShapes()
+     * @param {Object} context - { imageData, width, height, colors }
+     * @returns {Array} The same shapes
+     */
+    classify(shapes, context) {
+        shapes.forEach(shape => {
+            const detection = this.describe(shape, context);
+            const result = this.classifyDetection(detection, context);
+
+            shape.geometricType = detection.type;
+            shape.type = result.label;
+            shape.classification = result;
+        });
+
+        return shapes;
+    }
+
+    /**
+     * @returns {Object} { label, confidence, source }
+     */
+    classifyDetection(detection, context) {
+        // Labels supplied with the input (segmentation ids, scene-graph entities) are ground truth
+        if (detection.label) {
+            const result = this.accept(detection.labelSource || 'label', { label: detection.label, confidence: 1 });
+            if (result) return result;
+        }
+
+        for (const entry of this.classifiers) {
+            const result = this.accept(entry.name, entry.classify(detection, context));
+            if (result) return result;
+        }
+
+        if (this.rules) {
+            const result = this.accept('rules', this.rules.classify(detection, context));
+            if (result) return result;
+        }
+
+        return { label: detection.type, confidence: 1, source: 'geometry' };
+    }
+
+    accept(source, result) {
+        if (!result || !result.label || (result.confidence ?? 1) < this.minConfidence) return null;
+
+        if (!this.registry.has('object', result.label)) {
+            throw new Error(`Classifier '${source}' returned '${result.label}', which is not in the object vocabulary`);
+        }
+
+        return {
+            label: this.registry.resolve('object', result.label),
+            confidence: result.confidence ?? 1,
+            source
+        };
+    }
+
+    // === DETECTION FEATURES =================================================
+
+    /**
+     * What classifiers get to see of a shape
+     * @returns {Object} { type, centroid, position, boundingBox, extent, aspect, orientation, color, hsl, cluster,
+     *   area, saliency, depth, layer, segmentId, entityType, label, labelSource } (null when not known)
+     */
+    describe(shape, context) {
+        const { width, height } = context;
+        const box = shape.boundingBox;
+        const boxWidth = Math.max(1, box.width);
+        const boxHeight = Math.max(1, box.height);
+        const { color, cluster } = this.shapeColor(shape, context);
+
+        return {
+            type: shape.geometricType || shape.type,
+            centroid: { ...shape.centroid },
+            position: { x: shape.centroid.x / width, y: shape.centroid.y / height },
+            boundingBox: {
+                minX: box.minX / width,
+                minY: box.minY / height,
+                maxX: box.maxX / width,
+                maxY: box.maxY / height
+            },
+            extent: (boxWidth * boxHeight) / (width * height),
+            aspect: boxWidth / boxHeight,
+            orientation: ObjectClassifier.orientation(shape.points || []),
+            color,
+            hsl: ObjectClassifier.toHSL(color),
+            cluster,
+            area: shape.area,
+            saliency: shape.saliency,
+            depth: shape.depth ?? null,
+            layer: shape.layer ?? null,
+            segmentId: shape.segmentId ?? null,
+            entityType: shape.entityType ?? null,
+            label: shape.label ?? null,
+            labelSource: shape.labelSource ?? null
+        };
+    }
+
+    /**
+     * Known or mean bounding-box colour, snapped to the nearest dominant cluster
+     */
+    shapeColor(shape, context) {
+        const { imageData, width, colors } = context;
+        const box = shape.boundingBox;
+        let r = 0, g = 0, b = 0, n = 0;
+
+        // Palette regions and entities know their colour
+        if (shape.color) {
+            ({ r, g, b } = shape.color);
+            n = 1;
+        } else if (imageData) {
+            for (let j = 0; j < COLOR_SAMPLES; j++) {
+                for (let i = 0; i < COLOR_SAMPLES; i++) {
+                    const x = Math.round(box.minX + (box.width * (i + 0.5)) / COLOR_SAMPLES);
+                    const y = Math.round(box.minY + (box.height * (j + 0.5)) / COLOR_SAMPLES);
+                    const idx = (y * width + x) * 4;
+                    if (idx < 0 || idx + 2 >= imageData.data.length) continue;
+                    r += imageData.data[idx];
+                    g += imageData.data[idx + 1];
+                    b += imageData.data[idx + 2];
+                    n++;
+                }
+            }
+        }
+
+        const mean = n ? { r: r / n, g: g / n, b: b / n } : { r: 128, g: 128, b: 128 };
+        const clusters = (colors && colors.dominantClusters) || [];
+        if (!clusters.length) return { color: mean, cluster: -1 };
+
+        let cluster = 0;
+        let best = Infinity;
+        clusters.forEach((c, i) => {
+            const d = (c.center.r - mean.r) ** 2 + (c.center.g - mean.g) ** 2 + (c.center.b - mean.b) ** 2;
+            if (d < best) {
+                best = d;
+                cluster = i;
+            }
+        });
+
+        // A far-off cluster says little about this shape; keep the sampled colour
+        return best < 60 * 60 ? { color: { ...clusters[cluster].center }, cluster } : { color: mean, cluster: -1 };
+    }
+
+    /**
+     * Principal axis of the contour points
+     * @returns {string} 'horizontal' | 'vertical' | 'diagonal' | 'none'
+     */
+    static orientation(points) {
+        if (points.length < 3) return 'none';
+
+        const mx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const my = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+        let sxx = 0, syy = 0, sxy = 0;
+        points.forEach(p => {
+            sxx += (p.x - mx) ** 2;
+            syy += (p.y - my) ** 2;
+            sxy += (p.x - mx) * (p.y - my);
+        });
+
+        // Nearly isotropic contours have no meaningful axis
+        const spread = Math.sqrt((sxx - syy) ** 2 + 4 * sxy * sxy);
+        if (spread < 0.2 * (sxx + syy)) return 'none';
+
+        const angle = Math.abs(Math.atan2(2 * sxy, sxx - syy) / 2) * 180 / Math.PI;
+        if (angle < 22.5) return 'horizontal';
+        if (angle > 67.5) return 'vertical';
+        return 'diagonal';
+    }
+
+    static toHSL({ r, g, b }) {
+        const rn = r / 255, gn = g / 255, bn = b / 255;
+        const max = Math.max(rn, gn, bn);
+        const min = Math.min(rn, gn, bn);
+        const l = (max + min) / 2;
+        const d = max - min;
+        if (d === 0) return { h: 0, s: 0, l };
+
+        const s = d / (1 - Math.abs(2 * l - 1));
+        let h;
+        if (max === rn) h = ((gn - bn) / d) % 6;
+        else if (max === gn) h = (bn - rn) / d + 2;
+        else h = (rn - gn) / d + 4;
+
+        return { h: (h * 60 + 360) % 360, s, l };
+    }
+}
+
+// === RULE-BASED DEFAULT =====================================================
+
+class RuleBasedClassifier {
+    constructor() {
+        // Each rule returns a confidence (0 when it does not apply); the highest wins
+        this.rules = {
+            water: f => (f.hue === 'blue' || f.hue === 'cyan') && f.aspect > 1.5 && f.position.y > 0.5 && f.extent > 0.02
+                ? (f.type === 'horizontal-line' ? 0.85 : 0.75) : 0,
+            tree: f => f.hue === 'green' && f.aspect < 1.3 && f.organic
+                ? 0.75 : 0,
+            flower: f => f.extent < 0.01 && ['red', 'pink', 'yellow', 'purple'].includes(f.hue) && f.hsl.s > 0.4 && f.position.y > 0.5 && (f.organic || f.type === 'circle')
+                ? 0.65 : 0,
+            mountain: f => (f.angular || f.type === 'organic') && f.aspect > 1.2 && f.boundingBox.minY < 0.5 && f.boundingBox.maxY > 0.4 && f.hsl.s < 0.35 && f.extent > 0.05
+                ? (f.angular ? 0.75 : 0.6) : 0,
+            person: f => f.aspect >= 0.25 && f.aspect <= 0.6 && (f.organic || f.type === 'vertical-line') && f.extent > 0.01 && f.extent < 0.3 && f.position.y > 0.3 && f.position.y < 0.8 && f.hue !== 'green' && f.hue !== 'blue'
+                ? 0.6 : 0,
+            door: f => f.boxy && f.aspect >= 0.35 && f.aspect <= 0.7 && f.boundingBox.maxY > 0.75
+                ? 0.7 : 0,
+            window: f => f.boxy && f.hsl.l > 0.6 && f.boundingBox.maxY <= 0.75 && f.aspect > 0.5 && f.aspect < 2
+                ? 0.65 : 0,
+            tower: f => f.aspect < 0.3 && (f.boxy || f.type === 'vertical-line') && f.boundingBox.minY < 0.3
+                ? 0.65 : 0,
+            wall: f => f.boxy && f.extent > 0.25 && f.hsl.s < 0.25
+                ? 0.6 : 0,
+            bridge: f => f.aspect > 3 && f.position.y > 0.3 && f.position.y < 0.75 && (f.type === 'horizontal-line' || f.boxy) && f.hue !== 'blue'
+                ? 0.6 : 0,
+            light: f => (f.type === 'circle' || f.type === 'organic') && f.hsl.l > 0.75 && (f.hue === 'yellow' || f.hue === 'orange' || f.hsl.s < 0.2) && f.extent < 0.1
+                ? 0.75 : 0,
+            shadow: f => f.hsl.l < 0.15 && (f.type === 'organic' || f.type === 'complex')
+                ? 0.6 : 0,
+            stone: f => f.hsl.s < 0.2 && f.hsl.l > 0.25 && f.hsl.l < 0.7 && (f.type === 'circle' || f.type === 'organic') && f.position.y > 0.55 && f.extent < 0.05
+                ? 0.55 : 0,
+            bird: f => f.extent < 0.005 && f.position.y < 0.35 && (f.angular || f.type === 'complex' || f.type === 'organic') && f.hsl.l < 0.75
+                ? 0.55 : 0,
+            animal: f => f.type === 'organic' && f.aspect >= 1.2 && f.aspect <= 2.5 && f.position.y > 0.5 && f.extent > 0.005 && f.extent < 0.15 && (['red', 'orange', 'yellow'].includes(f.hue) || f.hsl.s < 0.2)
+                ? 0.55 : 0
+        };
+    }
+
+    /**
+     * @param {Object} detection - Features from ObjectClassifier.describe()
+     * @returns {Object|null} { label, confidence }
+     */
+    classify(detection) {
+        const features = {
+            ...detection,
+            hue: RuleBasedClassifier.hueName(detection.hsl),
+            organic: ['organic', 'complex'].includes(detection.type),
+            angular: ['triangle', 'angular'].includes(detection.type),
+            boxy: ['rectangle', 'square'].includes(detection.type)
+        };
+
+        let best = null;
+        Object.entries(this.rules).forEach(([label, rule]) => {
+            const confidence = rule(features);
+            if (confidence > 0 && (!best || confidence > best.confidence)) {
+                best = { label, confidence };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Coarse colour name from hue, with grey for unsaturated colours
+     */
+    static hueName({ h, s, l }) {
+        if (s < 0.15 || l < 0.08 || l > 0.95) return 'grey';
+        if (h < 15 || h >= 345) return 'red';
+        if (h < 40) return 'orange';
+        if (h < 70) return 'yellow';
+        if (h < 170) return 'green';
+        if (h < 200) return 'cyan';
+        if (h < 255) return 'blue';
+        if (h < 290) return 'purple';
+        return 'pink';
+    }
+}
+
+ObjectClassifier.RuleBasedClassifier = RuleBasedClassifier;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ObjectClassifier;
+} else if (typeof window !== 'undefined') {
+    window.ObjectClassifier = ObjectClassifier;
+}
@@ -0,0 +1,162 @@
+// perceptual_profile.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: NPC PERCEPTUAL PROFILE
+// =====================================================
+// Every NPC sees the world differently. A profile warps
+// the encoder the way a mind warps perception:
+//
+//   attention  sharpens edges, stretches saliency contrast,
+//              trusts the eyes over the mood, keeps detail
+//   fear       hypervigilance: periphery and large shapes
+//              stand out, labels come quicker, mood darkens
+//   curiosity  intricate outlines stand out, mood lifts
+//   fatigue    dulls edges and saliency, vaguer labels,
+//              fewer objects make it into the code
+//   trauma     triggers (object labels) jump to the front,
+//              arousal rises
+//
+// All levels are 0-1. The neutral profile (attention 0.5,
+// everything else 0) leaves the encoder unchanged, and a
+// profile never uses randomness: the same NPC looking at
+// the same scene always produces the same code.
+// =====================================================
+
+const LEVELS = ['attention', 'fear', 'curiosity', 'fatigue', 'trauma'];
+
+class PerceptualProfile {
+    /**
+     * @param {Object} levels - { attention, fear, curiosity, fatigue, trauma, triggers }
+     *   triggers: object labels that trauma pulls attention toward
+     */
+    constructor(levels = {}) {
+        Object.keys(levels).forEach(key => {
+            if (!LEVELS.includes(key) && key !== 'triggers') {
+                throw new Error(`Unknown perceptual profile level '${key}' (expected ${LEVELS.join(', ')} or triggers)`);
+            }
+        });
+
+        LEVELS.forEach(level => {
+            const value = levels[level] ?? (level === 'attention' ? 0.5 : 0);
+            if (!Number.isFinite(value) || value < 0 || value > 1) {
+                throw new Error(`Perceptual profile ${level} must be between 0 and 1, got ${levels[level]}`);
+            }
+            this[level] = value;
+        });
+
+        this.triggers = (levels.triggers || []).map(label => String(label).toLowerCase());
+    }
+
+    /**
+     * @param {PerceptualProfile|Object|null} profile
+     * @returns {PerceptualProfile|null}
+     */
+    static from(profile) {
+        if (!profile) return null;
+        return profile instanceof PerceptualProfile ? profile : new PerceptualProfile(profile);
+    }
+
+    // === PERCEPTION =========================================================
+
+    /**
+     * Edge threshold: attention lowers it (more edges seen), fatigue raises it
+     */
+    edgeThreshold(base) {
+        return base * (1 + (0.5 - this.attention) * 0.8 + this.fatigue * 0.5);
+    }
+
+    /**
+     * Warps a shape's 0-1 saliency
+     * @param {number} saliency - Unbiased saliency
+     * @param {Object} features - { size, centerDistance, compactness } each 0-1
+     */
+    warpSaliency(saliency, { size, centerDistance, compactness }) {
+        let warped = saliency;
+
+        // Fear watches the edges of the view and anything big
+        warped += this.fear * (0.3 * centerDistance + 0.2 * size);
+
+        // Curiosity is drawn to intricate outlines
+        warped += this.curiosity * 0.3 * (1 - Math.min(1, compactness * 4));
+
+        // Attention stretches contrast around the middle, fatigue flattens everything
+        warped = 0.5 + (warped - 0.5) * (0.5 + this.attention);
+        warped *= 1 - 0.4 * this.fatigue;
+
+        return Math.max(0, warped);
+    }
+
+    /**
+     * Classifier acceptance threshold: tired or distracted minds settle for shapes,
+     * frightened ones jump to conclusions
+     */
+    classifierConfidence(base) {
+        const shifted = base + this.fatigue * 0.3 + (0.5 - this.attention) * 0.3 - this.fear * 0.2;
+        return Math.min(0.95, Math.max(0.05, shifted));
+    }
+
+    /**
+     * Trauma triggers gain saliency once objects are labelled; returns shapes re-ranked
+     */
+    biasObjects(shapes) {
+        if (!this.trauma || !this.triggers.length) return shapes;
+
+        shapes.forEach(shape => {
+            if (!this.triggers.includes(shape.type)) return;
+            shape.saliency += this.trauma * 0.5;
+            shape.symbolWeight *= 1 + this.trauma;
+        });
+        return shapes.sort((a, b) => b.symbolWeight - a.symbolWeight);
+    }
+
+    /**
+     * Characters of the object segment actually used (the rest is padding)
+     */
+    objectBudget(budget) {
+        const share = (1 - 0.5 * this.fatigue) * (0.75 + 0.5 * this.attention);
+        return Math.max(1, Math.min(budget, Math.round(budget * share)));
+    }
+
+    /**
+     * Object count kept after grouping
+     */
+    maxObjects(base) {
+        return Math.max(1, Math.round(base * (1 - 0.5 * this.fatigue) * (0.5 + this.attention)));
+    }
+
+    // === EMOTION ============================================================
+
+    /**
+     * Weight of what is seen against the emotional context
+     */
+    visualWeight() {
+        return 0.7 + (this.attention - 0.5) * 0.4;
+    }
+
+    /**
+     * Shifts a blended emotion by the profile's own state
+     */
+    colorEmotion(emotion) {
+        const clamp = value => Math.min(1, Math.max(0, value));
+        return {
+            valence: clamp(emotion.valence - this.fear * 0.3 - this.trauma * 0.2 + this.curiosity * 0.1),
+            arousal: clamp(emotion.arousal + this.fear * 0.3 + this.trauma * 0.2 + this.curiosity * 0.1 - this.fatigue * 0.3),
+            dominance: clamp(emotion.dominance - this.fear * 0.2)
+        };
+    }
+
+    toJSON() {
+        const levels = {};
+        LEVELS.forEach(level => { levels[level] = this[level]; });
+        return { ...levels, triggers: [...this.triggers] };
+    }
+}
+
+PerceptualProfile.LEVELS = LEVELS;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerceptualProfile;
+} else if (typeof window !== 'undefined') {
+    window.PerceptualProfile = PerceptualProfile;
+}
@@ -0,0 +1,357 @@
+// pixel_art_analyzer.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: PIXEL-ART ANALYSIS PATH
+// =====================================================
+// Retro frames are drawn from a small palette and upscaled
+// in whole blocks. Sobel sees every block boundary as an
+// edge and contour tracing floods the shape list, so for
+// such frames we work on the native pixel grid instead:
+//
+//   detect   palette size + run lengths along sampled rows
+//            and columns; pixel art when the palette is small
+//            and every colour change lands on one block grid
+//            of 2 to 16 pixels
+//   analyze  sample one pixel per block, label same-colour
+//            runs and join them across rows (run-length
+//            connected components) into palette regions
+//
+// Regions become the shape list and region boundaries the
+// edge map, in the same form the gradient path produces.
+// =====================================================
+
+// Sampled rows/columns for detection, at most
+const DETECTION_LINES = 96;
+
+// Interior runs needed before trusting a block size
+const MIN_RUNS = 8;
+
+// At native scale (1×) every frame sits on the pixel grid, so a small
+// palette is all that is left and flat graphics would pass as pixel art.
+// Detection rejects it; pixelArt: true still analyzes such frames per pixel.
+const MIN_BLOCK = 2;
+
+// Upscale factors beyond this are flat artwork, not pixel art
+const MAX_BLOCK = 16;
+
+class PixelArtAnalyzer {
+    /**
+     * @param {PerceptualAlchemyEncoder} encoder - Supplies thresholds, saliency and shape weights
+     */
+    constructor(encoder) {
+        this.encoder = encoder;
+    }
+
+    // === DETECTION ==========================================================
+
+    /**
+     * @param {ImageData} imageData
+     * @returns {Object} { pixelArt, reason, paletteSize, blockSize, offset: { x, y } }
+     *   reason says why a frame is not pixel art: 'palette', 'runs', 'unaligned',
+     *   'native-scale' (block size 1) or 'block-size' (above 16); null when it is
+     */
+    detect(imageData) {
+        const { width, height, data } = imageData;
+        const limit = this.encoder.paletteLimit;
+        const palette = new Set();
+        const key = (x, y) => {
+            const i = (y * width + x) * 4;
+            return (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        };
+
+        const horizontal = this.scanRuns(height, width, (line, pos) => key(pos, line), palette, limit);
+        const vertical = this.scanRuns(width, height, (line, pos) => key(line, pos), palette, limit);
+
+        const lengths = horizontal.lengths.concat(vertical.lengths);
+        const blockSize = lengths.reduce((g, length) => PixelArtAnalyzer.gcd(g, length), 0) || 1;
+
+        // Blocky edges: every colour change sits on the same grid in both directions
+        const xOffsets = new Set(horizontal.firstChanges.map(x => x % blockSize));
+        const yOffsets = new Set(vertical.firstChanges.map(y => y % blockSize));
+        const aligned = xOffsets.size <= 1 && yOffsets.size <= 1;
+
+        let reason = null;
+        if (palette.size > limit) reason = 'palette';
+        else if (lengths.length < MIN_RUNS) reason = 'runs';
+        else if (!aligned) reason = 'unaligned';
+        else if (blockSize < MIN_BLOCK) reason = 'native-scale';
+        else if (blockSize > MAX_BLOCK) reason = 'block-size';
+
+        return {
+            pixelArt: !reason,
+            reason,
+            paletteSize: palette.size,
+            blockSize: aligned && blockSize <= MAX_BLOCK ? blockSize : 1,
+            offset: aligned ? { x: [...xOffsets][0] || 0, y: [...yOffsets][0] || 0 } : { x: 0, y: 0 }
+        };
+    }
+
+    /**
+     * Run lengths along sampled lines; runs touching the frame edge may be cropped and are skipped
+     */
+    scanRuns(lineCount, lineLength, colorAt, palette, limit) {
+        const lengths = [];
+        const firstChanges = [];
+        const step = Math.max(1, Math.floor(lineCount / DETECTION_LINES));
+
+        for (let line = 0; line < lineCount; line += step) {
+            let start = 0;
+            let previous = colorAt(line, 0);
+            if (palette.size <= limit) palette.add(previous);
+
+            for (let pos = 1; pos <= lineLength; pos++) {
+                const color = pos < lineLength ? colorAt(line, pos) : null;
+                if (color === previous) continue;
+
+                if (pos < lineLength) {
+                    if (start === 0) firstChanges.push(pos);
+                    else lengths.push(pos - start);
+                    if (palette.size <= limit) palette.add(color);
+                }
+                start = pos;
+                previous = color;
+            }
+        }
+
+        return { lengths, firstChanges };
+    }
+
+    static gcd(a, b) {
+        while (b) [a, b] = [b, a % b];
+        return a;
+    }
+
+    // === REGION ANALYSIS ====================================================
+
+    /**
+     * @param {ImageData} imageData
+     * @param {Object} detection - Output of detect()
+     * @returns {Object} { edges, shapes, grid: { width, height }, paletteSize, regions }
+     */
+    analyze(imageData, detection) {
+        const { width, height, data } = imageData;
+        const block = detection.blockSize;
+        const originX = detection.offset.x ? detection.offset.x - block : 0;
+        const originY = detection.offset.y ? detection.offset.y - block : 0;
+        const gridWidth = Math.ceil((width - originX) / block);
+        const gridHeight = Math.ceil((height - originY) / block);
+
+        // One sample per block, inside its visible part
+        const palette = new Map();
+        const colors = [];
+        const cells = new Int32Array(gridWidth * gridHeight);
+        for (let cy = 0; cy < gridHeight; cy++) {
+            const y = PixelArtAnalyzer.cellSample(originY, cy, block, height);
+            for (let cx = 0; cx < gridWidth; cx++) {
+                const i = (y * width + PixelArtAnalyzer.cellSample(originX, cx, block, width)) * 4;
+                const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                if (!palette.has(key)) {
+                    palette.set(key, colors.length);
+                    colors.push({ r: data[i], g: data[i + 1], b: data[i + 2] });
+                }
+                cells[cy * gridWidth + cx] = palette.get(key);
+            }
+        }
+
+        const labels = this.labelRuns(cells, gridWidth, gridHeight);
+        const regions = this.measureRegions(cells, labels, gridWidth, gridHeight);
+        const geometry = { block, originX, originY, width, height };
+
+        // The largest flat areas are backdrop, not objects
+        const maxCells = this.encoder.maxClusterExtent * gridWidth * gridHeight;
+        const shapes = [];
+        regions.forEach(region => {
+            const shape = this.regionToShape(region, colors[region.colorIndex], geometry);
+            if (shape.area > 20 && region.cells <= maxCells) shapes.push(shape);
+        });
+
+        return {
+            edges: this.regionEdges(regions.boundaryCells, regions.histogram, gridWidth * gridHeight, geometry),
+            shapes,
+            grid: { width: gridWidth, height: gridHeight },
+            paletteSize: colors.length,
+            regions: regions.length
+        };
+    }
+
+    static cellSample(origin, cell, block, limit) {
+        const start = Math.max(0, origin + cell * block);
+        const end = Math.min(limit, origin + (cell + 1) * block);
+        return Math.min(end - 1, Math.max(start, origin + cell * block + (block >> 1)));
+    }
+
+    /**
+     * Connected components over same-colour runs (4-connectivity)
+     * @returns {Object} { runs, label } where label[i] is the region of run i
+     */
+    labelRuns(cells, gridWidth, gridHeight) {
+        const runs = [];
+        const parent = [];
+        const find = i => {
+            while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+            return i;
+        };
+
+        let previousRow = [];
+        for (let y = 0; y < gridHeight; y++) {
+            const row = [];
+            let above = 0;
+            for (let x = 0; x < gridWidth;) {
+                const color = cells[y * gridWidth + x];
+                let end = x;
+                while (end + 1 < gridWidth && cells[y * gridWidth + end + 1] === color) end++;
+
+                const id = runs.length;
+                runs.push({ y, start: x, end, color });
+                parent.push(id);
+                row.push(id);
+
+                // Join with overlapping runs of the same colour in the row above (both rows are sorted)
+                while (above < previousRow.length && runs[previousRow[above]].end < x) above++;
+                for (let k = above; k < previousRow.length && runs[previousRow[k]].start <= end; k++) {
+                    if (runs[previousRow[k]].color === color) parent[find(previousRow[k])] = find(id);
+                }
+
+                x = end + 1;
+            }
+            previousRow = row;
+        }
+
+        return { runs, label: runs.map((run, i) => find(i)) };
+    }
+
+    /**
+     * Cells, bounds, centroid and perimeter per region, plus boundary cells for the edge map
+     */
+    measureRegions(cells, { runs, label }, gridWidth, gridHeight) {
+        const byLabel = new Map();
+        const cellLabel = new Int32Array(gridWidth * gridHeight);
+
+        runs.forEach((run, i) => {
+            let region = byLabel.get(label[i]);
+            if (!region) {
+                region = {
+                    colorIndex: run.color, cells: 0, sumX: 0, sumY: 0, perimeter: 0, runs: [],
+                    minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity
+                };
+                byLabel.set(label[i], region);
+            }
+
+            const length = run.end - run.start + 1;
+            region.cells += length;
+            region.sumX += (run.start + run.end) / 2 * length;
+            region.sumY += run.y * length;
+            region.minX = Math.min(region.minX, run.start);
+            region.maxX = Math.max(region.maxX, run.end);
+            region.minY = Math.min(region.minY, run.y);
+            region.maxY = Math.max(region.maxY, run.y);
+            region.runs.push(run);
+            cellLabel.fill(label[i], run.y * gridWidth + run.start, run.y * gridWidth + run.end + 1);
+        });
+
+        // Boundary edges: frame edges count toward perimeter, only colour changes toward the edge map
+        const boundaryCells = new Uint8Array(gridWidth * gridHeight);
+        const histogram = new Array(8).fill(0);
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const idx = y * gridWidth + x;
+                const region = byLabel.get(cellLabel[idx]);
+
+                if (x === 0 || x === gridWidth - 1) region.perimeter++;
+                if (y === 0 || y === gridHeight - 1) region.perimeter++;
+
+                if (x + 1 < gridWidth && cells[idx + 1] !== cells[idx]) {
+                    region.perimeter++;
+                    byLabel.get(cellLabel[idx + 1]).perimeter++;
+                    boundaryCells[idx] = boundaryCells[idx + 1] = 1;
+                    histogram[4]++; // horizontal gradient
+                }
+                if (y + 1 < gridHeight && cells[idx + gridWidth] !== cells[idx]) {
+                    region.perimeter++;
+                    byLabel.get(cellLabel[idx + gridWidth]).perimeter++;
+                    boundaryCells[idx] = boundaryCells[idx + gridWidth] = 1;
+                    histogram[6]++; // vertical gradient
+                }
+            }
+        }
+
+        const regions = Array.from(byLabel.values());
+        regions.boundaryCells = boundaryCells;
+        regions.histogram = histogram;
+        return regions;
+    }
+
+    regionToShape(region, color, { block, originX, originY, width, height }) {
+        const toX = cx => Math.min(width - 1, Math.max(0, originX + cx * block));
+        const toY = cy => Math.min(height - 1, Math.max(0, originY + cy * block));
+
+        const boundingBox = {
+            minX: toX(region.minX),
+            minY: toY(region.minY),
+            maxX: Math.min(width - 1, originX + (region.maxX + 1) * block - 1),
+            maxY: Math.min(height - 1, originY + (region.maxY + 1) * block - 1)
+        };
+        boundingBox.width = boundingBox.maxX - boundingBox.minX;
+        boundingBox.height = boundingBox.maxY - boundingBox.minY;
+
+        // Run ends outline the region well enough for orientation and classifiers
+        const points = [];
+        region.runs.forEach(run => {
+            const y = toY(run.y + 0.5);
+            points.push({ x: toX(run.start), y }, { x: toX(run.end + 1), y });
+        });
+
+        const shape = {
+            points,
+            centroid: {
+                x: originX + (region.sumX / region.cells + 0.5) * block,
+                y: originY + (region.sumY / region.cells + 0.5) * block
+            },
+            area: region.cells * block * block,
+            perimeter: region.perimeter * block,
+            boundingBox,
+            color,
+            paletteIndex: region.colorIndex
+        };
+
+        const fill = region.cells / ((region.maxX - region.minX + 1) * (region.maxY - region.minY + 1));
+        shape.type = this.encoder.classifyRegionShape(fill, (region.maxX - region.minX + 1) / (region.maxY - region.minY + 1));
+        shape.saliency = this.encoder.calculateShapeSaliency(shape, width, height);
+        shape.symbolWeight = this.encoder.calculateSymbolWeight(shape);
+
+        return shape;
+    }
+
+    /**
+     * Edge map in pixel space from region boundaries, shaped like detectEdges() output
+     */
+    regionEdges(boundaryCells, histogram, cellCount, { block, originX, originY, width, height }) {
+        const map = new Float32Array(width * height);
+        const gridWidth = Math.ceil((width - originX) / block);
+        let boundaries = 0;
+
+        boundaryCells.forEach((isBoundary, idx) => {
+            if (!isBoundary) return;
+            boundaries++;
+
+            const x0 = Math.max(0, originX + (idx % gridWidth) * block);
+            const y0 = Math.max(0, originY + Math.floor(idx / gridWidth) * block);
+            const x1 = Math.min(width, originX + (idx % gridWidth + 1) * block);
+            const y1 = Math.min(height, originY + (Math.floor(idx / gridWidth) + 1) * block);
+            for (let y = y0; y < y1; y++) map.fill(255, y * width + x0, y * width + x1);
+        });
+
+        return {
+            map,
+            density: cellCount ? boundaries / cellCount : 0,
+            orientation: this.encoder.summarizeOrientation(histogram)
+        };
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PixelArtAnalyzer;
+} else if (typeof window !== 'undefined') {
+    window.PixelArtAnalyzer = PixelArtAnalyzer;
+}
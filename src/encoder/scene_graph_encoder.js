@@ -0,0 +1,316 @@
+// scene_graph_encoder.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: SCENE-GRAPH PERCEPTION
+// =====================================================
+// NPCs do not need a rendered frame to perceive: the game
+// already knows what is in view. This builds the same
+// perception structure analyzePerception() returns, from
+// an entity list, so the usual emotion, culture, symbol
+// and parity stages produce a code in the normal format.
+//
+//   entity   { type, position: { x, y }, size: { width, height },
+//              color, light, emotion, depth, shape, salience }
+//
+// Positions and sizes are in view units (context.view,
+// default 1 × 1, so 0-1); an entity wholly outside the
+// view is an error. The view is mapped onto a
+// virtual frame of VIRTUAL_WIDTH pixels and sampled on
+// the encoder's sample grid for colours and edges; drawn
+// far to near, so nearer entities hide what is behind.
+// =====================================================
+
+const ChannelAnalyzer = require('./channel_analyzer');
+
+// Virtual frame width in pixels (sizes feed pixel-scaled saliency)
+const VIRTUAL_WIDTH = 320;
+
+// Emotion tags → valence/arousal
+const EMOTION_TAGS = {
+    joyful: { valence: 0.8, arousal: 0.75 },
+    peaceful: { valence: 0.75, arousal: 0.25 },
+    tense: { valence: 0.25, arousal: 0.8 },
+    melancholic: { valence: 0.25, arousal: 0.25 },
+    neutral: { valence: 0.5, arousal: 0.5 },
+    fear: { valence: 0.15, arousal: 0.85 },
+    anger: { valence: 0.2, arousal: 0.9 },
+    wonder: { valence: 0.7, arousal: 0.6 }
+};
+
+const EMOTION_ALIASES = {
+    joy: 'joyful', happy: 'joyful', calm: 'peaceful', safe: 'peaceful',
+    sad: 'melancholic', sadness: 'melancholic', threat: 'fear', danger: 'fear',
+    afraid: 'fear', angry: 'anger', curiosity: 'wonder', curious: 'wonder'
+};
+
+class SceneGraphEncoder {
+    /**
+     * @param {PerceptualAlchemyEncoder} encoder - Supplies analysis stages, classifier and vocabulary
+     */
+    constructor(encoder) {
+        this.encoder = encoder;
+    }
+
+    /**
+     * @param {Array} entities - See file header
+     * @param {Object} context - { view: { width, height }, light, background }
+     * @returns {Object} Perception in analyzePerception() form, inputMode 'scene-graph'
+     */
+    perceive(entities, context = {}) {
+        if (!Array.isArray(entities)) throw new Error('Scene graph must be an array of entities');
+
+        const view = context.view || { width: 1, height: 1 };
+        if (!(view.width > 0) || !(view.height > 0)) throw new Error('Scene view needs a positive width and height');
+
+        const scale = VIRTUAL_WIDTH / view.width;
+        const width = VIRTUAL_WIDTH;
+        const height = Math.max(1, Math.round(view.height * scale));
+        const ambient = SceneGraphEncoder.clamp(context.light ?? 1);
+
+        const visible = entities.map((entity, index) => this.toShape(entity, index, view, ambient, width, height));
+        const hasDepth = visible.some(shape => shape.depth !== undefined);
+        if (hasDepth) visible.forEach(shape => { shape.depth = shape.depth ?? 0.5; });
+
+        const background = SceneGraphEncoder.scaleColor(
+            SceneGraphEncoder.parseColor(context.background ?? { r: 128, g: 128, b: 128 }, 'background'), ambient);
+        const raster = this.rasterize(visible, background, width, height, hasDepth);
+
+        // Same stages as pixels from here on
+        const shapes = this.encoder.clusterShapes(visible, width, height, null);
+        const colors = this.encoder.analyzeColorSamples(raster.samples);
+        this.encoder.objectClassifier.classify(shapes, { imageData: null, width, height, colors });
+        if (this.encoder.profile) this.encoder.profile.biasObjects(shapes);
+
+        const depth = hasDepth ? { coverage: raster.coverage } : null;
+        if (depth) {
+            shapes.forEach(shape => { shape.layer = ChannelAnalyzer.LAYERS[ChannelAnalyzer.layerIndex(shape.depth)]; });
+        }
+        const spatial = this.encoder.analyzeSpatial(shapes, colors, width, height, depth);
+        const saliency = this.encoder.calculateSaliency(raster.edges, colors, spatial);
+
+        return {
+            edges: raster.edges,
+            shapes,
+            colors,
+            spatial,
+            saliency,
+            dimensions: { width, height },
+            shapeStats: { contours: visible.length, objects: shapes.length },
+            inputMode: 'scene-graph',
+            pixelArt: null,
+            channels: hasDepth ? ['depth'] : []
+        };
+    }
+
+    /**
+     * Context for analyzeEmotion(): entity emotion tags, weighted by salience, joined with any context emotion
+     */
+    emotionContext(perception, context = {}) {
+        const tagged = perception.shapes.filter(shape => shape.emotion);
+        if (!tagged.length) return context;
+
+        const weight = shape => Math.max(shape.symbolWeight, 0.01);
+        const total = tagged.reduce((sum, shape) => sum + weight(shape), 0);
+        const felt = {
+            valence: tagged.reduce((sum, shape) => sum + shape.emotion.valence * weight(shape), 0) / total,
+            arousal: tagged.reduce((sum, shape) => sum + shape.emotion.arousal * weight(shape), 0) / total
+        };
+
+        const emotion = context.emotion ? {
+            valence: (context.emotion.valence + felt.valence) / 2,
+            arousal: (context.emotion.arousal + felt.arousal) / 2
+        } : felt;
+
+        return { ...context, emotion };
+    }
+
+    // === ENTITIES ===========================================================
+
+    toShape(entity, index, view, ambient, frameWidth, frameHeight) {
+        if (!entity || typeof entity.type !== 'string' || !entity.type) {
+            throw new Error(`Entity ${index} needs a type`);
+        }
+        const position = entity.position || {};
+        if (!Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+            throw new Error(`Entity ${index} (${entity.type}) needs a numeric position { x, y }`);
+        }
+
+        const scale = frameWidth / view.width;
+        const size = entity.size || { width: 0.1 * VIRTUAL_WIDTH / scale, height: 0.1 * VIRTUAL_WIDTH / scale };
+        const w = Math.max(1, size.width * scale);
+        const h = Math.max(1, size.height * scale);
+        const cx = position.x * scale;
+        const cy = position.y * scale;
+
+        const boundingBox = { minX: cx - w / 2, minY: cy - h / 2, maxX: cx + w / 2, maxY: cy + h / 2, width: w, height: h };
+
+        // Nothing of it in view: most likely world or pixel coordinates against the default 1 × 1 view
+        if (boundingBox.maxX < 0 || boundingBox.maxY < 0 || boundingBox.minX >= frameWidth || boundingBox.minY >= frameHeight) {
+            throw new Error(`Entity ${index} (${entity.type}) at (${position.x}, ${position.y}) lies outside the ` +
+                `${view.width} × ${view.height} view; pass context.view in the units of its position`);
+        }
+
+        const registry = this.encoder.vocabulary.registry;
+        const shape = {
+            points: [
+                { x: boundingBox.minX, y: boundingBox.minY }, { x: boundingBox.maxX, y: boundingBox.minY },
+                { x: boundingBox.maxX, y: boundingBox.maxY }, { x: boundingBox.minX, y: boundingBox.maxY }
+            ],
+            centroid: { x: cx, y: cy },
+            area: w * h,
+            perimeter: 2 * (w + h),
+            boundingBox,
+            type: entity.shape || this.encoder.classifyRegionShape(0.6, w / h),
+            entityType: entity.type,
+            label: registry.has('object', entity.type) ? entity.type : null,
+            labelSource: 'scene-graph',
+            color: SceneGraphEncoder.scaleColor(
+                SceneGraphEncoder.parseColor(entity.color ?? { r: 128, g: 128, b: 128 }, `Entity ${index} color`),
+                SceneGraphEncoder.clamp(entity.light ?? ambient)),
+            emotion: entity.emotion ? SceneGraphEncoder.parseEmotion(entity.emotion, index) : null,
+            order: index
+        };
+        if (entity.depth !== undefined) shape.depth = SceneGraphEncoder.clamp(entity.depth);
+
+        shape.saliency = entity.salience ?? this.encoder.calculateShapeSaliency(shape, frameWidth, frameHeight);
+        shape.symbolWeight = this.encoder.calculateSymbolWeight(shape);
+        return shape;
+    }
+
+    /**
+     * Samples the view on the encoder's sample grid: colour samples, boundary edges, depth coverage
+     */
+    rasterize(shapes, background, width, height, hasDepth) {
+        const step = this.encoder.SAMPLE_RATE;
+        const colorStride = 4; // analyzeColors() samples every 4th grid point
+        const columns = Math.ceil(width / step);
+        const rows = Math.ceil(height / step);
+
+        // Far to near, then list order: the last hit is the visible entity
+        const drawOrder = shapes.slice().sort((a, b) => ((b.depth ?? 0) - (a.depth ?? 0)) || a.order - b.order);
+
+        // Paint each entity onto the grid points its box covers; nearer ones overwrite
+        const ids = new Int32Array(columns * rows).fill(-1);
+        drawOrder.forEach((shape, i) => {
+            const box = shape.boundingBox;
+            const [firstColumn, lastColumn] = SceneGraphEncoder.gridSpan(box.minX, box.maxX, step, columns);
+            const [firstRow, lastRow] = SceneGraphEncoder.gridSpan(box.minY, box.maxY, step, rows);
+            for (let row = firstRow; row <= lastRow; row++) {
+                ids.fill(i, row * columns + firstColumn, row * columns + lastColumn + 1);
+            }
+        });
+
+        const layerCounts = [0, 0, 0];
+        const samples = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const id = ids[row * columns + column];
+                const hit = id === -1 ? null : drawOrder[id];
+
+                if (hasDepth) layerCounts[ChannelAnalyzer.layerIndex(hit ? hit.depth : 1)]++;
+                if (row % colorStride === 0 && column % colorStride === 0) {
+                    const color = hit ? hit.color : background;
+                    samples.push({ r: color.r, g: color.g, b: color.b, x: column * step, y: row * step });
+                }
+            }
+        }
+
+        // Entity boundaries on the grid stand in for gradient edges
+        const histogram = new Array(8).fill(0);
+        let boundaries = 0;
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const idx = row * columns + column;
+                let boundary = false;
+                if (column + 1 < columns && ids[idx + 1] !== ids[idx]) {
+                    histogram[4]++;
+                    boundary = true;
+                }
+                if (row + 1 < rows && ids[idx + columns] !== ids[idx]) {
+                    histogram[6]++;
+                    boundary = true;
+                }
+                if (boundary) boundaries++;
+            }
+        }
+
+        const cells = columns * rows;
+        return {
+            samples,
+            edges: {
+                map: null,
+                density: boundaries / cells,
+                orientation: this.encoder.summarizeOrientation(histogram)
+            },
+            coverage: {
+                foreground: layerCounts[0] / cells,
+                midground: layerCounts[1] / cells,
+                background: layerCounts[2] / cells
+            }
+        };
+    }
+
+    /**
+     * First and last grid index whose point (index · step) lies in [min, max], clamped to the grid
+     * @returns {Array} [first, last]; first > last when no point does
+     */
+    static gridSpan(min, max, step, count) {
+        let first = Math.max(0, Math.ceil(min / step));
+        let last = Math.min(count - 1, Math.floor(max / step));
+        // Division can round across a grid point
+        if (first * step < min) first++;
+        if (last * step > max) last--;
+        return [first, last];
+    }
+
+    // === VALUES =============================================================
+
+    static parseColor(color, what) {
+        if (Array.isArray(color) && color.length >= 3) return { r: color[0], g: color[1], b: color[2] };
+        if (color && typeof color === 'object' && ['r', 'g', 'b'].every(c => Number.isFinite(color[c]))) {
+            return { r: color.r, g: color.g, b: color.b };
+        }
+
+        const hex = typeof color === 'string' && color.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, d => d + d) : hex[1];
+            return {
+                r: parseInt(digits.slice(0, 2), 16),
+                g: parseInt(digits.slice(2, 4), 16),
+                b: parseInt(digits.slice(4, 6), 16)
+            };
+        }
+
+        throw new Error(`${what} must be [r, g, b], { r, g, b } or '#rrggbb'`);
+    }
+
+    static parseEmotion(emotion, index) {
+        if (typeof emotion === 'object' && Number.isFinite(emotion.valence) && Number.isFinite(emotion.arousal)) {
+            return { valence: emotion.valence, arousal: emotion.arousal };
+        }
+
+        const tag = String(emotion).toLowerCase();
+        const values = EMOTION_TAGS[EMOTION_ALIASES[tag] || tag];
+        if (!values) {
+            throw new Error(`Entity ${index} has unknown emotion tag '${emotion}' (known: ${Object.keys(EMOTION_TAGS).join(', ')})`);
+        }
+        return { ...values };
+    }
+
+    static scaleColor(color, light) {
+        return { r: color.r * light, g: color.g * light, b: color.b * light };
+    }
+
+    static clamp(value) {
+        return Math.min(1, Math.max(0, value));
+    }
+}
+
+SceneGraphEncoder.EMOTION_TAGS = EMOTION_TAGS;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneGraphEncoder;
+} else if (typeof window !== 'undefined') {
+    window.SceneGraphEncoder = SceneGraphEncoder;
+}
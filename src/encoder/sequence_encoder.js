@@ -0,0 +1,247 @@
+// sequence_encoder.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: FRAME SEQUENCE ENCODER
+// =====================================================
+// Streams video frames as full symbolic keyframes (K_t)
+// at intervals, with compact delta frames (D_t) carrying
+// camera motion and changed objects in between. The
+// tracked object model is updated only with what was
+// actually emitted, so it always matches what a decoder
+// reconstructs from the stream.
+// =====================================================
+
+const CodeHeader = require('../utils/code_header');
+const MotionCodec = require('../utils/motion_codec');
+
+class SequenceEncoder {
+    /**
+     * @param {PerceptualAlchemyEncoder} encoder - Encoder used for keyframes and perception
+     * @param {Object} options - { keyframeInterval, maxDeltaObjects, matchDistance }
+     */
+    constructor(encoder, options = {}) {
+        this.encoder = encoder;
+        this.keyframeInterval = options.keyframeInterval || 12;
+        this.maxDeltaObjects = options.maxDeltaObjects || 3;
+        this.matchDistance = options.matchDistance || 0.25;
+
+        this.frameIndex = 0;
+        this.framesSinceKeyframe = 0;
+        this.tracked = null;
+    }
+
+    // === PUBLIC API =========================================================
+
+    /**
+     * Encodes the next frame of the stream
+     * @param {ImageData} imageData - Raw frame
+     * @param {Object} context - Optional emotional/narrative context
+     * @returns {Object} { index, type: 'keyframe'|'delta', code, ... }
+     */
+    push(imageData, context = {}) {
+        const index = this.frameIndex++;
+
+        if (this.tracked === null) {
+            return this.emitKeyframe(imageData, context, index, 'start');
+        }
+        if (this.framesSinceKeyframe >= this.keyframeInterval) {
+            return this.emitKeyframe(imageData, context, index, 'interval');
+        }
+
+        const perception = this.encoder.analyzePerception(imageData);
+        const detections = this.detectObjects(perception.shapes, imageData.width, imageData.height);
+        const motion = this.estimateMotion(detections);
+
+        if (motion.sceneChange) {
+            return this.emitKeyframe(imageData, context, index, 'scene-change');
+        }
+
+        // Keep the emotional trajectory continuous across delta frames
+        this.encoder.analyzeEmotion(perception, context);
+
+        const delta = this.buildDelta(motion);
+        const body = MotionCodec.encodeDelta(delta);
+        const code = MotionCodec.DELTA_MARKER + this.encoder.addReedSolomonErrorCorrection(body);
+
+        this.applyToModel(delta, motion);
+        this.framesSinceKeyframe++;
+
+        return {
+            index,
+            type: 'delta',
+            code,
+            motion: {
+                camera: {
+                    x: MotionCodec.dequantizeVelocity(delta.camera[0]),
+                    y: MotionCodec.dequantizeVelocity(delta.camera[1])
+                },
+                objects: delta.entries
+                    .filter(e => e.change !== 'move' || !MotionCodec.isStill(e.bins))
+                    .map(({ detection, ...entry }) => entry)
+            }
+        };
+    }
+
+    /**
+     * Forces the next pushed frame to be a keyframe
+     */
+    requestKeyframe() {
+        this.framesSinceKeyframe = this.keyframeInterval;
+    }
+
+    // === KEYFRAMES ==========================================================
+
+    emitKeyframe(imageData, context, index, reason) {
+        const result = this.encoder.encode(imageData, context);
+        const shapes = result.analysis.perception.shapes;
+
+        // Encoded objects are the leading shapes, in order
+        const encoded = MotionCodec.parseObjectSegment(this.objectSegment(result.code), this.encoder.vocabulary.registry);
+        this.tracked = encoded.map((obj, i) => ({
+            ...obj,
+            seen: shapes[i] ? this.normalizeCentroid(shapes[i], imageData.width, imageData.height) : { x: obj.x, y: obj.y }
+        }));
+        this.framesSinceKeyframe = 1;
+
+        return { index, type: 'keyframe', code: result.code, reason, result };
+    }
+
+    objectSegment(code) {
+        const budget = this.encoder.budgets[this.encoder.mode];
+        const start = (CodeHeader.isVersioned(code) ? CodeHeader.LENGTH : 0) + budget.scene;
+        return code.substr(start, budget.objects);
+    }
+
+    // === MOTION ESTIMATION ==================================================
+
+    detectObjects(shapes, width, height) {
+        const limit = Math.max(this.tracked.length, this.maxDeltaObjects) * 2;
+
+        return shapes.slice(0, limit).map(shape => ({
+            symbol: this.encoder.vocabulary.getSymbol('object', shape.type),
+            ...this.normalizeCentroid(shape, width, height)
+        }));
+    }
+
+    normalizeCentroid(shape, width, height) {
+        return { x: shape.centroid.x / width, y: shape.centroid.y / height };
+    }
+
+    estimateMotion(detections) {
+        const used = new Set();
+
+        // Greedy nearest match by symbol, in tracked (saliency) order
+        const matches = this.tracked.map(obj => {
+            let best = null;
+            let bestDist = this.matchDistance;
+
+            detections.forEach((det, i) => {
+                if (used.has(i) || det.symbol !== obj.symbol) return;
+                const dist = Math.hypot(det.x - obj.seen.x, det.y - obj.seen.y);
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = i;
+                }
+            });
+
+            if (best === null) return null;
+            used.add(best);
+            return detections[best];
+        });
+
+        const velocities = matches
+            .map((det, i) => det && { x: det.x - this.tracked[i].seen.x, y: det.y - this.tracked[i].seen.y })
+            .filter(Boolean);
+
+        // Camera motion is the shared component of all object motion
+        const camera = velocities.length >= 2 ?
+            { x: this.median(velocities.map(v => v.x)), y: this.median(velocities.map(v => v.y)) } :
+            { x: 0, y: 0 };
+
+        const appeared = detections.filter((_, i) => !used.has(i)).slice(0, this.maxDeltaObjects);
+        const vanished = matches.filter(m => m === null).length;
+
+        return {
+            matches,
+            camera,
+            appeared,
+            sceneChange: vanished + appeared.length > Math.max(2, this.tracked.length / 2)
+        };
+    }
+
+    median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    // === DELTA CONSTRUCTION =================================================
+
+    buildDelta(motion) {
+        const camera = MotionCodec.quantizeVelocity(motion.camera.x) + MotionCodec.quantizeVelocity(motion.camera.y);
+        const cameraX = MotionCodec.dequantizeVelocity(camera[0]);
+        const cameraY = MotionCodec.dequantizeVelocity(camera[1]);
+
+        const entries = [];
+        const pending = {}; // Unchanged same-symbol objects that still need a placeholder
+        const limit = this.maxDeltaObjects;
+
+        for (let i = 0; i < this.tracked.length && entries.length < limit; i++) {
+            const obj = this.tracked[i];
+            const det = motion.matches[i];
+            let entry = null;
+
+            if (!det) {
+                entry = { symbol: obj.symbol, change: 'vanish' };
+            } else {
+                const bins = MotionCodec.quantizeVelocity(det.x - obj.seen.x - cameraX) +
+                             MotionCodec.quantizeVelocity(det.y - obj.seen.y - cameraY);
+                if (!MotionCodec.isStill(bins)) {
+                    entry = { symbol: obj.symbol, change: 'move', bins };
+                }
+            }
+
+            if (!entry) {
+                pending[obj.symbol] = (pending[obj.symbol] || 0) + 1;
+                continue;
+            }
+
+            const skips = pending[obj.symbol] || 0;
+            if (entries.length + skips + 1 > limit) break;
+
+            for (let s = 0; s < skips; s++) {
+                entries.push({ symbol: obj.symbol, change: 'move', bins: MotionCodec.STILL + MotionCodec.STILL });
+            }
+            pending[obj.symbol] = 0;
+            entries.push(entry);
+        }
+
+        motion.appeared.slice(0, limit - entries.length).forEach(det => {
+            entries.push({ symbol: det.symbol, change: 'appear', cell: MotionCodec.gridCell(det.x, det.y), detection: det });
+        });
+
+        return { camera, entries };
+    }
+
+    applyToModel(delta, motion) {
+        // Record where each tracked object was really seen before the list changes
+        this.tracked.forEach((obj, i) => {
+            if (motion.matches[i]) obj.seen = { x: motion.matches[i].x, y: motion.matches[i].y };
+        });
+
+        const { appeared } = MotionCodec.applyDelta(this.tracked, delta);
+
+        const appearEntries = delta.entries.filter(e => e.change === 'appear');
+        appeared.forEach((obj, i) => {
+            const det = appearEntries[i].detection;
+            obj.seen = { x: det.x, y: det.y };
+        });
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SequenceEncoder;
+} else if (typeof window !== 'undefined') {
+    window.SequenceEncoder = SequenceEncoder;
+}
@@ -0,0 +1,115 @@
+// strata_encoder.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: HIERARCHICAL STRATA ENCODER
+// =====================================================
+// Builds the intermediate and fine perceptual strata that
+// refine a global code. Each stratum summarises image
+// sub-regions (quadrants / grid cells, or radial sectors
+// for radial cultures) and carries its own parity so it
+// can be transmitted and decoded independently.
+// =====================================================
+
+const StrataFormat = require('../utils/strata_format');
+
+class StrataEncoder {
+    /**
+     * @param {PerceptualAlchemyEncoder} encoder - Supplies vocabulary, quantizers and parity
+     */
+    constructor(encoder) {
+        this.encoder = encoder;
+    }
+
+    /**
+     * @param {ImageData} imageData - Raw image data
+     * @param {Object} perception - Output of analyzePerception()
+     * @returns {Object} { layout, intermediate, fine } stratum codes
+     */
+    encode(imageData, perception) {
+        const layout = this.encoder.culturalGrammar.spatial.priority === 'radial' ? 'radial' : 'cartesian';
+
+        const intermediate = this.analyzeRegions(imageData, perception, 'intermediate', layout);
+        const fine = this.analyzeRegions(imageData, perception, 'fine', layout);
+
+        return {
+            layout,
+            intermediate: this.frameStratum('intermediate', layout, this.encodeIntermediate(intermediate)),
+            fine: this.frameStratum('fine', layout, this.encodeFine(fine))
+        };
+    }
+
+    // === REGION ANALYSIS ====================================================
+
+    analyzeRegions(imageData, perception, level, layout) {
+        const { width, height, data } = imageData;
+        const count = StrataFormat.regionCount(level);
+        const regions = Array.from({ length: count }, () => ({
+            samples: 0, luminance: 0, r: 0, g: 0, b: 0, edges: 0, shape: null
+        }));
+
+        const step = this.encoder.SAMPLE_RATE;
+        for (let y = 1; y < height - 1; y += step) {
+            for (let x = 1; x < width - 1; x += step) {
+                const region = regions[StrataFormat.regionIndex(x / width, y / height, level, layout)];
+                const idx = y * width + x;
+
+                region.samples++;
+                region.luminance += this.encoder.getLuminance(data, idx);
+                region.r += data[idx * 4];
+                region.g += data[idx * 4 + 1];
+                region.b += data[idx * 4 + 2];
+
+                // Same sampling grid as detectEdges, so every sample has an edge value
+                if (perception.edges.map[idx] > this.encoder.EDGE_THRESHOLD) region.edges++;
+            }
+        }
+
+        // Shapes are sorted by weight, so the first hit is the most salient
+        perception.shapes.forEach(shape => {
+            const index = StrataFormat.regionIndex(shape.centroid.x / width, shape.centroid.y / height, level, layout);
+            if (!regions[index].shape) regions[index].shape = shape;
+        });
+
+        return regions.map(region => {
+            const n = Math.max(1, region.samples);
+            return {
+                luminance: region.luminance / n / 255,
+                warmth: ((region.r - region.b) / n / 255 + 1) / 2,
+                energy: region.edges / n,
+                shape: region.shape
+            };
+        });
+    }
+
+    // === STRATUM SYMBOLS ====================================================
+
+    encodeIntermediate(regions) {
+        return regions.map(region => {
+            const objectSymbol = region.shape ?
+                this.encoder.vocabulary.getSymbol('object', region.shape.type) :
+                '0';
+            return objectSymbol +
+                this.encoder.quantizeToSymbol(region.warmth) +
+                this.encoder.quantizeToSymbol(region.energy);
+        }).join('');
+    }
+
+    encodeFine(cells) {
+        return cells.map(cell => {
+            const symbol = this.encoder.quantizeToSymbol(cell.luminance);
+            return cell.shape ? symbol.toLowerCase() : symbol;
+        }).join('');
+    }
+
+    frameStratum(level, layout, body) {
+        const payload = StrataFormat.levelId(level) + StrataFormat.layoutId(layout) + body;
+        return StrataFormat.MARKER + this.encoder.addReedSolomonErrorCorrection(payload);
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrataEncoder;
+} else if (typeof window !== 'undefined') {
+    window.StrataEncoder = StrataEncoder;
+}
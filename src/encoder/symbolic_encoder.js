@@ -5,32 +5,111 @@
 // Complete implementation with all placeholders filled
 // =====================================================
 
+const { ReedSolomonCodec } = require('../utils/reed_solomon');
+const CodeHeader = require('../utils/code_header');
+const SequenceEncoder = require('./sequence_encoder');
+const StrataEncoder = require('./strata_encoder');
+const VocabularyRegistry = require('../vocabulary/vocabulary_registry');
+const SeededRandom = require('../utils/prng');
+const ImageLoader = require('../utils/image_loader');
+const ObjectClassifier = require('./object_classifier');
+const PixelArtAnalyzer = require('./pixel_art_analyzer');
+const ChannelAnalyzer = require('./channel_analyzer');
+const SceneGraphEncoder = require('./scene_graph_encoder');
+const PerceptualProfile = require('./perceptual_profile');
+const PerceptualDegradation = require('../utils/perceptual_degradation');
+const CultureRegistry = require('../culture/culture_registry');
+
+// High-resolution timer where available (browsers, Node 16+), wall clock elsewhere
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
 class PerceptualAlchemyEncoder {
     constructor(options = {}) {
         this.mode = options.mode || 'balanced'; // mobile | balanced | rich
         this.culture = options.culture || 'universal';
         this.emotionalContext = options.emotionalContext || null;
         
-        // Dynamic vocabulary system
-        this.vocabulary = new DynamicVocabulary();
+        // Published symbol vocabulary shared with the decoder
+        this.vocabulary = new DynamicVocabulary(options.vocabulary);
         
-        // Cultural grammar loader
+        // Semantic recognition: geometric shapes → object vocabulary labels
+        this.objectClassifier = new ObjectClassifier({
+            registry: this.vocabulary.registry,
+            rules: options.semanticRules,
+            minConfidence: options.minClassifierConfidence
+        });
+        (options.classifiers || []).forEach(entry => {
+            this.registerClassifier(entry.name, entry.classify, { priority: entry.priority });
+        });
+        
+        // Cultural grammar from culture packs: a name or a weighted blend
+        // ({ japanese: 0.7, norse: 0.3 }, 'japanese+norse'); unknown cultures throw
+        this.cultures = options.cultures || CultureRegistry.default();
         this.culturalGrammar = this.loadCulturalGrammar(this.culture);
         
         // Emotional trajectory buffer
         this.emotionalBuffer = [];
         
+        // Reed-Solomon parity (corrects floor(paritySymbols / 2) symbol errors)
+        this.paritySymbols = options.paritySymbols ?? 4;
+        this.errorCorrection = new ReedSolomonCodec({ paritySymbols: this.paritySymbols });
+        
+        // Versioned header (spec section 8); disable to emit legacy headerless codes
+        this.versionHeader = options.versionHeader !== false;
+        
+        // Multi-scale strata (spec section 5): global code + intermediate + fine
+        this.hierarchical = options.hierarchical || false;
+        this.strataEncoder = new StrataEncoder(this);
+        
+        // Random source: a seed restarts the same stream on every encode()
+        this.seed = options.seed ?? null;
+        this.random = options.random || Math.random;
+        
         // Perceptual constants
-        this.EDGE_THRESHOLD = this.mode === 'mobile' ? 100 : 64;
+        this.baseEdgeThreshold = this.mode === 'mobile' ? 100 : 64;
+        this.EDGE_THRESHOLD = this.baseEdgeThreshold;
         this.SAMPLE_RATE = this.mode === 'mobile' ? 8 : 4;
         
-        // Symbol allocation budgets
+        // Symbol allocation budgets (position: characters per object position)
         this.budgets = {
-            mobile: { total: 16, scene: 3, objects: 6, spatial: 4, emotion: 3 },
-            balanced: { total: 26, scene: 4, objects: 12, spatial: 6, emotion: 4 },
-            rich: { total: 32, scene: 4, objects: 14, spatial: 8, emotion: 6 }
+            mobile: { total: 16, scene: 3, objects: 6, spatial: 4, emotion: 3, position: 1 },
+            balanced: { total: 26, scene: 4, objects: 12, spatial: 6, emotion: 4, position: 1 },
+            rich: { total: 32, scene: 4, objects: 14, spatial: 8, emotion: 6, position: 2 }
         };
         
+        // Shape grouping: contours within clusterGap pixels merge into one object,
+        // no object grows past maxClusterExtent of the frame, maxObjects survive
+        this.clusterGap = options.clusterGap ?? this.SAMPLE_RATE * 2;
+        this.maxClusterExtent = options.maxClusterExtent ?? 0.25;
+        this.baseMaxObjects = options.maxObjects ?? { mobile: 12, balanced: 24, rich: 32 }[this.mode];
+        this.maxObjects = this.baseMaxObjects;
+        
+        // Pixel-art path: 'auto' detects small palettes on a block grid, true/false forces it
+        this.pixelArtMode = options.pixelArt ?? 'auto';
+        this.paletteLimit = options.paletteLimit ?? 64;
+        this.pixelArtAnalyzer = new PixelArtAnalyzer(this);
+        
+        // Optional engine channels on the frame (depth buffer, segmentation ids)
+        this.channelAnalyzer = new ChannelAnalyzer(this);
+        
+        // Entity lists from the game world, perceived without pixels
+        this.sceneGraphEncoder = new SceneGraphEncoder(this);
+        
+        // Object position precision: 1 = 3×3 grid digit, 2 = 26×26 A-Z pair
+        this.positionPrecision = options.positionPrecision ?? this.budgets[this.mode].position;
+        if (![1, 2].includes(this.positionPrecision)) {
+            throw new Error(`Unsupported position precision: ${this.positionPrecision} (expected 1 or 2)`);
+        }
+        
+        // NPC perceptual profile (attention, fear, curiosity, fatigue, trauma)
+        this.baseClassifierConfidence = this.objectClassifier.minConfidence;
+        this.setProfile(options.profile);
+        
+        // Fatigue/stress degradation, fed false objects from recently perceived ones
+        this.degradation = PerceptualDegradation.from(options.degradation);
+        this.perceptualMemory = [];
+        this.perceptualMemorySize = options.perceptualMemorySize ?? 16;
+        
         // Debug mode for symbol visualization
         this.debug = options.debug || false;
         this.symbolMap = new Map();
@@ -45,7 +124,7 @@ class PerceptualAlchemyEncoder {
      * @returns {Object} { code, analysis, confidence, narrative, debug }
      */
     encode(imageData, context = {}) {
-        const startTime = performance.now();
+        const startTime = now();
         
         // Validate input
         this.validateInput(imageData);
@@ -53,9 +132,58 @@ class PerceptualAlchemyEncoder {
         // Clear debug map for new encoding
         if (this.debug) this.symbolMap.clear();
         
+        // Seeded encodes repeat for the same input after the same earlier encodes:
+        // the emotional trend (emotionalBuffer) and recent shapes (perceptualMemory) carry over
+        if (this.seed !== null) this.random = SeededRandom.create(this.seed);
+        
         // 1. PERCEPTUAL ANALYSIS
         const perception = this.analyzePerception(imageData);
         
+        // 2-7. EMOTION, CULTURE, SYMBOLS, FRAMING, CONFIDENCE, NARRATIVE
+        const result = this.encodePerception(perception, context, startTime);
+        
+        // 8. HIERARCHICAL STRATA (optional progressive refinement)
+        if (this.hierarchical) {
+            const strata = this.strataEncoder.encode(imageData, result.analysis.perception);
+            result.strata = {
+                global: result.code,
+                intermediate: strata.intermediate,
+                fine: strata.fine,
+                layout: strata.layout
+            };
+            result.hierarchicalCode = result.code + strata.intermediate + strata.fine;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Encodes game entities straight into a code, without rendering a frame
+     * @param {Array} entities - { type, position: { x, y }, size: { width, height }, color, light, emotion, depth }
+     * @param {Object} context - Emotional/narrative context plus { view, light, background }
+     * @returns {Object} Same result as encode(), with inputMode 'scene-graph'
+     */
+    encodeSceneGraph(entities, context = {}) {
+        const startTime = now();
+        
+        if (this.debug) this.symbolMap.clear();
+        if (this.seed !== null) this.random = SeededRandom.create(this.seed);
+        
+        const perception = this.sceneGraphEncoder.perceive(entities, context);
+        return this.encodePerception(perception, this.sceneGraphEncoder.emotionContext(perception, context), startTime);
+    }
+    
+    /**
+     * Shared tail of encode() and encodeSceneGraph()
+     * @param {Object} perception - analyzePerception() output or equivalent
+     * @returns {Object} { code, analysis, confidence, narrative, inputMode, debug }
+     */
+    encodePerception(perception, context, startTime) {
+        // 1b. DEGRADATION (fatigue/stress), remembering what was really seen
+        const seen = perception.shapes;
+        perception = this.degradePerception(perception);
+        this.rememberShapes(seen, perception.dimensions);
+        
         // 2. EMOTIONAL ANALYSIS
         const emotion = this.analyzeEmotion(perception, context);
         
@@ -65,8 +193,8 @@ class PerceptualAlchemyEncoder {
         // 4. SYMBOLIC ENCODING
         const code = this.encodeToSymbols(culturalPerception, emotion);
         
-        // 5. ERROR CORRECTION (Reed-Solomon implementation)
-        const finalCode = this.addReedSolomonErrorCorrection(code);
+        // 5. VERSION HEADER + ERROR CORRECTION (Reed-Solomon)
+        const finalCode = this.frameCode(code);
         
         // 6. CONFIDENCE SCORING
         const confidence = this.calculateConfidence(perception, emotion);
@@ -80,10 +208,13 @@ class PerceptualAlchemyEncoder {
                 perception,
                 emotion,
                 cultural: culturalPerception,
-                processingTime: performance.now() - startTime
+                profile: this.profile ? this.profile.toJSON() : null,
+                degradation: perception.degradation || null,
+                processingTime: now() - startTime
             },
             confidence,
-            narrative: narrativeHint
+            narrative: narrativeHint,
+            inputMode: perception.inputMode
         };
         
         // Add debug information if enabled
@@ -97,48 +228,193 @@ class PerceptualAlchemyEncoder {
         return result;
     }
     
+    /**
+     * Encodes PNG, BMP, PPM or PGM bytes without a canvas
+     * @param {Uint8Array|ArrayBuffer|Buffer} buffer - Image file contents
+     * @param {Object} context - Optional emotional/narrative context
+     * @returns {Object} Same result as encode()
+     */
+    encodeBuffer(buffer, context = {}) {
+        return this.encode(ImageLoader.decode(buffer), context);
+    }
+    
+    /**
+     * Reads and encodes an image file (Node only)
+     * @param {string} file - Path to a PNG, BMP, PPM or PGM file
+     * @param {Object} context - Optional emotional/narrative context
+     * @returns {Object} Same result as encode()
+     */
+    encodeFile(file, context = {}) {
+        return this.encode(ImageLoader.load(file), context);
+    }
+    
+    /**
+     * Encodes a frame sequence as keyframes plus delta frames
+     * @param {Array} frames - ImageData, or { imageData, context } per frame
+     * @param {Object} options - { keyframeInterval, maxDeltaObjects, matchDistance }
+     * @returns {Array} One { index, type, code, ... } entry per frame
+     */
+    encodeSequence(frames, options = {}) {
+        const stream = this.createStream(options);
+        
+        return frames.map(frame => frame && frame.imageData ?
+            stream.push(frame.imageData, frame.context) :
+            stream.push(frame));
+    }
+    
+    /**
+     * Opens a streaming encoder; call push(imageData, context) per frame
+     * @param {Object} options - See encodeSequence
+     * @returns {SequenceEncoder}
+     */
+    createStream(options = {}) {
+        return new SequenceEncoder(this, options);
+    }
+    
+    /**
+     * Swaps the perceptual profile, e.g. as an NPC tires; null restores unbiased perception
+     * @param {PerceptualProfile|Object|null} profile - A profile or its levels
+     * @returns {PerceptualAlchemyEncoder} this
+     */
+    setProfile(profile) {
+        this.profile = PerceptualProfile.from(profile);
+        
+        if (this.profile) {
+            this.profile.triggers = this.profile.triggers.map(label => {
+                if (!this.vocabulary.registry.has('object', label)) {
+                    throw new Error(`Perceptual profile trigger '${label}' is not in the object vocabulary`);
+                }
+                return this.vocabulary.registry.resolve('object', label);
+            });
+        }
+        
+        this.EDGE_THRESHOLD = this.profile ? this.profile.edgeThreshold(this.baseEdgeThreshold) : this.baseEdgeThreshold;
+        this.maxObjects = this.profile ? this.profile.maxObjects(this.baseMaxObjects) : this.baseMaxObjects;
+        this.objectClassifier.minConfidence = this.profile ?
+            this.profile.classifierConfidence(this.baseClassifierConfidence) : this.baseClassifierConfidence;
+        return this;
+    }
+    
+    /**
+     * Sets fatigue/stress degradation; null restores clear perception
+     * @param {PerceptualDegradation|Object|null} degradation - { fatigue, stress } each 0-1
+     * @returns {PerceptualAlchemyEncoder} this
+     */
+    setDegradation(degradation) {
+        this.degradation = PerceptualDegradation.from(degradation);
+        return this;
+    }
+    
+    /**
+     * Adds a semantic classifier that runs before the rule-based default
+     * @param {string} name - Reported as shape.classification.source
+     * @param {Function} classify - (detection, context) => { label, confidence } | null;
+     *   label must be an object value (or alias) of the vocabulary
+     * @param {Object} options - { priority } (higher runs first)
+     * @returns {PerceptualAlchemyEncoder} this
+     */
+    registerClassifier(name, classify, options = {}) {
+        this.objectClassifier.register(name, classify, options);
+        return this;
+    }
+    
     // === PERCEPTUAL ANALYSIS ================================================
     
     analyzePerception(imageData) {
         const { width, height, data } = imageData;
+        const channels = this.channelAnalyzer.prepare(imageData);
         
-        // Edge detection using optimized Sobel
-        const edges = this.detectEdges(data, width, height);
+        const pixelArt = this.detectPixelArt(imageData);
+        let edges, contours;
         
-        // Shape primitives using complete marching squares
-        const shapes = this.extractShapes(edges, width, height);
+        if (pixelArt) {
+            // Palette regions from run-length blocks on the native grid
+            const regions = this.pixelArtAnalyzer.analyze(imageData, pixelArt);
+            edges = regions.edges;
+            contours = regions.shapes;
+            Object.assign(pixelArt, { grid: regions.grid, paletteSize: regions.paletteSize, regions: regions.regions });
+        } else {
+            // Edge detection using optimized Sobel
+            edges = this.detectEdges(data, width, height);
+            
+            // Shape primitives using complete marching squares
+            if (!channels.segmentation) contours = this.extractShapes(edges, width, height);
+        }
+        
+        // Engine segmentation gives the real object boundaries
+        if (channels.segmentation) {
+            contours = this.channelAnalyzer.extractSegments(channels.segmentation, channels.depth, width, height);
+        }
+        
+        // Perceptual objects: adjacent contours merged, ranked and capped
+        // (palette regions always share borders, so only overlapping ones merge;
+        // segments are already whole objects)
+        const gap = channels.segmentation ? null : pixelArt ? 0 : this.clusterGap;
+        const shapes = this.clusterShapes(contours, width, height, gap);
+        if (channels.depth) this.channelAnalyzer.assignLayers(shapes, channels.depth, width);
         
         // Color analysis with proper CIEDE2000
         const colors = this.analyzeColors(data, width, height);
         
-        // Spatial distribution with depth hints
-        const spatial = this.analyzeSpatial(shapes, colors, width, height);
+        // Semantic labels from shape, colour cluster, position and orientation
+        this.objectClassifier.classify(shapes, { imageData, width, height, colors });
+        if (this.profile) this.profile.biasObjects(shapes);
+        
+        // Spatial distribution with depth hints (exact layers from a depth buffer)
+        const spatial = this.analyzeSpatial(shapes, colors, width, height, channels.depth);
         
         // Visual saliency mapping
         const saliency = this.calculateSaliency(edges, colors, spatial);
         
-        return { edges, shapes, colors, spatial, saliency };
+        return {
+            edges, shapes, colors, spatial, saliency,
+            dimensions: { width, height },
+            shapeStats: { contours: contours.length, objects: shapes.length },
+            inputMode: pixelArt ? 'pixel-art' : 'photographic',
+            pixelArt,
+            channels: Object.keys(channels).filter(name => channels[name])
+        };
     }
     
+    /**
+     * @returns {Object|null} { paletteSize, blockSize, offset } when the pixel-art path applies
+     */
+    detectPixelArt(imageData) {
+        if (this.pixelArtMode === false) return null;
+        
+        const detection = this.pixelArtAnalyzer.detect(imageData);
+        if (this.pixelArtMode !== true && !detection.pixelArt) return null;
+        
+        const { paletteSize, blockSize, offset } = detection;
+        return { paletteSize, blockSize, offset };
+    }
+    
+    /**
+     * Sobel on the sample grid (1 + k·step). The kernel reaches half a step each way,
+     * so a boundary anywhere between two samples marks at least one of them and
+     * contours stay connected on the grid for extractShapes() to trace.
+     */
     detectEdges(data, width, height) {
         const edges = new Float32Array(width * height);
         const step = this.SAMPLE_RATE;
+        const reach = Math.max(1, step >> 1);
+        const lum = (x, y) => this.getLuminance(data,
+            Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x)));
         
         // Optimized Sobel with adaptive sampling
         for (let y = 1; y < height - 1; y += step) {
             for (let x = 1; x < width - 1; x += step) {
                 const idx = y * width + x;
                 
-                // 3x3 Sobel kernel
-                const tl = this.getLuminance(data, (y-1)*width + (x-1));
-                const tm = this.getLuminance(data, (y-1)*width + x);
-                const tr = this.getLuminance(data, (y-1)*width + (x+1));
-                const ml = this.getLuminance(data, y*width + (x-1));
-                const mm = this.getLuminance(data, y*width + x);
-                const mr = this.getLuminance(data, y*width + (x+1));
-                const bl = this.getLuminance(data, (y+1)*width + (x-1));
-                const bm = this.getLuminance(data, (y+1)*width + x);
-                const br = this.getLuminance(data, (y+1)*width + (x+1));
+                // 3x3 Sobel kernel, spread to the sample spacing
+                const tl = lum(x - reach, y - reach);
+                const tm = lum(x, y - reach);
+                const tr = lum(x + reach, y - reach);
+                const ml = lum(x - reach, y);
+                const mr = lum(x + reach, y);
+                const bl = lum(x - reach, y + reach);
+                const bm = lum(x, y + reach);
+                const br = lum(x + reach, y + reach);
                 
                 // Gradient calculation
                 const gx = -tl + tr - 2*ml + 2*mr - bl + br;
@@ -157,8 +433,9 @@ class PerceptualAlchemyEncoder {
     
     /**
      * Complete marching squares implementation for shape extraction
+     * @param {number} step - Grid spacing of the edge map; area counts contour pixels, not samples
      */
-    marchingSquares(edgeMap, visited, startX, startY, width, height) {
+    marchingSquares(edgeMap, visited, startX, startY, width, height, step = 1) {
         const shape = {
             points: [],
             centroid: { x: 0, y: 0 },
@@ -213,8 +490,8 @@ class PerceptualAlchemyEncoder {
             let found = false;
             for (let i = 0; i < 8; i++) {
                 const newDir = (direction + i) % 8;
-                const nx = x + directions[newDir].dx;
-                const ny = y + directions[newDir].dy;
+                const nx = x + directions[newDir].dx * step;
+                const ny = y + directions[newDir].dy * step;
                 
                 if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
                     const nidx = ny * width + nx;
@@ -235,13 +512,13 @@ class PerceptualAlchemyEncoder {
         
         // Calculate final shape properties
         if (shape.points.length > 0) {
-            shape.area = shape.points.length;
+            shape.area = shape.points.length * step;
             shape.centroid.x /= shape.points.length;
             shape.centroid.y /= shape.points.length;
             shape.boundingBox.width = shape.boundingBox.maxX - shape.boundingBox.minX;
             shape.boundingBox.height = shape.boundingBox.maxY - shape.boundingBox.minY;
             shape.perimeter = this.calculatePerimeter(shape.points);
-            shape.saliency = this.calculateShapeSaliency(shape);
+            shape.saliency = this.calculateShapeSaliency(shape, width, height);
         }
         
         return shape;
@@ -251,12 +528,15 @@ class PerceptualAlchemyEncoder {
         const shapes = [];
         const visited = new Uint8Array(width * height);
         
-        for (let y = 0; y < height; y += this.SAMPLE_RATE * 2) {
-            for (let x = 0; x < width; x += this.SAMPLE_RATE * 2) {
+        const step = this.SAMPLE_RATE;
+        
+        // Trace from every sample of detectEdges()' grid; other pixels carry no edge value
+        for (let y = 1; y < height - 1; y += step) {
+            for (let x = 1; x < width - 1; x += step) {
                 const idx = y * width + x;
                 
                 if (edges.map[idx] > this.EDGE_THRESHOLD && !visited[idx]) {
-                    const shape = this.marchingSquares(edges.map, visited, x, y, width, height);
+                    const shape = this.marchingSquares(edges.map, visited, x, y, width, height, step);
                     
                     if (shape.area > 20) {
                         shape.type = this.classifyShape(shape);
@@ -273,6 +553,99 @@ class PerceptualAlchemyEncoder {
         return shapes;
     }
     
+    /**
+     * Merges adjacent or overlapping contours into perceptual objects
+     * @param {Array} shapes - Contours from extractShapes()
+     * @param {number|null} gap - Merge distance in pixels (default clusterGap); null ranks and caps only
+     * @returns {Array} At most maxObjects objects by symbol weight, each with area, extent and memberCount
+     */
+    clusterShapes(shapes, width, height, gap = this.clusterGap) {
+        const maxArea = this.maxClusterExtent * width * height;
+        let groups = shapes.map(shape => ({ members: [shape], box: { ...shape.boundingBox } }));
+        
+        // Merge until stable, so chains of touching contours end up together
+        let merged = gap !== null;
+        while (merged) {
+            merged = false;
+            for (let i = 0; i < groups.length; i++) {
+                const a = groups[i];
+                if (!a) continue;
+                
+                for (let j = i + 1; j < groups.length; j++) {
+                    const b = groups[j];
+                    if (!b || !this.boxesTouch(a.box, b.box, gap)) continue;
+                    
+                    const box = {
+                        minX: Math.min(a.box.minX, b.box.minX),
+                        minY: Math.min(a.box.minY, b.box.minY),
+                        maxX: Math.max(a.box.maxX, b.box.maxX),
+                        maxY: Math.max(a.box.maxY, b.box.maxY)
+                    };
+                    if ((box.maxX - box.minX + 1) * (box.maxY - box.minY + 1) > maxArea) continue;
+                    
+                    a.members.push(...b.members);
+                    a.box = box;
+                    groups[j] = null;
+                    merged = true;
+                }
+            }
+            groups = groups.filter(Boolean);
+        }
+        
+        const objects = groups.map(group => this.mergeShapes(group.members, width, height));
+        
+        // Rank by saliency-derived symbol weight
+        objects.sort((a, b) => b.symbolWeight - a.symbolWeight);
+        
+        return objects.slice(0, this.maxObjects);
+    }
+    
+    boxesTouch(a, b, gap) {
+        return a.minX - gap <= b.maxX && b.minX - gap <= a.maxX &&
+               a.minY - gap <= b.maxY && b.minY - gap <= a.maxY;
+    }
+    
+    /**
+     * One object from a group of contours (a single contour passes through)
+     */
+    mergeShapes(members, width, height) {
+        let shape;
+        
+        if (members.length === 1) {
+            shape = members[0];
+        } else {
+            const area = members.reduce((sum, m) => sum + m.area, 0);
+            const box = {
+                minX: Math.min(...members.map(m => m.boundingBox.minX)),
+                minY: Math.min(...members.map(m => m.boundingBox.minY)),
+                maxX: Math.max(...members.map(m => m.boundingBox.maxX)),
+                maxY: Math.max(...members.map(m => m.boundingBox.maxY))
+            };
+            box.width = box.maxX - box.minX;
+            box.height = box.maxY - box.minY;
+            
+            shape = {
+                points: members.flatMap(m => m.points || []),
+                centroid: {
+                    x: members.reduce((sum, m) => sum + m.centroid.x * m.area, 0) / area,
+                    y: members.reduce((sum, m) => sum + m.centroid.y * m.area, 0) / area
+                },
+                area,
+                perimeter: members.reduce((sum, m) => sum + m.perimeter, 0),
+                boundingBox: box
+            };
+            shape.saliency = this.calculateShapeSaliency(shape, width, height);
+            shape.type = this.classifyShape(shape);
+            shape.symbolWeight = this.calculateSymbolWeight(shape);
+        }
+        
+        const box = shape.boundingBox;
+        shape.memberCount = members.length;
+        shape.extent = ((box.width + 1) * (box.height + 1)) / (width * height);
+        
+        return shape;
+    }
+    
     /**
      * Proper CIEDE2000 color difference implementation
      */
@@ -393,7 +766,7 @@ class PerceptualAlchemyEncoder {
         if (samples.length > 0) {
             // First cluster center is random
             clusters.push({
-                center: samples[Math.floor(Math.random() * samples.length)],
+                center: samples[Math.floor(this.random() * samples.length)],
                 samples: [],
                 weight: 0
             });
@@ -408,7 +781,7 @@ class PerceptualAlchemyEncoder {
                 });
                 
                 const totalDist = distances.reduce((a, b) => a + b, 0);
-                let random = Math.random() * totalDist;
+                let random = this.random() * totalDist;
                 
                 for (let i = 0; i < samples.length; i++) {
                     random -= distances[i];
@@ -496,6 +869,13 @@ class PerceptualAlchemyEncoder {
             }
         }
         
+        return this.analyzeColorSamples(samples);
+    }
+    
+    /**
+     * Palette, emotion mapping, harmony and temperature from { r, g, b, x, y } samples
+     */
+    analyzeColorSamples(samples) {
         // Cluster colors using proper CIEDE2000
         const clusters = this.clusterColorsCIEDE2000(samples);
         
@@ -512,7 +892,7 @@ class PerceptualAlchemyEncoder {
     
     // === SPATIAL ANALYSIS ===================================================
     
-    analyzeSpatial(shapes, colors, width, height) {
+    analyzeSpatial(shapes, colors, width, height, depth = null) {
         // Calculate center of mass
         let totalMass = 0;
         let centerX = 0, centerY = 0;
@@ -535,8 +915,8 @@ class PerceptualAlchemyEncoder {
         // Analyze distribution pattern
         const distribution = this.analyzeDistributionPattern(shapes, centerX, centerY, width, height);
         
-        // Calculate depth map (simplified)
-        const depthMap = this.estimateDepthMap(shapes, colors, width, height);
+        // Calculate depth map (exact with a depth buffer, estimated otherwise)
+        const depthMap = this.estimateDepthMap(shapes, colors, width, height, depth);
         
         // Determine primary focus
         const primaryFocus = this.determinePrimaryFocus(shapes, { x: centerX, y: centerY }, width, height);
@@ -545,7 +925,7 @@ class PerceptualAlchemyEncoder {
         const asymmetry = this.calculateAsymmetry(shapes, centerX, width);
         
         // For radial cultural grammars
-        const radialDistribution = this.culture === 'japanese' || this.culture === 'norse' ? 
+        const radialDistribution = this.culturalGrammar.spatial.priority === 'radial' ? 
             this.analyzeRadialDistribution(shapes, centerX, centerY) : null;
         
         return {
@@ -650,7 +1030,8 @@ class PerceptualAlchemyEncoder {
         
         // Adjust shape significance
         transformed.shapes = transformed.shapes.map(shape => {
-            const culturalSignificance = this.culturalGrammar.shapes[shape.type];
+            const culturalSignificance = this.culturalGrammar.shapes[shape.type] ??
+                this.culturalGrammar.shapes[shape.geometricType];
             return {
                 ...shape,
                 culturalWeight: shape.symbolWeight * (culturalSignificance || 1.0)
@@ -681,6 +1062,68 @@ class PerceptualAlchemyEncoder {
         return sectorNames[sector] || 'center';
     }
     
+    // === DEGRADATION ========================================================
+    
+    /**
+     * Forgets faint shapes, blurs positions and lets remembered shapes intrude
+     * @returns {Object} Perception with degraded shapes and a degradation report
+     */
+    degradePerception(perception) {
+        if (!this.degradation || !this.degradation.active) return perception;
+        
+        const { width, height } = perception.dimensions;
+        const result = this.degradation.apply(perception.shapes, {
+            saliency: shape => shape.saliency,
+            position: shape => shape.position || { x: shape.centroid.x / width, y: shape.centroid.y / height },
+            move: (shape, x, y) => this.moveShape(shape, x * width, y * height),
+            recall: this.perceptualMemory,
+            typeOf: shape => shape.type,
+            forge: (memory, x, y) => ({ ...this.moveShape(memory, x * width, y * height), falseMemory: true }),
+            random: () => this.random()
+        });
+        
+        return {
+            ...perception,
+            shapes: result.items.sort((a, b) => b.symbolWeight - a.symbolWeight),
+            degradation: {
+                ...this.degradation.toJSON(),
+                forgotten: result.forgotten.map(shape => shape.type),
+                intrusions: result.intrusions.map(shape => shape.type)
+            }
+        };
+    }
+    
+    /**
+     * Copy of a shape with its centroid (and box) at a new pixel position
+     */
+    moveShape(shape, x, y) {
+        const dx = x - shape.centroid.x;
+        const dy = y - shape.centroid.y;
+        const box = shape.boundingBox;
+        const moved = { ...shape, centroid: { x, y } };
+        delete moved.position;
+        if (box) {
+            moved.boundingBox = { ...box, minX: box.minX + dx, maxX: box.maxX + dx, minY: box.minY + dy, maxY: box.maxY + dy };
+        }
+        return moved;
+    }
+    
+    /**
+     * Keeps the most recent shapes (one per type) as material for false perceptions
+     */
+    rememberShapes(shapes, dimensions) {
+        const { width, height } = dimensions;
+        const recent = shapes.map(shape => {
+            const { points, ...rest } = shape;
+            return { ...rest, position: { x: shape.centroid.x / width, y: shape.centroid.y / height } };
+        });
+        
+        const types = new Set(recent.map(shape => shape.type));
+        this.perceptualMemory = recent
+            .concat(this.perceptualMemory.filter(shape => !types.has(shape.type)))
+            .slice(0, this.perceptualMemorySize);
+    }
+    
     // === SYMBOLIC ENCODING ==================================================
     
     encodeToSymbols(perception, emotion) {
@@ -691,7 +1134,8 @@ class PerceptualAlchemyEncoder {
         code += this.encodeSceneContext(perception, emotion, budget.scene);
         
         // 2. OBJECTS (entropy-optimized allocation)
-        const objectCode = this.encodeObjectsWithEntropy(perception.shapes, budget.objects);
+        const objectCode = this.encodeObjectsWithEntropy(perception.shapes, budget.objects, perception.dimensions,
+            this.profile ? this.profile.objectBudget(budget.objects) : budget.objects);
         code += objectCode;
         
         // 3. SPATIAL (with depth layer)
@@ -736,11 +1180,17 @@ class PerceptualAlchemyEncoder {
         return context;
     }
     
-    encodeObjectsWithEntropy(shapes, budget) {
+    /**
+     * @param {Array} shapes - Shapes in priority order
+     * @param {number} budget - Segment length
+     * @param {Object} dimensions - { width, height } of the source image
+     * @param {number} usable - Characters that may hold objects (the rest is padding)
+     */
+    encodeObjectsWithEntropy(shapes, budget, dimensions, usable = budget) {
         const encodedObjects = [];
         let currentLength = 0;
         
-        for (let i = 0; i < shapes.length && currentLength < budget; i++) {
+        for (let i = 0; i < shapes.length && currentLength < usable; i++) {
             const shape = shapes[i];
             
             // Priority encoding based on cultural weight and saliency
@@ -748,48 +1198,42 @@ class PerceptualAlchemyEncoder {
             const symbolLength = priority > 0.8 ? 1 : priority > 0.5 ? 2 : 3;
             
             // Check if we have space
-            if (currentLength + symbolLength + 1 > budget) break;
+            if (currentLength + symbolLength + this.positionPrecision > usable) break;
             
-            const symbol = this.vocabulary.getSymbolWithLength('object', shape.type, symbolLength);
-            const posSymbol = this.encodePosition(shape.centroid, shape.boundingBox, 1);
+            const symbol = this.vocabulary.getSymbolWithLength('object', shape.type, symbolLength, {
+                size: this.classifyObjectSize(shape),
+                salience: shape.saliency > 0.5 ? 'salient' : 'faint'
+            });
+            const posSymbol = this.encodePosition(shape.centroid, dimensions, this.positionPrecision);
             
             encodedObjects.push(symbol + posSymbol);
             currentLength += symbol.length + posSymbol.length;
             
             if (this.debug) {
-                this.symbolMap.set(`object[${i}]`, { 
-                    symbol: symbol + posSymbol, 
-                    meaning: `${shape.type} at (${Math.round(shape.centroid.x)}, ${Math.round(shape.centroid.y)})` 
+                this.symbolMap.set(`object[${i}]`, {
+                    symbol: symbol + posSymbol,
+                    meaning: `${shape.type} at (${Math.round(shape.centroid.x)}, ${Math.round(shape.centroid.y)})`,
+                    type: shape.type,
+                    centroid: { ...shape.centroid }
                 });
             }
         }
         
         const objectCode = encodedObjects.join('');
-        return objectCode.padEnd(budget, '0');
+        return objectCode.padEnd(budget, this.vocabulary.getPadding('objects'));
     }
     
     /**
-     * Encode position with spatial context
+     * Encode a pixel position relative to the frame it came from
+     * @param {Object} centroid - { x, y } in pixels
+     * @param {Object} dimensions - { width, height } of the source image
+     * @param {number} length - 1: 3×3 grid digit, 2: A-Z pair
      */
-    encodePosition(centroid, boundingBox, length = 1) {
-        // Normalize position to 0-1
-        const nx = centroid.x / 280; // Assuming standard width
-        const ny = centroid.y / 200; // Assuming standard height
-        
-        if (length === 1) {
-            // Single character position encoding (3x3 grid)
-            const gridX = Math.floor(nx * 3);
-            const gridY = Math.floor(ny * 3);
-            const gridPos = gridY * 3 + gridX;
-            
-            const positionChars = '123456789';
-            return positionChars[Math.min(8, Math.max(0, gridPos))];
-        } else {
-            // Multi-character for higher precision
-            const posX = this.quantizeToSymbol(nx);
-            const posY = this.quantizeToSymbol(ny);
-            return posX + posY;
-        }
+    encodePosition(centroid, dimensions, length = 1) {
+        const nx = centroid.x / dimensions.width;
+        const ny = centroid.y / dimensions.height;
+        
+        return this.vocabulary.registry.encodePosition(nx, ny, length);
     }
     
     encodeSpatialWithDepth(spatial, budget) {
@@ -821,7 +1265,7 @@ class PerceptualAlchemyEncoder {
             }
         }
         
-        return code.padEnd(budget, 'X');
+        return code.padEnd(budget, this.vocabulary.getPadding('spatial'));
     }
     
     encodeDepthLayers(depthMap, availableChars) {
@@ -876,32 +1320,43 @@ class PerceptualAlchemyEncoder {
             }
         }
         
-        return code.padEnd(budget, '5');
+        return code.padEnd(budget, this.vocabulary.getPadding('emotion'));
     }
     
     // === ERROR CORRECTION ===================================================
     
     /**
-     * Reed-Solomon error correction implementation
+     * Prefixes the version header and appends parity.
+     * Header fields (everything after the marker) are covered by the parity.
      */
-    addReedSolomonErrorCorrection(code) {
-        // For production, use a proper RS library
-        // This is a simplified implementation
-        const dataSymbols = code.length;
-        const paritySymbols = Math.max(2, Math.floor(dataSymbols * 0.1)); // 10% redundancy
+    frameCode(code) {
+        if (!this.versionHeader) {
+            return this.addReedSolomonErrorCorrection(code);
+        }
         
-        // Generate parity symbols
-        const parity = this.generateReedSolomonParity(code, paritySymbols);
+        // A blend is recorded as its heaviest culture
+        const header = CodeHeader.encode({
+            mode: this.mode,
+            culture: this.cultures.primary(this.culture),
+            paritySymbols: this.paritySymbols
+        }, this.cultures.headerIds);
         
-        return code + parity;
+        return CodeHeader.MARKER + this.addReedSolomonErrorCorrection(header.slice(1) + code);
+    }
+    
+    /**
+     * Reed-Solomon error correction over GF(2^7)
+     */
+    addReedSolomonErrorCorrection(code) {
+        return code + this.generateReedSolomonParity(code, this.paritySymbols);
     }
     
     generateReedSolomonParity(data, numParity) {
-        // Simplified but functional checksum for now
-        const checksum = data.split('').reduce((sum, char, i) => 
-            (sum + char.charCodeAt(0) * (i + 1)) % 256, 0);
+        const codec = numParity === this.paritySymbols ?
+            this.errorCorrection :
+            new ReedSolomonCodec({ paritySymbols: numParity });
         
-        return String.fromCharCode(65 + (checksum % 26));
+        return codec.computeParity(data);
     }
     
     // === NARRATIVE GENERATION ===============================================
@@ -1008,7 +1463,7 @@ class PerceptualAlchemyEncoder {
         else templateKey = 'low_valence_low_arousal';
         
         const templateList = templates[templateKey];
-        const template = templateList[Math.floor(Math.random() * templateList.length)];
+        const template = templateList[Math.floor(this.random() * templateList.length)];
         
         // Fill in element
         const element = perception.shapes.length > 0 ? 
@@ -1033,13 +1488,25 @@ class PerceptualAlchemyEncoder {
         const budget = this.budgets[this.mode];
         let position = 0;
         
+        // Header segment
+        if (CodeHeader.isVersioned(code)) {
+            breakdown.segments.push({
+                type: 'header',
+                start: 0,
+                end: CodeHeader.LENGTH,
+                content: code.substring(0, CodeHeader.LENGTH),
+                color: '#F7DC6F'
+            });
+            position = CodeHeader.LENGTH;
+        }
+        
         // Scene segment
-        const sceneEnd = Math.min(budget.scene, code.length);
+        const sceneEnd = Math.min(position + budget.scene, code.length);
         breakdown.segments.push({
             type: 'scene',
-            start: 0,
+            start: position,
             end: sceneEnd,
-            content: code.substring(0, sceneEnd),
+            content: code.substring(position, sceneEnd),
             color: '#FF6B6B'
         });
         position = sceneEnd;
@@ -1100,52 +1567,13 @@ class PerceptualAlchemyEncoder {
     
     // === UTILITY METHODS ====================================================
     
+    /**
+     * Perception grammar of a registered culture pack, or a weighted blend of several
+     * @param {string|Object} culture - 'japanese', 'japanese+norse' or { japanese: 0.7, norse: 0.3 }
+     * @returns {Object} { colors, spatial, shapes }
+     */
     loadCulturalGrammar(culture) {
-        // Default universal grammar
-        const grammars = {
-            universal: {
-                colors: {
-                    red: { weight: 1.0, symbol: 'passion' },
-                    blue: { weight: 1.0, symbol: 'calm' },
-                    green: { weight: 1.0, symbol: 'nature' },
-                    white: { weight: 1.0, symbol: 'purity' },
-                    black: { weight: 1.0, symbol: 'mystery' }
-                },
-                spatial: { priority: 'cartesian' },
-                shapes: {
-                    circle: 1.0,
-                    rectangle: 0.8,
-                    triangle: 0.9,
-                    organic: 1.1
-                }
-            },
-            japanese: {
-                colors: {
-                    red: { weight: 1.2, symbol: 'life' },
-                    white: { weight: 1.3, symbol: 'death' },
-                    black: { weight: 0.8, symbol: 'formality' }
-                },
-                spatial: { priority: 'radial' }, // Changed to radial
-                shapes: {
-                    circle: 1.2,
-                    organic: 1.5
-                }
-            },
-            norse: {
-                colors: {
-                    red: { weight: 1.3, symbol: 'battle' },
-                    blue: { weight: 0.9, symbol: 'ice' },
-                    gold: { weight: 1.4, symbol: 'glory' }
-                },
-                spatial: { priority: 'radial' },
-                shapes: {
-                    triangle: 1.3,
-                    angular: 1.2
-                }
-            }
-        };
-        
-        return grammars[culture] || grammars.universal;
+        return this.cultures.grammar(culture);
     }
     
     getLuminance(data, idx) {
@@ -1164,6 +1592,9 @@ class PerceptualAlchemyEncoder {
         if (imageData.width < 16 || imageData.height < 16) {
             throw new Error('Image too small (minimum 16x16)');
         }
+        if (imageData.data.length < imageData.width * imageData.height * 4) {
+            throw new Error('ImageData data is shorter than width × height RGBA pixels');
+        }
     }
     
     calculateEdgeDensity(edges) {
@@ -1200,7 +1631,14 @@ class PerceptualAlchemyEncoder {
             }
         }
         
-
+        return this.summarizeOrientation(histogram);
+    }
+    
+    /**
+     * Dominant angle and normalized entropy of an 8-bin gradient orientation histogram
+     */
+    summarizeOrientation(histogram) {
+        const bins = histogram.length;
         
         // Find dominant orientation
         const maxBin = histogram.indexOf(Math.max(...histogram));
@@ -1254,19 +1692,22 @@ class PerceptualAlchemyEncoder {
         return perimeter;
     }
     
-    calculateShapeSaliency(shape) {
+    calculateShapeSaliency(shape, width, height) {
         // Saliency based on size, compactness, and position
         const compactness = shape.area / (shape.perimeter * shape.perimeter);
         const centerDistance = Math.sqrt(
-            Math.pow(shape.centroid.x - 140, 2) + 
-            Math.pow(shape.centroid.y - 100, 2)
-        ) / 170; // Normalized distance from center
+            Math.pow(shape.centroid.x - width / 2, 2) + 
+            Math.pow(shape.centroid.y - height / 2, 2)
+        ) / Math.sqrt(width * width + height * height) * 2; // Normalized distance from center
         
         const sizeFactor = Math.min(1, shape.area / 1000);
         const compactnessFactor = compactness * 4; // Circle has compactness ~0.25
         const positionFactor = 1 - centerDistance;
         
-        return (sizeFactor * 0.4 + compactnessFactor * 0.3 + positionFactor * 0.3);
+        const saliency = sizeFactor * 0.4 + compactnessFactor * 0.3 + positionFactor * 0.3;
+        return this.profile ?
+            this.profile.warpSaliency(saliency, { size: sizeFactor, centerDistance, compactness }) :
+            saliency;
     }
     
     classifyShape(shape) {
@@ -1285,7 +1726,28 @@ class PerceptualAlchemyEncoder {
         
         return 'organic';
     }
+
+    /**
+     * Geometric type for a filled region (palette region, segment) from how much of its box it fills
+     */
+    classifyRegionShape(fill, aspect) {
+        if (aspect > 2.5) return 'horizontal-line';
+        if (aspect < 0.4) return 'vertical-line';
+        if (fill > 0.92) return Math.abs(aspect - 1) < 0.2 ? 'square' : 'rectangle';
+        if (fill > 0.7 && Math.abs(aspect - 1) < 0.25) return 'circle';
+        if (fill < 0.5) return 'complex';
+        return 'organic';
+    }
     
+    classifyObjectSize(shape) {
+        // Same area scale as the saliency size factor
+        const sizeFactor = Math.min(1, shape.area / 1000);
+
+        if (sizeFactor > 0.66) return 'large';
+        if (sizeFactor < 0.2) return 'small';
+        return 'medium';
+    }
+
     calculateSymbolWeight(shape) {
         return shape.saliency * (1 + Math.log(shape.area + 1) / 10);
     }
@@ -1402,7 +1864,7 @@ class PerceptualAlchemyEncoder {
         return Math.sqrt(variance) / (mean + 0.001); // Coefficient of variation
     }
     
-    estimateDepthMap(shapes, colors, width, height) {
+    estimateDepthMap(shapes, colors, width, height, depth = null) {
         // Simplified depth estimation based on size and position
         const depthLayers = {
             foreground: [],
@@ -1410,6 +1872,13 @@ class PerceptualAlchemyEncoder {
             background: []
         };
         
+        // A depth buffer already placed every shape; coverage is the per-pixel split
+        if (depth) {
+            shapes.forEach(shape => depthLayers[shape.layer].push(shape));
+            depthLayers.coverage = depth.coverage;
+            return depthLayers;
+        }
+        
         shapes.forEach(shape => {
             // Larger objects tend to be closer
             // Higher Y position tends to be further
@@ -1500,12 +1969,13 @@ class PerceptualAlchemyEncoder {
     }
     
     blendEmotions(visual, contextual) {
-        const alpha = 0.7; // Visual weight
-        return {
+        const alpha = this.profile ? this.profile.visualWeight() : 0.7; // Visual weight
+        const blended = {
             valence: visual.valence * alpha + contextual.valence * (1 - alpha),
             arousal: visual.arousal * alpha + contextual.arousal * (1 - alpha),
             dominance: visual.dominance * alpha + (contextual.dominance || 0.5) * (1 - alpha)
         };
+        return this.profile ? this.profile.colorEmotion(blended) : blended;
     }
     
     calculateEmotionalTrajectory() {
@@ -1594,6 +2064,16 @@ class PerceptualAlchemyEncoder {
     quantizeDepthToLayers(depthMap) {
         if (!depthMap) return { distribution: 'flat', foregroundWeight: 0.33 };
         
+        // Exact layers: share of pixels in each third of the depth range
+        if (depthMap.coverage) {
+            const { foreground, midground, background } = depthMap.coverage;
+            let distribution = 'balanced';
+            if (foreground > 0.6) distribution = 'forward';
+            else if (background > 0.6) distribution = 'distant';
+            else if (midground > 0.6) distribution = 'centered';
+            return { distribution, foregroundWeight: foreground };
+        }
+        
         const total = depthMap.foreground.length + depthMap.midground.length + depthMap.background.length;
         
         if (total === 0) return { distribution: 'empty', foregroundWeight: 0 };
@@ -1648,7 +2128,8 @@ class PerceptualAlchemyEncoder {
         const shapeConfidence = perception.shapes.length > 0 ? 
             perception.shapes[0].saliency : 0.3;
         
-        return (edgeClarity + colorConfidence + emotionalCertainty + shapeConfidence) / 4;
+        const confidence = (edgeClarity + colorConfidence + emotionalCertainty + shapeConfidence) / 4;
+        return this.degradation ? this.degradation.confidence(confidence) : confidence;
     }
     
     quantizeToSymbol(value) {
@@ -1661,53 +2142,35 @@ class PerceptualAlchemyEncoder {
 // === DYNAMIC VOCABULARY SYSTEM ==============================================
 
 class DynamicVocabulary {
-    constructor() {
-        this.vocabularies = {
-            scene: 'ABCDEFGHIJ',
-            light: 'KLMNOP',
-            mood: 'QRSTUV',
-            object: 'abcdefghijklmnopqrstuvwxyz',
-            focus: 'WXYZ',
-            distribution: '01234',
-            trend: '56789',
-            complexity: 'αβγδ',
-            depth: '!@#$%',
-            modifier: '+-*/='
-        };
-        
-        this.frequencyTables = {};
+    /**
+     * @param {VocabularyRegistry} registry - Published symbol table shared with the decoder
+     */
+    constructor(registry = VocabularyRegistry.default()) {
+        this.registry = registry;
     }
     
     getSymbol(category, value) {
-        const vocab = this.vocabularies[category];
-        if (!vocab) return '?';
-        
-        // Convert value to string and normalize
-        const valueStr = String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
-        
-        // Hash the value to get consistent symbol
-        let hash = 0;
-        for (let i = 0; i < valueStr.length; i++) {
-            hash = ((hash << 5) - hash) + valueStr.charCodeAt(i);
-            hash = hash & hash;
-        }
-        
-        return vocab[Math.abs(hash) % vocab.length];
+        return this.registry.encode(category, value);
     }
     
-    getSymbolWithLength(category, value, length) {
-        // Adaptive length encoding
-        const base = this.getSymbol(category, value);
-        
-        if (length === 1) return base;
+    /**
+     * Object symbol followed by up to two modifiers
+     * @param {string} category - Vocabulary category
+     * @param {string} value - Value to encode
+     * @param {number} length - 1: symbol, 2: + size modifier, 3: + salience modifier
+     * @param {Object} attributes - { size: 'small'|'medium'|'large', salience: 'salient'|'faint' }
+     */
+    getSymbolWithLength(category, value, length, attributes = {}) {
+        let code = this.getSymbol(category, value);
         
-        // Add modifier symbols for longer codes
-        let code = base;
-        for (let i = 1; i < length; i++) {
-            code += this.getSymbol('modifier', value + i);
-        }
+        if (length >= 2) code += this.getSymbol('modifier', attributes.size || 'medium');
+        if (length >= 3) code += this.getSymbol('modifier', attributes.salience || 'faint');
         
-        return code.substring(0, length);
+        return code;
+    }
+    
+    getPadding(segment) {
+        return this.registry.padding[segment];
     }
 }
 
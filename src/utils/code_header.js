@@ -0,0 +1,160 @@
+// code_header.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: VERSIONED CODE HEADER
+// =====================================================
+// Implements the V_v ⊕ S_d stream format from the technical
+// spec (section 8). A versioned code looks like:
+//
+//     ~ 1 B U 4 <symbols...> <parity...>
+//     │ │ │ │ └─ parity symbols (base 36)
+//     │ │ │ └─── culture id
+//     │ │ └───── encoder mode
+//     │ └─────── format version
+//     └───────── marker (never a legacy scene symbol)
+//
+// The four fields after the marker sit inside the Reed-Solomon
+// codeword, so a corrupted mode or culture is repaired along
+// with the payload. Codes without the marker are legacy
+// (version 0) and are segmented by length.
+//
+// Culture ids come from a table ({ culture: id }). Each
+// CultureRegistry keeps its own and passes it in; without
+// one, the built-in cultures' ids are used.
+// =====================================================
+
+const { CODE_ALPHABET } = require('./reed_solomon');
+
+const HEADER_MARKER = '~';
+const HEADER_LENGTH = 5;
+const FORMAT_VERSION = 1;
+const LEGACY_VERSION = 0;
+
+const MODE_IDS = {
+    mobile: 'M',
+    balanced: 'B',
+    rich: 'R'
+};
+
+// Built-in cultures; registries copy their packs' ids into tables of their own
+const CULTURE_IDS = Object.freeze({
+    universal: 'U',
+    japanese: 'J',
+    norse: 'N'
+});
+
+const PARITY_RADIX = 36;
+
+class CodeHeader {
+    /**
+     * Builds the header string for a code
+     * @param {Object} fields - { version, mode, culture, paritySymbols }
+     * @param {Object} cultureIds - { culture: id } table (defaults to the built-in cultures)
+     * @returns {string} Five-character header, marker first
+     */
+    static encode({ version = FORMAT_VERSION, mode, culture, paritySymbols }, cultureIds = CULTURE_IDS) {
+        const modeId = MODE_IDS[mode];
+        if (!modeId) {
+            throw new Error(`Cannot write header for unknown mode: ${mode}`);
+        }
+        if (!Number.isInteger(paritySymbols) || paritySymbols < 0 || paritySymbols >= PARITY_RADIX) {
+            throw new Error(`Parity length ${paritySymbols} does not fit in the code header`);
+        }
+
+        return HEADER_MARKER +
+            String(version) +
+            modeId +
+            CodeHeader.cultureId(culture, cultureIds) +
+            paritySymbols.toString(PARITY_RADIX).toUpperCase();
+    }
+
+    /**
+     * @param {string} code
+     * @returns {boolean} true when the code carries a versioned header
+     */
+    static isVersioned(code) {
+        return typeof code === 'string' && code[0] === HEADER_MARKER;
+    }
+
+    /**
+     * Reads the parity field before error correction has run; a corrupted
+     * field reads wrong, so decoders treat it as the first length to try
+     * @returns {number|null}
+     */
+    static peekParity(code) {
+        if (!CodeHeader.isVersioned(code) || code.length < HEADER_LENGTH) return null;
+        const parity = parseInt(code[HEADER_LENGTH - 1], PARITY_RADIX);
+        return Number.isNaN(parity) ? null : parity;
+    }
+
+    /**
+     * Parses a (corrected) versioned code
+     * @param {string} code
+     * @param {Object} cultureIds - { culture: id } table (defaults to the built-in cultures)
+     * @returns {Object|null} { version, mode, culture, paritySymbols, length } or null when headerless
+     */
+    static parse(code, cultureIds = CULTURE_IDS) {
+        if (!CodeHeader.isVersioned(code) || code.length < HEADER_LENGTH) return null;
+
+        const version = parseInt(code[1], 10);
+        const mode = CodeHeader.lookup(MODE_IDS, code[2]);
+        const culture = CodeHeader.lookup(cultureIds, code[3]);
+        const paritySymbols = CodeHeader.peekParity(code);
+
+        if (Number.isNaN(version) || !mode || paritySymbols === null) {
+            throw new Error(`Malformed code header: ${code.slice(0, HEADER_LENGTH)}`);
+        }
+
+        return {
+            version,
+            mode,
+            culture: culture || 'unknown',
+            paritySymbols,
+            length: HEADER_LENGTH
+        };
+    }
+
+    /**
+     * Adds a culture id for a culture pack to a table
+     * @param {string} culture - Culture name, e.g. 'elvish'
+     * @param {string} id - One code alphabet character, unique within the table
+     * @param {Object} cultureIds - The registry's { culture: id } table, updated in place
+     */
+    static registerCulture(culture, id, cultureIds) {
+        if (typeof id !== 'string' || id.length !== 1 || !CODE_ALPHABET.includes(id)) {
+            throw new Error(`Culture id for '${culture}' must be one code alphabet character, got ${JSON.stringify(id)}`);
+        }
+        if (cultureIds[culture] && cultureIds[culture] !== id) {
+            throw new Error(`Culture '${culture}' already has header id '${cultureIds[culture]}'`);
+        }
+        const owner = CodeHeader.lookup(cultureIds, id);
+        if (owner && owner !== culture) {
+            throw new Error(`Header id '${id}' is already used by culture '${owner}'`);
+        }
+        cultureIds[culture] = id;
+    }
+
+    static cultureId(culture, cultureIds = CULTURE_IDS) {
+        return cultureIds[culture] || CULTURE_IDS.universal;
+    }
+
+    static lookup(table, id) {
+        const entry = Object.entries(table).find(([, value]) => value === id);
+        return entry ? entry[0] : null;
+    }
+}
+
+CodeHeader.MARKER = HEADER_MARKER;
+CodeHeader.LENGTH = HEADER_LENGTH;
+CodeHeader.VERSION = FORMAT_VERSION;
+CodeHeader.LEGACY_VERSION = LEGACY_VERSION;
+CodeHeader.PARITY_RADIX = PARITY_RADIX;
+CodeHeader.MODE_IDS = MODE_IDS;
+CodeHeader.CULTURE_IDS = CULTURE_IDS;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeHeader;
+} else if (typeof window !== 'undefined') {
+    window.CodeHeader = CodeHeader;
+}
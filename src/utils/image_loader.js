@@ -0,0 +1,445 @@
+// image_loader.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: HEADLESS IMAGE LOADERS
+// =====================================================
+// Turns image file bytes into the ImageData-shaped
+// { width, height, data } the encoder reads, with no
+// canvas and no native dependency:
+//
+//   PNG   all colour types and bit depths, Adam7, tRNS
+//   BMP   1/4/8-bit palette, 16/24/32-bit, BI_BITFIELDS
+//   PNM   PGM (P2/P5) and PPM (P3/P6), 8 or 16 bit
+//
+// data is always 8-bit RGBA in row-major order, exactly
+// like canvas getImageData(). Format is detected from the
+// magic bytes, not the file name.
+// =====================================================
+
+const Inflate = require('./inflate');
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Samples per pixel for each PNG colour type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Bit depths the PNG spec allows per colour type
+const PNG_DEPTHS = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+// BMP compression ids
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+class ImageLoader {
+    /**
+     * Decodes image bytes of any supported format
+     * @param {Uint8Array|ArrayBuffer|Buffer} buffer - File contents
+     * @returns {Object} { width, height, data: Uint8ClampedArray (RGBA) }
+     */
+    static decode(buffer) {
+        const bytes = ImageLoader.toBytes(buffer);
+        const format = ImageLoader.detectFormat(bytes);
+
+        switch (format) {
+            case 'png': return ImageLoader.decodePNG(bytes);
+            case 'bmp': return ImageLoader.decodeBMP(bytes);
+            case 'pnm': return ImageLoader.decodePNM(bytes);
+            default: throw new Error('Unsupported image format (expected PNG, BMP, PPM or PGM)');
+        }
+    }
+
+    /**
+     * Reads and decodes an image file (Node only)
+     * @param {string} file - Path to a PNG, BMP, PPM or PGM file
+     */
+    static load(file) {
+        const fs = require('fs');
+        return ImageLoader.decode(fs.readFileSync(file));
+    }
+
+    /**
+     * Format name from magic bytes
+     * @returns {string|null} 'png' | 'bmp' | 'pnm' | null
+     */
+    static detectFormat(buffer) {
+        const bytes = ImageLoader.toBytes(buffer);
+
+        if (PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) return 'png';
+        if (bytes[0] === 0x42 && bytes[1] === 0x4d) return 'bmp';
+        if (bytes[0] === 0x50 && [0x32, 0x33, 0x35, 0x36].includes(bytes[1])) return 'pnm';
+        return null;
+    }
+
+    static toBytes(buffer) {
+        if (buffer instanceof Uint8Array) return buffer;
+        if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+        if (ArrayBuffer.isView(buffer)) return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        throw new Error('Image input must be a Uint8Array, Buffer or ArrayBuffer');
+    }
+
+    static createImage(width, height) {
+        if (!(width > 0 && height > 0)) throw new Error(`Invalid image dimensions ${width}×${height}`);
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    // === PNG ================================================================
+
+    static decodePNG(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const idat = [];
+        let header = null;
+        let palette = null;
+        let transparency = null;
+        let offset = PNG_SIGNATURE.length;
+
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const start = offset + 8;
+            const body = bytes.subarray(start, start + length);
+            if (body.length < length) throw new Error(`Truncated PNG ${type} chunk`);
+            offset = start + length + 4; // skip CRC
+
+            if (type === 'IHDR') {
+                header = {
+                    width: view.getUint32(start),
+                    height: view.getUint32(start + 4),
+                    bitDepth: body[8],
+                    colorType: body[9],
+                    interlace: body[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = body;
+            } else if (type === 'tRNS') {
+                transparency = body;
+            } else if (type === 'IDAT') {
+                idat.push(body);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+
+        if (!header) throw new Error('PNG has no IHDR chunk');
+        const { width, height, bitDepth, colorType, interlace } = header;
+
+        const channels = PNG_CHANNELS[colorType];
+        if (!channels) throw new Error(`Unsupported PNG colour type ${colorType}`);
+        if (!PNG_DEPTHS[colorType].includes(bitDepth)) {
+            throw new Error(`Invalid PNG bit depth ${bitDepth} for colour type ${colorType}`);
+        }
+        if (interlace > 1) throw new Error(`Unknown PNG interlace method ${interlace}`);
+        if (colorType === 3 && !palette) throw new Error('PNG palette image has no PLTE chunk');
+        if (!idat.length) throw new Error('PNG has no IDAT chunk');
+
+        const compressed = new Uint8Array(idat.reduce((sum, chunk) => sum + chunk.length, 0));
+        idat.reduce((pos, chunk) => {
+            compressed.set(chunk, pos);
+            return pos + chunk.length;
+        }, 0);
+        const raw = Inflate.unzlib(compressed);
+
+        const image = ImageLoader.createImage(width, height);
+        const format = { width, height, bitDepth, colorType, channels, palette, transparency };
+        const passes = interlace === 1 ? ADAM7 : [[0, 0, 1, 1]];
+        let pos = 0;
+
+        passes.forEach(([x0, y0, dx, dy]) => {
+            const passWidth = Math.ceil((width - x0) / dx);
+            const passHeight = Math.ceil((height - y0) / dy);
+            if (passWidth <= 0 || passHeight <= 0) return;
+
+            const stride = Math.ceil(passWidth * channels * bitDepth / 8);
+            const rows = ImageLoader.unfilterPNG(raw, pos, stride, passHeight, Math.max(1, channels * bitDepth / 8));
+            pos += (stride + 1) * passHeight;
+
+            for (let y = 0; y < passHeight; y++) {
+                const row = rows.subarray(y * stride, (y + 1) * stride);
+                for (let x = 0; x < passWidth; x++) {
+                    const target = ((y0 + y * dy) * width + x0 + x * dx) * 4;
+                    ImageLoader.writePNGPixel(image.data, target, row, x, format);
+                }
+            }
+        });
+
+        return image;
+    }
+
+    /**
+     * Reverses per-scanline filters for one pass
+     * @returns {Uint8Array} Unfiltered rows, stride bytes each
+     */
+    static unfilterPNG(raw, start, stride, height, bpp) {
+        if (start + (stride + 1) * height > raw.length) throw new Error('Truncated PNG image data');
+
+        const rows = new Uint8Array(stride * height);
+        for (let y = 0; y < height; y++) {
+            const filter = raw[start + y * (stride + 1)];
+            const input = start + y * (stride + 1) + 1;
+            const out = y * stride;
+
+            for (let x = 0; x < stride; x++) {
+                const left = x >= bpp ? rows[out + x - bpp] : 0;
+                const up = y > 0 ? rows[out - stride + x] : 0;
+                const upLeft = y > 0 && x >= bpp ? rows[out - stride + x - bpp] : 0;
+                let predictor;
+
+                switch (filter) {
+                    case 0: predictor = 0; break;
+                    case 1: predictor = left; break;
+                    case 2: predictor = up; break;
+                    case 3: predictor = (left + up) >> 1; break;
+                    case 4: predictor = ImageLoader.paeth(left, up, upLeft); break;
+                    default: throw new Error(`Corrupt PNG: unknown filter type ${filter}`);
+                }
+
+                rows[out + x] = (raw[input + x] + predictor) & 0xff;
+            }
+        }
+
+        return rows;
+    }
+
+    static paeth(a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        if (pa <= pb && pa <= pc) return a;
+        return pb <= pc ? b : c;
+    }
+
+    /**
+     * Raw sample (before any scaling) at sample index i of a row
+     */
+    static pngSample(row, i, bitDepth) {
+        if (bitDepth === 8) return row[i];
+        if (bitDepth === 16) return (row[i * 2] << 8) | row[i * 2 + 1];
+
+        const bit = i * bitDepth;
+        const shift = 8 - bitDepth - (bit & 7);
+        return (row[bit >> 3] >> shift) & ((1 << bitDepth) - 1);
+    }
+
+    static writePNGPixel(data, target, row, x, format) {
+        const { bitDepth, colorType, channels, palette, transparency } = format;
+        const sample = c => ImageLoader.pngSample(row, x * channels + c, bitDepth);
+        const max = (1 << bitDepth) - 1;
+        const scale = value => Math.round(value * 255 / max);
+
+        // tRNS for greyscale/RGB names one fully transparent colour (16-bit samples)
+        const keyed = (...values) => transparency && values.every((v, i) => ((transparency[i * 2] << 8) | transparency[i * 2 + 1]) === v);
+
+        switch (colorType) {
+            case 0: {
+                const grey = sample(0);
+                data[target] = data[target + 1] = data[target + 2] = scale(grey);
+                data[target + 3] = keyed(grey) ? 0 : 255;
+                break;
+            }
+            case 2: {
+                const rgb = [sample(0), sample(1), sample(2)];
+                data[target] = scale(rgb[0]);
+                data[target + 1] = scale(rgb[1]);
+                data[target + 2] = scale(rgb[2]);
+                data[target + 3] = keyed(...rgb) ? 0 : 255;
+                break;
+            }
+            case 3: {
+                const index = sample(0);
+                if (index * 3 + 2 >= palette.length) throw new Error(`PNG palette index ${index} out of range`);
+                data[target] = palette[index * 3];
+                data[target + 1] = palette[index * 3 + 1];
+                data[target + 2] = palette[index * 3 + 2];
+                data[target + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+                break;
+            }
+            case 4:
+                data[target] = data[target + 1] = data[target + 2] = scale(sample(0));
+                data[target + 3] = scale(sample(1));
+                break;
+            default:
+                data[target] = scale(sample(0));
+                data[target + 1] = scale(sample(1));
+                data[target + 2] = scale(sample(2));
+                data[target + 3] = scale(sample(3));
+        }
+    }
+
+    // === BMP ================================================================
+
+    static decodeBMP(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 54) throw new Error('Truncated BMP header');
+
+        const pixelOffset = view.getUint32(10, true);
+        const headerSize = view.getUint32(14, true);
+        if (headerSize < 40) throw new Error(`Unsupported BMP header (${headerSize} bytes)`);
+
+        const width = view.getInt32(18, true);
+        const rawHeight = view.getInt32(22, true);
+        const bitsPerPixel = view.getUint16(28, true);
+        const compression = view.getUint32(30, true);
+        const colorsUsed = view.getUint32(46, true);
+
+        // Positive height means rows are stored bottom-up
+        const height = Math.abs(rawHeight);
+        const bottomUp = rawHeight > 0;
+
+        if (![BI_RGB, BI_BITFIELDS, BI_ALPHABITFIELDS].includes(compression)) {
+            throw new Error(`Unsupported BMP compression ${compression} (RLE and embedded JPEG/PNG are not supported)`);
+        }
+        if (![1, 4, 8, 16, 24, 32].includes(bitsPerPixel)) {
+            throw new Error(`Unsupported BMP bit depth ${bitsPerPixel}`);
+        }
+
+        const masks = ImageLoader.bmpMasks(view, headerSize, bitsPerPixel, compression);
+        const palette = bitsPerPixel <= 8
+            ? ImageLoader.bmpPalette(bytes, 14 + headerSize, colorsUsed || (1 << bitsPerPixel))
+            : null;
+
+        const stride = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+        if (pixelOffset + stride * height > bytes.length) throw new Error('Truncated BMP pixel data');
+
+        const image = ImageLoader.createImage(width, height);
+        for (let y = 0; y < height; y++) {
+            const row = pixelOffset + (bottomUp ? height - 1 - y : y) * stride;
+
+            for (let x = 0; x < width; x++) {
+                const target = (y * width + x) * 4;
+
+                if (palette) {
+                    const bit = x * bitsPerPixel;
+                    const index = (bytes[row + (bit >> 3)] >> (8 - bitsPerPixel - (bit & 7))) & ((1 << bitsPerPixel) - 1);
+                    const color = palette[index] || [0, 0, 0];
+                    image.data.set(color, target);
+                    image.data[target + 3] = 255;
+                } else if (bitsPerPixel === 24) {
+                    const p = row + x * 3;
+                    image.data[target] = bytes[p + 2];
+                    image.data[target + 1] = bytes[p + 1];
+                    image.data[target + 2] = bytes[p];
+                    image.data[target + 3] = 255;
+                } else {
+                    const value = bitsPerPixel === 32 ? view.getUint32(row + x * 4, true) : view.getUint16(row + x * 2, true);
+                    image.data[target] = ImageLoader.maskChannel(value, masks.red);
+                    image.data[target + 1] = ImageLoader.maskChannel(value, masks.green);
+                    image.data[target + 2] = ImageLoader.maskChannel(value, masks.blue);
+                    image.data[target + 3] = masks.alpha ? ImageLoader.maskChannel(value, masks.alpha) : 255;
+                }
+            }
+        }
+
+        return image;
+    }
+
+    /**
+     * Channel masks for 16/32-bit pixels; BI_RGB uses the fixed 5-5-5 / 8-8-8 layouts
+     */
+    static bmpMasks(view, headerSize, bitsPerPixel, compression) {
+        if (compression === BI_BITFIELDS || compression === BI_ALPHABITFIELDS) {
+            return {
+                red: view.getUint32(54, true),
+                green: view.getUint32(58, true),
+                blue: view.getUint32(62, true),
+                // Alpha mask lives in V4+ headers, or follows the masks for ALPHABITFIELDS
+                alpha: headerSize >= 56 || compression === BI_ALPHABITFIELDS ? view.getUint32(66, true) : 0
+            };
+        }
+
+        // BI_RGB 32-bit leaves the top byte unused (usually 0), so ignore it
+        return bitsPerPixel === 16
+            ? { red: 0x7c00, green: 0x03e0, blue: 0x001f, alpha: 0 }
+            : { red: 0x00ff0000, green: 0x0000ff00, blue: 0x000000ff, alpha: 0 };
+    }
+
+    static maskChannel(value, mask) {
+        if (!mask) return 0;
+        let shift = 0;
+        while (!((mask >>> shift) & 1)) shift++;
+        const max = mask >>> shift;
+        return Math.round(((value & mask) >>> shift) * 255 / max);
+    }
+
+    /**
+     * BGRx palette entries as [r, g, b]
+     */
+    static bmpPalette(bytes, start, count) {
+        const palette = [];
+        for (let i = 0; i < count && start + i * 4 + 2 < bytes.length; i++) {
+            const p = start + i * 4;
+            palette.push([bytes[p + 2], bytes[p + 1], bytes[p]]);
+        }
+        return palette;
+    }
+
+    // === PNM (PGM / PPM) ====================================================
+
+    static decodePNM(bytes) {
+        const magic = String.fromCharCode(bytes[0], bytes[1]);
+        const channels = magic === 'P2' || magic === 'P5' ? 1 : 3;
+        const binary = magic === 'P5' || magic === 'P6';
+
+        // Header: width, height, maxval as whitespace-separated tokens; '#' starts a comment
+        const fields = [];
+        let pos = 2;
+        const isSpace = byte => byte === 0x20 || (byte >= 0x09 && byte <= 0x0d);
+
+        while (fields.length < 3) {
+            while (pos < bytes.length && isSpace(bytes[pos])) pos++;
+            if (bytes[pos] === 0x23) {
+                while (pos < bytes.length && bytes[pos] !== 0x0a) pos++;
+                continue;
+            }
+            const start = pos;
+            while (pos < bytes.length && !isSpace(bytes[pos])) pos++;
+            if (start === pos) throw new Error(`Truncated ${magic} header`);
+            fields.push(parseInt(String.fromCharCode(...bytes.subarray(start, pos)), 10));
+        }
+
+        const [width, height, maxval] = fields;
+        if (!(maxval > 0 && maxval < 65536)) throw new Error(`Invalid ${magic} maxval ${maxval}`);
+
+        const count = width * height * channels;
+        const image = ImageLoader.createImage(width, height);
+        let samples;
+
+        if (binary) {
+            // Exactly one whitespace byte separates the header from the raster
+            const start = pos + 1;
+            const wide = maxval > 255;
+            if (start + count * (wide ? 2 : 1) > bytes.length) throw new Error(`Truncated ${magic} pixel data`);
+            samples = wide
+                ? i => (bytes[start + i * 2] << 8) | bytes[start + i * 2 + 1]
+                : i => bytes[start + i];
+        } else {
+            const text = new TextDecoder('ascii').decode(bytes.subarray(pos)).replace(/#[^\n]*/g, ' ');
+            const values = text.trim().split(/\s+/).map(Number);
+            if (values.length < count || values.slice(0, count).some(v => !Number.isFinite(v))) {
+                throw new Error(`Truncated ${magic} pixel data`);
+            }
+            samples = i => values[i];
+        }
+
+        for (let i = 0; i < width * height; i++) {
+            const target = i * 4;
+            for (let c = 0; c < 3; c++) {
+                const value = samples(i * channels + (channels === 1 ? 0 : c));
+                image.data[target + c] = Math.round(Math.min(value, maxval) * 255 / maxval);
+            }
+            image.data[target + 3] = 255;
+        }
+
+        return image;
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageLoader;
+} else if (typeof window !== 'undefined') {
+    window.ImageLoader = ImageLoader;
+}
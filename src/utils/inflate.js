@@ -0,0 +1,316 @@
+// inflate.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: DEFLATE DECOMPRESSOR
+// =====================================================
+// Pure-JS inflate (RFC 1951) with the zlib wrapper
+// (RFC 1950) that PNG image data uses. No native zlib,
+// so image loading works in Node, workers and browsers
+// alike. Decompression only; we never write PNGs.
+// =====================================================
+
+// Length codes 257-285: base length and extra bits
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+// Distance codes 0-29: base distance and extra bits
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// Order in which code length code lengths are sent
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const MAX_BITS = 15;
+
+let fixedTables = null;
+
+class Inflate {
+    /**
+     * Decompresses a zlib stream (2-byte header, deflate data, Adler-32)
+     * @param {Uint8Array} bytes
+     * @returns {Uint8Array}
+     */
+    static unzlib(bytes) {
+        if (bytes.length < 6) throw new Error('Truncated zlib stream');
+
+        const cmf = bytes[0];
+        const flg = bytes[1];
+        if ((cmf & 0x0f) !== 8 || ((cmf << 8) | flg) % 31 !== 0) {
+            throw new Error('Invalid zlib header');
+        }
+        if (flg & 0x20) throw new Error('zlib preset dictionaries are not supported');
+
+        const { output, end } = Inflate.inflateRaw(bytes, 2);
+
+        if (end + 4 <= bytes.length) {
+            const expected = ((bytes[end] << 24) | (bytes[end + 1] << 16) | (bytes[end + 2] << 8) | bytes[end + 3]) >>> 0;
+            if (Inflate.adler32(output) !== expected) throw new Error('zlib checksum mismatch');
+        }
+
+        return output;
+    }
+
+    /**
+     * Decompresses raw deflate data
+     * @param {Uint8Array} bytes
+     * @param {number} start - Byte offset of the first block
+     * @returns {Object} { output, end } where end is the byte after the last block
+     */
+    static inflateRaw(bytes, start = 0) {
+        const reader = new BitReader(bytes, start);
+        const out = new OutputBuffer(bytes.length * 4);
+        let last = 0;
+
+        while (!last) {
+            last = reader.bits(1);
+            const type = reader.bits(2);
+
+            if (type === 0) {
+                Inflate.copyStored(reader, out);
+            } else if (type === 1) {
+                const fixed = Inflate.fixedTables();
+                Inflate.inflateBlock(reader, out, fixed.literal, fixed.distance);
+            } else if (type === 2) {
+                const dynamic = Inflate.readDynamicTables(reader);
+                Inflate.inflateBlock(reader, out, dynamic.literal, dynamic.distance);
+            } else {
+                throw new Error('Invalid deflate block type');
+            }
+        }
+
+        return { output: out.result(), end: reader.alignedPosition() };
+    }
+
+    static copyStored(reader, out) {
+        let pos = reader.alignedPosition();
+        const bytes = reader.bytes;
+        if (pos + 4 > bytes.length) throw new Error('Truncated deflate stream');
+
+        const length = bytes[pos] | (bytes[pos + 1] << 8);
+        const inverse = bytes[pos + 2] | (bytes[pos + 3] << 8);
+        if ((length ^ 0xffff) !== inverse) throw new Error('Corrupt stored deflate block');
+        pos += 4;
+
+        if (pos + length > bytes.length) throw new Error('Truncated deflate stream');
+        out.pushBytes(bytes.subarray(pos, pos + length));
+        reader.seek(pos + length);
+    }
+
+    static inflateBlock(reader, out, literal, distance) {
+        for (;;) {
+            const symbol = reader.decode(literal);
+
+            if (symbol < 256) {
+                out.push(symbol);
+            } else if (symbol === 256) {
+                return;
+            } else {
+                const lengthIndex = symbol - 257;
+                if (lengthIndex >= LENGTH_BASE.length) throw new Error('Invalid deflate length code');
+                const length = LENGTH_BASE[lengthIndex] + reader.bits(LENGTH_EXTRA[lengthIndex]);
+
+                const distIndex = reader.decode(distance);
+                if (distIndex >= DIST_BASE.length) throw new Error('Invalid deflate distance code');
+                const dist = DIST_BASE[distIndex] + reader.bits(DIST_EXTRA[distIndex]);
+
+                out.copyBack(dist, length);
+            }
+        }
+    }
+
+    static readDynamicTables(reader) {
+        const literalCount = reader.bits(5) + 257;
+        const distanceCount = reader.bits(5) + 1;
+        const codeLengthCount = reader.bits(4) + 4;
+
+        const codeLengthLengths = new Uint8Array(19);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.bits(3);
+        }
+        const codeLengthTable = Inflate.buildTable(codeLengthLengths);
+
+        const lengths = new Uint8Array(literalCount + distanceCount);
+        for (let i = 0; i < lengths.length;) {
+            const symbol = reader.decode(codeLengthTable);
+
+            if (symbol < 16) {
+                lengths[i++] = symbol;
+                continue;
+            }
+
+            let repeat;
+            let value = 0;
+            if (symbol === 16) {
+                if (i === 0) throw new Error('Corrupt deflate code lengths');
+                value = lengths[i - 1];
+                repeat = 3 + reader.bits(2);
+            } else if (symbol === 17) {
+                repeat = 3 + reader.bits(3);
+            } else {
+                repeat = 11 + reader.bits(7);
+            }
+
+            if (i + repeat > lengths.length) throw new Error('Corrupt deflate code lengths');
+            lengths.fill(value, i, i + repeat);
+            i += repeat;
+        }
+
+        return {
+            literal: Inflate.buildTable(lengths.subarray(0, literalCount)),
+            distance: Inflate.buildTable(lengths.subarray(literalCount))
+        };
+    }
+
+    static fixedTables() {
+        if (!fixedTables) {
+            const literal = new Uint8Array(288);
+            literal.fill(8, 0, 144);
+            literal.fill(9, 144, 256);
+            literal.fill(7, 256, 280);
+            literal.fill(8, 280, 288);
+
+            fixedTables = {
+                literal: Inflate.buildTable(literal),
+                distance: Inflate.buildTable(new Uint8Array(30).fill(5))
+            };
+        }
+        return fixedTables;
+    }
+
+    /**
+     * Canonical Huffman table: code counts per length and symbols in code order
+     */
+    static buildTable(lengths) {
+        const counts = new Uint16Array(MAX_BITS + 1);
+        lengths.forEach(length => counts[length]++);
+        counts[0] = 0;
+
+        const offsets = new Uint16Array(MAX_BITS + 1);
+        for (let bits = 1; bits < MAX_BITS; bits++) {
+            offsets[bits + 1] = offsets[bits] + counts[bits];
+        }
+
+        const symbols = new Uint16Array(lengths.length);
+        lengths.forEach((length, symbol) => {
+            if (length) symbols[offsets[length]++] = symbol;
+        });
+
+        return { counts, symbols };
+    }
+
+    static adler32(bytes) {
+        let a = 1;
+        let b = 0;
+        for (let i = 0; i < bytes.length;) {
+            // 5552 bytes is the longest run that cannot overflow before the modulo
+            const end = Math.min(i + 5552, bytes.length);
+            for (; i < end; i++) {
+                a += bytes[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+}
+
+// === BIT-LEVEL I/O ==========================================================
+
+class BitReader {
+    constructor(bytes, start) {
+        this.bytes = bytes;
+        this.pos = start;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    /** Next n bits, least significant first */
+    bits(n) {
+        while (this.bitCount < n) {
+            if (this.pos >= this.bytes.length) throw new Error('Truncated deflate stream');
+            this.bitBuffer |= this.bytes[this.pos++] << this.bitCount;
+            this.bitCount += 8;
+        }
+        const value = this.bitBuffer & ((1 << n) - 1);
+        this.bitBuffer >>>= n;
+        this.bitCount -= n;
+        return value;
+    }
+
+    /** Next Huffman symbol from a canonical table */
+    decode(table) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+
+        for (let bits = 1; bits <= MAX_BITS; bits++) {
+            code |= this.bits(1);
+            const count = table.counts[bits];
+            if (code - first < count) return table.symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+
+        throw new Error('Invalid deflate Huffman code');
+    }
+
+    /** Byte position after discarding any partial byte */
+    alignedPosition() {
+        return this.pos - (this.bitCount >> 3);
+    }
+
+    seek(pos) {
+        this.pos = pos;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+}
+
+class OutputBuffer {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(Math.max(1024, capacity));
+        this.length = 0;
+    }
+
+    reserve(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + extra) capacity *= 2;
+        const grown = new Uint8Array(capacity);
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    push(byte) {
+        this.reserve(1);
+        this.bytes[this.length++] = byte;
+    }
+
+    pushBytes(bytes) {
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    /** LZ77 back-reference; overlapping copies repeat the run */
+    copyBack(distance, length) {
+        if (distance > this.length) throw new Error('Invalid deflate back-reference');
+        this.reserve(length);
+        for (let i = 0; i < length; i++, this.length++) {
+            this.bytes[this.length] = this.bytes[this.length - distance];
+        }
+    }
+
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Inflate;
+} else if (typeof window !== 'undefined') {
+    window.Inflate = Inflate;
+}
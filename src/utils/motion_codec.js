@@ -0,0 +1,179 @@
+// motion_codec.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: DELTA FRAME MOTION CODEC
+// =====================================================
+// Delta frames (spec section 3) carry only what changed
+// since the previous frame:
+//
+//     > | CameraCode | Object1 | Object2 | Object3 | parity
+//
+// CameraCode is a 2-char velocity bin (x, y) applied to every
+// tracked object. Each object entry is 3 chars:
+//
+//     s V V   object s moved by velocity bins (x, y)
+//     s + P   object s appeared at grid cell P (1-9)
+//     s - 0   object s vanished
+//
+// Entries claim tracked objects of the same symbol in list
+// order, so "sEE" is a placeholder that skips one object.
+// Encoder and decoder both apply deltas with applyDelta() so
+// their object state never diverges.
+// =====================================================
+
+const VocabularyRegistry = require('../vocabulary/vocabulary_registry');
+
+const DELTA_MARKER = '>';
+const VELOCITY_BINS = 'ABCDEFGHI';
+const STILL_INDEX = 4; // 'E'
+const ENTRY_LENGTH = 3;
+const APPEAR = '+';
+const VANISH = '-';
+const GRID = '123456789';
+
+// Per-frame displacement as a fraction of frame size
+const VELOCITY_THRESHOLDS = [0.01, 0.03, 0.08, 0.15];
+const VELOCITY_LEVELS = [0, 0.02, 0.055, 0.115, 0.2];
+
+class MotionCodec {
+    /**
+     * Quantizes a normalized per-frame velocity into a bin character
+     * @param {number} v - Displacement as a fraction of frame size
+     * @returns {string} 'A' (fast negative) .. 'E' (still) .. 'I' (fast positive)
+     */
+    static quantizeVelocity(v) {
+        const level = VELOCITY_THRESHOLDS.filter(t => Math.abs(v) >= t).length;
+        return VELOCITY_BINS[STILL_INDEX + Math.sign(v) * level];
+    }
+
+    static dequantizeVelocity(ch) {
+        const idx = VELOCITY_BINS.indexOf(ch);
+        if (idx < 0) return 0;
+        const offset = idx - STILL_INDEX;
+        return Math.sign(offset) * VELOCITY_LEVELS[Math.abs(offset)];
+    }
+
+    static isStill(bins) {
+        return bins === VELOCITY_BINS[STILL_INDEX].repeat(2);
+    }
+
+    static gridCell(x, y) {
+        const gx = Math.min(2, Math.max(0, Math.floor(x * 3)));
+        const gy = Math.min(2, Math.max(0, Math.floor(y * 3)));
+        return GRID[gy * 3 + gx];
+    }
+
+    static gridCenter(ch) {
+        const i = GRID.indexOf(ch);
+        if (i < 0) return { x: 0.5, y: 0.5 };
+        return { x: (i % 3 + 0.5) / 3, y: (Math.floor(i / 3) + 0.5) / 3 };
+    }
+
+    /**
+     * Serializes a delta body (without marker or parity)
+     * @param {Object} delta - { camera: 'EE', entries: [{ symbol, change, bins?, cell? }] }
+     */
+    static encodeDelta(delta) {
+        return delta.camera + delta.entries.map(entry => {
+            if (entry.change === 'appear') return entry.symbol + APPEAR + entry.cell;
+            if (entry.change === 'vanish') return entry.symbol + VANISH + '0';
+            return entry.symbol + entry.bins;
+        }).join('');
+    }
+
+    /**
+     * Parses a delta body back into camera motion and object entries
+     */
+    static parseDelta(body) {
+        const camera = body.slice(0, 2);
+        const entries = [];
+
+        for (let i = 2; i + ENTRY_LENGTH <= body.length; i += ENTRY_LENGTH) {
+            const symbol = body[i];
+            const op = body[i + 1];
+
+            if (op === APPEAR) {
+                entries.push({ symbol, change: 'appear', cell: body[i + 2] });
+            } else if (op === VANISH) {
+                entries.push({ symbol, change: 'vanish' });
+            } else {
+                entries.push({ symbol, change: 'move', bins: op + body[i + 2] });
+            }
+        }
+
+        return { camera, entries };
+    }
+
+    /**
+     * Extracts object symbols and positions (cell centres) from a keyframe's object segment
+     * @param {string} segment - e.g. 'a3G+*7000' or 'aDHG+*TS00'
+     * @param {VocabularyRegistry} registry - Vocabulary the keyframe was encoded with
+     * @returns {Array} [{ symbol, x, y }] in encoding order
+     */
+    static parseObjectSegment(segment, registry = VocabularyRegistry.default()) {
+        return registry
+            .tokenizeObjects(segment)
+            .map(token => ({ symbol: token.symbol, position: registry.decodePosition(token.position) }))
+            .filter(token => token.position)
+            .map(({ symbol, position }) => ({ symbol, x: position.x, y: position.y }));
+    }
+
+    /**
+     * Applies a parsed delta to a tracked object list in place
+     * @param {Array} objects - [{ symbol, x, y }]
+     * @param {Object} delta - Output of parseDelta()
+     * @returns {Object} { moved, appeared, vanished } object references
+     */
+    static applyDelta(objects, delta) {
+        const cameraX = MotionCodec.dequantizeVelocity(delta.camera[0]);
+        const cameraY = MotionCodec.dequantizeVelocity(delta.camera[1]);
+        const clamp = v => Math.max(0, Math.min(1, v));
+
+        objects.forEach(obj => {
+            obj.x = clamp(obj.x + cameraX);
+            obj.y = clamp(obj.y + cameraY);
+        });
+
+        const claimed = new Set();
+        const moved = [];
+        const appeared = [];
+        const vanished = [];
+
+        delta.entries.forEach(entry => {
+            if (entry.change === 'appear') {
+                const obj = { symbol: entry.symbol, ...MotionCodec.gridCenter(entry.cell) };
+                objects.push(obj);
+                claimed.add(obj);
+                appeared.push(obj);
+                return;
+            }
+
+            const target = objects.find(obj => obj.symbol === entry.symbol && !claimed.has(obj));
+            if (!target) return;
+            claimed.add(target);
+
+            if (entry.change === 'vanish') {
+                vanished.push(target);
+            } else if (!MotionCodec.isStill(entry.bins)) {
+                target.x = clamp(target.x + MotionCodec.dequantizeVelocity(entry.bins[0]));
+                target.y = clamp(target.y + MotionCodec.dequantizeVelocity(entry.bins[1]));
+                moved.push(target);
+            }
+        });
+
+        vanished.forEach(obj => objects.splice(objects.indexOf(obj), 1));
+
+        return { moved, appeared, vanished };
+    }
+}
+
+MotionCodec.DELTA_MARKER = DELTA_MARKER;
+MotionCodec.STILL = VELOCITY_BINS[STILL_INDEX];
+MotionCodec.ENTRY_LENGTH = ENTRY_LENGTH;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MotionCodec;
+} else if (typeof window !== 'undefined') {
+    window.MotionCodec = MotionCodec;
+}
@@ -0,0 +1,170 @@
+// perceptual_degradation.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: FATIGUE + STRESS DEGRADATION
+// =====================================================
+// Tired or stressed minds perceive badly and remember
+// worse. This stage runs after perception (encoder) or
+// reconstruction (decoder) and degrades the object list:
+//
+//   forget     objects below a saliency floor drop out
+//              (the most salient one always survives)
+//   blur       positions drift by a random offset
+//   intrude    objects from memory slip in where they
+//              never were (false perceptions, misrememberings)
+//   doubt      confidence falls
+//
+// Both levels are 0-1. Fatigue mostly forgets, stress
+// mostly blurs and intrudes. At 0/0 the stage is a no-op
+// and draws no random numbers, so seeded codes are
+// unchanged. Randomness comes from the owner's random(),
+// so a seeded encoder or decoder degrades reproducibly.
+// =====================================================
+
+const LEVELS = ['fatigue', 'stress'];
+
+// Most false objects added per pass
+const MAX_INTRUSIONS = 2;
+
+class PerceptualDegradation {
+    /**
+     * @param {Object} levels - { fatigue, stress }
+     */
+    constructor(levels = {}) {
+        Object.keys(levels).forEach(key => {
+            if (!LEVELS.includes(key)) {
+                throw new Error(`Unknown degradation level '${key}' (expected ${LEVELS.join(' or ')})`);
+            }
+        });
+
+        LEVELS.forEach(level => {
+            const value = levels[level] ?? 0;
+            if (!Number.isFinite(value) || value < 0 || value > 1) {
+                throw new Error(`Degradation ${level} must be between 0 and 1, got ${levels[level]}`);
+            }
+            this[level] = value;
+        });
+    }
+
+    /**
+     * @param {PerceptualDegradation|Object|null} degradation
+     * @returns {PerceptualDegradation|null}
+     */
+    static from(degradation) {
+        if (!degradation) return null;
+        return degradation instanceof PerceptualDegradation ? degradation : new PerceptualDegradation(degradation);
+    }
+
+    get active() {
+        return this.fatigue > 0 || this.stress > 0;
+    }
+
+    // === PARAMETERS =========================================================
+
+    /**
+     * Saliency (0-1) below which objects are forgotten
+     */
+    forgetThreshold() {
+        return this.fatigue * 0.4 + this.stress * 0.15;
+    }
+
+    /**
+     * Standard deviation of position drift, as a share of the frame
+     */
+    blurRadius() {
+        return this.fatigue * 0.04 + this.stress * 0.08;
+    }
+
+    /**
+     * Chance that each remembered object intrudes
+     */
+    intrusionChance() {
+        return this.fatigue * 0.15 + this.stress * 0.3;
+    }
+
+    /**
+     * Lowers a 0-1 confidence
+     */
+    confidence(base) {
+        return Math.max(0, base * (1 - this.fatigue * 0.35 - this.stress * 0.25));
+    }
+
+    // === STAGE ==============================================================
+
+    /**
+     * Forgets, blurs and intrudes; the owner adapts its own object form
+     * @param {Array} items - Objects in priority order
+     * @param {Object} adapter
+     *   saliency(item)        0-1
+     *   position(item)        { x, y } normalized
+     *   move(item, x, y)      returns the item at a normalized position
+     *   recall                remembered objects that may intrude
+     *   typeOf(item)          used to skip memories already in view
+     *   forge(memory, x, y)   returns a false object, or null
+     *   random                () => 0-1
+     * @returns {Object} { items, forgotten, intrusions }
+     */
+    apply(items, adapter) {
+        if (!this.active) return { items, forgotten: [], intrusions: [] };
+
+        const random = adapter.random;
+        const threshold = this.forgetThreshold();
+        const strongest = items.reduce((best, item) =>
+            !best || adapter.saliency(item) > adapter.saliency(best) ? item : best, null);
+
+        const forgotten = [];
+        const kept = items.filter(item => {
+            if (item === strongest || adapter.saliency(item) >= threshold) return true;
+            forgotten.push(item);
+            return false;
+        });
+
+        const radius = this.blurRadius();
+        const blurred = kept.map(item => {
+            const position = adapter.position(item);
+            const [x, y] = this.drift(position.x, position.y, radius, random);
+            return adapter.move(item, x, y);
+        });
+
+        // Nothing just seen or just forgotten intrudes again
+        const intrusions = [];
+        const seen = new Set(items.map(adapter.typeOf));
+        const chance = this.intrusionChance();
+        for (const memory of adapter.recall || []) {
+            if (intrusions.length >= MAX_INTRUSIONS) break;
+            if (seen.has(adapter.typeOf(memory)) || random() >= chance) continue;
+
+            const position = adapter.position(memory);
+            const [x, y] = this.drift(position.x, position.y, radius * 2, random);
+            const forged = adapter.forge(memory, x, y);
+            if (!forged) continue;
+
+            seen.add(adapter.typeOf(forged));
+            intrusions.push(forged);
+        }
+
+        return { items: blurred.concat(intrusions), forgotten, intrusions };
+    }
+
+    /**
+     * Gaussian-ish offset (sum of three uniforms), kept inside the frame
+     */
+    drift(x, y, radius, random) {
+        const noise = () => (random() + random() + random() - 1.5) * 2 * radius;
+        const clamp = value => Math.min(1, Math.max(0, value));
+        return [clamp(x + noise()), clamp(y + noise())];
+    }
+
+    toJSON() {
+        return { fatigue: this.fatigue, stress: this.stress };
+    }
+}
+
+PerceptualDegradation.LEVELS = LEVELS;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerceptualDegradation;
+} else if (typeof window !== 'undefined') {
+    window.PerceptualDegradation = PerceptualDegradation;
+}
@@ -0,0 +1,91 @@
+// prng.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: SEEDABLE RANDOM SOURCE
+// =====================================================
+// Every stochastic choice in the pipeline (k-means++ seeds,
+// template picks, dream morphing, memory echoes) draws from
+// a random() function owned by the encoder or decoder.
+//
+//   { seed: 42 }          mulberry32 stream, restarted at the
+//                         seed on every encode()/decode() call
+//   { random: () => n }   injected source, used as-is
+//   neither               Math.random (non-deterministic)
+//
+// Restarting per call means a seeded result does not depend
+// on how many random draws earlier calls made, so replays
+// and multiplayer peers reproduce the same codes, narratives
+// and dream variations.
+// =====================================================
+
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Integer seed; strings are hashed
+     */
+    constructor(seed) {
+        this.seed = SeededRandom.hashSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Folds a number or string into an unsigned 32-bit seed
+     */
+    static hashSeed(seed) {
+        let hash;
+
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            hash = Math.floor(seed) >>> 0;
+        } else {
+            // FNV-1a over the string form
+            hash = 0x811c9dc5;
+            const text = String(seed);
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+        }
+
+        // murmur3 finalizer, so neighbouring seeds (1, 2, 3...) start far apart
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    }
+
+    /**
+     * Bound random() function over a fresh stream
+     * @param {number|string} seed
+     * @returns {Function} () => float in [0, 1)
+     */
+    static create(seed) {
+        const generator = new SeededRandom(seed);
+        return generator.next.bind(generator);
+    }
+
+    /**
+     * Next float in [0, 1) (mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Rewinds to the seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+} else if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
@@ -0,0 +1,430 @@
+// reed_solomon.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: REED-SOLOMON SYMBOL CODEC
+// =====================================================
+// Systematic Reed-Solomon over GF(2^m), working directly on
+// the perceptual code alphabet. Each code character is one
+// field element, so a corrupted character costs exactly one
+// symbol of correction capacity. With p parity symbols the
+// decoder repairs up to floor(p / 2) symbol errors.
+// =====================================================
+
+/** Every character the encoder can emit in the data part of a code */
+const CODE_ALPHABET =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZ' +
+    'abcdefghijklmnopqrstuvwxyz' +
+    '0123456789' +
+    'αβγδ' +
+    '!@#$%' +
+    '+-*/=';
+
+/**
+ * Parity symbols live in the full field (0 .. 2^m - 1), which is larger
+ * than the code alphabet, so each one is written as two base-16 digits.
+ */
+const PARITY_DIGITS = 'ABCDEFGHIJKLMNOP';
+const PARITY_WIDTH = 2;
+
+/** Primitive polynomials indexed by field degree m */
+const PRIMITIVE_POLYNOMIALS = {
+    3: 0x0B,
+    4: 0x13,
+    5: 0x25,
+    6: 0x43,
+    7: 0x89,
+    8: 0x11D
+};
+
+// === GALOIS FIELD ===========================================================
+
+class GaloisField {
+    constructor(m) {
+        const primitive = PRIMITIVE_POLYNOMIALS[m];
+        if (!primitive) {
+            throw new Error(`Unsupported field degree GF(2^${m})`);
+        }
+
+        this.m = m;
+        this.size = 1 << m;
+        this.order = this.size - 1;
+
+        // Doubled exp table avoids a modulo in mul()
+        this.exp = new Uint16Array(this.order * 2);
+        this.log = new Uint16Array(this.size);
+
+        let x = 1;
+        for (let i = 0; i < this.order; i++) {
+            this.exp[i] = x;
+            this.log[x] = i;
+            x <<= 1;
+            if (x & this.size) x ^= primitive;
+        }
+        for (let i = this.order; i < this.order * 2; i++) {
+            this.exp[i] = this.exp[i - this.order];
+        }
+    }
+
+    mul(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return this.exp[this.log[a] + this.log[b]];
+    }
+
+    div(a, b) {
+        if (b === 0) throw new Error('Division by zero in GF(2^m)');
+        if (a === 0) return 0;
+        return this.exp[(this.log[a] + this.order - this.log[b]) % this.order];
+    }
+
+    pow(a, power) {
+        if (a === 0) return power === 0 ? 1 : 0;
+        const e = ((this.log[a] * power) % this.order + this.order) % this.order;
+        return this.exp[e];
+    }
+
+    inverse(a) {
+        return this.div(1, a);
+    }
+
+    /** Evaluate a polynomial stored highest degree first */
+    evalHigh(poly, x) {
+        let y = poly[0];
+        for (let i = 1; i < poly.length; i++) {
+            y = this.mul(y, x) ^ poly[i];
+        }
+        return y;
+    }
+
+    /** Evaluate a polynomial stored lowest degree first */
+    evalLow(poly, x) {
+        let y = 0;
+        for (let i = poly.length - 1; i >= 0; i--) {
+            y = this.mul(y, x) ^ poly[i];
+        }
+        return y;
+    }
+
+    /** Multiply two polynomials stored highest degree first */
+    polyMul(p, q) {
+        const out = new Array(p.length + q.length - 1).fill(0);
+        for (let i = 0; i < p.length; i++) {
+            for (let j = 0; j < q.length; j++) {
+                out[i + j] ^= this.mul(p[i], q[j]);
+            }
+        }
+        return out;
+    }
+}
+
+// === CODEC ==================================================================
+
+class ReedSolomonCodec {
+    /**
+     * @param {Object} options
+     * @param {number} options.paritySymbols - Parity symbols appended to each code (corrects floor(n/2) errors)
+     * @param {string} options.alphabet - Characters allowed in the data part
+     */
+    constructor(options = {}) {
+        this.alphabet = options.alphabet || CODE_ALPHABET;
+        this.paritySymbols = options.paritySymbols ?? 4;
+
+        if (!Number.isInteger(this.paritySymbols) || this.paritySymbols < 0) {
+            throw new Error(`Invalid parity length: ${options.paritySymbols}`);
+        }
+
+        // Smallest field that holds every alphabet symbol
+        const m = Math.max(3, Math.ceil(Math.log2(this.alphabet.length)));
+        this.field = new GaloisField(m);
+
+        if (Math.pow(PARITY_DIGITS.length, PARITY_WIDTH) < this.field.size) {
+            throw new Error(`Parity digits cannot represent GF(2^${m})`);
+        }
+
+        this.symbolIndex = new Map();
+        for (let i = 0; i < this.alphabet.length; i++) {
+            this.symbolIndex.set(this.alphabet[i], i);
+        }
+
+        this.generator = this.buildGenerator(this.paritySymbols);
+    }
+
+    // === PUBLIC API =========================================================
+
+    /** Maximum data characters a single codeword can carry */
+    get maxDataLength() {
+        return this.field.order - this.paritySymbols;
+    }
+
+    /** Number of characters the parity block occupies in a code */
+    get parityLength() {
+        return this.paritySymbols * PARITY_WIDTH;
+    }
+
+    /**
+     * Appends parity to a data string
+     * @param {string} data - Symbols from the code alphabet
+     * @returns {string} data followed by its serialized parity block
+     */
+    encode(data) {
+        return data + this.computeParity(data);
+    }
+
+    /**
+     * Computes the serialized parity block for a data string
+     * @param {string} data - Symbols from the code alphabet
+     * @returns {string} paritySymbols * 2 parity characters
+     */
+    computeParity(data) {
+        const message = this.toSymbols(data, true);
+        return this.serializeParity(this.remainder(message));
+    }
+
+    /**
+     * Checks a code without attempting repair
+     * @param {string} code - Data followed by parity
+     * @returns {boolean}
+     */
+    verify(code) {
+        const codeword = this.parseCodeword(code);
+        if (!codeword) return false;
+        return this.calculateSyndromes(codeword.symbols).every(s => s === 0);
+    }
+
+    /**
+     * Verifies a code and repairs up to floor(paritySymbols / 2) symbol errors
+     * @param {string} code - Data followed by parity
+     * @returns {Object} { valid, data, corrections, error }
+     */
+    decode(code) {
+        const codeword = this.parseCodeword(code);
+        if (!codeword) {
+            return { valid: false, data: null, corrections: [], error: 'Code shorter than its parity block' };
+        }
+
+        const { symbols, dataLength } = codeword;
+        const syndromes = this.calculateSyndromes(symbols);
+
+        if (syndromes.every(s => s === 0)) {
+            return { valid: true, data: code.slice(0, dataLength), corrections: [] };
+        }
+
+        const locator = this.findErrorLocator(syndromes);
+        const positions = locator ? this.findErrorPositions(locator, symbols.length) : null;
+
+        if (!positions) {
+            return { valid: false, data: null, corrections: [], error: 'Too many symbol errors to correct' };
+        }
+
+        const magnitudes = this.findErrorMagnitudes(syndromes, locator, positions, symbols.length);
+        const repaired = symbols.slice();
+        positions.forEach((pos, i) => { repaired[pos] ^= magnitudes[i]; });
+
+        // A repair that lands outside the alphabet means the decoder miscorrected
+        for (let i = 0; i < dataLength; i++) {
+            if (repaired[i] >= this.alphabet.length) {
+                return { valid: false, data: null, corrections: [], error: 'Too many symbol errors to correct' };
+            }
+        }
+
+        const data = repaired.slice(0, dataLength).map(v => this.alphabet[v]).join('');
+        const parity = this.serializeParity(repaired.slice(dataLength));
+
+        const corrections = positions
+            .slice()
+            .sort((a, b) => a - b)
+            .map(pos => {
+                if (pos < dataLength) {
+                    return { segment: 'data', index: pos, from: code[pos], to: data[pos] };
+                }
+                const offset = (pos - dataLength) * PARITY_WIDTH;
+                const index = dataLength + offset;
+                return {
+                    segment: 'parity',
+                    index,
+                    from: code.substr(index, PARITY_WIDTH),
+                    to: parity.substr(offset, PARITY_WIDTH)
+                };
+            });
+
+        return { valid: true, data, corrections };
+    }
+
+    // === ENCODING INTERNALS =================================================
+
+    buildGenerator(paritySymbols) {
+        let generator = [1];
+        for (let i = 0; i < paritySymbols; i++) {
+            generator = this.field.polyMul(generator, [1, this.field.exp[i]]);
+        }
+        return generator;
+    }
+
+    remainder(message) {
+        const parity = this.paritySymbols;
+        const buffer = message.concat(new Array(parity).fill(0));
+
+        // Synthetic division by the monic generator polynomial
+        for (let i = 0; i < message.length; i++) {
+            const coef = buffer[i];
+            if (coef === 0) continue;
+            for (let j = 1; j < this.generator.length; j++) {
+                buffer[i + j] ^= this.field.mul(this.generator[j], coef);
+            }
+        }
+
+        return buffer.slice(message.length);
+    }
+
+    toSymbols(data, strict) {
+        if (data.length > this.maxDataLength) {
+            throw new Error(`Code too long for GF(2^${this.field.m}) (${data.length} > ${this.maxDataLength})`);
+        }
+
+        return Array.from({ length: data.length }, (_, i) => {
+            const value = this.symbolIndex.get(data[i]);
+            if (value === undefined) {
+                if (strict) throw new Error(`Symbol outside code alphabet: '${data[i]}'`);
+                return 0; // Unknown characters are left for the decoder to repair
+            }
+            return value;
+        });
+    }
+
+    serializeParity(values) {
+        const radix = PARITY_DIGITS.length;
+        return values.map(v => PARITY_DIGITS[Math.floor(v / radix)] + PARITY_DIGITS[v % radix]).join('');
+    }
+
+    parseParity(block) {
+        const radix = PARITY_DIGITS.length;
+        const values = [];
+
+        for (let i = 0; i < block.length; i += PARITY_WIDTH) {
+            const hi = PARITY_DIGITS.indexOf(block[i]);
+            const lo = PARITY_DIGITS.indexOf(block[i + 1]);
+            const value = hi < 0 || lo < 0 ? 0 : hi * radix + lo;
+            values.push(value < this.field.size ? value : 0);
+        }
+
+        return values;
+    }
+
+    parseCodeword(code) {
+        const dataLength = code.length - this.parityLength;
+        if (dataLength < 0 || dataLength > this.maxDataLength) return null;
+
+        return {
+            dataLength,
+            symbols: this.toSymbols(code.slice(0, dataLength), false)
+                .concat(this.parseParity(code.slice(dataLength)))
+        };
+    }
+
+    // === DECODING INTERNALS =================================================
+
+    calculateSyndromes(symbols) {
+        const syndromes = [];
+        for (let i = 0; i < this.paritySymbols; i++) {
+            syndromes.push(this.field.evalHigh(symbols, this.field.exp[i]));
+        }
+        return syndromes;
+    }
+
+    /**
+     * Berlekamp-Massey: error locator Λ(x), stored lowest degree first
+     */
+    findErrorLocator(syndromes) {
+        const gf = this.field;
+        let locator = [1];
+        let previous = [1];
+        let degree = 0;
+        let shift = 1;
+        let lastDiscrepancy = 1;
+
+        for (let n = 0; n < syndromes.length; n++) {
+            let discrepancy = syndromes[n];
+            for (let i = 1; i <= degree; i++) {
+                discrepancy ^= gf.mul(locator[i] || 0, syndromes[n - i]);
+            }
+
+            if (discrepancy === 0) {
+                shift++;
+                continue;
+            }
+
+            const scale = gf.div(discrepancy, lastDiscrepancy);
+            const next = locator.slice();
+            for (let i = 0; i < previous.length; i++) {
+                next[i + shift] = (next[i + shift] || 0) ^ gf.mul(scale, previous[i]);
+            }
+
+            if (2 * degree <= n) {
+                previous = locator;
+                degree = n + 1 - degree;
+                lastDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = next;
+        }
+
+        while (locator.length > 1 && locator[locator.length - 1] === 0) locator.pop();
+
+        if (locator.length - 1 !== degree || degree * 2 > this.paritySymbols) return null;
+        return locator;
+    }
+
+    /**
+     * Chien search: array positions whose locator X^-1 is a root of Λ(x)
+     */
+    findErrorPositions(locator, length) {
+        const errors = locator.length - 1;
+        const positions = [];
+
+        for (let pos = 0; pos < length; pos++) {
+            const power = length - 1 - pos;
+            if (this.field.evalLow(locator, this.field.pow(2, -power)) === 0) {
+                positions.push(pos);
+            }
+        }
+
+        return positions.length === errors ? positions : null;
+    }
+
+    /**
+     * Forney: error values for the located positions
+     */
+    findErrorMagnitudes(syndromes, locator, positions, length) {
+        const gf = this.field;
+
+        // Ω(x) = S(x)·Λ(x) mod x^(2t)
+        const evaluator = new Array(this.paritySymbols).fill(0);
+        for (let i = 0; i < syndromes.length; i++) {
+            for (let j = 0; j < locator.length && i + j < this.paritySymbols; j++) {
+                evaluator[i + j] ^= gf.mul(syndromes[i], locator[j]);
+            }
+        }
+
+        // Formal derivative in characteristic 2 keeps only odd terms
+        const derivative = [];
+        for (let i = 1; i < locator.length; i++) {
+            derivative.push(i % 2 === 1 ? locator[i] : 0);
+        }
+
+        return positions.map(pos => {
+            const x = gf.pow(2, length - 1 - pos);
+            const xInv = gf.inverse(x);
+            const numerator = gf.mul(x, gf.evalLow(evaluator, xInv));
+            return gf.div(numerator, gf.evalLow(derivative, xInv));
+        });
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReedSolomonCodec, GaloisField, CODE_ALPHABET, PARITY_DIGITS, PARITY_WIDTH };
+} else if (typeof window !== 'undefined') {
+    window.ReedSolomonCodec = ReedSolomonCodec;
+    window.GaloisField = GaloisField;
+}
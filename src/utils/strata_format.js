@@ -0,0 +1,123 @@
+// strata_format.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: HIERARCHICAL STRATA FORMAT
+// =====================================================
+// Multi-scale encoding (spec section 5):
+//
+//     Code = Global ⊕ Intermediate ⊕ Fine
+//
+// Global is the regular perceptual code. The two extra
+// strata are sent as standalone codes so a decoder can
+// refine progressively as they arrive:
+//
+//     ^ | level | layout | 12 region symbols | parity
+//
+// level 1 (intermediate): 4 regions × [object, warmth, energy]
+// level 2 (fine):         12 cells × [luminance], lowercase
+//                         when a salient object sits in the cell
+//
+// Layout is cartesian (2×2 quadrants / 4×3 grid) or radial
+// (4 / 12 sectors around the frame centre) for cultures
+// whose grammar prioritises radial space.
+// =====================================================
+
+const STRATUM_MARKER = '^';
+
+const LEVELS = {
+    intermediate: '1',
+    fine: '2'
+};
+
+const LAYOUTS = {
+    cartesian: 'Q',
+    radial: 'S'
+};
+
+const REGION_COUNTS = {
+    intermediate: 4,
+    fine: 12
+};
+
+class StrataFormat {
+    static regionCount(level) {
+        return REGION_COUNTS[level];
+    }
+
+    /**
+     * Region index for a normalized position
+     * @param {number} x - 0-1
+     * @param {number} y - 0-1
+     * @param {string} level - 'intermediate' | 'fine'
+     * @param {string} layout - 'cartesian' | 'radial'
+     */
+    static regionIndex(x, y, level, layout) {
+        const count = REGION_COUNTS[level];
+
+        if (layout === 'radial') {
+            const angle = Math.atan2(y - 0.5, x - 0.5) + Math.PI; // 0 to 2π
+            return Math.floor(angle / (2 * Math.PI / count)) % count;
+        }
+
+        const cols = level === 'fine' ? 4 : 2;
+        const rows = level === 'fine' ? 3 : 2;
+        const col = Math.min(cols - 1, Math.max(0, Math.floor(x * cols)));
+        const row = Math.min(rows - 1, Math.max(0, Math.floor(y * rows)));
+        return row * cols + col;
+    }
+
+    /**
+     * Representative normalized position of a region
+     */
+    static regionCenter(index, level, layout) {
+        const count = REGION_COUNTS[level];
+
+        if (layout === 'radial') {
+            const angle = (index + 0.5) * (2 * Math.PI / count) - Math.PI;
+            return { x: 0.5 + Math.cos(angle) * 0.3, y: 0.5 + Math.sin(angle) * 0.3 };
+        }
+
+        const cols = level === 'fine' ? 4 : 2;
+        const rows = level === 'fine' ? 3 : 2;
+        return { x: (index % cols + 0.5) / cols, y: (Math.floor(index / cols) + 0.5) / rows };
+    }
+
+    static levelId(level) {
+        return LEVELS[level];
+    }
+
+    static levelName(id) {
+        return Object.keys(LEVELS).find(name => LEVELS[name] === id) || null;
+    }
+
+    static layoutId(layout) {
+        return LAYOUTS[layout];
+    }
+
+    static layoutName(id) {
+        return Object.keys(LAYOUTS).find(name => LAYOUTS[name] === id) || null;
+    }
+
+    static isStratum(code) {
+        return typeof code === 'string' && code[0] === STRATUM_MARKER;
+    }
+
+    /**
+     * Splits a combined hierarchical code into global code and strata
+     * @param {string} code - Global ⊕ Intermediate ⊕ Fine
+     * @returns {string[]} [global, ...strata]
+     */
+    static split(code) {
+        const parts = code.split(STRATUM_MARKER);
+        return [parts[0], ...parts.slice(1).map(part => STRATUM_MARKER + part)];
+    }
+}
+
+StrataFormat.MARKER = STRATUM_MARKER;
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrataFormat;
+} else if (typeof window !== 'undefined') {
+    window.StrataFormat = StrataFormat;
+}
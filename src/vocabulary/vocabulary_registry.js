@@ -0,0 +1,275 @@
+// vocabulary_registry.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: SHARED SYMBOL VOCABULARY
+// =====================================================
+// Loads the published symbol table (symbol_table.json)
+// that both the encoder and the decoder use, so every
+// emitted symbol has exactly one documented meaning:
+//
+//     value  --encode-->  symbol  --decode-->  entry
+//
+// Within a category, symbols and values are one-to-one.
+// Aliases (e.g. radial sector 'north' -> focus 'top') are
+// declared explicitly in the table, and values the table
+// does not know fall back to the category's documented
+// fallback instead of being hashed onto a random symbol.
+//
+// Object positions are self-describing: a grid digit 1-9
+// is a 3×3 cell, an A-Z pair is a 26×26 cell (x then y).
+// =====================================================
+
+const { CODE_ALPHABET } = require('../utils/reed_solomon');
+const SYMBOL_TABLE = require('./symbol_table.json');
+
+// Position precision 1: 3×3 grid, row-major from top-left
+const POSITION_GRID = '123456789';
+// Position precision 2: one level per axis
+const POSITION_LEVELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+let defaultRegistry = null;
+
+class VocabularyRegistry {
+    /**
+     * @param {Object} table - Symbol table in the symbol_table.json format
+     */
+    constructor(table = SYMBOL_TABLE) {
+        VocabularyRegistry.validate(table);
+
+        this.table = table;
+        this.version = table.version;
+        this.padding = { ...table.padding };
+        this.categories = {};
+
+        Object.entries(table.categories).forEach(([name, category]) => {
+            const bySymbol = new Map();
+            const byValue = new Map();
+
+            Object.entries(category.symbols).forEach(([symbol, entry]) => {
+                const decoded = Object.freeze({ symbol, ...entry });
+                bySymbol.set(symbol, decoded);
+                byValue.set(entry.value, decoded);
+            });
+
+            this.categories[name] = {
+                bySymbol,
+                byValue,
+                aliases: category.aliases || {},
+                fallback: category.fallback
+            };
+        });
+
+        // Symbols that may follow an object symbol inside an object token
+        this.modifierSymbols = new Set(this.categories.modifier.bySymbol.keys());
+    }
+
+    /**
+     * Shared registry over the published table
+     * @returns {VocabularyRegistry}
+     */
+    static default() {
+        if (!defaultRegistry) defaultRegistry = new VocabularyRegistry();
+        return defaultRegistry;
+    }
+
+    /**
+     * Throws if a table is not collision-free or uses symbols outside the code alphabet
+     */
+    static validate(table) {
+        if (!table || typeof table.categories !== 'object') {
+            throw new Error('Symbol table must define categories');
+        }
+        if (!table.categories.modifier || !table.categories.object) {
+            throw new Error('Symbol table must define object and modifier categories');
+        }
+
+        Object.entries(table.categories).forEach(([name, category]) => {
+            const values = new Set();
+
+            Object.entries(category.symbols || {}).forEach(([symbol, entry]) => {
+                if (symbol.length !== 1 || !CODE_ALPHABET.includes(symbol)) {
+                    throw new Error(`Symbol '${symbol}' in category '${name}' is not a single code alphabet character`);
+                }
+                if (!entry || typeof entry.value !== 'string') {
+                    throw new Error(`Symbol '${symbol}' in category '${name}' has no value`);
+                }
+                if (values.has(entry.value)) {
+                    throw new Error(`Value '${entry.value}' is mapped to more than one symbol in category '${name}'`);
+                }
+                values.add(entry.value);
+            });
+
+            if (!values.has(category.fallback)) {
+                throw new Error(`Fallback '${category.fallback}' of category '${name}' has no symbol`);
+            }
+
+            Object.entries(category.aliases || {}).forEach(([alias, target]) => {
+                if (values.has(alias)) {
+                    throw new Error(`Alias '${alias}' shadows a value in category '${name}'`);
+                }
+                if (!values.has(target)) {
+                    throw new Error(`Alias '${alias}' in category '${name}' points to unknown value '${target}'`);
+                }
+            });
+        });
+
+        Object.entries(table.padding || {}).forEach(([segment, symbol]) => {
+            if (symbol.length !== 1 || !CODE_ALPHABET.includes(symbol)) {
+                throw new Error(`Padding for segment '${segment}' is not a single code alphabet character`);
+            }
+        });
+    }
+
+    // === LOOKUP =============================================================
+
+    /**
+     * Symbol for a value; unknown values map to the category fallback
+     * @param {string} category - e.g. 'scene', 'object'
+     * @param {string} value - e.g. 'natural', 'circle'
+     * @returns {string} One symbol character
+     */
+    encode(category, value) {
+        const vocab = this.getCategory(category);
+        const entry = vocab.byValue.get(this.resolve(category, value)) || vocab.byValue.get(vocab.fallback);
+        return entry.symbol;
+    }
+
+    /**
+     * Documented meaning of a symbol
+     * @returns {Object|null} { symbol, value, ...attributes } or null if the symbol is not in the category
+     */
+    decode(category, symbol) {
+        return this.getCategory(category).bySymbol.get(symbol) || null;
+    }
+
+    /**
+     * Canonical value for a value or alias (lowercased), without applying the fallback
+     */
+    resolve(category, value) {
+        const vocab = this.getCategory(category);
+        const normalized = String(value).toLowerCase();
+        return vocab.aliases[normalized] || normalized;
+    }
+
+    has(category, value) {
+        return this.getCategory(category).byValue.has(this.resolve(category, value));
+    }
+
+    symbols(category) {
+        return Array.from(this.getCategory(category).bySymbol.keys());
+    }
+
+    values(category) {
+        return Array.from(this.getCategory(category).byValue.keys());
+    }
+
+    getCategory(category) {
+        const vocab = this.categories[category];
+        if (!vocab) throw new Error(`Unknown vocabulary category: ${category}`);
+        return vocab;
+    }
+
+    // === OBJECT TOKENS ======================================================
+
+    /**
+     * Splits an object segment into tokens: object symbol, optional modifiers, position
+     * @param {string} segment - e.g. 'a3G+*7bMC000'
+     * @param {number|null} positionLength - Characters per position; null detects it per token
+     * @returns {Array} [{ symbol, modifiers, position }] in encoding order
+     */
+    tokenizeObjects(segment, positionLength = null) {
+        const objects = this.categories.object.bySymbol;
+        const tokens = [];
+        let i = 0;
+
+        while (i < segment.length) {
+            if (!objects.has(segment[i])) {
+                i++;
+                continue;
+            }
+
+            let j = i + 1;
+            while (j < segment.length && this.modifierSymbols.has(segment[j])) j++;
+
+            const length = positionLength ?? VocabularyRegistry.positionLength(segment[j]);
+            const position = segment.slice(j, j + length);
+            if (!length || position.length < length || position.includes(this.padding.objects)) break;
+
+            tokens.push({
+                symbol: segment[i],
+                modifiers: Array.from(segment.slice(i + 1, j)),
+                position
+            });
+            i = j + length;
+        }
+
+        return tokens;
+    }
+
+    // === POSITIONS ==========================================================
+
+    /**
+     * Position symbols for a normalized point
+     * @param {number} x - 0 (left) to 1 (right)
+     * @param {number} y - 0 (top) to 1 (bottom)
+     * @param {number} precision - 1: grid digit, 2: A-Z pair
+     * @returns {string}
+     */
+    encodePosition(x, y, precision = 1) {
+        const cell = (value, cells) => Math.min(cells - 1, Math.max(0, Math.floor(value * cells)));
+
+        if (precision === 1) {
+            return POSITION_GRID[cell(y, 3) * 3 + cell(x, 3)];
+        }
+        if (precision === 2) {
+            const levels = POSITION_LEVELS.length;
+            return POSITION_LEVELS[cell(x, levels)] + POSITION_LEVELS[cell(y, levels)];
+        }
+        throw new Error(`Unsupported position precision: ${precision}`);
+    }
+
+    /**
+     * Cell a position stands for
+     * @param {string} position - Grid digit or A-Z pair
+     * @returns {Object|null} { x, y, precision, box: { minX, minY, maxX, maxY } } with x, y the cell centre
+     */
+    decodePosition(position) {
+        const cellOf = (minX, minY, size, precision) => ({
+            x: minX + size / 2,
+            y: minY + size / 2,
+            precision,
+            box: { minX, minY, maxX: minX + size, maxY: minY + size }
+        });
+
+        if (position.length === 1 && POSITION_GRID.includes(position)) {
+            const index = POSITION_GRID.indexOf(position);
+            return cellOf((index % 3) / 3, Math.floor(index / 3) / 3, 1 / 3, 1);
+        }
+
+        const levels = POSITION_LEVELS.length;
+        const gx = POSITION_LEVELS.indexOf(position[0]);
+        const gy = POSITION_LEVELS.indexOf(position[1]);
+        if (position.length === 2 && gx >= 0 && gy >= 0) {
+            return cellOf(gx / levels, gy / levels, 1 / levels, 2);
+        }
+
+        return null;
+    }
+
+    /**
+     * Length of the position that starts with this character (0 if none does)
+     */
+    static positionLength(char) {
+        if (!char) return 0;
+        if (POSITION_GRID.includes(char)) return 1;
+        if (POSITION_LEVELS.includes(char)) return 2;
+        return 0;
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VocabularyRegistry;
+} else if (typeof window !== 'undefined') {
+    window.VocabularyRegistry = VocabularyRegistry;
+}
@@ -0,0 +1,161 @@
+// echo_index_benchmark.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: ECHO INDEX BENCHMARK
+// =====================================================
+// Fills a plain MemoryStore and an indexed one with the
+// same memories, runs the same findEchoes() queries on
+// both, and reports time per query, the speedup and how
+// many memories the index actually scored. Every query
+// must return the same echoes in the same order, or the
+// run fails.
+//
+// Memories reuse codes from encoded scene graphs (one
+// world revisits the same places), with their own
+// emotions and timestamps spread over a year. Run:
+//
+//   node test/benchmark/echo_index_benchmark.js [--sizes 1000,10000,50000] [--queries 200] [--json]
+// =====================================================
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const MemoryStore = require('../../src/decoder/memory_store');
+const SeededRandom = require('../../src/utils/prng');
+
+const ENTITY_TYPES = ['tree', 'person', 'water', 'door', 'window', 'tower', 'wall', 'stone', 'bird', 'light'];
+const MODES = ['mobile', 'balanced', 'rich'];
+const DAY = 24 * 60 * 60 * 1000;
+
+class EchoIndexBenchmark {
+    /**
+     * @param {Object} options - { sizes, queries, codes, seed }
+     */
+    constructor(options = {}) {
+        this.sizes = options.sizes || [1000, 10000, 50000];
+        this.queries = options.queries ?? 200;
+        this.codeCount = options.codes ?? 240;
+        this.seed = options.seed ?? 'echo-benchmark';
+    }
+
+    /**
+     * @returns {Object} { results, passed }
+     */
+    run() {
+        const random = SeededRandom.create(this.seed);
+        const codes = this.encodeCodes(random);
+        const now = Date.now();
+
+        const results = this.sizes.map(size => {
+            const memories = Array.from({ length: size }, () => ({
+                code: codes[Math.floor(random() * codes.length)],
+                timestamp: now - random() * 365 * DAY,
+                emotion: { valence: random(), arousal: random() }
+            }));
+            const queries = Array.from({ length: this.queries }, () => codes[Math.floor(random() * codes.length)]);
+
+            const plain = new PerceptualAlchemyDecoder({ memoryStore: new MemoryStore({ memories: memories.slice() }) });
+            const indexed = new PerceptualAlchemyDecoder({ memoryStore: new MemoryStore({ memories: memories.slice(), index: true }) });
+
+            // Same emotion a decode would bring to the query
+            const emotions = queries.map(code => plain.reconstructEmotion(plain.segmentCode(plain.validateAndCorrect(code).code).emotion));
+
+            const scan = this.time(plain, queries, emotions);
+            const index = this.time(indexed, queries, emotions);
+
+            // Count scored memories on one more pass
+            let scored = 0;
+            const resonance = indexed.memoryResonance;
+            const scoreEcho = resonance.scoreEcho;
+            resonance.scoreEcho = (...args) => { scored++; return scoreEcho.apply(resonance, args); };
+            queries.forEach((code, i) => resonance.findEchoes(code, emotions[i]));
+            delete resonance.scoreEcho;
+
+            const mismatches = scan.echoes.filter((echoes, i) => !EchoIndexBenchmark.sameEchoes(echoes, index.echoes[i])).length;
+
+            return {
+                size,
+                scanMs: scan.ms / queries.length,
+                indexMs: index.ms / queries.length,
+                speedup: scan.ms / index.ms,
+                scoredPerQuery: scored / queries.length,
+                mismatches
+            };
+        });
+
+        return { results, passed: results.every(result => result.mismatches === 0) };
+    }
+
+    /**
+     * Codes from random scene graphs across all modes
+     */
+    encodeCodes(random) {
+        const encoders = MODES.map(mode => new PerceptualAlchemyEncoder({ mode, seed: this.seed }));
+
+        return Array.from({ length: this.codeCount }, (_, i) => {
+            const entities = Array.from({ length: 1 + Math.floor(random() * 5) }, () => ({
+                type: ENTITY_TYPES[Math.floor(random() * ENTITY_TYPES.length)],
+                position: { x: random(), y: random() },
+                size: { width: 0.05 + random() * 0.3, height: 0.05 + random() * 0.3 },
+                color: [random() * 255, random() * 255, random() * 255]
+            }));
+            const emotion = { valence: random(), arousal: random() };
+            return encoders[i % encoders.length].encodeSceneGraph(entities, { emotion }).code;
+        });
+    }
+
+    time(decoder, queries, emotions) {
+        const start = process.hrtime.bigint();
+        const echoes = queries.map((code, i) => decoder.memoryResonance.findEchoes(code, emotions[i]));
+        return { echoes, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+    }
+
+    /**
+     * Same memories in the same order with the same scores (strength itself drifts as the clock moves)
+     */
+    static sameEchoes(a, b) {
+        return a.length === b.length && a.every((echo, i) =>
+            echo.memory === b[i].memory && echo.similarity === b[i].similarity && echo.resonance === b[i].resonance);
+    }
+
+    static formatReport(report) {
+        const lines = ['Echo index benchmark', ''];
+        lines.push('  memories   scan ms/query   index ms/query   speedup   scored/query   mismatches');
+        report.results.forEach(result => {
+            lines.push(
+                `  ${String(result.size).padStart(8)}` +
+                `   ${result.scanMs.toFixed(3).padStart(13)}` +
+                `   ${result.indexMs.toFixed(3).padStart(14)}` +
+                `   ${(result.speedup.toFixed(1) + '×').padStart(7)}` +
+                `   ${result.scoredPerQuery.toFixed(0).padStart(12)}` +
+                `   ${String(result.mismatches).padStart(10)}`);
+        });
+        lines.push('', report.passed ? 'PASS: indexed echoes match a full scan' : 'FAIL: indexed echoes differ from a full scan');
+        return lines.join('\n');
+    }
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EchoIndexBenchmark;
+}
+
+if (typeof require !== 'undefined' && require.main === module) {
+    const option = name => {
+        const i = process.argv.indexOf(name);
+        return i >= 0 ? process.argv[i + 1] : undefined;
+    };
+    const sizes = option('--sizes');
+    const queries = option('--queries');
+
+    const report = new EchoIndexBenchmark({
+        sizes: sizes ? sizes.split(',').map(Number) : undefined,
+        queries: queries ? Number(queries) : undefined
+    }).run();
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(EchoIndexBenchmark.formatReport(report));
+    }
+    process.exitCode = report.passed ? 0 : 1;
+}
@@ -0,0 +1,359 @@
+// roundtrip_harness.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: ROUND-TRIP CONFORMANCE HARNESS
+// =====================================================
+// Encodes synthetic scenes in every mode and culture,
+// decodes them with a matching stable decoder, and checks
+// that what the encoder wrote is what the decoder read:
+//
+//   sceneType, lighting, mood   exact (through the lens)
+//   objectTypes                 same multiset, and at least
+//                               the scene's minObjects written
+//   objectPositions             inside the decoded position box,
+//                               read at the mode's precision
+//                               (grid digit, A–Z pair in rich)
+//   focus                       exact (aliases resolved)
+//   valence, arousal            within one quantization step
+//   reliable                    decoder confidence above threshold
+//
+// Reports per-field fidelity so regressions show up as
+// numbers. Run headless:
+//
+//   node test/conformance/roundtrip_harness.js [--json]
+// =====================================================
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const VocabularyRegistry = require('../../src/vocabulary/vocabulary_registry');
+const { renderScene, SCENES } = require('./synthetic_scenes');
+
+const FIELDS = ['sceneType', 'lighting', 'mood', 'objectTypes', 'objectPositions', 'focus', 'valence', 'arousal', 'reliable'];
+
+// Cells per axis at each position precision
+const POSITION_CELLS = { 1: 3, 2: 26 };
+
+const DEFAULT_TOLERANCES = {
+    // A-Z quantization step is 1/25
+    emotion: 0.05,
+    // Slack outside the cell a position symbol stands for
+    position: 0.01
+};
+
+class RoundTripHarness {
+    /**
+     * @param {Object} options - { modes, cultures, scenes, tolerances, registry, seed }
+     */
+    constructor(options = {}) {
+        this.modes = options.modes || ['mobile', 'balanced', 'rich'];
+        this.cultures = options.cultures || ['universal', 'japanese', 'norse'];
+        this.scenes = options.scenes || SCENES;
+        this.tolerances = { ...DEFAULT_TOLERANCES, ...options.tolerances };
+        this.registry = options.registry || VocabularyRegistry.default();
+        // Fixed seed so colour clustering, and therefore every run, is reproducible
+        this.seed = options.seed ?? 'conformance';
+    }
+
+    /**
+     * Runs every scene × mode × culture case
+     * @returns {Object} { cases, fidelity, passed }
+     */
+    run() {
+        const cases = [];
+
+        this.scenes.forEach(spec => {
+            const imageData = renderScene(spec);
+            this.modes.forEach(mode => {
+                this.cultures.forEach(culture => {
+                    cases.push(this.runCase(spec, imageData, mode, culture));
+                });
+            });
+        });
+
+        const fidelity = this.summarize(cases);
+        return {
+            cases,
+            fidelity,
+            passed: cases.every(c => c.passed)
+        };
+    }
+
+    runCase(spec, imageData, mode, culture) {
+        const label = { scene: spec.name, mode, culture };
+        const encoder = new PerceptualAlchemyEncoder({ mode, culture, debug: true, vocabulary: this.registry, seed: this.seed });
+        const decoder = new PerceptualAlchemyDecoder({ mode: 'stable', culture, vocabulary: this.registry, seed: this.seed });
+
+        let code;
+        let expected;
+        let decoded;
+        try {
+            const result = encoder.encode(imageData);
+            code = result.code;
+            expected = this.expectedFrom(result, imageData, decoder);
+            expected.precision = encoder.positionPrecision;
+            decoded = decoder.decode(result.code);
+            if (!decoded || !decoded.experience) {
+                throw new Error(decoded && decoded.error ? decoded.error : 'Decoder returned no experience');
+            }
+        } catch (error) {
+            return { ...label, code, passed: false, error: error.message, fields: {} };
+        }
+
+        const fields = this.compare(expected, this.observedFrom(decoded), spec.minObjects || 0);
+        return {
+            ...label,
+            code,
+            passed: FIELDS.every(field => fields[field].pass),
+            fields
+        };
+    }
+
+    // === EXPECTATIONS =======================================================
+
+    /**
+     * What the encoder wrote, expressed the way a matching decoder should read it
+     */
+    expectedFrom(result, imageData, decoder) {
+        const symbols = new Map(result.debug.symbolMap);
+        const meaning = (key, category) => this.canonical(category, symbols.get(key).meaning);
+
+        const lighting = this.registry.decode('light', this.registry.encode('light', symbols.get('scene[1]').meaning));
+
+        const objects = Array.from(symbols.entries())
+            .filter(([key]) => key.startsWith('object['))
+            .map(([, entry]) => ({
+                type: this.canonical('object', entry.type),
+                x: entry.centroid.x / imageData.width,
+                y: entry.centroid.y / imageData.height
+            }));
+
+        return {
+            sceneType: decoder.culturalLens.interpretScene(meaning('scene[0]', 'scene')).type,
+            lighting: lighting.quality,
+            mood: meaning('scene[2]', 'mood'),
+            objects,
+            focus: this.canonical('focus', result.analysis.cultural.spatial.primaryFocus),
+            valence: result.analysis.emotion.current.valence,
+            arousal: result.analysis.emotion.current.arousal
+        };
+    }
+
+    /**
+     * Value the vocabulary can express for an encoder value (aliases and fallbacks applied)
+     */
+    canonical(category, value) {
+        return this.registry.decode(category, this.registry.encode(category, value)).value;
+    }
+
+    observedFrom(decoded) {
+        const { scene, objects, spatial, emotional } = decoded.experience;
+
+        return {
+            sceneType: scene.type,
+            lighting: scene.lighting.quality,
+            mood: scene.mood.primary,
+            objects: (objects || []).map(obj => ({
+                type: obj.type,
+                x: obj.position.x,
+                y: obj.position.y,
+                precision: obj.position.precision,
+                box: obj.position.box
+            })),
+            focus: spatial.focus.primary,
+            valence: emotional.current.valence,
+            arousal: emotional.current.arousal,
+            confidence: decoded.metadata.confidence,
+            reliable: decoded.metadata.isReliable
+        };
+    }
+
+    // === COMPARISON =========================================================
+
+    /**
+     * @param {number} minObjects - Objects the encoder must have written for the object checks to pass
+     */
+    compare(expected, observed, minObjects = 0) {
+        const exact = field => ({
+            expected: expected[field],
+            observed: observed[field],
+            pass: expected[field] === observed[field]
+        });
+        const numeric = (field, tolerance) => {
+            const error = Math.abs(expected[field] - observed[field]);
+            return { expected: expected[field], observed: observed[field], error, pass: error <= tolerance };
+        };
+
+        return {
+            sceneType: exact('sceneType'),
+            lighting: exact('lighting'),
+            mood: exact('mood'),
+            objectTypes: this.compareObjectTypes(expected.objects, observed.objects, minObjects),
+            objectPositions: this.compareObjectPositions(expected.objects, observed.objects, minObjects, expected.precision),
+            focus: exact('focus'),
+            valence: numeric('valence', this.tolerances.emotion),
+            arousal: numeric('arousal', this.tolerances.emotion),
+            reliable: { expected: true, observed: observed.confidence, pass: observed.reliable === true }
+        };
+    }
+
+    compareObjectTypes(expected, observed, minObjects = 0) {
+        const sorted = list => list.map(obj => obj.type).sort();
+        const a = sorted(expected);
+        const b = sorted(observed);
+
+        return {
+            expected: a,
+            observed: b,
+            minObjects,
+            pass: a.length >= minObjects && a.length === b.length && a.every((type, i) => type === b[i])
+        };
+    }
+
+    /**
+     * @param {number} precision - Position precision the encoder wrote (1: 3×3 grid, 2: 26×26 A–Z pair)
+     */
+    compareObjectPositions(expected, observed, minObjects = 0, precision = null) {
+        const unmatched = observed.slice();
+        const precisions = [];
+        const errors = expected.map(obj => {
+            let best = -1;
+            let bestError = Infinity;
+
+            unmatched.forEach((candidate, i) => {
+                if (candidate.type !== obj.type) return;
+                const error = RoundTripHarness.distanceOutside(obj, candidate.box);
+                if (error < bestError) {
+                    bestError = error;
+                    best = i;
+                }
+            });
+
+            if (best >= 0) {
+                precisions.push(RoundTripHarness.boxPrecision(unmatched[best]));
+                unmatched.splice(best, 1);
+            }
+            return bestError;
+        });
+
+        // No objects written is only right for a scene that expects none
+        if (!errors.length) return { count: 0, error: null, minObjects, pass: minObjects === 0 };
+
+        const error = Math.max(...errors);
+        const precisionMatches = precision === null || precisions.every(read => read === precision);
+        return {
+            count: expected.length,
+            error,
+            precision: { expected: precision, observed: precisions },
+            pass: error <= this.tolerances.position && precisionMatches
+        };
+    }
+
+    /**
+     * Precision a decoded position claims, when its box is the size that precision covers (null otherwise)
+     */
+    static boxPrecision(position) {
+        const cells = POSITION_CELLS[position.precision];
+        if (!cells) return null;
+
+        const size = 1 / cells;
+        const { minX, minY, maxX, maxY } = position.box;
+        const fits = Math.abs(maxX - minX - size) < 1e-9 && Math.abs(maxY - minY - size) < 1e-9;
+        return fits ? position.precision : null;
+    }
+
+    /**
+     * How far a point lies outside a box (0 when inside)
+     */
+    static distanceOutside(point, box) {
+        const dx = Math.max(box.minX - point.x, 0, point.x - box.maxX);
+        const dy = Math.max(box.minY - point.y, 0, point.y - box.maxY);
+        return Math.max(dx, dy);
+    }
+
+    // === REPORTING ==========================================================
+
+    /**
+     * Per-field pass rate (and mean error for numeric fields) across cases
+     */
+    summarize(cases) {
+        const fidelity = {};
+
+        FIELDS.forEach(field => {
+            const results = cases.map(c => c.fields[field]);
+            const passed = results.filter(r => r && r.pass).length;
+            const errors = results.filter(r => r && Number.isFinite(r.error)).map(r => r.error);
+
+            fidelity[field] = {
+                passed,
+                total: cases.length,
+                rate: cases.length ? passed / cases.length : 1
+            };
+            if (errors.length) {
+                fidelity[field].meanError = errors.reduce((a, b) => a + b, 0) / errors.length;
+            }
+        });
+
+        return fidelity;
+    }
+
+    static formatReport(report) {
+        const lines = ['Round-trip fidelity', ''];
+
+        FIELDS.forEach(field => {
+            const f = report.fidelity[field];
+            const rate = (f.rate * 100).toFixed(1).padStart(5);
+            const error = f.meanError !== undefined ? `  mean error ${f.meanError.toFixed(3)}` : '';
+            lines.push(`  ${field.padEnd(16)} ${rate}%  (${f.passed}/${f.total})${error}`);
+        });
+
+        const failures = report.cases.filter(c => !c.passed);
+        if (failures.length) {
+            lines.push('', `Failures (${failures.length}/${report.cases.length}):`);
+            failures.forEach(c => {
+                const reason = c.error || FIELDS
+                    .filter(field => !c.fields[field].pass)
+                    .map(field => RoundTripHarness.describeFailure(field, c.fields[field]))
+                    .join(', ');
+                lines.push(`  ${c.scene} / ${c.mode} / ${c.culture}: ${reason}`);
+            });
+        }
+
+        return lines.join('\n');
+    }
+
+    static describeFailure(field, result) {
+        const written = result.count ?? (Array.isArray(result.expected) ? result.expected.length : null);
+        if (written !== null && written < result.minObjects) {
+            return `${field}: ${written} objects written, scene expects at least ${result.minObjects}`;
+        }
+        if (result.precision && result.precision.observed.some(read => read !== result.precision.expected)) {
+            return `${field} read at precision ${JSON.stringify(result.precision.observed)}, written at ${result.precision.expected}`;
+        }
+        if (result.count !== undefined) {
+            return `${field} off by ${result.error.toFixed(3)}`;
+        }
+        if (result.error !== undefined) {
+            return `${field} ${result.expected.toFixed(3)} → ${result.observed.toFixed(3)}`;
+        }
+        return `${field} ${JSON.stringify(result.expected)} → ${JSON.stringify(result.observed)}`;
+    }
+}
+
+// === CLI ====================================================================
+
+if (typeof require !== 'undefined' && require.main === module) {
+    const report = new RoundTripHarness().run();
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(RoundTripHarness.formatReport(report));
+    }
+
+    process.exitCode = report.passed ? 0 : 1;
+}
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoundTripHarness;
+}
@@ -0,0 +1,146 @@
+// synthetic_scenes.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: SYNTHETIC TEST SCENES
+// =====================================================
+// Deterministic ImageData-shaped scenes for headless
+// round-trip testing: a background (flat or vertical
+// gradient) with discs, rectangles and stripes painted
+// on top. No canvas required.
+// =====================================================
+
+/**
+ * Renders a scene description into { width, height, data }
+ * @param {Object} spec - { width, height, background, gradient?, shapes[], minObjects? }
+ *   background/gradient: [r, g, b] top/bottom colours
+ *   shapes: { kind: 'disc'|'rect'|'stripes', x, y, ... , color } in normalized coordinates
+ * @returns {Object} ImageData-like object
+ */
+function renderScene(spec) {
+    const { width, height } = spec;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const top = spec.background;
+    const bottom = spec.gradient || spec.background;
+
+    for (let y = 0; y < height; y++) {
+        const t = height > 1 ? y / (height - 1) : 0;
+        for (let x = 0; x < width; x++) {
+            let color = [
+                top[0] + (bottom[0] - top[0]) * t,
+                top[1] + (bottom[1] - top[1]) * t,
+                top[2] + (bottom[2] - top[2]) * t
+            ];
+
+            (spec.shapes || []).forEach(shape => {
+                if (covers(shape, x / width, y / height, width / height)) color = shape.color;
+            });
+
+            const i = (y * width + x) * 4;
+            data[i] = color[0];
+            data[i + 1] = color[1];
+            data[i + 2] = color[2];
+            data[i + 3] = 255;
+        }
+    }
+
+    return { width, height, data };
+}
+
+function covers(shape, nx, ny, aspect) {
+    switch (shape.kind) {
+        case 'disc': {
+            // Radius is relative to height so discs stay round
+            const dx = (nx - shape.x) * aspect;
+            const dy = ny - shape.y;
+            return dx * dx + dy * dy <= shape.r * shape.r;
+        }
+        case 'rect':
+            return Math.abs(nx - shape.x) <= shape.w / 2 && Math.abs(ny - shape.y) <= shape.h / 2;
+        case 'stripes':
+            return Math.floor(nx * shape.count) % 2 === 0;
+        default:
+            return false;
+    }
+}
+
+// Each scene names the field it mainly exercises. minObjects is how many
+// objects every mode must write, so a broken shape pipeline fails the
+// object checks instead of passing them with nothing to compare.
+const SCENES = [
+    {
+        name: 'dusk-disc',
+        minObjects: 1,
+        width: 280, height: 200,
+        background: [90, 60, 120], gradient: [230, 120, 60],
+        shapes: [{ kind: 'disc', x: 0.25, y: 0.3, r: 0.12, color: [250, 210, 80] }]
+    },
+    {
+        name: 'night-window',
+        minObjects: 1,
+        width: 280, height: 200,
+        background: [10, 12, 25],
+        shapes: [{ kind: 'rect', x: 0.7, y: 0.4, w: 0.2, h: 0.3, color: [240, 220, 150] }]
+    },
+    {
+        name: 'noon-field',
+        minObjects: 1,
+        width: 280, height: 200,
+        background: [235, 240, 250], gradient: [210, 230, 200],
+        shapes: [{ kind: 'rect', x: 0.5, y: 0.85, w: 1, h: 0.1, color: [90, 140, 60] }]
+    },
+    {
+        name: 'overcast',
+        minObjects: 0,
+        width: 280, height: 200,
+        background: [110, 130, 160]
+    },
+    {
+        name: 'blocks',
+        minObjects: 1,
+        width: 280, height: 200,
+        background: [60, 70, 80],
+        shapes: [
+            { kind: 'rect', x: 0.2, y: 0.7, w: 0.15, h: 0.4, color: [200, 200, 210] },
+            { kind: 'rect', x: 0.5, y: 0.6, w: 0.15, h: 0.6, color: [180, 180, 190] },
+            { kind: 'rect', x: 0.8, y: 0.75, w: 0.15, h: 0.3, color: [220, 210, 200] }
+        ]
+    },
+    {
+        name: 'stripes',
+        minObjects: 1,
+        width: 280, height: 200,
+        background: [240, 240, 240],
+        shapes: [{ kind: 'stripes', count: 14, color: [20, 20, 20] }]
+    },
+    {
+        name: 'wide-frame',
+        minObjects: 1,
+        width: 400, height: 150,
+        background: [30, 90, 60], gradient: [20, 50, 30],
+        shapes: [{ kind: 'disc', x: 0.85, y: 0.7, r: 0.15, color: [200, 60, 50] }]
+    },
+    {
+        // Objects in separate grid cells; balanced fits all three, rich two at pair precision
+        name: 'lanterns',
+        minObjects: 1,
+        width: 280, height: 200,
+        background: [15, 20, 35],
+        shapes: [
+            { kind: 'disc', x: 0.15, y: 0.2, r: 0.08, color: [250, 200, 90] },
+            { kind: 'disc', x: 0.85, y: 0.25, r: 0.08, color: [250, 180, 70] },
+            { kind: 'disc', x: 0.5, y: 0.8, r: 0.1, color: [240, 220, 120] }
+        ]
+    },
+    {
+        name: 'tower',
+        minObjects: 1,
+        width: 200, height: 280,
+        background: [150, 180, 220], gradient: [200, 210, 190],
+        shapes: [{ kind: 'rect', x: 0.3, y: 0.55, w: 0.12, h: 0.7, color: [70, 60, 55] }]
+    }
+];
+
+// === EXPORT =================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderScene, SCENES };
+}
@@ -0,0 +1,326 @@
+// image_fixtures.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: IMAGE & DEFLATE FIXTURE BUILDERS
+// =====================================================
+// Writes small PNG, BMP and PNM files byte by byte, so
+// loader tests control every filter, interlace pass,
+// row order and bit depth instead of trusting whatever
+// an image editor produced. Also a deflate bit writer
+// for hand-made (and deliberately broken) streams.
+//
+// Pixels are given as [r, g, b, a] (PNG/BMP RGB) or as
+// raw samples/palette indices where the format stores
+// them; see each builder.
+// =====================================================
+
+const zlib = require('zlib');
+
+// === REFERENCE PIXELS =======================================================
+
+/**
+ * Deterministic test card: every pixel differs from its neighbours
+ * @returns {Array} [[r, g, b, a]] row-major
+ */
+function testCard(width, height) {
+    const pixels = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            pixels.push([(x * 37 + y * 11) & 0xff, (x * 5 + y * 53 + 7) & 0xff, (x * y * 13 + 91) & 0xff, (x * 29 + y * 17 + 40) & 0xff]);
+        }
+    }
+    return pixels;
+}
+
+/** RGBA bytes as the loader returns them */
+function rgba(pixels) {
+    return Uint8ClampedArray.from(pixels.flat());
+}
+
+// === PNG ====================================================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let c = 0xffffffff;
+    for (const byte of bytes) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, body = new Uint8Array(0)) {
+    const out = Buffer.alloc(12 + body.length);
+    out.writeUInt32BE(body.length, 0);
+    out.write(type, 4, 'latin1');
+    Buffer.from(body).copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+    return out;
+}
+
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+/** Packs one row of samples at bitDepth */
+function packRow(samples, bitDepth) {
+    if (bitDepth === 8) return Uint8Array.from(samples);
+    if (bitDepth === 16) return Uint8Array.from(samples.flatMap(s => [s >> 8, s & 0xff]));
+
+    const row = new Uint8Array(Math.ceil(samples.length * bitDepth / 8));
+    samples.forEach((sample, i) => {
+        const bit = i * bitDepth;
+        row[bit >> 3] |= sample << (8 - bitDepth - (bit & 7));
+    });
+    return row;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/** Applies a PNG filter to a row given the previous (unfiltered) row */
+function filterRow(row, previous, filter, bpp) {
+    const out = new Uint8Array(row.length + 1);
+    out[0] = filter;
+    for (let x = 0; x < row.length; x++) {
+        const left = x >= bpp ? row[x - bpp] : 0;
+        const up = previous ? previous[x] : 0;
+        const upLeft = previous && x >= bpp ? previous[x - bpp] : 0;
+        const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+        out[x + 1] = (row[x] - predictor) & 0xff;
+    }
+    return out;
+}
+
+/**
+ * Builds a PNG file
+ * @param {Object} spec
+ *   width, height, colorType (0, 2, 3, 4, 6), bitDepth
+ *   samples(x, y) -> array of raw samples for the pixel (palette index for type 3)
+ *   filter: 0-4, or 'cycle' for row y using filter y % 5 (default 0)
+ *   interlace: 0 or 1
+ *   palette: [[r, g, b]], transparency: Uint8Array (tRNS body)
+ *   idatSize: split the zlib stream into IDAT chunks of this many bytes
+ *   zlibOptions: passed to deflateSync
+ * @returns {Buffer}
+ */
+function buildPNG(spec) {
+    const { width, height, colorType, bitDepth, samples } = spec;
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    const bpp = Math.max(1, channels * bitDepth / 8);
+    const passes = spec.interlace ? ADAM7 : [[0, 0, 1, 1]];
+    const rows = [];
+    let rowIndex = 0;
+
+    passes.forEach(([x0, y0, dx, dy]) => {
+        let previous = null;
+        for (let y = y0; y < height; y += dy) {
+            const values = [];
+            for (let x = x0; x < width; x += dx) values.push(...samples(x, y));
+            if (!values.length) continue;
+
+            const row = packRow(values, bitDepth);
+            const filter = spec.filter === 'cycle' ? rowIndex % 5 : spec.filter || 0;
+            rows.push(filterRow(row, previous, filter, bpp));
+            previous = row;
+            rowIndex++;
+        }
+    });
+
+    const raw = Buffer.concat(rows.map(row => Buffer.from(row)));
+    const compressed = zlib.deflateSync(raw, spec.zlibOptions);
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    header[12] = spec.interlace ? 1 : 0;
+
+    const chunks = [chunk('IHDR', header)];
+    if (spec.palette) chunks.push(chunk('PLTE', Uint8Array.from(spec.palette.flat())));
+    if (spec.transparency) chunks.push(chunk('tRNS', spec.transparency));
+
+    const size = spec.idatSize || compressed.length;
+    for (let i = 0; i < compressed.length; i += size) {
+        chunks.push(chunk('IDAT', compressed.subarray(i, i + size)));
+    }
+    chunks.push(chunk('IEND'));
+
+    return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), ...chunks]);
+}
+
+/**
+ * Reassembles a PNG from its chunks, for tests that corrupt the chunk list
+ * @param {Array} chunks - [{ type, body }]
+ */
+function assemblePNG(chunks) {
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        ...chunks.map(({ type, body }) => chunk(type, body))
+    ]);
+}
+
+/** Splits a PNG back into { type, body } chunks */
+function pngChunks(png) {
+    const chunks = [];
+    for (let offset = 8; offset + 8 <= png.length;) {
+        const length = png.readUInt32BE(offset);
+        chunks.push({ type: png.toString('latin1', offset + 4, offset + 8), body: png.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+// === BMP ====================================================================
+
+/**
+ * Builds a BMP file
+ * @param {Object} spec
+ *   width, height, bitsPerPixel (1, 4, 8, 16, 24, 32)
+ *   pixel(x, y) -> palette index (<= 8 bit) or [r, g, b, a]
+ *   palette: [[r, g, b]] for <= 8 bit
+ *   topDown: store rows top-down (negative height)
+ *   masks: { red, green, blue, alpha } to write BI_BITFIELDS (16/32 bit) with a V4 header
+ * @returns {Buffer}
+ */
+function buildBMP(spec) {
+    const { width, height, bitsPerPixel } = spec;
+    const headerSize = spec.masks ? 108 : 40;
+    const paletteBytes = bitsPerPixel <= 8 ? spec.palette.length * 4 : 0;
+    const pixelOffset = 14 + headerSize + paletteBytes;
+    const stride = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+    const out = Buffer.alloc(pixelOffset + stride * height);
+
+    out.write('BM', 0, 'latin1');
+    out.writeUInt32LE(out.length, 2);
+    out.writeUInt32LE(pixelOffset, 10);
+    out.writeUInt32LE(headerSize, 14);
+    out.writeInt32LE(width, 18);
+    out.writeInt32LE(spec.topDown ? -height : height, 22);
+    out.writeUInt16LE(1, 26);
+    out.writeUInt16LE(bitsPerPixel, 28);
+    out.writeUInt32LE(spec.masks ? 3 : 0, 30);
+    out.writeUInt32LE(stride * height, 34);
+    out.writeUInt32LE(bitsPerPixel <= 8 ? spec.palette.length : 0, 46);
+
+    if (spec.masks) {
+        out.writeUInt32LE(spec.masks.red, 54);
+        out.writeUInt32LE(spec.masks.green, 58);
+        out.writeUInt32LE(spec.masks.blue, 62);
+        out.writeUInt32LE(spec.masks.alpha || 0, 66);
+    }
+
+    (spec.palette || []).forEach(([r, g, b], i) => {
+        out.set([b, g, r, 0], 14 + headerSize + i * 4);
+    });
+
+    const scale = (value, mask) => {
+        let shift = 0;
+        while (!((mask >>> shift) & 1)) shift++;
+        return (Math.round(value * (mask >>> shift) / 255) << shift) >>> 0;
+    };
+
+    for (let y = 0; y < height; y++) {
+        const row = pixelOffset + (spec.topDown ? y : height - 1 - y) * stride;
+        for (let x = 0; x < width; x++) {
+            const value = spec.pixel(x, y);
+            if (bitsPerPixel <= 8) {
+                const bit = x * bitsPerPixel;
+                out[row + (bit >> 3)] |= value << (8 - bitsPerPixel - (bit & 7));
+            } else if (bitsPerPixel === 24) {
+                out.set([value[2], value[1], value[0]], row + x * 3);
+            } else {
+                const masks = spec.masks || (bitsPerPixel === 16 ?
+                    { red: 0x7c00, green: 0x03e0, blue: 0x001f } :
+                    { red: 0xff0000, green: 0xff00, blue: 0xff });
+                const packed = (scale(value[0], masks.red) | scale(value[1], masks.green) | scale(value[2], masks.blue) |
+                    (masks.alpha ? scale(value[3], masks.alpha) : 0)) >>> 0;
+                if (bitsPerPixel === 16) out.writeUInt16LE(packed, row + x * 2);
+                else out.writeUInt32LE(packed, row + x * 4);
+            }
+        }
+    }
+
+    return out;
+}
+
+// === PNM ====================================================================
+
+/**
+ * Builds a PGM/PPM file
+ * @param {string} magic - 'P2', 'P3', 'P5' or 'P6'
+ * @param {Array} samples - Raw samples, row-major, 1 (PGM) or 3 (PPM) per pixel
+ * @param {string} comment - Optional '#' comment written inside the header
+ */
+function buildPNM(magic, width, height, maxval, samples, comment = null) {
+    const header = `${magic}\n${comment ? `# ${comment}\n` : ''}${width} ${height}\n${maxval}\n`;
+
+    if (magic === 'P2' || magic === 'P3') {
+        return Buffer.from(header + samples.join(' ') + '\n', 'latin1');
+    }
+
+    const wide = maxval > 255;
+    const raster = Buffer.alloc(samples.length * (wide ? 2 : 1));
+    samples.forEach((sample, i) => {
+        if (wide) raster.writeUInt16BE(sample, i * 2);
+        else raster[i] = sample;
+    });
+    return Buffer.concat([Buffer.from(header, 'latin1'), raster]);
+}
+
+// === DEFLATE BITS ===========================================================
+
+/**
+ * LSB-first bit writer for hand-made deflate streams
+ */
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.bitCount = 0;
+    }
+
+    /** value in n bits, least significant first (block headers, extra bits) */
+    bits(value, n) {
+        for (let i = 0; i < n; i++) this.bit((value >> i) & 1);
+        return this;
+    }
+
+    /** Huffman code of n bits, most significant first */
+    code(value, n) {
+        for (let i = n - 1; i >= 0; i--) this.bit((value >> i) & 1);
+        return this;
+    }
+
+    bit(b) {
+        if (this.bitCount % 8 === 0) this.bytes.push(0);
+        this.bytes[this.bytes.length - 1] |= b << (this.bitCount % 8);
+        this.bitCount++;
+    }
+
+    result() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+/** BTYPE of the first deflate block in a zlib stream */
+function firstBlockType(zlibBytes) {
+    return (zlibBytes[2] >> 1) & 0x03;
+}
+
+module.exports = {
+    testCard,
+    rgba,
+    buildPNG,
+    assemblePNG,
+    pngChunks,
+    buildBMP,
+    buildPNM,
+    BitWriter,
+    firstBlockType
+};
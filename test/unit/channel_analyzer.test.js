@@ -0,0 +1,152 @@
+// channel_analyzer.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: ENGINE CHANNEL TESTS
+// =====================================================
+// Validation of depth and segmentation channels, depth
+// normalization and layers, one object per segment id,
+// and what the encoder makes of frames that carry them.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const ChannelAnalyzer = require('../../src/encoder/channel_analyzer');
+
+const WIDTH = 60;
+const HEIGHT = 40;
+
+const analyzer = () => new PerceptualAlchemyEncoder({ seed: 1 }).channelAnalyzer;
+
+/** One value per pixel from (x, y) */
+const channel = valueAt => Array.from({ length: WIDTH * HEIGHT }, (_, i) => valueAt(i % WIDTH, Math.floor(i / WIDTH)));
+
+const inside = (x, y, [minX, minY, maxX, maxY]) => x >= minX && x <= maxX && y >= minY && y <= maxY;
+
+// Segment 7 is a 10×20 block, 12 a 20×10 block, 3 too small to count
+const SEGMENTS = { 7: [5, 5, 14, 24], 12: [30, 10, 49, 19], 3: [55, 35, 58, 38] };
+
+function segmentIds() {
+    return channel((x, y) => Number(Object.keys(SEGMENTS).find(id => inside(x, y, SEGMENTS[id])) || 0));
+}
+
+/** A grey frame carrying the given channels */
+function frame(channels = {}) {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4).fill(128);
+    return { width: WIDTH, height: HEIGHT, data, ...channels };
+}
+
+// Near on the left third, far on the right third
+const thirds = () => channel(x => (x < 20 ? 1 : x < 40 ? 5 : 9));
+
+// === VALIDATION =============================================================
+
+test('channels must have one value per pixel', () => {
+    const prepare = channels => analyzer().prepare(frame(channels));
+
+    assert.throws(() => prepare({ depth: [1, 2, 3] }), /Depth channel must have one value per pixel \(width × height\)/);
+    assert.throws(() => prepare({ depth: { data: 'far' } }), /Depth channel must have one value per pixel/);
+    assert.throws(() => prepare({ segmentation: new Uint8Array(10) }), /Segmentation channel must have one object id per pixel \(width × height\)/);
+    assert.throws(() => prepare({ segmentation: {} }), /Segmentation channel must have one object id per pixel/);
+    assert.deepEqual(prepare({}), { depth: null, segmentation: null });
+});
+
+test('segmentation labels must be object vocabulary values', () => {
+    const prepare = labels => analyzer().prepare(frame({ segmentation: { data: segmentIds(), labels } }));
+
+    assert.throws(() => prepare({ 7: 'teapot' }), /Segmentation label 'teapot' for id 7 is not in the object vocabulary/);
+    assert.deepEqual(prepare({ 7: 'door' }).segmentation.labels, { 7: 'door' });
+    assert.throws(() => new PerceptualAlchemyEncoder().encode(frame({ segmentation: { data: segmentIds(), labels: { 12: 'teapot' } } })), /for id 12/);
+});
+
+// === DEPTH ==================================================================
+
+test('depth is normalized to the frame range and split into thirds', () => {
+    const { values, coverage } = analyzer().prepareDepth(thirds(), WIDTH * HEIGHT);
+
+    assert.deepEqual([values[0], values[25], values[45]], [0, 0.5, 1]);
+    assert.deepEqual(coverage, { foreground: 1 / 3, midground: 1 / 3, background: 1 / 3 });
+});
+
+test('near, far and reversed override the range; non-finite depth is far', () => {
+    const prepare = options => analyzer().prepareDepth({ data: thirds(), ...options }, WIDTH * HEIGHT).values;
+
+    assert.equal(prepare({ near: 0, far: 10 })[0], Math.fround(0.1));
+    assert.equal(prepare({ near: 3, far: 5 })[0], 0);
+    assert.equal(prepare({ near: 3, far: 5 })[45], 1);
+    assert.deepEqual([prepare({ reversed: true })[0], prepare({ reversed: true })[45]], [1, 0]);
+
+    const cleared = thirds();
+    cleared[0] = Infinity;
+    cleared[1] = NaN;
+    const { values } = analyzer().prepareDepth(cleared, WIDTH * HEIGHT);
+    assert.deepEqual([values[0], values[1], values[2]], [1, 1, 0]);
+});
+
+test('assignLayers samples depth for shapes that do not know theirs', () => {
+    const depth = analyzer().prepareDepth(thirds(), WIDTH * HEIGHT);
+    const box = (minX, maxX) => ({ boundingBox: { minX, minY: 0, maxX, maxY: 10, width: maxX - minX, height: 10 } });
+    const shapes = [box(2, 12), box(42, 52), { ...box(2, 12), depth: 0.5 }];
+
+    analyzer().assignLayers(shapes, depth, WIDTH);
+    assert.deepEqual(shapes.map(shape => [shape.depth, shape.layer]), [[0, 'foreground'], [1, 'background'], [0.5, 'midground']]);
+});
+
+// === SEGMENTATION ===========================================================
+
+test('each segment id becomes one shape with exact measurements', () => {
+    const channels = analyzer().prepare(frame({ segmentation: { data: segmentIds(), labels: { 7: 'door' } }, depth: thirds() }));
+    const shapes = analyzer().extractSegments(channels.segmentation, channels.depth, WIDTH, HEIGHT);
+    const [door, other] = [7, 12].map(id => shapes.find(shape => shape.segmentId === id));
+
+    // Segment 3 has 16 pixels, too few to count
+    assert.equal(shapes.length, 2);
+
+    assert.equal(door.area, 200);
+    assert.deepEqual(door.boundingBox, { minX: 5, minY: 5, maxX: 14, maxY: 24, width: 9, height: 19 });
+    assert.deepEqual(door.centroid, { x: 9.5, y: 14.5 });
+    assert.equal(door.perimeter, 2 * (10 + 20));
+    assert.equal(door.label, 'door');
+    assert.equal(door.labelSource, 'segmentation');
+    assert.equal(door.type, 'rectangle');
+    assert.equal(door.depth, 0);
+
+    // Segment 12 straddles the middle and far thirds
+    assert.equal(other.label, null);
+    assert.equal(other.type, 'rectangle');
+    assert.equal(other.depth, 0.75);
+});
+
+test('a custom background id is skipped instead of 0', () => {
+    const ids = segmentIds().map(id => (id === 0 ? 9 : id));
+    const channels = analyzer().prepare(frame({ segmentation: { data: ids, background: 9 } }));
+
+    assert.deepEqual(analyzer().extractSegments(channels.segmentation, null, WIDTH, HEIGHT).map(shape => shape.segmentId).sort(), [12, 7]);
+});
+
+// === ENCODING ===============================================================
+
+test('encoded frames use segments as objects and depth for layers', () => {
+    const encode = channels => new PerceptualAlchemyEncoder({ seed: 1 }).encode(frame(channels));
+    const result = encode({ segmentation: { data: segmentIds(), labels: { 7: 'door', 12: 'bridge' } }, depth: thirds() });
+    const { perception } = result.analysis;
+
+    assert.deepEqual(perception.channels, ['depth', 'segmentation']);
+    assert.deepEqual(perception.shapeStats, { contours: 2, objects: 2 });
+    assert.deepEqual(perception.shapes.map(shape => [shape.type, shape.classification.source, shape.layer]).sort(), [
+        ['bridge', 'segmentation', 'background'],
+        ['door', 'segmentation', 'foreground']
+    ]);
+    assert.deepEqual(perception.spatial.depthMap.coverage, { foreground: 1 / 3, midground: 1 / 3, background: 1 / 3 });
+
+    // A flat grey frame has nothing to trace without the channels
+    assert.equal(encode({}).analysis.perception.shapeStats.objects, 0);
+    assert.deepEqual(encode({}).analysis.perception.channels, []);
+});
+
+test('LAYERS names the thirds of the depth range', () => {
+    assert.deepEqual(ChannelAnalyzer.LAYERS, ['foreground', 'midground', 'background']);
+    assert.deepEqual([0, 0.33, 0.34, 0.66, 0.67, 1].map(ChannelAnalyzer.layerIndex), [0, 0, 1, 1, 2, 2]);
+});
@@ -0,0 +1,235 @@
+// cli.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: COMMAND-LINE INTERFACE TESTS
+// =====================================================
+// encode, decode, inspect and batch on valid and invalid
+// input, text and --json output, exit codes (0 success,
+// 1 failed input, 2 usage) and seeds matching the API.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const PerceptualAlchemyCli = require('../../src/cli/perceptual_alchemy_cli');
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const ImageLoader = require('../../src/utils/image_loader');
+const { buildPNM } = require('../fixtures/image_fixtures');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const CLI_SCRIPT = path.join(__dirname, '../../src/cli/perceptual_alchemy_cli.js');
+
+/** Runs one command line in-process */
+function run(...argv) {
+    const out = { stdout: '', stderr: '' };
+    const stream = name => ({ write: text => { out[name] += text; } });
+    const status = new PerceptualAlchemyCli({ stdout: stream('stdout'), stderr: stream('stderr') }).run(argv);
+    return { status, ...out, json: () => JSON.parse(out.stdout) };
+}
+
+/** Fresh directory, removed after the test */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pa-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/** A synthetic scene written as a binary PPM */
+function writeScene(dir, name) {
+    const image = renderScene(SCENES.find(spec => spec.name === name));
+    const samples = [];
+    for (let i = 0; i < image.data.length; i += 4) samples.push(image.data[i], image.data[i + 1], image.data[i + 2]);
+
+    const file = path.join(dir, `${name}.ppm`);
+    fs.writeFileSync(file, buildPNM('P6', image.width, image.height, 255, samples));
+    return file;
+}
+
+function encodeCode(options = {}) {
+    return new PerceptualAlchemyEncoder({ seed: 1, ...options }).encode(renderScene(SCENES.find(spec => spec.name === 'blocks'))).code;
+}
+
+// === USAGE ==================================================================
+
+test('usage errors exit 2 and print the usage', () => {
+    [
+        [[], /^Usage:/],
+        [['paint', 'x'], /Unknown command: paint/],
+        [['encode'], /Command 'encode' needs an input/],
+        [['encode', 'a.png', 'b.png'], /Unexpected argument: b.png/],
+        [['encode', 'a.png', '--colour', 'red'], /Unknown option: --colour/],
+        [['encode', 'a.png', '--seed'], /Option --seed needs a value/],
+        [['decode', 'CODE', '--mode='], /Option --mode needs a value/]
+    ].forEach(([argv, message]) => {
+        const result = run(...argv);
+        assert.equal(result.status, 2, argv.join(' '));
+        assert.match(result.stderr, message);
+        assert.match(result.stderr, /Commands:/);
+        assert.equal(result.stdout, '');
+    });
+});
+
+test('--help prints the usage and exits 0', () => {
+    const result = run('--help');
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^Usage: perceptual_alchemy_cli/);
+});
+
+test('the script sets its exit code', () => {
+    const usage = spawnSync(process.execPath, [CLI_SCRIPT], { encoding: 'utf8' });
+    assert.equal(usage.status, 2);
+    assert.match(usage.stderr, /^Usage:/);
+
+    const decoded = spawnSync(process.execPath, [CLI_SCRIPT, 'decode', encodeCode(), '--seed', '1'], { encoding: 'utf8' });
+    assert.equal(decoded.status, 0);
+    assert.match(decoded.stdout, /confidence {2}1\.00/);
+});
+
+// === ENCODE =================================================================
+
+test('encode prints the code, and --json the full report', t => {
+    const file = writeScene(tempDir(t), 'blocks');
+
+    const text = run('encode', file, '--seed', '1');
+    assert.equal(text.status, 0);
+    assert.match(text.stdout, /blocks\.ppm \(280×200, photographic\)\n/);
+    assert.ok(text.stdout.includes(`  code        ${encodeCode()}\n`));
+
+    const report = run('encode', file, '--seed=1', '--json', '--hierarchical').json();
+    assert.equal(report.ok, true);
+    assert.equal(report.code, encodeCode());
+    assert.equal(report.hierarchicalCode, encodeCode({ hierarchical: true }) + report.strata.intermediate + report.strata.fine);
+});
+
+test('a numeric --seed seeds like the same number through the API', t => {
+    const file = writeScene(tempDir(t), 'noon-field');
+    const image = ImageLoader.load(file);
+    const api = seed => new PerceptualAlchemyEncoder({ seed }).encode(image).code;
+    const cli = seed => run('encode', file, '--seed', seed, '--json').json().code;
+
+    // noon-field settles on a different light for seeds 1 and 2
+    assert.notEqual(api(1), api(2));
+    assert.equal(cli('1'), api(1));
+    assert.equal(cli('2'), api(2));
+    assert.equal(cli('guard-7'), api('guard-7'));
+    assert.equal(PerceptualAlchemyCli.parseSeed('-3.5'), -3.5);
+    assert.equal(PerceptualAlchemyCli.parseSeed('1e3'), '1e3');
+    assert.equal(PerceptualAlchemyCli.parseSeed(undefined), undefined);
+
+    const code = api(1);
+    const narrative = new PerceptualAlchemyDecoder({ seed: 8 }).decode(code).narrative;
+    assert.deepEqual(run('decode', code, '--seed', '8', '--json').json().narrative, narrative);
+});
+
+test('encode exits 1 on a missing or unreadable image', t => {
+    const dir = tempDir(t);
+    const missing = path.join(dir, 'missing.png');
+    const broken = path.join(dir, 'broken.png');
+    fs.writeFileSync(broken, 'not a png');
+
+    const text = run('encode', missing);
+    assert.equal(text.status, 1);
+    assert.ok(text.stderr.startsWith(`Error: ${missing}: `));
+
+    const json = run('encode', broken, '--json');
+    assert.equal(json.status, 1);
+    assert.equal(json.json().ok, false);
+    assert.equal(json.json().input, broken);
+});
+
+// === DECODE =================================================================
+
+test('decode prints the narrative and a summary, --json the experience', () => {
+    const code = encodeCode();
+
+    const text = run('decode', code, '--seed', '1');
+    assert.equal(text.status, 0);
+    assert.match(text.stdout, /\n {2}scene {7}general, /);
+    assert.match(text.stdout, /\n {2}objects {5}person \(\w+\), person \(\w+\), complex \(\w+\)/);
+
+    const report = run('decode', code, '--json', '--culture', 'norse').json();
+    assert.equal(report.ok, true);
+    assert.equal(report.culture, 'norse');
+    assert.equal(report.metadata.format.culture, 'universal');
+    assert.deepEqual(report.experience.objects.map(obj => obj.type), ['person', 'person', 'complex']);
+});
+
+test('decode exits 1 on a code it cannot read', () => {
+    const text = run('decode', 'NOT-A-CODE');
+    assert.equal(text.status, 1);
+    assert.match(text.stdout, /^NOT-A-CODE: Invalid code length/);
+
+    const json = run('decode', 'NOT-A-CODE', '--json');
+    assert.equal(json.status, 1);
+    assert.deepEqual(json.json(), { ok: false, code: 'NOT-A-CODE', error: 'Invalid code length' });
+});
+
+// === INSPECT ================================================================
+
+test('inspect shows the header, repairs and every symbol', () => {
+    const code = encodeCode();
+    const broken = code.slice(0, 7) + (code[7] === 'A' ? 'B' : 'A') + code.slice(8);
+
+    const clean = run('inspect', code);
+    assert.equal(clean.status, 0);
+    assert.match(clean.stdout, /format {6}versioned v1, mode balanced, culture universal, 4 parity/);
+    assert.match(clean.stdout, /repairs {5}none/);
+    assert.match(clean.stdout, /scene +\S +scene +general/);
+
+    const report = run('inspect', broken, '--json').json();
+    assert.equal(report.ok, true);
+    assert.deepEqual(report.corrections.map(c => c.index), [7]);
+    assert.equal(report.payload, new PerceptualAlchemyDecoder().validateAndCorrect(code).code);
+    assert.ok(report.symbols.some(s => s.category === 'object' && s.meaning === 'person'));
+});
+
+test('inspect exits 1 on unreadable codes and lone delta frames', () => {
+    const invalid = run('inspect', 'NOT-A-CODE', '--json');
+    assert.equal(invalid.status, 1);
+    assert.equal(invalid.json().error, 'Invalid code length');
+
+    const delta = run('inspect', '>ABC');
+    assert.equal(delta.status, 1);
+    assert.match(delta.stdout, /Delta frames depend on their keyframe/);
+});
+
+// === BATCH ==================================================================
+
+test('batch encodes every image in a folder, skipping other files', t => {
+    const dir = tempDir(t);
+    writeScene(dir, 'blocks');
+    writeScene(dir, 'tower');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not an image');
+
+    const text = run('batch', dir, '--seed', '1');
+    assert.equal(text.status, 0);
+    assert.match(text.stdout, /2\/2 encoded from /);
+
+    const report = run('batch', dir, '--seed', '1', '--json').json();
+    assert.equal(report.total, 2);
+    assert.equal(report.failed, 0);
+    assert.deepEqual(report.results.map(r => path.basename(r.file)), ['blocks.ppm', 'tower.ppm']);
+    assert.equal(report.results[0].code, encodeCode());
+});
+
+test('batch exits 1 when any image fails or the folder is missing', t => {
+    const dir = tempDir(t);
+    writeScene(dir, 'blocks');
+    fs.writeFileSync(path.join(dir, 'broken.png'), 'not a png');
+
+    const result = run('batch', dir);
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /✗ .*broken\.png: /);
+    assert.match(result.stdout, /1\/2 encoded from /);
+
+    const missing = run('batch', path.join(dir, 'nowhere'));
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Not a directory: /);
+});
@@ -0,0 +1,178 @@
+// code_comparator.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: CODE COMPARISON TESTS
+// =====================================================
+// Self-similarity, object order independence, repaired
+// and cross-mode codes, segment weights (custom, per call
+// and their validation) and the error on a code that
+// cannot be read.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const CodeComparator = require('../../src/decoder/code_comparator');
+const { CODE_ALPHABET } = require('../../src/utils/reed_solomon');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const SEED = 13;
+
+function encode(name, mode = 'balanced') {
+    const image = renderScene(SCENES.find(scene => scene.name === name));
+    return new PerceptualAlchemyEncoder({ mode, seed: SEED }).encode(image).code;
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+/** The same code with its object tokens in another order */
+function reorderObjects(decoder, code, order) {
+    const validated = decoder.validateAndCorrect(code);
+    const segments = decoder.segmentCode(validated.code, validated.format.mode);
+    const tokens = decoder.symbolInterpreter.tokenizeObjects(segments.objects)
+        .map(token => token.symbol + token.modifiers.join('') + token.position);
+    const objects = order(tokens).join('').padEnd(segments.objects.length, '0');
+
+    const encoder = new PerceptualAlchemyEncoder({ mode: segments.mode, paritySymbols: validated.format.paritySymbols });
+    return encoder.frameCode(segments.scene + objects + segments.spatial + segments.emotion);
+}
+
+// === SIMILARITY =============================================================
+
+test('every code is identical to itself', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    SCENES.forEach(({ name }) => {
+        ['mobile', 'balanced', 'rich'].forEach(mode => {
+            const code = encode(name, mode);
+            const result = decoder.compareCodes(code, code);
+
+            assert.equal(result.similarity, 1, `${name} ${mode}`);
+            assert.equal(result.distance, 0);
+            assert.deepEqual(result.segments, { scene: 1, objects: 1, spatial: 1, emotion: 1 });
+            result.pairs.forEach(pair => assert.equal(pair.a, pair.b));
+        });
+    });
+});
+
+test('object order does not matter', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const code = encode('lanterns');
+    const reversed = reorderObjects(decoder, code, tokens => tokens.slice().reverse());
+
+    assert.notEqual(reversed, code);
+    const result = decoder.compareCodes(code, reversed);
+    assert.equal(result.similarity, 1);
+    assert.ok(result.pairs.length >= 3);
+    result.pairs.forEach(pair => assert.equal(pair.b, result.pairs.length - 1 - pair.a));
+});
+
+test('a dropped object counts as a miss on the objects segment only', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const code = encode('lanterns');
+    const fewer = reorderObjects(decoder, code, tokens => tokens.slice(0, -1));
+
+    const result = decoder.compareCodes(code, fewer);
+    close(result.segments.objects, (result.pairs.length) / (result.pairs.length + 1));
+    assert.deepEqual({ ...result.segments, objects: 0 }, { scene: 1, objects: 0, spatial: 1, emotion: 1 });
+    assert.ok(result.similarity < 1);
+});
+
+test('a code repaired by parity compares as the original', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const code = encode('dusk-disc');
+    const index = 8;
+    const corrupted = code.slice(0, index) + (code[index] === CODE_ALPHABET[0] ? CODE_ALPHABET[1] : CODE_ALPHABET[0]) + code.slice(index + 1);
+
+    assert.equal(decoder.compareCodes(code, corrupted).similarity, 1);
+});
+
+test('codes of different modes compare by meaning, the same either way round', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    ['lanterns', 'tower', 'overcast'].forEach(name => {
+        const balanced = encode(name, 'balanced');
+        const rich = encode(name, 'rich');
+        const there = decoder.compareCodes(balanced, rich);
+        const back = decoder.compareCodes(rich, balanced);
+
+        assert.equal(there.segments.scene, 1, `${name}: same scene`);
+        assert.ok(there.similarity > 0.8, `${name}: ${there.similarity}`);
+        close(there.similarity, back.similarity);
+        assert.deepEqual(there.segments, back.segments);
+    });
+
+    const mobile = encode('lanterns', 'mobile');
+    const rich = encode('lanterns', 'rich');
+    assert.ok(decoder.compareCodes(mobile, rich).similarity > decoder.compareCodes(mobile, encode('night-window', 'rich')).similarity,
+        'the same scene in another mode is closer than a different scene');
+});
+
+test('different scenes are less similar than the same scene', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const lanterns = encode('lanterns');
+    const result = decoder.compareCodes(lanterns, encode('overcast'));
+
+    assert.ok(result.similarity < 0.8, `${result.similarity}`);
+    assert.equal(result.pairs.length, 0);
+    assert.equal(result.segments.objects, 0);
+});
+
+// === WEIGHTS ================================================================
+
+test('weights are merged over the defaults and normalized', () => {
+    assert.deepEqual(CodeComparator.normalizeWeights(), CodeComparator.DEFAULT_WEIGHTS);
+
+    const weights = CodeComparator.normalizeWeights({ objects: 1.35 });
+    close(weights.objects, 1.35 / 2);
+    close(weights.scene, 0.25 / 2);
+    close(Object.values(weights).reduce((sum, weight) => sum + weight, 0), 1);
+});
+
+test('custom weights decide how much each segment counts', () => {
+    const code = encode('lanterns');
+    const other = encode('overcast');
+
+    const objectsOnly = new PerceptualAlchemyDecoder({ comparisonWeights: { scene: 0, objects: 1, spatial: 0, emotion: 0 } });
+    const result = objectsOnly.compareCodes(code, other);
+    assert.deepEqual(result.weights, { scene: 0, objects: 1, spatial: 0, emotion: 0 });
+    assert.equal(result.similarity, result.segments.objects);
+
+    const perCall = new PerceptualAlchemyDecoder().compareCodes(code, other, { weights: { scene: 1, objects: 0, spatial: 0, emotion: 0 } });
+    close(perCall.similarity, perCall.segments.scene);
+
+    const defaults = new PerceptualAlchemyDecoder().compareCodes(code, other);
+    const expected = CodeComparator.SEGMENTS.reduce((sum, segment) => sum + defaults.segments[segment] * CodeComparator.DEFAULT_WEIGHTS[segment], 0);
+    close(defaults.similarity, expected);
+});
+
+test('invalid weights are rejected, naming the segment', () => {
+    const code = encode('tower');
+
+    assert.throws(() => new PerceptualAlchemyDecoder({ comparisonWeights: { colour: 1 } }),
+        /Unknown comparison segment 'colour' \(expected scene, objects, spatial, emotion\)/);
+    assert.throws(() => new PerceptualAlchemyDecoder({ comparisonWeights: { objects: -0.5 } }),
+        /Comparison weight for objects must be a non-negative number, got -0.5/);
+    assert.throws(() => new PerceptualAlchemyDecoder().compareCodes(code, code, { weights: { emotion: 'high' } }),
+        /Comparison weight for emotion must be a non-negative number, got high/);
+    assert.throws(() => CodeComparator.normalizeWeights({ scene: 0, objects: 0, spatial: 0, emotion: 0 }),
+        /must not all be zero/);
+    assert.throws(() => CodeComparator.normalizeWeights({ spatial: Infinity }), /spatial must be a non-negative number/);
+});
+
+// === ERRORS =================================================================
+
+test('an unreadable code cannot be compared', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const code = encode('tower');
+
+    assert.throws(() => decoder.compareCodes(code, '~1BU4'), /Cannot compare code '~1BU4'/);
+    assert.throws(() => decoder.compareCodes('not a code', code), /Cannot compare code 'not a code'/);
+
+    // Too many errors for the parity to repair
+    const garbled = code.slice(0, 5) + code.slice(5, 15).split('').map(c => (c === 'A' ? 'B' : 'A')).join('') + code.slice(15);
+    assert.throws(() => decoder.compareCodes(code, garbled), /Cannot compare code/);
+});
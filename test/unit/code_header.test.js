@@ -0,0 +1,133 @@
+// code_header.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: VERSIONED HEADER TESTS
+// =====================================================
+// Header fields survive corruption like the payload does,
+// the parity count included, and decoders without an
+// explicit culture read a code through its header's.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const CodeHeader = require('../../src/utils/code_header');
+const { ReedSolomonCodec } = require('../../src/utils/reed_solomon');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const PARITY_INDEX = CodeHeader.LENGTH - 1;
+
+function encode(options) {
+    return new PerceptualAlchemyEncoder({ seed: 1, ...options }).encode(renderScene(SCENES[0])).code;
+}
+
+function replaceAt(code, index, char) {
+    return code.slice(0, index) + char + code.slice(index + 1);
+}
+
+// === HEADER =================================================================
+
+test('encode and parse agree on every header field', () => {
+    const header = CodeHeader.encode({ mode: 'rich', culture: 'norse', paritySymbols: 6 });
+
+    assert.equal(header, '~1RN6');
+    assert.deepEqual(CodeHeader.parse(header), {
+        version: 1, mode: 'rich', culture: 'norse', paritySymbols: 6, length: CodeHeader.LENGTH
+    });
+    assert.equal(CodeHeader.peekParity(header), 6);
+    assert.equal(CodeHeader.parse('HLU'), null);
+});
+
+test('header writing rejects unknown modes and parity counts it cannot hold', () => {
+    assert.throws(() => CodeHeader.encode({ mode: 'huge', culture: 'universal', paritySymbols: 4 }), /unknown mode/);
+    assert.throws(() => CodeHeader.encode({ mode: 'rich', culture: 'universal', paritySymbols: 36 }), /does not fit/);
+});
+
+// === PARITY COUNT ===========================================================
+
+test('a corrupted parity count is repaired like any other symbol', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    [2, 4, 6].forEach(paritySymbols => {
+        const code = encode({ paritySymbols });
+        const clean = decoder.validateAndCorrect(code);
+
+        ['1', 'Z', 'B', '~', String(paritySymbols + 1)].forEach(char => {
+            const corrupted = replaceAt(code, PARITY_INDEX, char);
+            const result = decoder.validateAndCorrect(corrupted);
+
+            assert.equal(result.valid, true, `${corrupted}: ${result.error}`);
+            assert.equal(result.code, clean.code);
+            assert.equal(result.format.paritySymbols, paritySymbols);
+            assert.deepEqual(result.corrections.map(c => [c.index, c.to]), [[PARITY_INDEX, String(paritySymbols)]]);
+        });
+    });
+});
+
+test('a corrupted parity count still leaves room to repair the payload', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const code = encode({ paritySymbols: 6 });
+    const corrupted = replaceAt(replaceAt(code, PARITY_INDEX, 'Z'), 8, code[8] === 'q' ? 'r' : 'q');
+
+    const result = decoder.validateAndCorrect(corrupted);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.code, decoder.validateAndCorrect(code).code);
+    assert.deepEqual(result.corrections.map(c => c.index), [PARITY_INDEX, 8]);
+});
+
+test('codes too short or too long for any parity count are rejected', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    assert.deepEqual(decoder.validateAndCorrect('~1BU4HLU'), { valid: false, error: 'Invalid code length' });
+    assert.equal(decoder.validateAndCorrect(encode({}) + 'A'.repeat(80)).error, 'Invalid code length');
+});
+
+test('too many errors are still reported, not miscorrected into another parity count', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const code = encode({ paritySymbols: 2 });
+    const corrupted = replaceAt(replaceAt(replaceAt(code, PARITY_INDEX, 'Z'), 7, '!'), 9, '@');
+
+    const result = decoder.validateAndCorrect(corrupted);
+
+    assert.equal(result.valid, false);
+    assert.equal(typeof result.error, 'string');
+});
+
+// === HEADER CULTURE =========================================================
+
+test('a decoder without a culture reads the code through its header culture', () => {
+    const decoder = new PerceptualAlchemyDecoder({ seed: 1 });
+
+    ['japanese', 'norse', 'universal'].forEach(culture => {
+        const result = decoder.decode(encode({ culture }));
+        const direct = new PerceptualAlchemyDecoder({ seed: 1, culture }).decode(encode({ culture }));
+
+        assert.equal(result.metadata.culture, culture);
+        assert.deepEqual(result.experience.scene, direct.experience.scene);
+        assert.equal(result.narrative.primary, direct.narrative.primary);
+    });
+
+    assert.equal(decoder.culture, 'universal', 'the decoder culture is restored after each decode');
+    assert.equal(decoder.symbolInterpreter.culturalLens, decoder.culturalLens);
+    assert.equal(decoder.narrativeEngine.culture, 'universal');
+});
+
+test('an explicit culture overrides the header culture', () => {
+    const decoder = new PerceptualAlchemyDecoder({ culture: 'norse' });
+    assert.equal(decoder.decode(encode({ culture: 'japanese' })).metadata.culture, 'norse');
+});
+
+test('legacy codes and unregistered header cultures fall back to the decoder culture', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const legacy = encode({ culture: 'japanese', versionHeader: false });
+    const payload = decoder.validateAndCorrect(encode({ culture: 'japanese' })).code;
+    const unregistered = CodeHeader.MARKER + new ReedSolomonCodec({ paritySymbols: 4 }).encode('1BX4' + payload);
+
+    assert.equal(decoder.decode(legacy).metadata.culture, 'universal');
+    assert.equal(decoder.validateAndCorrect(unregistered).format.culture, 'unknown');
+    assert.equal(decoder.decode(unregistered).metadata.culture, 'universal');
+});
@@ -0,0 +1,135 @@
+// code_translator.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: CODE TRANSLATION TESTS
+// =====================================================
+// Translating a code into its own culture, into another
+// culture and back, and against what a target-culture
+// encoder writes for the same image, including scenes
+// with no objects.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const MODES = ['mobile', 'balanced', 'rich'];
+const CULTURES = ['universal', 'japanese', 'norse'];
+const SEED = 7;
+
+const scene = name => SCENES.find(spec => spec.name === name);
+
+/** What an encoder of this culture writes for the scene */
+function encodeIn(culture, name, mode) {
+    return new PerceptualAlchemyEncoder({ mode, culture, seed: SEED }).encode(renderScene(scene(name))).code;
+}
+
+function segmentsOf(decoder, code) {
+    const validated = decoder.validateAndCorrect(code);
+    return decoder.segmentCode(validated.code, validated.format.mode);
+}
+
+// === IDENTITY ===============================================================
+
+test('translating into the same culture returns the code unchanged', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    ['dusk-disc', 'overcast', 'lanterns', 'stripes'].forEach(name => {
+        MODES.forEach(mode => {
+            CULTURES.forEach(culture => {
+                const code = encodeIn(culture, name, mode);
+                const result = decoder.translateCode(code, culture, culture);
+
+                assert.equal(result.code, code, `${name} ${mode} ${culture}`);
+                assert.deepEqual(result.shifts.objects, []);
+                assert.deepEqual(result.shifts.colors, []);
+                assert.equal(result.shifts.spatial, null);
+                assert.equal(result.shifts.scene, null);
+            });
+        });
+    });
+});
+
+// === ROUND TRIPS ============================================================
+
+test('a code translated to another culture and back is restored', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    ['dusk-disc', 'night-window', 'overcast', 'blocks', 'lanterns', 'tower'].forEach(name => {
+        MODES.forEach(mode => {
+            const code = encodeIn('universal', name, mode);
+            ['japanese', 'norse'].forEach(culture => {
+                const there = decoder.translateCode(code, 'universal', culture);
+                const back = decoder.translateCode(there.code, culture, 'universal');
+                assert.equal(back.code, code, `${name} ${mode} via ${culture}`);
+            });
+        });
+    });
+});
+
+test('object tokens survive a round trip even when space is re-read', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    SCENES.forEach(({ name }) => {
+        MODES.forEach(mode => {
+            const code = encodeIn('universal', name, mode);
+            const there = decoder.translateCode(code, 'universal', 'japanese').code;
+            const back = decoder.translateCode(there, 'japanese', 'universal').code;
+            assert.equal(segmentsOf(decoder, back).objects, segmentsOf(decoder, code).objects, `${name} ${mode}`);
+        });
+    });
+});
+
+// === AGAINST A DIRECT ENCODE ================================================
+
+test('a translation matches a direct target-culture encode', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    ['night-window', 'wide-frame', 'overcast'].forEach(name => {
+        MODES.forEach(mode => {
+            CULTURES.forEach(from => {
+                const code = encodeIn(from, name, mode);
+                CULTURES.forEach(to => {
+                    assert.equal(decoder.translateCode(code, from, to).code, encodeIn(to, name, mode), `${name} ${mode} ${from} → ${to}`);
+                });
+            });
+        });
+    });
+});
+
+test('a scene with no objects takes the target culture\'s empty-scene spatial reading', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    MODES.forEach(mode => {
+        const universal = encodeIn('universal', 'overcast', mode);
+        const japanese = encodeIn('japanese', 'overcast', mode);
+        assert.notEqual(segmentsOf(decoder, universal).spatial, segmentsOf(decoder, japanese).spatial);
+
+        const result = decoder.translateCode(universal, 'universal', 'japanese');
+        assert.equal(segmentsOf(decoder, result.code).spatial, segmentsOf(decoder, japanese).spatial);
+        assert.deepEqual(result.shifts.spatial, {
+            priority: { from: 'cartesian', to: 'radial' },
+            focus: { from: 'center', to: 'right' },
+            pattern: { from: 'empty', to: 'balanced' }
+        });
+    });
+});
+
+test('translation keeps the mode, parity and header style', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const code = encodeIn('universal', 'lanterns', 'rich');
+    const result = decoder.translateCode(code, 'universal', 'norse');
+
+    assert.equal(result.code.length, code.length);
+    assert.deepEqual(result.format, { version: 1, mode: 'rich', paritySymbols: decoder.validateAndCorrect(code).format.paritySymbols });
+    assert.equal(decoder.decode(result.code).metadata.culture, 'norse');
+});
+
+test('an unreadable code cannot be translated', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    assert.throws(() => decoder.translateCode('~1BU4', 'universal', 'japanese'), /Cannot translate code '~1BU4'/);
+});
@@ -0,0 +1,300 @@
+// culture_registry.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: CULTURE REGISTRY TESTS
+// =====================================================
+// Pack validation and registration errors, header ids
+// kept per registry so one registry's packs never change
+// how another writes or reads code headers, and culture
+// blends: weight normalization, both blend syntaxes,
+// weighted means, categorical votes and their ties, and
+// an encoder and a decoder given the same blend agreeing.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CultureRegistry = require('../../src/culture/culture_registry');
+const CodeHeader = require('../../src/utils/code_header');
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const UNIVERSAL = require('../../src/culture/packs/universal.json');
+const RoundTripHarness = require('../conformance/roundtrip_harness');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+/** A valid pack based on universal, with overrides */
+function pack(id, headerId, overrides = {}) {
+    return { ...JSON.parse(JSON.stringify(UNIVERSAL)), id, name: id, headerId, ...overrides };
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+function withGrammar(id, grammar) {
+    const base = pack(id, 'Q');
+    return { ...base, grammar: { ...base.grammar, ...grammar } };
+}
+
+// === VALIDATION =============================================================
+
+test('asking for an unregistered culture throws', () => {
+    const cultures = new CultureRegistry();
+    assert.throws(() => cultures.get('elvish'), /Unknown culture 'elvish' \(registered: universal, japanese, norse\)/);
+    assert.throws(() => cultures.grammar('japanese+elvish'), /Unknown culture 'elvish'/);
+    assert.throws(() => new PerceptualAlchemyEncoder({ culture: 'elvish' }), /Unknown culture 'elvish'/);
+});
+
+test('an unknown field is named', () => {
+    assert.throws(() => new CultureRegistry().register({ ...pack('elvish', 'E'), colour: {} }),
+        /Culture pack 'elvish': unknown field 'colour'/);
+    assert.throws(() => new CultureRegistry().register(withGrammar('elvish', { depth: {} })),
+        /Culture pack 'elvish': unknown field 'grammar.depth'/);
+});
+
+test('a missing field is named', () => {
+    const { imagery, ...noImagery } = pack('elvish', 'E');
+    assert.ok(imagery);
+    assert.throws(() => new CultureRegistry().register(noImagery), /Culture pack 'elvish': missing field 'imagery'/);
+
+    const incomplete = pack('elvish', 'E');
+    delete incomplete.lens.colorMeanings;
+    assert.throws(() => new CultureRegistry().register(incomplete), /missing field 'lens.colorMeanings'/);
+
+    const { name, ...unnamed } = pack('elvish', 'E');
+    assert.ok(name);
+    assert.equal(new CultureRegistry().register(unnamed).id, 'elvish', 'name is optional');
+});
+
+test('a bad weight is named with its value', () => {
+    assert.throws(() => new CultureRegistry().register(withGrammar('elvish', { shapes: { circle: -1 } })),
+        /grammar.shapes.circle must be a non-negative number, got -1/);
+    assert.throws(() => new CultureRegistry().register(withGrammar('elvish', { colors: { red: { weight: 'high', symbol: 'fire' } } })),
+        /grammar.colors.red must be \{ weight: non-negative number, symbol: string \}/);
+
+    const significance = pack('elvish', 'E');
+    significance.lens.objectSignificance = { tree: null };
+    assert.throws(() => new CultureRegistry().register(significance), /lens.objectSignificance.tree must be a non-negative number, got null/);
+});
+
+test('other malformed packs are rejected', () => {
+    const cultures = new CultureRegistry();
+    assert.throws(() => cultures.register([]), /must be an object/);
+    assert.throws(() => cultures.register(pack('Elvish', 'E')), /id must be a lowercase name, got "Elvish"/);
+    assert.throws(() => cultures.register(pack('elvish', 'EE')), /headerId must be one character, got "EE"/);
+    assert.throws(() => cultures.register(withGrammar('elvish', { spatial: { priority: 'polar' } })),
+        /grammar.spatial.priority must be cartesian or radial/);
+    assert.throws(() => cultures.register(pack('elvish', 'E', { imagery: [] })), /imagery must be a non-empty array/);
+    assert.equal(cultures.has('elvish'), false);
+});
+
+test('a culture id can only be registered once', () => {
+    const cultures = new CultureRegistry();
+    assert.throws(() => cultures.register(pack('japanese', 'J')), /Culture 'japanese' is already registered/);
+});
+
+test('a header id can only be held by one culture of a registry', () => {
+    const cultures = new CultureRegistry();
+    assert.throws(() => cultures.register(pack('elvish', 'J')),
+        /Culture pack 'elvish': Header id 'J' is already used by culture 'japanese'/);
+    assert.throws(() => cultures.register(pack('elvish', '~')), /Culture id for 'elvish' must be one code alphabet character/);
+    assert.equal(cultures.has('elvish'), false, 'a rejected pack is not registered');
+
+    cultures.register(pack('elvish', 'E'));
+    assert.throws(() => cultures.register(pack('dwarvish', 'E')), /Header id 'E' is already used by culture 'elvish'/);
+});
+
+test('registered packs are frozen copies', () => {
+    const original = pack('elvish', 'E');
+    const registered = new CultureRegistry().register(original);
+
+    original.grammar.shapes.circle = 9;
+    assert.equal(registered.grammar.shapes.circle, 1.0);
+    assert.ok(Object.isFrozen(registered.grammar.shapes));
+});
+
+// === HEADER IDS =============================================================
+
+test('header ids stay inside the registry that registered them', () => {
+    const elves = new CultureRegistry();
+    const dwarves = new CultureRegistry();
+    elves.register(pack('elvish', 'E'));
+    dwarves.register(pack('dwarvish', 'E'));
+
+    assert.equal(elves.headerIds.elvish, 'E');
+    assert.equal(dwarves.headerIds.dwarvish, 'E');
+    assert.equal(elves.headerIds.dwarvish, undefined);
+    assert.equal(CultureRegistry.default().headerIds.elvish, undefined);
+    assert.equal(CodeHeader.CULTURE_IDS.elvish, undefined);
+    assert.deepEqual(CodeHeader.parse('~1BE4'), { version: 1, mode: 'balanced', culture: 'unknown', paritySymbols: 4, length: 5 });
+});
+
+test('encoder and decoder write and read header ids through their registry', () => {
+    const elves = new CultureRegistry();
+    const dwarves = new CultureRegistry();
+    elves.register(pack('elvish', 'E'));
+    dwarves.register(pack('dwarvish', 'E'));
+
+    const image = renderScene(SCENES[0]);
+    const code = new PerceptualAlchemyEncoder({ culture: 'elvish', cultures: elves, seed: 3 }).encode(image).code;
+    assert.equal(code.slice(0, CodeHeader.LENGTH - 1), '~1BE');
+
+    const elvish = new PerceptualAlchemyDecoder({ cultures: elves }).decode(code);
+    const dwarvish = new PerceptualAlchemyDecoder({ cultures: dwarves }).decode(code);
+    const universal = new PerceptualAlchemyDecoder().decode(code);
+
+    assert.equal(elvish.metadata.culture, 'elvish');
+    assert.equal(dwarvish.metadata.culture, 'dwarvish');
+    assert.equal(universal.metadata.culture, 'universal', 'an id the registry does not know reads through the default lens');
+});
+
+// === BLEND SYNTAX ===========================================================
+
+test('resolve normalizes weights and orders cultures heaviest first', () => {
+    const cultures = new CultureRegistry();
+
+    assert.deepEqual(cultures.resolve('norse'), [{ id: 'norse', weight: 1 }]);
+    assert.deepEqual(cultures.resolve({ japanese: 3, norse: 1 }), [{ id: 'japanese', weight: 0.75 }, { id: 'norse', weight: 0.25 }]);
+    assert.deepEqual(cultures.resolve('norse:1+japanese:3'), [{ id: 'japanese', weight: 0.75 }, { id: 'norse', weight: 0.25 }]);
+    assert.deepEqual(cultures.resolve({ norse: 0, japanese: 2 }), [{ id: 'japanese', weight: 1 }, { id: 'norse', weight: 0 }]);
+
+    const resolved = cultures.resolve('universal:1+japanese:1+norse:2');
+    assert.deepEqual(resolved.map(part => part.id), ['norse', 'universal', 'japanese'], 'equal weights keep the given order');
+    close(resolved.reduce((sum, part) => sum + part.weight, 0), 1);
+});
+
+test('an unweighted string blend weighs every culture equally', () => {
+    const cultures = new CultureRegistry();
+
+    assert.deepEqual(cultures.resolve('japanese+norse'), [{ id: 'japanese', weight: 0.5 }, { id: 'norse', weight: 0.5 }]);
+    assert.deepEqual(cultures.resolve(' norse + japanese '), [{ id: 'norse', weight: 0.5 }, { id: 'japanese', weight: 0.5 }]);
+    assert.equal(cultures.primary('norse+japanese'), 'norse');
+    assert.deepEqual(cultures.imagery('norse+japanese'), cultures.get('norse').imagery);
+});
+
+test('string and object blends resolve, perceive and interpret alike', () => {
+    const cultures = new CultureRegistry();
+    const pairs = [
+        ['japanese:0.7+norse:0.3', { japanese: 0.7, norse: 0.3 }],
+        ['japanese+norse+universal', { japanese: 1, norse: 1, universal: 1 }],
+        ['norse:2+universal:1', { norse: 2, universal: 1 }]
+    ];
+
+    pairs.forEach(([text, object]) => {
+        assert.deepEqual(cultures.resolve(text), cultures.resolve(object));
+        assert.deepEqual(cultures.grammar(text), cultures.grammar(object));
+
+        const [a, b] = [cultures.lens(text), cultures.lens(object)];
+        assert.deepEqual(a.colorMeanings, b.colorMeanings);
+        ['indoor', 'outdoor', 'architectural', 'underwater'].forEach(scene => {
+            assert.deepEqual(a.interpretScene(scene), b.interpretScene(scene));
+        });
+        ['tree', 'wolf', 'door'].forEach(obj => assert.equal(a.getObjectSignificance(obj), b.getObjectSignificance(obj)));
+    });
+});
+
+test('malformed blends are rejected', () => {
+    const cultures = new CultureRegistry();
+
+    assert.throws(() => cultures.resolve(42), /Culture must be a name or a \{ culture: weight \} blend, got 42/);
+    assert.throws(() => cultures.resolve(['japanese']), /Culture must be a name or a/);
+    assert.throws(() => cultures.resolve({}), /needs at least one culture/);
+    assert.throws(() => cultures.resolve('japanese:-1+norse:1'), /Blend weight for culture 'japanese' must be a non-negative number, got -1/);
+    assert.throws(() => cultures.resolve('japanese:heavy+norse'), /Blend weight for culture 'japanese' must be a non-negative number, got NaN/);
+    assert.throws(() => cultures.resolve({ japanese: 0, norse: 0 }), /must not all be zero/);
+    assert.throws(() => cultures.resolve('japanese+japanese'), /names a culture twice/);
+    assert.throws(() => cultures.resolve('japanese+elvish'), /Unknown culture 'elvish'/);
+});
+
+// === BLENDING ===============================================================
+
+test('numbers blend as weighted means, with 1.0 for a culture that does not weigh them', () => {
+    const cultures = new CultureRegistry();
+    const grammar = cultures.grammar({ japanese: 0.7, norse: 0.3 });
+    const lens = cultures.lens({ japanese: 0.7, norse: 0.3 });
+
+    close(grammar.shapes.circle, 1.2 * 0.7 + 1.0 * 0.3);
+    close(grammar.shapes.triangle, 1.0 * 0.7 + 1.3 * 0.3);
+    close(grammar.colors.red.weight, 1.2 * 0.7 + 1.3 * 0.3);
+    close(grammar.colors.gold.weight, 1.0 * 0.7 + 1.4 * 0.3);
+    close(lens.getObjectSignificance('tree'), 1.5 * 0.7 + 2.0 * 0.3);
+    close(lens.getObjectSignificance('wolf'), 1.0 * 0.7 + 1.8 * 0.3);
+    assert.equal(lens.getObjectSignificance('door'), 1);
+});
+
+test('categories go to the reading with the most weight behind it', () => {
+    const cultures = new CultureRegistry();
+    const blend = 'japanese:0.4+norse:0.35+universal:0.25';
+
+    assert.equal(cultures.grammar(blend).colors.red.symbol, 'life');
+    assert.equal(cultures.lens(blend).colorMeanings.red, 'life');
+
+    // Norse and universal agree on the default reading of an indoor scene (0.6) against Japanese (0.4)
+    assert.deepEqual(cultures.lens(blend).interpretScene('indoor'), { type: 'indoor', subtype: 'general' });
+    assert.deepEqual(cultures.lens(blend).interpretScene('outdoor'), { type: 'nature', subtype: 'mono-no-aware' });
+
+    // Japanese and Norse both read space radially
+    assert.equal(cultures.grammar('universal:0.6+japanese:0.2+norse:0.2').spatial.priority, 'cartesian');
+    assert.equal(cultures.grammar('universal:0.4+japanese:0.3+norse:0.3').spatial.priority, 'radial');
+});
+
+test('ties go to the heavier culture, then to the one named first', () => {
+    const cultures = new CultureRegistry();
+
+    assert.equal(cultures.grammar('universal+japanese').spatial.priority, 'cartesian');
+    assert.equal(cultures.grammar('japanese+universal').spatial.priority, 'radial');
+    assert.equal(cultures.grammar('norse+japanese').colors.red.symbol, 'battle');
+    assert.equal(cultures.grammar('japanese+norse').colors.red.symbol, 'life');
+    assert.deepEqual(cultures.lens('norse+japanese').interpretScene('outdoor'), { type: 'landscape', subtype: 'mythic' });
+    assert.deepEqual(cultures.lens({ japanese: 1, norse: 1 }).interpretScene('outdoor'), { type: 'nature', subtype: 'mono-no-aware' });
+
+    // Weight decides before order does
+    assert.equal(cultures.grammar('universal:1+japanese:1.01').spatial.priority, 'radial');
+});
+
+test('a culture without a colour symbol or meaning abstains', () => {
+    const cultures = new CultureRegistry();
+    const grammar = cultures.grammar({ japanese: 0.9, norse: 0.1 });
+    const lens = cultures.lens({ japanese: 0.9, norse: 0.1 });
+
+    assert.equal(grammar.colors.gold.symbol, 'glory');
+    assert.equal(lens.colorMeanings.gold, 'glory');
+    assert.equal(lens.colorMeanings.indigo, 'tradition');
+    assert.equal(grammar.colors.blue.symbol, 'ice');
+});
+
+// === ENCODER AND DECODER ====================================================
+
+test('an encoder and a decoder given the same blend use the same grammar and lens', () => {
+    const blend = { japanese: 0.6, norse: 0.4 };
+    const cultures = CultureRegistry.default();
+    const encoder = new PerceptualAlchemyEncoder({ culture: blend });
+    const decoder = new PerceptualAlchemyDecoder({ culture: 'japanese:0.6+norse:0.4' });
+
+    assert.deepEqual(encoder.culturalGrammar, cultures.grammar(blend));
+    ['indoor', 'outdoor', 'architectural'].forEach(scene => {
+        assert.deepEqual(decoder.culturalLens.interpretScene(scene), cultures.lens(blend).interpretScene(scene));
+    });
+    assert.deepEqual(decoder.culturalLens.colorMeanings, cultures.lens(blend).colorMeanings);
+    close(decoder.culturalLens.getObjectSignificance('tree'), 1.5 * 0.6 + 2.0 * 0.4);
+});
+
+test('a blended encode round-trips through a decoder given the same blend', () => {
+    const scenes = SCENES.filter(scene => ['dusk-disc', 'lanterns', 'overcast'].includes(scene.name));
+    const report = new RoundTripHarness({ scenes, cultures: ['japanese:0.6+norse:0.4', { universal: 1, japanese: 1 }] }).run();
+
+    assert.equal(report.passed, true, RoundTripHarness.formatReport(report));
+    assert.equal(report.cases.length, scenes.length * 3 * 2);
+});
+
+test('string and object blends encode the same code, headed by the heaviest culture', () => {
+    const image = renderScene(SCENES.find(scene => scene.name === 'lanterns'));
+    const encode = culture => new PerceptualAlchemyEncoder({ culture, seed: 11 }).encode(image).code;
+
+    const code = encode('norse:0.7+japanese:0.3');
+    assert.equal(code, encode({ norse: 0.7, japanese: 0.3 }));
+    assert.equal(code.slice(0, 4), '~1BN');
+
+    const decoded = new PerceptualAlchemyDecoder({ culture: { norse: 0.7, japanese: 0.3 } }).decode(code);
+    assert.equal(decoded.metadata.format.culture, 'norse');
+    assert.deepEqual(decoded.metadata.culture, { norse: 0.7, japanese: 0.3 }, 'a decoder given a blend reads through it');
+});
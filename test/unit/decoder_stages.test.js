@@ -0,0 +1,200 @@
+// decoder_stages.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: DECODER STAGE TESTS
+// =====================================================
+// Direct tests for the interpretation, confidence,
+// memory-decay, perspective and emotion-colour stages.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function encodedSegments(decoder) {
+    const encoder = new PerceptualAlchemyEncoder({ mode: 'balanced' });
+    const { code } = encoder.encode(renderScene(SCENES[0]));
+    const validated = decoder.validateAndCorrect(code);
+    return decoder.segmentCode(validated.code, validated.format.mode);
+}
+
+function object(type, importance, x, y) {
+    return { type, importance, position: { x, y } };
+}
+
+const spatialAt = zone => ({ focus: { primary: zone, strength: 0.8 } });
+
+const emotionAt = (valence, arousal) => ({ current: { valence, arousal, label: 'neutral' } });
+
+// === applyInterpretation ====================================================
+
+test('applyInterpretation sorts objects by biased importance, capped at 1', () => {
+    const decoder = new PerceptualAlchemyDecoder({ bias: { objects: { tree: 3 } } });
+    const objects = [object('door', 0.6, 0.2, 0.2), object('tree', 0.4, 0.8, 0.8)];
+
+    const result = decoder.applyInterpretation({}, objects, spatialAt('center'), emotionAt(0.5, 0.5));
+
+    assert.deepEqual(result.objects.map(obj => obj.type), ['tree', 'door']);
+    assert.equal(result.objects[0].importance, 1);
+    assert.equal(result.objects[1].importance, 0.6);
+    assert.equal(objects[1].importance, 0.4, 'inputs are not mutated');
+});
+
+test('applyInterpretation shifts emotion by the bias, clamps it and relabels', () => {
+    const decoder = new PerceptualAlchemyDecoder({ bias: { valence: 0.4, arousal: -0.3 } });
+    const emotion = emotionAt(0.8, 0.2);
+
+    const { emotional } = decoder.applyInterpretation({}, [], spatialAt('center'), emotion);
+
+    assert.equal(emotional.current.valence, 1);
+    assert.equal(emotional.current.arousal, 0);
+    assert.equal(emotional.current.label, decoder.labelEmotion(1, 0));
+    assert.equal(emotion.current.valence, 0.8, 'inputs are not mutated');
+});
+
+test('applyInterpretation leaves emotion alone without a bias', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const { emotional } = decoder.applyInterpretation({}, [], spatialAt('center'), emotionAt(0.3, 0.7));
+
+    assert.deepEqual(emotional.current, { valence: 0.3, arousal: 0.7, label: 'neutral' });
+});
+
+test('applyInterpretation anchors space on the object nearest the focus', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const objects = [object('door', 0.9, 0.5, 0.5), object('tree', 0.2, 0.1, 0.1)];
+
+    const topLeft = decoder.applyInterpretation({}, objects, spatialAt('top-left'), emotionAt(0.5, 0.5));
+    const center = decoder.applyInterpretation({}, objects, spatialAt('center'), emotionAt(0.5, 0.5));
+    const empty = decoder.applyInterpretation({}, [], spatialAt('center'), emotionAt(0.5, 0.5));
+
+    assert.equal(topLeft.spatial.anchor, 'tree');
+    assert.equal(center.spatial.anchor, 'door');
+    assert.equal(empty.spatial.anchor, null);
+});
+
+// === calculateReconstructionConfidence ======================================
+
+test('calculateReconstructionConfidence is 1 for a clean encoder code', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    assert.equal(decoder.calculateReconstructionConfidence(encodedSegments(decoder)), 1);
+});
+
+test('calculateReconstructionConfidence loses a tenth per repaired symbol', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const segments = encodedSegments(decoder);
+
+    const confidence = decoder.calculateReconstructionConfidence(segments, [{ position: 0 }, { position: 3 }]);
+
+    assert.ok(Math.abs(confidence - 0.8) < 1e-9);
+    assert.equal(decoder.calculateReconstructionConfidence(segments, new Array(12).fill({})), 0);
+});
+
+test('calculateReconstructionConfidence drops for unknown symbols', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const segments = encodedSegments(decoder);
+    const garbled = { ...segments, scene: '####', emotion: '##' + segments.emotion.slice(2) };
+
+    const confidence = decoder.calculateReconstructionConfidence(garbled);
+
+    assert.ok(confidence < 0.7, `confidence ${confidence}`);
+    assert.ok(confidence >= 0);
+});
+
+// === estimateMemoryDecay ====================================================
+
+test('estimateMemoryDecay is 0 for fresh or missing timestamps', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    assert.equal(decoder.estimateMemoryDecay(undefined), 0);
+    assert.ok(decoder.estimateMemoryDecay(Date.now()) < 1e-6);
+    assert.equal(decoder.estimateMemoryDecay(Date.now() + 5 * DAY), 0, 'future timestamps do not decay');
+});
+
+test('estimateMemoryDecay follows the 30-day exponential', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const decay = days => decoder.estimateMemoryDecay(Date.now() - days * DAY);
+
+    assert.ok(Math.abs(decay(30) - (1 - Math.exp(-1))) < 1e-4);
+    assert.ok(decay(7) < decay(30));
+    assert.ok(decay(365) > 0.999 && decay(365) <= 1);
+});
+
+// === calculatePerspective ===================================================
+
+test('calculatePerspective maps depth distribution to a perspective type', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const layers = { foreground: 0.7, midground: 0.3, background: 0.3 };
+    const type = distribution => decoder.calculatePerspective({ distribution, layers }).type;
+
+    assert.equal(type('forward'), 'intimate');
+    assert.equal(type('distant'), 'deep');
+    assert.equal(type('centered'), 'layered');
+    assert.equal(type('balanced'), 'layered');
+    assert.equal(type('flat'), 'flat');
+    assert.equal(type('sideways'), 'flat');
+});
+
+test('calculatePerspective takes depth from the background layer, none when flat', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const layers = { foreground: 0.2, midground: 0.3, background: 0.8 };
+
+    assert.deepEqual(decoder.calculatePerspective({ distribution: 'distant', layers }),
+        { type: 'deep', depth: 0.8, foreground: 0.2 });
+    assert.equal(decoder.calculatePerspective({ distribution: 'flat', layers }).depth, 0);
+});
+
+test('calculatePerspective derives layers from foregroundWeight when they are missing', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const perspective = decoder.calculatePerspective({ distribution: 'forward', foregroundWeight: 0.75 });
+
+    assert.equal(perspective.foreground, 0.75);
+    assert.equal(perspective.depth, 0.25);
+});
+
+test('calculatePerspective accepts decodeDepthLayers() output', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const perspective = decoder.calculatePerspective(decoder.decodeDepthLayers(''));
+
+    assert.equal(perspective.type, 'flat');
+    assert.equal(perspective.depth, 0);
+});
+
+// === mapEmotionToColor ======================================================
+
+test('mapEmotionToColor returns an HSL colour in range', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    for (const valence of [0, 0.5, 1]) {
+        for (const arousal of [0, 0.5, 1]) {
+            const color = decoder.mapEmotionToColor(valence, arousal);
+            assert.ok(color.h >= 0 && color.h < 360, `hue ${color.h}`);
+            assert.ok(color.s >= 40 && color.s <= 80);
+            assert.ok(color.b >= 40 && color.b <= 80);
+            assert.match(color.css, /^hsl\(/);
+        }
+    }
+});
+
+test('mapEmotionToColor brightens with valence and saturates with arousal', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+
+    assert.ok(decoder.mapEmotionToColor(0.9, 0.5).b > decoder.mapEmotionToColor(0.1, 0.5).b);
+    assert.ok(decoder.mapEmotionToColor(0.5, 0.9).s > decoder.mapEmotionToColor(0.5, 0.1).s);
+});
+
+test('mapEmotionToColor names the emotional quadrant', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const adjective = (valence, arousal) => decoder.mapEmotionToColor(valence, arousal).adjective;
+
+    assert.equal(adjective(0.9, 0.9), 'vibrant');
+    assert.equal(adjective(0.9, 0.1), 'serene');
+    assert.equal(adjective(0.1, 0.9), 'anxious');
+    assert.equal(adjective(0.1, 0.1), 'somber');
+    assert.equal(adjective(0.5, 0.9), 'restless');
+    assert.equal(adjective(0.5, 0.5), 'neutral');
+});
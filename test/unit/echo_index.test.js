@@ -0,0 +1,189 @@
+// echo_index.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: ECHO INDEX TESTS
+// =====================================================
+// The index against a linear scan of scoreEcho(): the
+// same echoes in the same order, at most limit of them,
+// from fewer scored memories. Codes are indexed in the
+// form the decoder compares (payloads), and the index
+// follows the store as memories are added, forgotten,
+// removed and re-indexed.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MemoryStore = require('../../src/decoder/memory_store');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const SeededRandom = require('../../src/utils/prng');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+
+/** Bare codes over a small alphabet, so positions often match */
+function randomCode(random) {
+    const length = 8 + Math.floor(random() * 4);
+    return Array.from({ length }, () => 'ABCD'[Math.floor(random() * 4)]).join('');
+}
+
+function randomMemory(random) {
+    return {
+        code: randomCode(random),
+        timestamp: NOW - Math.floor(random() * 365) * DAY,
+        emotion: random() < 0.9 ? { valence: random(), arousal: random() } : undefined
+    };
+}
+
+function randomEmotion(random) {
+    return random() < 0.9 ? { current: { valence: random(), arousal: random() } } : null;
+}
+
+/** Decoder over a store; its memoryResonance sets the store's compared form */
+function decoderOver(store) {
+    return new PerceptualAlchemyDecoder({ seed: 1, memoryStore: store });
+}
+
+/** Every memory scored, strongest first, ties to the memory stored first */
+function linearScan(store, code, emotion, resonance, limit) {
+    return store.all()
+        .map(memory => resonance.scoreEcho(code, emotion, memory))
+        .filter(Boolean)
+        .sort((a, b) => b.strength - a.strength)
+        .slice(0, limit);
+}
+
+/** Strength itself drifts as the clock moves, so compare what it is made of */
+function assertSameEchoes(actual, expected, message) {
+    const summary = echoes => echoes.map(({ memory, similarity, resonance }) => ({ memory, similarity, resonance }));
+    assert.deepEqual(summary(actual), summary(expected), message);
+}
+
+function assertIndexMatchesStore(store) {
+    assert.equal(store.index.size, store.size);
+    store.all().forEach(memory => assert.ok(store.index.entries.has(memory)));
+
+    const bucketed = [...store.index.buckets.values()].reduce((sum, bucket) => sum + bucket.memories.length, 0);
+    assert.equal(bucketed, store.size);
+}
+
+// === SEARCH =================================================================
+
+test('search returns at most limit echoes and scores fewer memories than a scan', () => {
+    const random = SeededRandom.create('bounded');
+    const store = new MemoryStore({ memories: Array.from({ length: 2000 }, () => randomMemory(random)), index: true });
+    const resonance = decoderOver(store).memoryResonance;
+
+    let scored = 0;
+    const scoreEcho = resonance.scoreEcho;
+    resonance.scoreEcho = (...args) => { scored++; return scoreEcho.apply(resonance, args); };
+
+    [1, 3, 5].forEach(limit => {
+        const emotion = { current: { valence: 0.7, arousal: 0.2 } };
+        const echoes = store.echoes('ABCDABCDAB', emotion, resonance, limit);
+        assert.equal(echoes.length, limit);
+        assert.ok(echoes.every((echo, i) => i === 0 || echo.strength <= echoes[i - 1].strength));
+    });
+    assert.ok(scored < store.size / 10, `scored ${scored} memories for three queries over ${store.size}`);
+
+    // A limit beyond the echoing memories returns them all
+    const calm = { valence: 0.5, arousal: 0.5 };
+    const few = new MemoryStore({ memories: [{ code: 'DDDD', timestamp: NOW, emotion: calm }, { code: 'ABCD', timestamp: NOW, emotion: calm }], index: true });
+    const all = few.echoes('ABCDABCDAB', { current: calm }, decoderOver(few).memoryResonance, 10);
+    assert.equal(all.length, 2);
+});
+
+test('the index returns what a linear scan returns, in the same order', () => {
+    const random = SeededRandom.create('scan');
+    const memories = Array.from({ length: 600 }, () => randomMemory(random));
+
+    // Shared timestamps and codes make ties that must go to the memory stored first
+    memories.slice(0, 40).forEach((memory, i) => {
+        memory.timestamp = NOW - DAY;
+        if (i % 2) memory.code = memories[i - 1].code;
+    });
+
+    const store = new MemoryStore({ memories, index: true });
+    const resonance = decoderOver(store).memoryResonance;
+
+    for (let query = 0; query < 60; query++) {
+        const code = query % 10 ? randomCode(random) : memories[query].code;
+        const emotion = randomEmotion(random);
+        assertSameEchoes(store.echoes(code, emotion, resonance, 5), linearScan(store, code, emotion, resonance, 5), `query ${query}`);
+    }
+});
+
+test('stored codes are indexed and searched as their payloads', () => {
+    const encoder = new PerceptualAlchemyEncoder({ seed: 1 });
+    const codes = ['door', 'tree', 'water', 'tower'].map((type, i) => encoder.encodeSceneGraph([
+        { type, position: { x: 0.3 + i * 0.1, y: 0.6 }, size: { width: 0.2, height: 0.3 } }
+    ], { emotion: { valence: i / 4, arousal: 0.5 } }).code);
+
+    const store = new MemoryStore({ index: true });
+    const decoder = decoderOver(store);
+    codes.forEach((code, i) => decoder.remember({ code, timestamp: NOW - i * DAY, emotion: { valence: i / 4, arousal: 0.5 } }));
+
+    store.all().forEach(memory => {
+        assert.equal(store.index.entries.get(memory).code, decoder.payloadOf(memory.code));
+        assert.notEqual(store.index.entries.get(memory).code, memory.code);
+    });
+
+    // A full code and its bare payload echo alike
+    const plain = decoderOver(new MemoryStore({ memories: store.all().slice() })).memoryResonance;
+    const emotion = { current: { valence: 0.25, arousal: 0.5 } };
+    const echoes = decoder.memoryResonance.findEchoes(codes[1], emotion);
+    assert.equal(echoes[0].memory.code, codes[1]);
+    assertSameEchoes(echoes, plain.findEchoes(codes[1], emotion));
+    assertSameEchoes(decoder.memoryResonance.findEchoes(decoder.payloadOf(codes[1]), emotion), echoes);
+});
+
+// === MAINTENANCE ============================================================
+
+test('the index follows memories as they are added and forgotten', () => {
+    const random = SeededRandom.create('evict');
+    const store = new MemoryStore({ capacity: 25, index: true });
+    const resonance = decoderOver(store).memoryResonance;
+    const forgotten = [];
+
+    for (let i = 0; i < 200; i++) {
+        forgotten.push(...store.add(randomMemory(random)));
+
+        if (i % 20 === 19) {
+            assertIndexMatchesStore(store);
+            const code = randomCode(random);
+            const emotion = randomEmotion(random);
+            assertSameEchoes(store.echoes(code, emotion, resonance, 5), linearScan(store, code, emotion, resonance, 5), `after ${i + 1} adds`);
+        }
+    }
+
+    assert.equal(forgotten.length, 175);
+    assert.ok(forgotten.every(memory => !store.index.entries.has(memory)));
+});
+
+test('remove(), clear() and compareAs() keep the index in step', () => {
+    const random = SeededRandom.create('remove');
+    const store = new MemoryStore({ memories: Array.from({ length: 50 }, () => randomMemory(random)), index: true });
+    const resonance = decoderOver(store).memoryResonance;
+    const emotion = { current: { valence: 0.5, arousal: 0.5 } };
+
+    // Removing the strongest echoes leaves the next strongest
+    const first = store.echoes('ABCDABCD', emotion, resonance, 5);
+    first.forEach(echo => store.remove(echo.memory));
+    assertIndexMatchesStore(store);
+    const next = store.echoes('ABCDABCD', emotion, resonance, 5);
+    assert.ok(next.every(echo => !first.some(removed => removed.memory === echo.memory)));
+    assertSameEchoes(next, linearScan(store, 'ABCDABCD', emotion, resonance, 5));
+
+    // Re-indexing under a new form keeps every memory, now under that form
+    store.compareAs(memory => memory.code.toLowerCase());
+    assertIndexMatchesStore(store);
+    store.all().forEach(memory => assert.equal(store.index.entries.get(memory).code, memory.code.toLowerCase()));
+
+    store.clear();
+    assert.equal(store.index.size, 0);
+    assert.equal(store.index.buckets.size, 0);
+    assert.equal(store.index.postings.size, 0);
+    assert.deepEqual(store.echoes('ABCDABCD', emotion, resonance, 5), []);
+});
@@ -0,0 +1,291 @@
+// image_loader.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: IMAGE LOADER TESTS
+// =====================================================
+// PNG (every filter, Adam7, split IDAT, each colour type
+// and depth), BMP (1/4/8/24/32-bit in both row orders,
+// bit fields) and PGM/PPM (plain and binary, maxval
+// above 255), built by test/fixtures/image_fixtures.js
+// and compared pixel for pixel, plus every malformed
+// input the loader reports.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ImageLoader = require('../../src/utils/image_loader');
+const {
+    testCard, rgba, buildPNG, assemblePNG, pngChunks, buildBMP, buildPNM
+} = require('../fixtures/image_fixtures');
+
+const WIDTH = 10;
+const HEIGHT = 7;
+const CARD = testCard(WIDTH, HEIGHT);
+const pixelAt = (x, y) => CARD[y * WIDTH + x];
+
+const PALETTE = Array.from({ length: 16 }, (_, i) => [i * 16, 255 - i * 9, (i * 77) & 0xff]);
+const paletteIndex = (x, y, colors) => (x * 3 + y * 5) % colors;
+
+function assertImage(image, width, height, expected) {
+    assert.equal(image.width, width);
+    assert.equal(image.height, height);
+    assert.deepEqual(image.data, expected);
+}
+
+function rgbaPNG(options = {}) {
+    return buildPNG({ width: WIDTH, height: HEIGHT, colorType: 6, bitDepth: 8, samples: pixelAt, ...options });
+}
+
+// === PNG ====================================================================
+
+test('PNG: every scanline filter', () => {
+    for (let filter = 0; filter <= 4; filter++) {
+        assertImage(ImageLoader.decode(rgbaPNG({ filter })), WIDTH, HEIGHT, rgba(CARD));
+    }
+});
+
+test('PNG: filters mixed row by row', () => {
+    assertImage(ImageLoader.decode(rgbaPNG({ filter: 'cycle' })), WIDTH, HEIGHT, rgba(CARD));
+});
+
+test('PNG: Adam7 interlacing, including passes that are empty for tiny images', () => {
+    assertImage(ImageLoader.decode(rgbaPNG({ interlace: 1, filter: 'cycle' })), WIDTH, HEIGHT, rgba(CARD));
+
+    const tiny = testCard(3, 2);
+    const png = buildPNG({ width: 3, height: 2, colorType: 6, bitDepth: 8, samples: (x, y) => tiny[y * 3 + x], interlace: 1, filter: 4 });
+    assertImage(ImageLoader.decode(png), 3, 2, rgba(tiny));
+});
+
+test('PNG: Adam7 with sub-byte samples', () => {
+    const png = buildPNG({
+        width: WIDTH, height: HEIGHT, colorType: 3, bitDepth: 4, palette: PALETTE,
+        samples: (x, y) => [paletteIndex(x, y, 16)], interlace: 1, filter: 'cycle'
+    });
+    const expected = [];
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) expected.push([...PALETTE[paletteIndex(x, y, 16)], 255]);
+    }
+    assertImage(ImageLoader.decode(png), WIDTH, HEIGHT, rgba(expected));
+});
+
+test('PNG: image data split across many IDAT chunks', () => {
+    const png = rgbaPNG({ idatSize: 7, filter: 'cycle' });
+    assert.ok(pngChunks(png).filter(chunk => chunk.type === 'IDAT').length > 5);
+    assertImage(ImageLoader.decode(png), WIDTH, HEIGHT, rgba(CARD));
+});
+
+test('PNG: stored and fixed-Huffman zlib streams', () => {
+    assertImage(ImageLoader.decode(rgbaPNG({ zlibOptions: { level: 0 } })), WIDTH, HEIGHT, rgba(CARD));
+    assertImage(ImageLoader.decode(rgbaPNG({ zlibOptions: { strategy: require('zlib').constants.Z_FIXED } })), WIDTH, HEIGHT, rgba(CARD));
+});
+
+test('PNG: RGB 16-bit keeps the high byte', () => {
+    const png = buildPNG({
+        width: WIDTH, height: HEIGHT, colorType: 2, bitDepth: 16, filter: 'cycle',
+        samples: (x, y) => pixelAt(x, y).slice(0, 3).map(v => v * 257)
+    });
+    assertImage(ImageLoader.decode(png), WIDTH, HEIGHT, rgba(CARD.map(([r, g, b]) => [r, g, b, 255])));
+});
+
+test('PNG: greyscale at 1, 2, 4, 8 and 16 bits', () => {
+    [1, 2, 4, 8, 16].forEach(bitDepth => {
+        const max = (1 << bitDepth) - 1;
+        const grey = (x, y) => (x * 7 + y * 3) % (max + 1);
+        const png = buildPNG({ width: WIDTH, height: HEIGHT, colorType: 0, bitDepth, filter: 'cycle', samples: (x, y) => [grey(x, y)] });
+
+        const expected = [];
+        for (let y = 0; y < HEIGHT; y++) {
+            for (let x = 0; x < WIDTH; x++) {
+                const value = Math.round(grey(x, y) * 255 / max);
+                expected.push([value, value, value, 255]);
+            }
+        }
+        assertImage(ImageLoader.decode(png), WIDTH, HEIGHT, rgba(expected));
+    });
+});
+
+test('PNG: greyscale with alpha', () => {
+    const png = buildPNG({ width: WIDTH, height: HEIGHT, colorType: 4, bitDepth: 8, filter: 2, samples: (x, y) => [pixelAt(x, y)[0], pixelAt(x, y)[3]] });
+    assertImage(ImageLoader.decode(png), WIDTH, HEIGHT, rgba(CARD.map(([r, , , a]) => [r, r, r, a])));
+});
+
+test('PNG: palette with tRNS alpha', () => {
+    const transparency = Uint8Array.from([0, 64, 128]);
+    const png = buildPNG({
+        width: WIDTH, height: HEIGHT, colorType: 3, bitDepth: 8, palette: PALETTE, transparency,
+        samples: (x, y) => [paletteIndex(x, y, 16)]
+    });
+
+    const image = ImageLoader.decode(png);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const index = paletteIndex(x, y, 16);
+            const target = (y * WIDTH + x) * 4;
+            assert.deepEqual([...image.data.subarray(target, target + 4)], [...PALETTE[index], index < 3 ? transparency[index] : 255]);
+        }
+    }
+});
+
+test('PNG: tRNS colour key for greyscale and RGB', () => {
+    const grey = buildPNG({
+        width: 2, height: 1, colorType: 0, bitDepth: 8, samples: x => [x ? 200 : 100],
+        transparency: Uint8Array.from([0, 100])
+    });
+    assert.deepEqual([...ImageLoader.decode(grey).data], [100, 100, 100, 0, 200, 200, 200, 255]);
+
+    const rgb = buildPNG({
+        width: 2, height: 1, colorType: 2, bitDepth: 8, samples: x => (x ? [1, 2, 3] : [4, 5, 6]),
+        transparency: Uint8Array.from([0, 1, 0, 2, 0, 3])
+    });
+    assert.deepEqual([...ImageLoader.decode(rgb).data], [4, 5, 6, 255, 1, 2, 3, 0]);
+});
+
+// === BMP ====================================================================
+
+test('BMP: 1, 4 and 8-bit palettes in both row orders', () => {
+    [1, 4, 8].forEach(bitsPerPixel => {
+        const colors = Math.min(16, 1 << bitsPerPixel);
+        const palette = PALETTE.slice(0, colors);
+        const expected = [];
+        for (let y = 0; y < HEIGHT; y++) {
+            for (let x = 0; x < WIDTH; x++) expected.push([...palette[paletteIndex(x, y, colors)], 255]);
+        }
+
+        [false, true].forEach(topDown => {
+            const bmp = buildBMP({ width: WIDTH, height: HEIGHT, bitsPerPixel, palette, topDown, pixel: (x, y) => paletteIndex(x, y, colors) });
+            assertImage(ImageLoader.decode(bmp), WIDTH, HEIGHT, rgba(expected));
+        });
+    });
+});
+
+test('BMP: 24-bit in both row orders, with row padding', () => {
+    const expected = rgba(CARD.map(([r, g, b]) => [r, g, b, 255]));
+    [false, true].forEach(topDown => {
+        const bmp = buildBMP({ width: WIDTH, height: HEIGHT, bitsPerPixel: 24, topDown, pixel: pixelAt });
+        assertImage(ImageLoader.decode(bmp), WIDTH, HEIGHT, expected);
+    });
+});
+
+test('BMP: 32-bit BI_RGB ignores the unused top byte', () => {
+    const expected = rgba(CARD.map(([r, g, b]) => [r, g, b, 255]));
+    [false, true].forEach(topDown => {
+        const bmp = buildBMP({ width: WIDTH, height: HEIGHT, bitsPerPixel: 32, topDown, pixel: pixelAt });
+        for (let p = bmp.readUInt32LE(10) + 3; p < bmp.length; p += 4) bmp[p] = 0x5a;
+        assertImage(ImageLoader.decode(bmp), WIDTH, HEIGHT, expected);
+    });
+});
+
+test('BMP: 32-bit BI_BITFIELDS with an alpha mask', () => {
+    const masks = { red: 0x0000ff00, green: 0x00ff0000, blue: 0xff000000, alpha: 0x000000ff };
+    [false, true].forEach(topDown => {
+        const bmp = buildBMP({ width: WIDTH, height: HEIGHT, bitsPerPixel: 32, topDown, masks, pixel: pixelAt });
+        assertImage(ImageLoader.decode(bmp), WIDTH, HEIGHT, rgba(CARD));
+    });
+});
+
+test('BMP: 16-bit 5-5-5 scales channels to 8 bits', () => {
+    const bmp = buildBMP({ width: 2, height: 1, bitsPerPixel: 16, pixel: x => (x ? [255, 0, 255, 255] : [0, 255, 0, 255]) });
+    assert.deepEqual([...ImageLoader.decode(bmp).data], [0, 255, 0, 255, 255, 0, 255, 255]);
+});
+
+// === PNM ====================================================================
+
+function pnmCase(magic, maxval) {
+    const channels = magic === 'P2' || magic === 'P5' ? 1 : 3;
+    const samples = [];
+    const expected = [];
+    for (let i = 0; i < WIDTH * HEIGHT; i++) {
+        const pixel = Array.from({ length: channels }, (_, c) => (i * 131 + c * 977) % (maxval + 1));
+        samples.push(...pixel);
+        const scaled = pixel.map(v => Math.round(v * 255 / maxval));
+        expected.push(channels === 1 ? [scaled[0], scaled[0], scaled[0], 255] : [...scaled, 255]);
+    }
+    return { file: buildPNM(magic, WIDTH, HEIGHT, maxval, samples, 'written by the fixture builder'), expected: rgba(expected) };
+}
+
+test('PNM: P2, P3, P5 and P6 at maxval 255 and above', () => {
+    ['P2', 'P3', 'P5', 'P6'].forEach(magic => {
+        [255, 1023, 65535].forEach(maxval => {
+            const { file, expected } = pnmCase(magic, maxval);
+            assertImage(ImageLoader.decode(file), WIDTH, HEIGHT, expected);
+        });
+    });
+});
+
+test('PNM: small maxval stretches to the full range', () => {
+    const image = ImageLoader.decode(buildPNM('P5', 3, 1, 3, [0, 1, 3]));
+    assert.deepEqual([...image.data], [0, 0, 0, 255, 85, 85, 85, 255, 255, 255, 255, 255]);
+});
+
+// === ERRORS =================================================================
+
+test('rejects unknown formats and input types', () => {
+    assert.throws(() => ImageLoader.decode(Buffer.from('GIF89a')), /Unsupported image format/);
+    assert.throws(() => ImageLoader.decode('P5 1 1 255'), /must be a Uint8Array, Buffer or ArrayBuffer/);
+});
+
+test('PNG: rejects malformed files', () => {
+    const chunks = pngChunks(rgbaPNG());
+    const without = type => chunks.filter(chunk => chunk.type !== type);
+    const withHeader = (patch) => chunks.map(chunk => {
+        if (chunk.type !== 'IHDR') return chunk;
+        const body = Buffer.from(chunk.body);
+        patch(body);
+        return { type: 'IHDR', body };
+    });
+
+    const png = rgbaPNG();
+    assert.throws(() => ImageLoader.decode(png.subarray(0, png.length - 20)), /Truncated PNG IDAT chunk/);
+    assert.throws(() => ImageLoader.decode(assemblePNG(without('IHDR'))), /PNG has no IHDR chunk/);
+    assert.throws(() => ImageLoader.decode(assemblePNG(without('IDAT'))), /PNG has no IDAT chunk/);
+    assert.throws(() => ImageLoader.decode(assemblePNG(withHeader(body => { body[9] = 5; }))), /Unsupported PNG colour type 5/);
+    assert.throws(() => ImageLoader.decode(assemblePNG(withHeader(body => { body[8] = 4; }))), /Invalid PNG bit depth 4 for colour type 6/);
+    assert.throws(() => ImageLoader.decode(assemblePNG(withHeader(body => { body[12] = 2; }))), /Unknown PNG interlace method 2/);
+    assert.throws(() => ImageLoader.decode(assemblePNG(withHeader(body => { body.writeUInt32BE(0, 0); }))), /Invalid image dimensions/);
+    assert.throws(() => ImageLoader.decode(assemblePNG(withHeader(body => { body.writeUInt32BE(HEIGHT + 1, 4); }))), /Truncated PNG image data/);
+});
+
+test('PNG: rejects bad palettes and filter types', () => {
+    const spec = { width: 2, height: 1, colorType: 3, bitDepth: 8, palette: PALETTE.slice(0, 2), samples: x => [x] };
+    const paletted = pngChunks(buildPNG(spec));
+    assert.throws(() => ImageLoader.decode(assemblePNG(paletted.filter(chunk => chunk.type !== 'PLTE'))), /PNG palette image has no PLTE chunk/);
+    assert.throws(() => ImageLoader.decode(buildPNG({ ...spec, samples: x => [x * 5] })), /PNG palette index 5 out of range/);
+
+    const raw = Buffer.from([7, 0, 0, 0, 0]);
+    const badFilter = pngChunks(buildPNG({ width: 1, height: 1, colorType: 6, bitDepth: 8, samples: () => [0, 0, 0, 0] }))
+        .map(chunk => (chunk.type === 'IDAT' ? { type: 'IDAT', body: require('zlib').deflateSync(raw) } : chunk));
+    assert.throws(() => ImageLoader.decode(assemblePNG(badFilter)), /Corrupt PNG: unknown filter type 7/);
+});
+
+test('BMP: rejects malformed files', () => {
+    const bmp = () => buildBMP({ width: WIDTH, height: HEIGHT, bitsPerPixel: 24, pixel: pixelAt });
+
+    assert.throws(() => ImageLoader.decode(bmp().subarray(0, 40)), /Truncated BMP header/);
+
+    const core = bmp();
+    core.writeUInt32LE(12, 14);
+    assert.throws(() => ImageLoader.decode(core), /Unsupported BMP header \(12 bytes\)/);
+
+    const rle = bmp();
+    rle.writeUInt32LE(1, 30);
+    assert.throws(() => ImageLoader.decode(rle), /Unsupported BMP compression 1/);
+
+    const depth = bmp();
+    depth.writeUInt16LE(2, 28);
+    assert.throws(() => ImageLoader.decode(depth), /Unsupported BMP bit depth 2/);
+
+    const full = bmp();
+    assert.throws(() => ImageLoader.decode(full.subarray(0, full.length - 1)), /Truncated BMP pixel data/);
+});
+
+test('PNM: rejects malformed files', () => {
+    assert.throws(() => ImageLoader.decode(Buffer.from('P5\n3 ')), /Truncated P5 header/);
+    assert.throws(() => ImageLoader.decode(Buffer.from('P2\n1 1\n0\n0\n')), /Invalid P2 maxval 0/);
+    assert.throws(() => ImageLoader.decode(Buffer.from('P6\n1 1\n65536\n')), /Invalid P6 maxval 65536/);
+    assert.throws(() => ImageLoader.decode(Buffer.from('P6\n2 1\n255\n\x01\x02\x03')), /Truncated P6 pixel data/);
+    assert.throws(() => ImageLoader.decode(Buffer.from('P5\n2 1\n1023\n\x01\x02\x03')), /Truncated P5 pixel data/);
+    assert.throws(() => ImageLoader.decode(Buffer.from('P3\n1 1\n255\n1 2\n')), /Truncated P3 pixel data/);
+    assert.throws(() => ImageLoader.decode(Buffer.from('P2\n1 1\n255\nx\n')), /Truncated P2 pixel data/);
+});
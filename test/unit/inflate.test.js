@@ -0,0 +1,171 @@
+// inflate.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: INFLATE TESTS
+// =====================================================
+// Stored, fixed-Huffman and dynamic-Huffman blocks from
+// Node's zlib, checked byte for byte, plus hand-made
+// streams for every malformed-input error.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const Inflate = require('../../src/utils/inflate');
+const SeededRandom = require('../../src/utils/prng');
+const { BitWriter, firstBlockType } = require('../fixtures/image_fixtures');
+
+const STORED = 0;
+const FIXED = 1;
+const DYNAMIC = 2;
+
+function sampleText(repeats) {
+    return Buffer.from('the lantern hangs above the harbour, the tide turns under it; '.repeat(repeats), 'latin1');
+}
+
+/** Skewed letters: frequencies a dynamic code pays off for */
+function skewedText(seed, length) {
+    const random = new SeededRandom(seed);
+    return Buffer.from(Array.from({ length }, () => 97 + Math.floor(random.next() ** 3 * 26)));
+}
+
+function randomBytes(seed, length) {
+    const random = new SeededRandom(seed);
+    return Buffer.from(Array.from({ length }, () => Math.floor(random.next() * 256)));
+}
+
+/** zlib wrapper around a raw deflate body, with a correct Adler-32 of the expected output */
+function wrap(deflate, output = new Uint8Array(0)) {
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE(Inflate.adler32(output));
+    return Uint8Array.from([0x78, 0x01, ...deflate, ...checksum]);
+}
+
+// === BLOCK TYPES ============================================================
+
+test('stored blocks round-trip', () => {
+    const data = randomBytes(7, 1000);
+    const compressed = zlib.deflateSync(data, { level: 0 });
+    assert.equal(firstBlockType(compressed), STORED);
+    assert.deepEqual(Buffer.from(Inflate.unzlib(compressed)), data);
+});
+
+test('stored data longer than one block spans several blocks', () => {
+    const data = randomBytes(8, 70000);
+    const compressed = zlib.deflateSync(data, { level: 0 });
+    assert.equal(firstBlockType(compressed), STORED);
+    assert.deepEqual(Buffer.from(Inflate.unzlib(compressed)), data);
+});
+
+test('fixed Huffman blocks round-trip', () => {
+    const data = sampleText(20);
+    const compressed = zlib.deflateSync(data, { strategy: zlib.constants.Z_FIXED });
+    assert.equal(firstBlockType(compressed), FIXED);
+    assert.deepEqual(Buffer.from(Inflate.unzlib(compressed)), data);
+});
+
+test('dynamic Huffman blocks round-trip', () => {
+    const data = Buffer.concat([skewedText(9, 5000), sampleText(5)]);
+    const compressed = zlib.deflateSync(data);
+    assert.equal(firstBlockType(compressed), DYNAMIC);
+    assert.deepEqual(Buffer.from(Inflate.unzlib(compressed)), data);
+});
+
+test('long runs use maximum-length back-references', () => {
+    const data = Buffer.alloc(100000, 0x2a);
+    assert.deepEqual(Buffer.from(Inflate.unzlib(zlib.deflateSync(data, { level: 9 }))), data);
+});
+
+test('empty input inflates to nothing', () => {
+    assert.equal(Inflate.unzlib(zlib.deflateSync(Buffer.alloc(0))).length, 0);
+});
+
+test('inflateRaw reads a headerless stream and reports where it ends', () => {
+    const data = sampleText(3);
+    const raw = zlib.deflateRawSync(data);
+    const { output, end } = Inflate.inflateRaw(Uint8Array.from([0xff, ...raw, 0xee]), 1);
+    assert.deepEqual(Buffer.from(output), data);
+    assert.equal(end, raw.length + 1);
+});
+
+test('adler32 matches the zlib trailer', () => {
+    const data = sampleText(10);
+    const compressed = zlib.deflateSync(data);
+    assert.equal(Inflate.adler32(data), compressed.readUInt32BE(compressed.length - 4));
+});
+
+// === ERRORS =================================================================
+
+test('rejects truncated and malformed zlib headers', () => {
+    assert.throws(() => Inflate.unzlib(Uint8Array.from([0x78, 0x9c, 0x03])), /Truncated zlib stream/);
+    assert.throws(() => Inflate.unzlib(Uint8Array.from([0x78, 0x9d, 0x03, 0, 0, 0, 0, 1])), /Invalid zlib header/);
+    assert.throws(() => Inflate.unzlib(Uint8Array.from([0x79, 0x9c, 0x03, 0, 0, 0, 0, 1])), /Invalid zlib header/);
+    assert.throws(() => Inflate.unzlib(Uint8Array.from([0x78, 0xbb, 0, 0, 0, 1, 0x03, 0, 0, 0, 0, 1])), /preset dictionaries/);
+});
+
+test('rejects a checksum mismatch', () => {
+    const compressed = Uint8Array.from(zlib.deflateSync(sampleText(2)));
+    compressed[compressed.length - 1] ^= 0x01;
+    assert.throws(() => Inflate.unzlib(compressed), /zlib checksum mismatch/);
+});
+
+test('rejects the reserved block type', () => {
+    assert.throws(() => Inflate.unzlib(wrap(new BitWriter().bits(1, 1).bits(3, 2).result())), /Invalid deflate block type/);
+});
+
+test('rejects a stream cut short', () => {
+    const compressed = zlib.deflateSync(sampleText(20));
+    assert.throws(() => Inflate.unzlib(compressed.subarray(0, compressed.length >> 1)), /Truncated deflate stream|zlib checksum/);
+    assert.throws(() => Inflate.inflateRaw(Uint8Array.from([0x05]), 0), /Truncated deflate stream/);
+});
+
+test('rejects a stored block whose length complement is wrong', () => {
+    // BFINAL=1, BTYPE=00, then LEN=2 and NLEN that is not ~LEN
+    const block = [0x01, 0x02, 0x00, 0x00, 0x00, 0x41, 0x42];
+    assert.throws(() => Inflate.unzlib(wrap(block, Buffer.from('AB'))), /Corrupt stored deflate block/);
+});
+
+test('rejects fixed-code length symbol 286', () => {
+    const block = new BitWriter().bits(1, 1).bits(FIXED, 2).code(0b11000110, 8).result();
+    assert.throws(() => Inflate.unzlib(wrap(block)), /Invalid deflate length code/);
+});
+
+test('rejects distance symbol 30', () => {
+    // Dynamic block: literal/length codes for 256 and 257, a single distance code for symbol 30.
+    // Code lengths are sent with symbol 1 ('0') and zero runs of symbol 18 ('1' + 7 bits)
+    const writer = new BitWriter().bits(1, 1).bits(DYNAMIC, 2)
+        .bits(1, 5).bits(30, 5).bits(14, 4);
+    for (let i = 0; i < 18; i++) writer.bits(i === 2 || i === 17 ? 1 : 0, 3);
+    writer.code(1, 1).bits(127, 7).code(1, 1).bits(107, 7)
+        .code(0, 1).code(0, 1)
+        .code(1, 1).bits(19, 7).code(0, 1);
+    // Length 3 (symbol 257, '1'), then distance symbol 30 ('0')
+    const block = writer.code(1, 1).code(0, 1).result();
+    assert.throws(() => Inflate.unzlib(wrap(block)), /Invalid deflate distance code/);
+});
+
+test('rejects a back-reference before the start of the output', () => {
+    // Length 3 (symbol 257), distance 1 (code 0) with nothing written yet
+    const block = new BitWriter().bits(1, 1).bits(FIXED, 2).code(0b0000001, 7).code(0, 5).result();
+    assert.throws(() => Inflate.unzlib(wrap(block)), /Invalid deflate back-reference/);
+});
+
+test('rejects a repeat code with no previous length', () => {
+    // HLIT=0, HDIST=0, HCLEN=0: code-length codes for 16, 17, 18, 0 where 16 and 0 get one bit each
+    const block = new BitWriter().bits(1, 1).bits(DYNAMIC, 2)
+        .bits(0, 5).bits(0, 5).bits(0, 4)
+        .bits(1, 3).bits(0, 3).bits(0, 3).bits(1, 3)
+        .code(1, 1).bits(0, 2).result();
+    assert.throws(() => Inflate.unzlib(wrap(block)), /Corrupt deflate code lengths/);
+});
+
+test('rejects a bit pattern no Huffman code matches', () => {
+    // Only code-length symbol 0 has a code ('0'), so a run of ones never decodes
+    const block = new BitWriter().bits(1, 1).bits(DYNAMIC, 2)
+        .bits(0, 5).bits(0, 5).bits(0, 4)
+        .bits(0, 3).bits(0, 3).bits(0, 3).bits(1, 3)
+        .code(0xffff, 16).result();
+    assert.throws(() => Inflate.unzlib(wrap(block)), /Invalid deflate Huffman code/);
+});
@@ -0,0 +1,268 @@
+// memory_store.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: MEMORY STORE TESTS
+// =====================================================
+// The lru and strength forgetting policies, echoes of
+// remembered encoder codes, and the JSON-lines store:
+// persistence, reload with echo stats, capacity shrinking
+// between sessions, a torn final line and corrupt
+// interior lines.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MemoryStore = require('../../src/decoder/memory_store');
+const JsonLinesMemoryStore = require('../../src/decoder/json_lines_memory_store');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function memory(code, daysAgo = 0, valence = 0.5) {
+    return { code, timestamp: Date.now() - daysAgo * DAY, emotion: { valence, arousal: 0.5 }, objects: [{ type: 'tree' }] };
+}
+
+/** Path in a fresh temporary directory, removed after the test */
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pa-memories-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'npc.memories.jsonl');
+}
+
+function fileLines(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+}
+
+const codes = store => store.all().map(m => m.code);
+
+// === OPTIONS ================================================================
+
+test('rejects a bad capacity, an unknown policy and an invalid memory', () => {
+    assert.throws(() => new MemoryStore({ capacity: 0 }), /capacity must be a positive number, got 0/);
+    assert.throws(() => new MemoryStore({ policy: 'fifo' }), /Unknown memory store policy 'fifo'/);
+    assert.throws(() => new MemoryStore().add({ code: 42 }), /needs a code string/);
+    assert.throws(() => new MemoryStore().add({ code: 'a', emotion: { valence: 'high' } }), /Memory 'a' needs a numeric emotion/);
+    assert.throws(() => new JsonLinesMemoryStore({}), /needs a file path/);
+});
+
+test('the strength policy needs a strength function once it forgets', () => {
+    const store = new MemoryStore({ capacity: 1, policy: 'strength' });
+    store.add(memory('a'));
+    assert.throws(() => store.add(memory('b')), /policy 'strength' needs a strength function/);
+});
+
+// === POLICIES ===============================================================
+
+test('lru forgets the memory least recently added or echoed', () => {
+    const store = new MemoryStore({ capacity: 3 });
+    ['a', 'b', 'c'].forEach(code => store.add(memory(code)));
+
+    store.touch(store.all()[0], { similarity: 0.9, resonance: 0.9 });
+    const forgotten = store.add(memory('d'));
+
+    assert.deepEqual(forgotten.map(m => m.code), ['b']);
+    assert.deepEqual(codes(store), ['a', 'c', 'd']);
+});
+
+test('lru starts memoryBuffer entries from their timestamps', () => {
+    const buffer = [memory('old', 10), memory('new', 1)];
+    const store = new MemoryStore({ memories: buffer, capacity: 2 });
+
+    assert.deepEqual(store.add(memory('now')).map(m => m.code), ['old']);
+    assert.equal(store.all(), buffer, 'the array is used in place');
+});
+
+test('strength forgets the weakest memory, ties going to the oldest', () => {
+    const store = new MemoryStore({ capacity: 3, policy: 'strength', strength: (m, stats) => stats.resonance });
+    ['a', 'b', 'c'].forEach((code, i) => store.add(memory(code, 3 - i)));
+
+    store.touch(store.all()[0], { resonance: 0.9 });
+    store.touch(store.all()[2], { resonance: 0.7 });
+    assert.deepEqual(store.add(memory('d')).map(m => m.code), ['b']);
+
+    // a 0.9, c 0.7, d unechoed at 0.5: d is weakest
+    assert.deepEqual(store.add(memory('e', 5)).map(m => m.code), ['e']);
+
+    // Equal strengths: the older timestamp goes first
+    const tied = new MemoryStore({ capacity: 2, policy: 'strength', strength: () => 1 });
+    tied.add(memory('young', 1));
+    tied.add(memory('old', 9));
+    assert.deepEqual(tied.add(memory('newest')).map(m => m.code), ['old']);
+});
+
+test('echo stats only grow', () => {
+    const store = new MemoryStore();
+    store.add(memory('a'));
+    const [stored] = store.all();
+
+    assert.deepEqual({ ...store.statsFor(stored), used: 0 }, { used: 0, similarity: 0.5, resonance: 0.5 });
+    store.touch(stored, { similarity: 0.8, resonance: 0.2 });
+    store.touch(stored, { similarity: 0.6, resonance: 0.4 });
+    assert.equal(store.statsFor(stored).similarity, 0.8);
+    assert.equal(store.statsFor(stored).resonance, 0.5);
+});
+
+test('the decoder forgets by calculateMemoryStrength under the strength policy', () => {
+    const memoryStore = new MemoryStore({ capacity: 2, policy: 'strength' });
+    const decoder = new PerceptualAlchemyDecoder({ memoryStore });
+
+    decoder.remember(memory('faded', 90));
+    decoder.remember(memory('recent', 1));
+    assert.deepEqual(decoder.remember(memory('today')).map(m => m.code), ['faded']);
+});
+
+// === ECHOES =================================================================
+
+// Felt far from anything the code decodes to, so only the code itself can echo
+const distantEmotion = { valence: 0.02, arousal: 0.98 };
+
+test('a remembered encoder code echoes when it is decoded', () => {
+    const { code } = new PerceptualAlchemyEncoder({ seed: 3 }).encode(renderScene(SCENES[0]));
+    const payload = new PerceptualAlchemyDecoder().validateAndCorrect(code).code;
+
+    [false, true].forEach(index => {
+        const remembered = form => {
+            const decoder = new PerceptualAlchemyDecoder({ seed: 3, memoryStore: new MemoryStore({ index }) });
+            decoder.remember({ code: form, emotion: distantEmotion });
+            return decoder.decode(code).memory.echoes;
+        };
+
+        const full = remembered(code);
+        assert.equal(full.length, 1, `index: ${index}`);
+        assert.equal(full[0].memory.code, code);
+        assert.ok(full[0].resonance <= 0.6);
+        assert.equal(full[0].similarity, remembered(payload)[0].similarity);
+    });
+});
+
+test('payloadOf strips header and parity, and leaves bare payloads alone', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const { code } = new PerceptualAlchemyEncoder({ seed: 3 }).encode(renderScene(SCENES[0]));
+    const payload = decoder.validateAndCorrect(code).code;
+
+    assert.equal(decoder.payloadOf(code), payload);
+    assert.equal(decoder.payloadOf(payload), payload);
+
+    const legacy = payload + decoder.errorCorrection.encode(payload).slice(payload.length);
+    assert.equal(decoder.payloadOf(legacy), payload);
+});
+
+// === JSON LINES =============================================================
+
+test('a missing file opens an empty store and add() appends one line per memory', t => {
+    const file = tempFile(t);
+    const store = new JsonLinesMemoryStore({ file });
+    assert.equal(store.size, 0);
+
+    store.add(memory('a'));
+    store.add(memory('b'));
+    assert.deepEqual(fileLines(file).map(line => JSON.parse(line).memory.code), ['a', 'b']);
+});
+
+test('memories and saved echo stats survive a reload', t => {
+    const file = tempFile(t);
+    const store = new JsonLinesMemoryStore({ file });
+    store.add(memory('a', 2, 0.2));
+    store.add(memory('b', 1, 0.8));
+    store.touch(store.all()[0], { similarity: 0.9, resonance: 0.75 });
+    store.save();
+
+    const reloaded = new JsonLinesMemoryStore({ file });
+    assert.deepEqual(reloaded.all(), store.all());
+    assert.deepEqual(reloaded.statsFor(reloaded.all()[0]), store.statsFor(store.all()[0]));
+    assert.ok(reloaded.clock >= store.statsFor(store.all()[0]).used, 'recency keeps counting from the file');
+});
+
+test('remove() and clear() rewrite the file', t => {
+    const file = tempFile(t);
+    const store = new JsonLinesMemoryStore({ file });
+    ['a', 'b', 'c'].forEach(code => store.add(memory(code)));
+
+    assert.equal(store.remove(store.all()[1]), true);
+    assert.equal(store.remove(memory('x')), false);
+    assert.deepEqual(codes(new JsonLinesMemoryStore({ file })), ['a', 'c']);
+
+    store.clear();
+    assert.equal(fs.readFileSync(file, 'utf8'), '');
+    assert.ok(!fs.existsSync(`${file}.tmp`));
+});
+
+test('forgetting rewrites the file without the forgotten memory', t => {
+    const file = tempFile(t);
+    const store = new JsonLinesMemoryStore({ file, capacity: 2 });
+    ['a', 'b', 'c'].forEach(code => store.add(memory(code)));
+
+    assert.deepEqual(fileLines(file).map(line => JSON.parse(line).memory.code), ['b', 'c']);
+});
+
+test('a smaller capacity on reopen forgets by policy and rewrites the file', t => {
+    const file = tempFile(t);
+    const store = new JsonLinesMemoryStore({ file });
+    ['a', 'b', 'c', 'd', 'e'].forEach(code => store.add(memory(code)));
+    store.touch(store.all()[0]);
+    store.save();
+
+    const shrunk = new JsonLinesMemoryStore({ file, capacity: 3 });
+    assert.deepEqual(codes(shrunk), ['a', 'd', 'e']);
+    assert.equal(fileLines(file).length, 3);
+});
+
+test('a smaller capacity under the strength policy waits for the decoder to supply strength', t => {
+    const file = tempFile(t);
+    const store = new JsonLinesMemoryStore({ file });
+    [['old', 60], ['older', 90], ['new', 1]].forEach(([code, days]) => store.add(memory(code, days)));
+
+    const memoryStore = new JsonLinesMemoryStore({ file, capacity: 2, policy: 'strength' });
+    assert.equal(memoryStore.size, 3);
+
+    new PerceptualAlchemyDecoder({ memoryStore });
+    assert.deepEqual(codes(memoryStore), ['old', 'new']);
+    assert.equal(fileLines(file).length, 2);
+});
+
+test('a torn final line is dropped and the file rewritten without it', t => {
+    const file = tempFile(t);
+    const store = new JsonLinesMemoryStore({ file });
+    store.add(memory('a'));
+    store.add(memory('b'));
+    fs.appendFileSync(file, '{"memory":{"code":"~0c","timest');
+
+    const reopened = new JsonLinesMemoryStore({ file });
+    assert.deepEqual(codes(reopened), ['a', 'b']);
+    assert.equal(reopened.tornLine, 3);
+    assert.equal(fileLines(file).length, 2);
+
+    reopened.add(memory('c'));
+    assert.deepEqual(codes(new JsonLinesMemoryStore({ file })), ['a', 'b', 'c']);
+});
+
+test('a torn final line followed by blank lines is still the final line', t => {
+    const file = tempFile(t);
+    fs.writeFileSync(file, JSON.stringify({ memory: memory('a') }) + '\n{"memory":\n\n');
+
+    const store = new JsonLinesMemoryStore({ file });
+    assert.deepEqual(codes(store), ['a']);
+    assert.equal(store.tornLine, 2);
+});
+
+test('a corrupt interior line throws with the file and line number', t => {
+    const file = tempFile(t);
+    const good = JSON.stringify({ memory: memory('a') });
+
+    fs.writeFileSync(file, `${good}\n{"memory":\n${good}\n`);
+    assert.throws(() => new JsonLinesMemoryStore({ file }), new RegExp(`Memory file .*npc.memories.jsonl line 2 is not valid JSON`));
+
+    fs.writeFileSync(file, `${good}\n{"stats":{}}\n${good}\n`);
+    assert.throws(() => new JsonLinesMemoryStore({ file }), /line 2 has no memory record/);
+
+    // A whole final line that parses is not torn, so its errors still count
+    fs.writeFileSync(file, `${good}\n{"memory":{"code":7}}\n`);
+    assert.throws(() => new JsonLinesMemoryStore({ file }), /needs a code string/);
+});
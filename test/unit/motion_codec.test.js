@@ -0,0 +1,199 @@
+// motion_codec.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: SEQUENCE & MOTION CODEC TESTS
+// =====================================================
+// Velocity bins, delta serialization and application,
+// keyframe intervals, and that a decoded stream tracks
+// the same objects the encoder modelled, under the
+// vocabulary the stream was encoded with.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const MotionCodec = require('../../src/utils/motion_codec');
+const VocabularyRegistry = require('../../src/vocabulary/vocabulary_registry');
+const SYMBOL_TABLE = require('../../src/vocabulary/symbol_table.json');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const LANTERNS = SCENES.find(scene => scene.name === 'lanterns');
+
+/** The lanterns scene with every lantern shifted by (dx, dy) */
+function lanternsAt(dx, dy = 0) {
+    return renderScene({
+        ...LANTERNS,
+        shapes: LANTERNS.shapes.map(shape => ({ ...shape, x: shape.x + dx, y: shape.y + dy }))
+    });
+}
+
+// === MOTION BINS ============================================================
+
+test('velocities quantize into nine symmetric bins around still', () => {
+    const bin = MotionCodec.quantizeVelocity;
+
+    assert.equal(bin(0), 'E');
+    assert.equal(bin(0.009), 'E');
+    assert.equal(bin(0.01), 'F');
+    assert.equal(bin(0.03), 'G');
+    assert.equal(bin(0.08), 'H');
+    assert.equal(bin(0.15), 'I');
+    assert.equal(bin(0.9), 'I');
+    assert.equal(bin(-0.01), 'D');
+    assert.equal(bin(-0.2), 'A');
+});
+
+test('every bin dequantizes to a velocity that quantizes back to it', () => {
+    const bins = 'ABCDEFGHI';
+    bins.split('').forEach((ch, i) => {
+        const velocity = MotionCodec.dequantizeVelocity(ch);
+        const mirror = bins[bins.length - 1 - i];
+        assert.equal(MotionCodec.quantizeVelocity(velocity), ch);
+        assert.equal(MotionCodec.dequantizeVelocity(mirror), velocity === 0 ? 0 : -velocity);
+    });
+    assert.equal(MotionCodec.dequantizeVelocity('?'), 0);
+    assert.ok(MotionCodec.isStill('EE'));
+    assert.ok(!MotionCodec.isStill('EF'));
+});
+
+test('grid cells and their centres agree', () => {
+    assert.equal(MotionCodec.gridCell(0, 0), '1');
+    assert.equal(MotionCodec.gridCell(0.5, 0.5), '5');
+    assert.equal(MotionCodec.gridCell(1, 1), '9');
+    assert.equal(MotionCodec.gridCell(-0.2, 1.4), '7');
+    '123456789'.split('').forEach(cell => {
+        const { x, y } = MotionCodec.gridCenter(cell);
+        assert.equal(MotionCodec.gridCell(x, y), cell);
+    });
+});
+
+// === DELTAS =================================================================
+
+test('delta bodies round-trip through encodeDelta and parseDelta', () => {
+    const delta = {
+        camera: 'FD',
+        entries: [
+            { symbol: 'a', change: 'move', bins: 'GE' },
+            { symbol: 'f', change: 'vanish' },
+            { symbol: 'e', change: 'appear', cell: '3' },
+            { symbol: 'a', change: 'move', bins: 'EE' }
+        ]
+    };
+
+    const body = MotionCodec.encodeDelta(delta);
+
+    assert.equal(body, 'FDaGEf-0e+3aEE');
+    assert.deepEqual(MotionCodec.parseDelta(body), delta);
+});
+
+test('applyDelta moves by camera and object bins, appends and removes', () => {
+    const objects = [
+        { symbol: 'a', x: 0.5, y: 0.5 },
+        { symbol: 'a', x: 0.2, y: 0.2 },
+        { symbol: 'f', x: 0.8, y: 0.8 }
+    ];
+    const still = MotionCodec.dequantizeVelocity('E');
+    const step = MotionCodec.dequantizeVelocity('G');
+
+    const changes = MotionCodec.applyDelta(objects, MotionCodec.parseDelta('GEaEEaEGf-0e+1'));
+
+    assert.equal(still, 0);
+    assert.deepEqual(objects.map(obj => obj.symbol), ['a', 'a', 'e']);
+    assert.ok(Math.abs(objects[0].x - (0.5 + step)) < 1e-9, 'camera moves every object');
+    assert.ok(Math.abs(objects[1].y - (0.2 + step)) < 1e-9, 'the placeholder skipped the first a');
+    assert.deepEqual(objects[2], { symbol: 'e', ...MotionCodec.gridCenter('1') });
+    assert.equal(changes.moved.length, 1);
+    assert.equal(changes.appeared.length, 1);
+    assert.equal(changes.vanished[0].symbol, 'f');
+});
+
+test('applyDelta clamps positions to the frame and ignores unknown targets', () => {
+    const objects = [{ symbol: 'a', x: 0.95, y: 0.02 }];
+
+    MotionCodec.applyDelta(objects, MotionCodec.parseDelta('EEaIAzGG'));
+
+    assert.deepEqual(objects, [{ symbol: 'a', x: 1, y: 0 }]);
+});
+
+// === KEYFRAME INTERVALS =====================================================
+
+test('keyframes start the stream and recur at the interval', () => {
+    const encoder = new PerceptualAlchemyEncoder({ seed: 4 });
+    const frames = Array.from({ length: 7 }, () => lanternsAt(0));
+
+    const stream = encoder.encodeSequence(frames, { keyframeInterval: 3 });
+
+    assert.deepEqual(stream.map(frame => frame.type), ['keyframe', 'delta', 'delta', 'keyframe', 'delta', 'delta', 'keyframe']);
+    assert.deepEqual(stream.filter(frame => frame.reason).map(frame => frame.reason), ['start', 'interval', 'interval']);
+    stream.filter(frame => frame.type === 'delta').forEach(frame => {
+        assert.equal(frame.code[0], MotionCodec.DELTA_MARKER);
+    });
+});
+
+test('requestKeyframe forces the next frame to be a keyframe', () => {
+    const stream = new PerceptualAlchemyEncoder({ seed: 4 }).createStream({ keyframeInterval: 10 });
+
+    stream.push(lanternsAt(0));
+    assert.equal(stream.push(lanternsAt(0)).type, 'delta');
+    stream.requestKeyframe();
+    assert.equal(stream.push(lanternsAt(0)).reason, 'interval');
+});
+
+// === STREAM ROUND-TRIPS =====================================================
+
+test('a decoded stream tracks the objects the encoder modelled, frame by frame', () => {
+    const encoder = new PerceptualAlchemyEncoder({ seed: 5 });
+    const decoder = new PerceptualAlchemyDecoder({ seed: 5 });
+    const sender = encoder.createStream({ keyframeInterval: 6 });
+    const receiver = decoder.createTimeline();
+
+    let deltas = 0;
+    for (let i = 0; i < 5; i++) {
+        const sent = sender.push(lanternsAt(0.03 * i, 0.01 * i));
+        const received = receiver.push(sent.code);
+
+        assert.equal(received.error, undefined);
+        assert.equal(received.type, sent.type);
+        assert.ok(received.objects.length > 0);
+        assert.deepEqual(
+            received.objects.map(obj => [obj.symbol, obj.position.x, obj.position.y]),
+            sender.tracked.map(obj => [obj.symbol, obj.x, obj.y])
+        );
+        if (sent.type === 'delta') deltas++;
+    }
+
+    assert.ok(deltas >= 3);
+});
+
+test('deltas before any keyframe are reported, not guessed', () => {
+    const decoder = new PerceptualAlchemyDecoder();
+    const frame = decoder.createTimeline().push('>EEaGE' + 'A'.repeat(8));
+
+    assert.equal(frame.error, 'Delta frame without a preceding keyframe');
+});
+
+// === VOCABULARY =============================================================
+
+test('keyframe objects are read with the stream vocabulary, not the default one', () => {
+    const table = JSON.parse(JSON.stringify(SYMBOL_TABLE));
+    table.categories.object.symbols['α'] = { value: 'lantern', variants: ['glow'] };
+    const registry = new VocabularyRegistry(table);
+
+    const segment = 'α3a5'.padEnd(12, registry.padding.objects);
+    assert.deepEqual(MotionCodec.parseObjectSegment(segment).map(obj => obj.symbol), ['a']);
+    assert.deepEqual(MotionCodec.parseObjectSegment(segment, registry).map(obj => obj.symbol), ['α', 'a']);
+
+    // A balanced keyframe whose object segment uses the custom symbol
+    const encoder = new PerceptualAlchemyEncoder({ seed: 6, vocabulary: registry });
+    const decoder = new PerceptualAlchemyDecoder({ seed: 6, vocabulary: registry });
+    const data = decoder.validateAndCorrect(encoder.encode(lanternsAt(0)).code).code;
+    const budget = encoder.budgets.balanced;
+    const keyframe = encoder.frameCode(data.slice(0, budget.scene) + segment + data.slice(budget.scene + budget.objects));
+
+    const frame = decoder.createTimeline().push(keyframe);
+
+    assert.deepEqual(frame.objects.map(obj => obj.type), ['lantern', 'person']);
+});
@@ -0,0 +1,141 @@
+// narrative_engine.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: NARRATIVE ENGINE TESTS
+// =====================================================
+// Archetype matching per object, archetype selection and
+// the evidence behind it, the narrative pattern, emotion
+// prose and the shape of a generated narrative.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+
+const engine = () => new PerceptualAlchemyDecoder({ seed: 1 }).narrativeEngine;
+
+/**
+ * Interpreted experience as generate() receives it
+ * @param {Object} spec - { objects: [[type, importance]], valence, arousal, trajectory, mood, light, flow, pattern }
+ */
+function experience(spec = {}) {
+    return {
+        scene: {
+            type: 'outdoor',
+            lighting: { quality: spec.light || 'natural' },
+            mood: { primary: spec.mood || 'neutral' }
+        },
+        objects: (spec.objects || []).map(([type, importance]) => ({
+            type, importance, variants: [], position: { x: 0.5, y: 0.5 }, size: 'medium'
+        })),
+        spatial: {
+            focus: { primary: 'center' },
+            distribution: { pattern: spec.pattern || 'balanced' },
+            flow: { direction: spec.flow || 'radiating' },
+            narrative: 'Everything gathers at the center.'
+        },
+        emotional: {
+            current: { valence: spec.valence ?? 0.5, arousal: spec.arousal ?? 0.5, label: 'neutral' },
+            trajectory: { direction: spec.trajectory || 'stable' }
+        }
+    };
+}
+
+const archetypal = spec => engine().generate(experience(spec), []).archetypal;
+
+// === ARCHETYPES =============================================================
+
+test('getArchetypes matches an object by type or variant', () => {
+    const narrative = engine();
+
+    assert.deepEqual(narrative.getArchetypes({ type: 'door' }), ['journey']);
+    assert.deepEqual(narrative.getArchetypes({ primary: 'stone', variants: ['mirror'] }), ['transformation']);
+    assert.deepEqual(narrative.getArchetypes({ type: 'light' }), ['sanctuary']);
+    assert.deepEqual(narrative.getArchetypes({ type: 'teapot' }), []);
+});
+
+test('objects select an archetype weighted by their importance', () => {
+    const result = archetypal({ objects: [['tree', 0.9], ['wall', 0.2]] });
+
+    assert.equal(result.archetype, 'sanctuary');
+    assert.deepEqual(result.evidence, [{ source: 'object', detail: 'tree', weight: 0.3 + 0.9 * 0.7 }]);
+    assert.equal(result.confidence, (0.3 + 0.9 * 0.7) / (0.3 + 0.9 * 0.7 + 0.3 + 0.2 * 0.7));
+});
+
+test('emotion and mood add their own evidence', () => {
+    const result = archetypal({ objects: [['tree', 0.1]], valence: 0.2, arousal: 0.8, mood: 'tense' });
+
+    assert.equal(result.archetype, 'conflict');
+    assert.deepEqual(result.evidence.map(e => [e.source, e.weight]), [['emotion', 0.6], ['mood', 0.4]]);
+    assert.equal(result.confidence, 1 / (1 + 0.3 + 0.1 * 0.7));
+});
+
+test('trajectory, flow and lighting point to transformation, journey and mystery', () => {
+    assert.equal(archetypal({ trajectory: 'darkening' }).archetype, 'transformation');
+    assert.deepEqual(archetypal({ flow: 'left-to-right' }).evidence, [{ source: 'flow', detail: 'left-to-right', weight: 0.4 }]);
+
+    const mystery = archetypal({ light: 'dramatic', valence: 0.45, pattern: 'empty' });
+    assert.equal(mystery.archetype, 'mystery');
+    assert.deepEqual(mystery.evidence.map(e => e.source), ['lighting', 'space']);
+});
+
+test('weak evidence matches no archetype', () => {
+    const result = archetypal({ pattern: 'empty' });
+
+    assert.equal(result.archetype, null);
+    assert.equal(result.confidence, 0);
+    assert.deepEqual(result.evidence, []);
+    assert.equal(result.pattern.name, 'contracting');
+});
+
+test('the narrative pattern follows the trajectory and names the anchor', () => {
+    assert.deepEqual(archetypal({ objects: [['door', 0.5]], trajectory: 'escalating' }).pattern, {
+        name: 'rising',
+        text: 'Growing from the outdoor ground toward the door'
+    });
+    assert.equal(archetypal({ objects: [['tree', 0.5]] }).pattern.text, 'Radiating outward from the tree');
+    assert.equal(archetypal({ pattern: 'radial' }).pattern.name, 'circular');
+});
+
+// === PROSE ==================================================================
+
+test('describeEmotion names the feeling, its depth and its motion', () => {
+    const narrative = engine();
+
+    assert.equal(narrative.describeEmotion(0.5, 0.5), 'a faint quiet attention');
+    assert.equal(narrative.describeEmotion(0.9, 0.9), 'a deep exhilaration');
+    assert.equal(narrative.describeEmotion(0.05, 0.2, 'darkening'), 'a deep melancholy, darkening at the edges');
+    assert.equal(narrative.describeEmotion(0.7, 0.5, 'unknown'), 'a warmth');
+});
+
+test('generate returns a primary telling, variations, a poem and the archetype', () => {
+    const scene = experience({ objects: [['tree', 0.8], ['door', 0.4]], valence: 0.8, arousal: 0.2 });
+    const echo = { memory: { code: 'A' }, strength: 0.4, similarity: 0.5, age: 3 };
+
+    const alone = engine().generate(scene, []);
+    assert.match(alone.primary, /There is a tree at the center and a door at the center\./);
+    assert.match(alone.primary, /It feels like a contentment\.$/);
+    assert.equal(alone.variations.length, 4);
+    assert.match(alone.variations[2], /^Seen only once: /);
+    assert.equal(alone.variations[3], `${alone.archetypal.pattern.text}.`);
+    assert.equal(typeof alone.poetic, 'string');
+    assert.equal(alone.archetypal.archetype, 'sanctuary');
+
+    const remembered = engine().generate(scene, [echo]);
+    assert.match(remembered.variations[2], /^It echoes something seen 3 days ago, /);
+    assert.match(remembered.poetic, /as it was before$/);
+});
+
+test('a decoded narrative reports evidence from the decoded objects', () => {
+    const entities = [{ type: 'tree', position: { x: 0.5, y: 0.5 }, size: { width: 0.4, height: 0.6 }, color: [40, 140, 60] }];
+    const { code } = new PerceptualAlchemyEncoder({ seed: 1 }).encodeSceneGraph(entities, { emotion: { valence: 0.8, arousal: 0.2 } });
+    const result = new PerceptualAlchemyDecoder({ seed: 1 }).decode(code);
+    const { archetypal: found } = result.narrative;
+
+    assert.equal(found.archetype, 'sanctuary');
+    assert.ok(found.evidence.some(e => e.source === 'object' && e.detail === 'tree'));
+    assert.ok(found.evidence.every(e => e.source !== 'object' || result.experience.objects.some(obj => obj.type === e.detail)));
+});
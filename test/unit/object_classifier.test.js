@@ -0,0 +1,188 @@
+// object_classifier.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: OBJECT CLASSIFIER TESTS
+// =====================================================
+// Classifier registration and priority, the confidence
+// threshold, vocabulary checks on labels, ground-truth
+// labels, the labels the built-in rules give and the
+// geometric fallback.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ObjectClassifier = require('../../src/encoder/object_classifier');
+const VocabularyRegistry = require('../../src/vocabulary/vocabulary_registry');
+const SYMBOL_TABLE = require('../../src/vocabulary/symbol_table.json');
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const { RuleBasedClassifier } = ObjectClassifier;
+
+/**
+ * Detection features as describe() reports them, for a square frame
+ * @param {Object} spec - { type, rgb, x, y, w, h } with position and size normalized
+ */
+function detection({ type = 'organic', rgb = [128, 128, 128], x = 0.5, y = 0.5, w = 0.1, h = 0.1 } = {}) {
+    const color = { r: rgb[0], g: rgb[1], b: rgb[2] };
+    return {
+        type,
+        position: { x, y },
+        boundingBox: { minX: x - w / 2, minY: y - h / 2, maxX: x + w / 2, maxY: y + h / 2 },
+        extent: w * h,
+        aspect: w / h,
+        orientation: 'none',
+        color,
+        hsl: ObjectClassifier.toHSL(color),
+        label: null,
+        labelSource: null
+    };
+}
+
+const TREE = { type: 'organic', rgb: [40, 140, 60], y: 0.5, w: 0.2, h: 0.3 };
+const answer = (label, confidence) => () => ({ label, confidence });
+
+// === REGISTRATION ===========================================================
+
+test('register takes a function or an object with classify()', () => {
+    const classifier = new ObjectClassifier();
+    const door = { label: 'door', classify() { return { label: this.label, confidence: 0.9 }; } };
+
+    assert.throws(() => classifier.register('broken', { label: 'door' }), /Classifier 'broken' must be a function or have a classify\(\) method/);
+    assert.throws(() => classifier.register('empty', null), /Classifier 'empty' must be a function/);
+
+    classifier.register('doors', door);
+    assert.deepEqual(classifier.classifyDetection(detection()), { label: 'door', confidence: 0.9, source: 'doors' });
+    assert.throws(() => classifier.register('doors', answer('tree', 1)), /Classifier 'doors' is already registered/);
+});
+
+test('higher priority runs first; equal priorities keep registration order', () => {
+    const classifier = new ObjectClassifier()
+        .register('low', answer('door', 1))
+        .register('high', answer('tower', 1), { priority: 5 })
+        .register('also-high', answer('bridge', 1), { priority: 5 });
+
+    assert.deepEqual(classifier.classifiers.map(entry => entry.name), ['high', 'also-high', 'low']);
+    assert.equal(classifier.classifyDetection(detection()).source, 'high');
+
+    classifier.unregister('high');
+    assert.deepEqual(classifier.classifyDetection(detection()), { label: 'bridge', confidence: 1, source: 'also-high' });
+});
+
+test('answers below minConfidence, or none at all, fall through', () => {
+    const classifier = new ObjectClassifier({ minConfidence: 0.6 })
+        .register('unsure', answer('door', 0.4), { priority: 2 })
+        .register('silent', () => null, { priority: 1 })
+        .register('sure', answer('window', 0.6));
+
+    assert.deepEqual(classifier.classifyDetection(detection()), { label: 'window', confidence: 0.6, source: 'sure' });
+
+    classifier.unregister('sure');
+    assert.equal(classifier.classifyDetection(detection()).source, 'geometry');
+});
+
+test('labels must be object values of the vocabulary; aliases resolve', () => {
+    const classifier = new ObjectClassifier().register('kitchen', answer('teapot', 1));
+    assert.throws(() => classifier.classifyDetection(detection()), /Classifier 'kitchen' returned 'teapot', which is not in the object vocabulary/);
+
+    const table = JSON.parse(JSON.stringify(SYMBOL_TABLE));
+    table.categories.object.aliases = { human: 'person' };
+    const aliased = new ObjectClassifier({ registry: new VocabularyRegistry(table) }).register('game', answer('Human', 0.8));
+    assert.deepEqual(aliased.classifyDetection(detection()), { label: 'person', confidence: 0.8, source: 'game' });
+});
+
+test('labels supplied with the input win over every classifier', () => {
+    const classifier = new ObjectClassifier().register('doors', answer('door', 1), { priority: 10 });
+
+    const labelled = { ...detection(TREE), label: 'mirror', labelSource: 'segmentation' };
+    assert.deepEqual(classifier.classifyDetection(labelled), { label: 'mirror', confidence: 1, source: 'segmentation' });
+    assert.equal(classifier.classifyDetection({ ...detection(), label: 'tree' }).source, 'label');
+});
+
+// === RULES ==================================================================
+
+test('the rules label typical detections', () => {
+    const classifier = new ObjectClassifier();
+    const label = spec => classifier.classifyDetection(detection(spec));
+
+    assert.deepEqual(label({ type: 'horizontal-line', rgb: [40, 90, 200], y: 0.8, w: 0.8, h: 0.1 }), { label: 'water', confidence: 0.85, source: 'rules' });
+    assert.deepEqual(label(TREE), { label: 'tree', confidence: 0.75, source: 'rules' });
+    assert.equal(label({ type: 'rectangle', rgb: [120, 80, 50], y: 0.7, w: 0.2, h: 0.4 }).label, 'door');
+    assert.equal(label({ type: 'rectangle', rgb: [220, 220, 180], y: 0.3, w: 0.15, h: 0.15 }).label, 'window');
+    assert.equal(label({ type: 'rectangle', rgb: [120, 120, 120], y: 0.4, w: 0.05, h: 0.6 }).label, 'tower');
+    assert.equal(label({ type: 'circle', rgb: [255, 240, 150], y: 0.2, w: 0.05, h: 0.05 }).label, 'light');
+});
+
+test('the highest-confidence rule wins', () => {
+    const rules = new RuleBasedClassifier();
+
+    // A tall grey slab is a wall too, but less surely than a door or a tower
+    const slab = detection({ type: 'rectangle', rgb: [120, 120, 120], y: 0.5, w: 0.5, h: 1 });
+    assert.equal(rules.rules.wall({ ...slab, boxy: true }), 0.6);
+    assert.deepEqual(rules.classify(slab), { label: 'door', confidence: 0.7 });
+    assert.deepEqual(rules.classify(detection({ type: 'rectangle', rgb: [120, 120, 120], y: 0.5, w: 0.28, h: 0.95 })), { label: 'tower', confidence: 0.65 });
+
+    // A low blue blob is water, less surely than a low blue line (0.85)
+    assert.equal(rules.classify(detection({ type: 'organic', rgb: [40, 90, 200], y: 0.8, w: 0.8, h: 0.1 })).confidence, 0.75);
+    assert.equal(rules.classify(detection({ type: 'triangle' })), null);
+});
+
+test('without a confident rule the geometric type stands', () => {
+    const triangle = detection({ type: 'triangle' });
+
+    assert.deepEqual(new ObjectClassifier().classifyDetection(triangle), { label: 'triangle', confidence: 1, source: 'geometry' });
+    assert.equal(new ObjectClassifier({ minConfidence: 0.8 }).classifyDetection(detection(TREE)).label, 'organic');
+    assert.equal(new ObjectClassifier({ rules: false }).classifyDetection(detection(TREE)).source, 'geometry');
+});
+
+test('hueName names hues and calls washed-out colours grey', () => {
+    const hue = rgb => RuleBasedClassifier.hueName(ObjectClassifier.toHSL({ r: rgb[0], g: rgb[1], b: rgb[2] }));
+
+    assert.equal(hue([200, 30, 30]), 'red');
+    assert.equal(hue([40, 140, 60]), 'green');
+    assert.equal(hue([40, 90, 200]), 'blue');
+    assert.equal(hue([130, 120, 125]), 'grey');
+    assert.equal(hue([5, 5, 10]), 'grey');
+});
+
+// === SHAPES =================================================================
+
+test('classify labels shapes in place and keeps the geometric type', () => {
+    const shape = {
+        type: 'organic',
+        centroid: { x: 50, y: 50 },
+        boundingBox: { minX: 40, minY: 35, maxX: 60, maxY: 65, width: 20, height: 30 },
+        points: [],
+        color: { r: 40, g: 140, b: 60 },
+        area: 450
+    };
+
+    const [labelled] = new ObjectClassifier().classify([shape], { width: 100, height: 100 });
+    assert.equal(labelled, shape);
+    assert.equal(shape.type, 'tree');
+    assert.equal(shape.geometricType, 'organic');
+    assert.deepEqual(shape.classification, { label: 'tree', confidence: 0.75, source: 'rules' });
+});
+
+test('classifiers registered on the encoder decide the encoded objects', () => {
+    const image = renderScene(SCENES.find(spec => spec.name === 'blocks'));
+    const objects = encoder => new PerceptualAlchemyDecoder({ seed: 1 }).decode(encoder.encode(image).code).experience.objects.map(obj => obj.type);
+
+    const plain = objects(new PerceptualAlchemyEncoder({ seed: 1 }));
+    assert.ok(!plain.includes('bridge'));
+
+    const registered = new PerceptualAlchemyEncoder({ seed: 1 }).registerClassifier('bridges', answer('bridge', 1));
+    assert.deepEqual(objects(registered), plain.map(() => 'bridge'));
+
+    const configured = new PerceptualAlchemyEncoder({
+        seed: 1,
+        classifiers: [
+            { name: 'bridges', classify: answer('bridge', 1) },
+            { name: 'keys', classify: answer('key', 1), priority: 1 }
+        ]
+    });
+    assert.deepEqual(objects(configured), plain.map(() => 'key'));
+});
@@ -0,0 +1,213 @@
+// perceptual_degradation.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: FATIGUE + STRESS DEGRADATION TESTS
+// =====================================================
+// Level validation and the stage itself (forget, blur,
+// intrude, doubt), then the encoder's degradePerception()
+// and the decoder's misremember(): what each level does,
+// the reports they leave, and seeded reproducibility.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualDegradation = require('../../src/utils/perceptual_degradation');
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const SeededRandom = require('../../src/utils/prng');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const scene = name => renderScene(SCENES.find(spec => spec.name === name));
+
+/** Items as { type, saliency, x, y } with a matching adapter */
+function adapter(recall = [], random = SeededRandom.create(1)) {
+    return {
+        saliency: item => item.saliency,
+        position: item => ({ x: item.x, y: item.y }),
+        move: (item, x, y) => ({ ...item, x, y }),
+        recall,
+        typeOf: item => item.type,
+        forge: (memory, x, y) => (memory.type === 'void' ? null : { ...memory, x, y, forged: true }),
+        random
+    };
+}
+
+const ITEMS = [
+    { type: 'door', saliency: 0.9, x: 0.5, y: 0.5 },
+    { type: 'tree', saliency: 0.3, x: 0.2, y: 0.6 },
+    { type: 'bird', saliency: 0.05, x: 0.8, y: 0.1 }
+];
+
+const never = () => { throw new Error('drew a random number'); };
+
+// === LEVELS =================================================================
+
+test('levels are checked by name and range', () => {
+    assert.throws(() => new PerceptualDegradation({ hunger: 0.5 }), /Unknown degradation level 'hunger' \(expected fatigue or stress\)/);
+    assert.throws(() => new PerceptualDegradation({ stress: -0.1 }), /Degradation stress must be between 0 and 1, got -0.1/);
+    assert.throws(() => new PerceptualAlchemyEncoder({ degradation: { fatigue: 2 } }), /Degradation fatigue must be between 0 and 1/);
+    assert.throws(() => new PerceptualAlchemyDecoder({ degradation: { fatigue: 'high' } }), /Degradation fatigue must be between 0 and 1/);
+
+    assert.equal(PerceptualDegradation.from(null), null);
+    assert.deepEqual(PerceptualDegradation.from({ stress: 0.4 }).toJSON(), { fatigue: 0, stress: 0.4 });
+    assert.equal(new PerceptualDegradation().active, false);
+});
+
+test('every parameter grows with fatigue and stress', () => {
+    const at = levels => new PerceptualDegradation(levels);
+    const parameters = levels => {
+        const d = at(levels);
+        return [d.forgetThreshold(), d.blurRadius(), d.intrusionChance(), 1 - d.confidence(1)];
+    };
+
+    [{ fatigue: 1 }, { stress: 1 }].forEach(full => {
+        const [level] = Object.keys(full);
+        const low = parameters({ [level]: 0.25 });
+        const high = parameters(full);
+        low.forEach((value, i) => assert.ok(value > 0 && high[i] > value, `${level} parameter ${i}`));
+    });
+
+    // Fatigue mostly forgets, stress mostly blurs and intrudes
+    assert.ok(at({ fatigue: 1 }).forgetThreshold() > at({ stress: 1 }).forgetThreshold());
+    assert.ok(at({ stress: 1 }).blurRadius() > at({ fatigue: 1 }).blurRadius());
+    assert.ok(at({ stress: 1 }).intrusionChance() > at({ fatigue: 1 }).intrusionChance());
+    assert.equal(at({}).confidence(0.8), 0.8);
+});
+
+// === STAGE ==================================================================
+
+test('no degradation is a no-op that draws no random numbers', () => {
+    const result = new PerceptualDegradation({ fatigue: 0, stress: 0 }).apply(ITEMS, adapter([{ type: 'water', x: 0, y: 0 }], never));
+
+    assert.deepEqual(result, { items: ITEMS, forgotten: [], intrusions: [] });
+});
+
+test('faint items are forgotten, but the most salient always survives', () => {
+    const { items, forgotten } = new PerceptualDegradation({ fatigue: 1 }).apply(ITEMS, adapter());
+    assert.deepEqual(items.map(item => item.type), ['door']);
+    assert.deepEqual(forgotten.map(item => item.type), ['tree', 'bird']);
+
+    const faint = ITEMS.map(item => ({ ...item, saliency: item.saliency / 10 }));
+    assert.deepEqual(new PerceptualDegradation({ fatigue: 1 }).apply(faint, adapter()).items.map(item => item.type), ['door']);
+});
+
+test('positions drift inside the frame, further under stress', () => {
+    const drift = levels => {
+        const { items } = new PerceptualDegradation(levels).apply(ITEMS, adapter());
+        return items.reduce((sum, item, i) => sum + Math.hypot(item.x - ITEMS[i].x, item.y - ITEMS[i].y), 0);
+    };
+
+    const corner = new PerceptualDegradation({ stress: 1 }).apply([{ type: 'door', saliency: 1, x: 1, y: 0 }], adapter()).items[0];
+    assert.ok(corner.x >= 0 && corner.x <= 1 && corner.y >= 0 && corner.y <= 1);
+    assert.ok(drift({ stress: 0.2 }) > 0);
+    assert.ok(drift({ stress: 1 }) > drift({ stress: 0.2 }));
+});
+
+test('memories intrude, at most two, never ones already in view', () => {
+    const recall = ['door', 'void', 'water', 'bird', 'stone', 'mirror'].map(type => ({ type, saliency: 0.5, x: 0.5, y: 0.5 }));
+    const always = () => 0;
+    const { items, intrusions } = new PerceptualDegradation({ stress: 1 }).apply(ITEMS, adapter(recall, always));
+
+    // door and bird were just seen; void cannot be forged
+    assert.deepEqual(intrusions.map(item => item.type), ['water', 'stone']);
+    assert.ok(intrusions.every(item => item.forged));
+    assert.deepEqual(items.slice(-2), intrusions);
+});
+
+test('the same random stream degrades the same way', () => {
+    const recall = [{ type: 'water', x: 0.3, y: 0.8 }, { type: 'stone', x: 0.6, y: 0.9 }];
+    const run = seed => new PerceptualDegradation({ fatigue: 0.4, stress: 0.8 }).apply(ITEMS, adapter(recall, SeededRandom.create(seed)));
+
+    assert.deepEqual(run('night'), run('night'));
+    assert.notDeepEqual(run('night').items, run('day').items);
+});
+
+// === ENCODER ================================================================
+
+test('degradePerception forgets more as fatigue rises and reports it', () => {
+    const image = scene('lanterns');
+    const encode = levels => new PerceptualAlchemyEncoder({ seed: 1, degradation: levels }).encode(image);
+
+    const clear = encode(null);
+    assert.equal(clear.analysis.degradation, null);
+    assert.equal(encode({ fatigue: 0, stress: 0 }).code, clear.code);
+
+    const counts = [0.25, 0.5, 1].map(fatigue => encode({ fatigue }).analysis.perception.shapes.length);
+    assert.deepEqual(counts, [3, 1, 1]);
+    assert.deepEqual(encode({ fatigue: 1 }).analysis.degradation, { fatigue: 1, stress: 0, forgotten: ['complex', 'complex'], intrusions: [] });
+
+    const confidences = [0, 0.25, 0.5, 1].map(fatigue => encode({ fatigue }).confidence);
+    confidences.slice(1).forEach((confidence, i) => assert.ok(confidence < confidences[i]));
+});
+
+test('stress blurs encoded shapes reproducibly for a seed', () => {
+    const image = scene('blocks');
+    const centroids = (seed, degradation) => new PerceptualAlchemyEncoder({ seed, degradation }).encode(image).analysis.perception.shapes.map(shape => shape.centroid);
+
+    const sharp = centroids(1, null);
+    const blurred = centroids(1, { stress: 1 });
+    assert.notDeepEqual(blurred, sharp);
+    assert.deepEqual(centroids(1, { stress: 1 }), blurred);
+    assert.notDeepEqual(centroids(2, { stress: 1 }), blurred);
+});
+
+test('setDegradation switches degradation on and off', () => {
+    const image = scene('blocks');
+    const encoder = new PerceptualAlchemyEncoder({ seed: 1 });
+    const clear = encoder.encode(image).code;
+
+    assert.ok(encoder.setDegradation({ fatigue: 1 }).encode(image).analysis.degradation.forgotten.length > 0);
+    assert.equal(encoder.setDegradation(null).encode(image).code, clear);
+});
+
+// === DECODER ================================================================
+
+const MEMORY = { code: 'REMEMBERED', timestamp: 0, emotion: { valence: 0.5, arousal: 0.5 }, objects: ['tree', 'water', 'bird'] };
+
+test('misremember forgets faint objects and lowers confidence as fatigue rises', () => {
+    const { code } = new PerceptualAlchemyEncoder({ seed: 1 }).encode(scene('lanterns'));
+    const decode = degradation => new PerceptualAlchemyDecoder({ seed: 1, degradation }).decode(code);
+
+    const clear = decode(null);
+    assert.equal(clear.metadata.degradation, null);
+    assert.equal(clear.experience.objects.length, 3);
+
+    const tired = decode({ fatigue: 1 });
+    assert.deepEqual(tired.metadata.degradation, { fatigue: 1, stress: 0, forgotten: ['complex', 'complex'], intrusions: [] });
+    assert.equal(tired.experience.objects.length, 1);
+
+    // A clean read is fully confident; fatigue takes up to 35% off
+    [0, 0.25, 0.5, 1].forEach(fatigue => {
+        assert.ok(Math.abs(decode({ fatigue }).metadata.confidence - (1 - fatigue * 0.35)) < 1e-9, `fatigue ${fatigue}`);
+    });
+});
+
+test('stressed decoders recall stored objects that were never there', () => {
+    const { code } = new PerceptualAlchemyEncoder({ seed: 1 }).encode(scene('tower'));
+    const decoder = new PerceptualAlchemyDecoder({ seed: 1, degradation: { stress: 1 } });
+    decoder.remember(MEMORY);
+
+    const result = decoder.decode(code);
+    const recalled = result.experience.objects.filter(obj => obj.misremembered);
+    assert.deepEqual(result.metadata.degradation.intrusions, ['tree']);
+    assert.deepEqual(recalled.map(obj => obj.type), ['tree']);
+    assert.ok(recalled[0].position.x >= 0 && recalled[0].position.x <= 1);
+
+    // Without memories there is nothing to misremember
+    assert.deepEqual(new PerceptualAlchemyDecoder({ seed: 1, degradation: { stress: 1 } }).decode(code).metadata.degradation.intrusions, []);
+});
+
+test('a seeded decoder misremembers the same way every time', () => {
+    const { code } = new PerceptualAlchemyEncoder({ seed: 1 }).encode(scene('blocks'));
+    const recall = seed => {
+        const decoder = new PerceptualAlchemyDecoder({ seed, degradation: { fatigue: 0.3, stress: 0.9 } });
+        decoder.remember(MEMORY);
+        const { experience, metadata } = decoder.decode(code);
+        return { objects: experience.objects.map(obj => [obj.type, obj.position.x, obj.position.y]), report: metadata.degradation };
+    };
+
+    assert.deepEqual(recall('night-shift'), recall('night-shift'));
+    assert.notDeepEqual(recall('night-shift').objects, recall('day-shift').objects);
+});
@@ -0,0 +1,141 @@
+// perceptual_profile.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: PERCEPTUAL PROFILE TESTS
+// =====================================================
+// Level validation, the neutral profile as a no-op, the
+// direction each level biases perception and emotion,
+// trauma triggers, and profiles giving the same code
+// call after call.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualProfile = require('../../src/encoder/perceptual_profile');
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const scene = name => renderScene(SCENES.find(spec => spec.name === name));
+const profile = levels => new PerceptualProfile(levels);
+const encode = (levels, image = scene('lanterns')) => new PerceptualAlchemyEncoder({ seed: 1, profile: levels }).encode(image);
+
+const FEATURES = { size: 0.5, centerDistance: 0.5, compactness: 0.2 };
+
+// === VALIDATION =============================================================
+
+test('levels are checked by name and range', () => {
+    assert.throws(() => profile({ anxiety: 0.5 }), /Unknown perceptual profile level 'anxiety' \(expected attention, fear, curiosity, fatigue, trauma or triggers\)/);
+    assert.throws(() => profile({ fear: 1.5 }), /Perceptual profile fear must be between 0 and 1, got 1.5/);
+    assert.throws(() => profile({ fatigue: NaN }), /Perceptual profile fatigue must be between 0 and 1/);
+    assert.throws(() => new PerceptualAlchemyEncoder({ profile: { trauma: 1, triggers: ['spider'] } }),
+        /Perceptual profile trigger 'spider' is not in the object vocabulary/);
+
+    assert.deepEqual(profile({ fear: 0.4, triggers: ['Water'] }).toJSON(), {
+        attention: 0.5, fear: 0.4, curiosity: 0, fatigue: 0, trauma: 0, triggers: ['water']
+    });
+    assert.equal(PerceptualProfile.from(null), null);
+    const existing = profile({ fear: 0.2 });
+    assert.equal(PerceptualProfile.from(existing), existing);
+});
+
+// === NEUTRAL ================================================================
+
+test('the neutral profile leaves every stage unchanged', () => {
+    const neutral = profile();
+
+    assert.equal(neutral.edgeThreshold(30), 30);
+    assert.equal(neutral.warpSaliency(0.37, FEATURES), 0.37);
+    assert.equal(neutral.classifierConfidence(0.5), 0.5);
+    assert.equal(neutral.objectBudget(12), 12);
+    assert.equal(neutral.maxObjects(24), 24);
+    assert.equal(neutral.visualWeight(), 0.7);
+    assert.deepEqual(neutral.colorEmotion({ valence: 0.3, arousal: 0.6, dominance: 0.5 }), { valence: 0.3, arousal: 0.6, dominance: 0.5 });
+
+    ['lanterns', 'blocks', 'dusk-disc'].forEach(name => {
+        assert.equal(encode({}, scene(name)).code, encode(null, scene(name)).code, name);
+    });
+});
+
+// === BIAS ===================================================================
+
+test('fear watches the periphery, labels sooner and darkens the mood', () => {
+    const fearful = profile({ fear: 1 });
+    const central = { ...FEATURES, centerDistance: 0 };
+    const peripheral = { ...FEATURES, centerDistance: 1 };
+
+    assert.ok(fearful.warpSaliency(0.3, peripheral) - fearful.warpSaliency(0.3, central) > 0.25);
+    assert.ok(fearful.classifierConfidence(0.5) < 0.5);
+
+    const neutral = encode(null).analysis.emotion.current;
+    const afraid = encode({ fear: 1 }).analysis.emotion.current;
+    assert.ok(afraid.valence < neutral.valence - 0.2);
+    assert.ok(afraid.arousal > neutral.arousal + 0.2);
+});
+
+test('curiosity favours intricate outlines and lifts the mood', () => {
+    const curious = profile({ curiosity: 1 });
+
+    assert.ok(curious.warpSaliency(0.3, { ...FEATURES, compactness: 0 }) > curious.warpSaliency(0.3, { ...FEATURES, compactness: 0.25 }));
+    assert.ok(encode({ curiosity: 1 }).analysis.emotion.current.valence > encode(null).analysis.emotion.current.valence);
+});
+
+test('attention stretches saliency contrast and sees more edges', () => {
+    const sharp = profile({ attention: 1 });
+    const dull = profile({ attention: 0 });
+
+    assert.ok(sharp.warpSaliency(0.2, FEATURES) < 0.2 && sharp.warpSaliency(0.8, FEATURES) > 0.8);
+    assert.equal(dull.warpSaliency(0.8, FEATURES), 0.5 + 0.3 * 0.5);
+    assert.ok(sharp.edgeThreshold(30) < 30 && dull.edgeThreshold(30) > 30);
+    assert.ok(sharp.visualWeight() > 0.7);
+});
+
+test('fatigue dulls saliency and keeps fewer objects and symbols', () => {
+    const tired = profile({ fatigue: 1 });
+
+    assert.equal(tired.warpSaliency(0.5, FEATURES), 0.3);
+    assert.equal(tired.maxObjects(24), 12);
+    assert.equal(tired.objectBudget(12), 6);
+    assert.ok(tired.classifierConfidence(0.5) > 0.5);
+
+    const encoder = new PerceptualAlchemyEncoder({ profile: { fatigue: 1 } });
+    assert.equal(encoder.maxObjects, 12);
+    assert.ok(encoder.EDGE_THRESHOLD > encoder.baseEdgeThreshold);
+
+    const rested = encode(null).analysis.perception.shapes;
+    assert.ok(encode({ fatigue: 1 }).analysis.perception.shapes.every((shape, i) => shape.saliency < rested[i].saliency));
+});
+
+test('trauma pulls its triggers to the front', () => {
+    const entities = [
+        { type: 'door', position: { x: 0.5, y: 0.5 }, size: { width: 0.2, height: 0.3 } },
+        { type: 'water', position: { x: 0.3, y: 0.85 }, size: { width: 0.3, height: 0.08 } }
+    ];
+    const first = levels => new PerceptualAlchemyEncoder({ seed: 1, profile: levels }).encodeSceneGraph(entities).analysis.perception.shapes[0].type;
+
+    assert.equal(first(null), 'door');
+    assert.equal(first({ trauma: 1, triggers: ['water'] }), 'water');
+    assert.equal(first({ trauma: 0, triggers: ['water'] }), 'door');
+    assert.equal(first({ trauma: 1, triggers: ['tree'] }), 'door');
+});
+
+// === CONSISTENCY ============================================================
+
+test('a profile gives the same code on every call', () => {
+    const levels = { attention: 0.9, fear: 0.4, fatigue: 0.2, trauma: 0.6, triggers: ['water'] };
+    const image = scene('noon-field');
+    const code = new PerceptualAlchemyEncoder({ seed: 'guard-7', profile: levels }).encode(image).code;
+
+    assert.equal(new PerceptualAlchemyEncoder({ seed: 'guard-7', profile: levels }).encode(image).code, code);
+    assert.equal(new PerceptualAlchemyEncoder({ seed: 'guard-7', profile: profile(levels).toJSON() }).encode(image).code, code);
+
+    // Swapping profiles and back restores the same perception
+    const encoder = new PerceptualAlchemyEncoder({ seed: 'guard-7' });
+    const thresholds = () => [encoder.EDGE_THRESHOLD, encoder.maxObjects, encoder.objectClassifier.minConfidence];
+    const unbiased = thresholds();
+    encoder.setProfile({ fatigue: 0.8 }).setProfile(levels);
+    assert.equal(encoder.encode(image).code, code);
+    encoder.setProfile(null);
+    assert.deepEqual(thresholds(), unbiased);
+});
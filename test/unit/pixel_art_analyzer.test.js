@@ -0,0 +1,158 @@
+// pixel_art_analyzer.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: PIXEL-ART ANALYZER TESTS
+// =====================================================
+// Detection of palette, block size and grid offset, the
+// reasons frames are rejected (1× art included), palette
+// regions and their edge map, and the encoder's choice
+// of path.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+
+const PALETTE = [[90, 140, 200], [200, 40, 40], [40, 160, 60], [30, 30, 30]];
+
+/**
+ * 16×12 cells of sky with a red 3×2 block, a green L and a ground band
+ * @returns {Function} (cx, cy) => palette index
+ */
+function sprite() {
+    const green = new Set(['9,2', '9,3', '9,4', '10,4', '11,4']);
+    return (cx, cy) => {
+        if (cy >= 8) return 3;
+        if (cx >= 2 && cx <= 4 && cy >= 3 && cy <= 4) return 1;
+        return green.has(`${cx},${cy}`) ? 2 : 0;
+    };
+}
+
+/**
+ * ImageData from a colour function
+ * @param {Function} colorAt - (x, y) => [r, g, b]
+ */
+function image(width, height, colorAt) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set([...colorAt(x, y), 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+/** The sprite upscaled by block, cropped by shift pixels at the top left */
+function art(block, shift = 0) {
+    const cells = sprite();
+    return image(16 * block - shift, 12 * block - shift, (x, y) => PALETTE[cells(Math.floor((x + shift) / block), Math.floor((y + shift) / block))]);
+}
+
+/** The shape drawn in a palette colour */
+const shapeOf = (shapes, index) => shapes.find(shape => shape.color.r === PALETTE[index][0] && shape.color.g === PALETTE[index][1]);
+
+const analyzer = (options = {}) => new PerceptualAlchemyEncoder({ seed: 1, ...options }).pixelArtAnalyzer;
+const detect = frame => analyzer().detect(frame);
+
+/** The sprite at 4× plus one stray 1-pixel detail, so colour changes fall on a 1-pixel grid */
+function nativeArt() {
+    const frame = art(4);
+    frame.data.set([30, 30, 30], (30 * frame.width + 30) * 4);
+    return frame;
+}
+
+// === DETECTION ==============================================================
+
+test('detects block size, palette and a cropped grid offset', () => {
+    assert.deepEqual(detect(art(4)), { pixelArt: true, reason: null, paletteSize: 4, blockSize: 4, offset: { x: 0, y: 0 } });
+    assert.deepEqual(detect(art(3)).blockSize, 3);
+    assert.deepEqual(detect(art(4, 2)).offset, { x: 2, y: 2 });
+    assert.equal(detect(art(16)).pixelArt, true);
+});
+
+test('native-scale art is rejected explicitly', () => {
+    const result = detect(nativeArt());
+
+    assert.equal(result.pixelArt, false);
+    assert.equal(result.reason, 'native-scale');
+    assert.equal(result.blockSize, 1);
+    assert.equal(result.paletteSize, 4);
+});
+
+test('rejections name their reason', () => {
+    const flat = image(64, 64, () => [90, 140, 200]);
+    const gradient = image(96, 96, (x, y) => [x * 2, y * 2, 100]);
+    // Rows in the lower half are shifted by half a block
+    const sheared = image(64, 64, (x, y) => PALETTE[((x + (y < 32 ? 0 : 2)) >> 2) & 1]);
+
+    assert.equal(detect(flat).reason, 'runs');
+    assert.equal(detect(gradient).reason, 'palette');
+    assert.equal(detect(sheared).reason, 'unaligned');
+    assert.deepEqual(detect(art(20)), { pixelArt: false, reason: 'block-size', paletteSize: 4, blockSize: 1, offset: { x: 0, y: 0 } });
+    assert.equal(analyzer({ paletteLimit: 3 }).detect(art(4)).reason, 'palette');
+});
+
+// === REGIONS ================================================================
+
+test('analyze turns palette regions into shapes and drops the backdrop', () => {
+    const frame = art(4);
+    const result = analyzer().analyze(frame, detect(frame));
+
+    assert.deepEqual(result.grid, { width: 16, height: 12 });
+    assert.equal(result.paletteSize, 4);
+    assert.equal(result.regions, 4);
+
+    // Sky and ground cover more than maxClusterExtent of the grid
+    const [red, green] = [1, 2].map(index => shapeOf(result.shapes, index));
+    assert.equal(result.shapes.length, 2);
+
+    assert.deepEqual(red.boundingBox, { minX: 8, minY: 12, maxX: 19, maxY: 19, width: 11, height: 7 });
+    assert.deepEqual(red.centroid, { x: 14, y: 16 });
+    assert.deepEqual(red.color, { r: 200, g: 40, b: 40 });
+    assert.equal(red.area, 6 * 16);
+    assert.equal(red.type, 'rectangle');
+
+    // The L joins across rows into one region that fills 5 of its 9 cells
+    assert.equal(green.area, 5 * 16);
+    assert.deepEqual(green.boundingBox, { minX: 36, minY: 8, maxX: 47, maxY: 19, width: 11, height: 11 });
+    assert.equal(green.type, 'organic');
+});
+
+test('a cropped grid keeps regions in pixel coordinates', () => {
+    const frame = art(4, 2);
+    const red = shapeOf(analyzer().analyze(frame, detect(frame)).shapes, 1);
+
+    assert.deepEqual(red.boundingBox, { minX: 6, minY: 10, maxX: 17, maxY: 17, width: 11, height: 7 });
+});
+
+test('region boundaries form the edge map', () => {
+    const frame = art(4);
+    const { edges } = analyzer().analyze(frame, detect(frame));
+    const at = (x, y) => edges.map[y * frame.width + x];
+
+    assert.equal(edges.map.length, frame.width * frame.height);
+    assert.equal(at(9, 13), 255);
+    assert.equal(at(2, 2), 0);
+    assert.ok(edges.density > 0 && edges.density < 0.5);
+});
+
+// === ENCODER PATH ===========================================================
+
+test('the encoder takes the pixel-art path for detected or forced frames', () => {
+    const perception = (frame, options) => new PerceptualAlchemyEncoder({ seed: 1, ...options }).encode(frame).analysis.perception;
+
+    const upscaled = perception(art(4));
+    assert.equal(upscaled.inputMode, 'pixel-art');
+    assert.deepEqual(upscaled.pixelArt, { paletteSize: 4, blockSize: 4, offset: { x: 0, y: 0 }, grid: { width: 16, height: 12 }, regions: 4 });
+    assert.equal(perception(art(4), { pixelArt: false }).inputMode, 'photographic');
+
+    // 1× art is analyzed per pixel only when forced
+    assert.equal(perception(nativeArt()).inputMode, 'photographic');
+    const forced = perception(nativeArt(), { pixelArt: true });
+    assert.equal(forced.inputMode, 'pixel-art');
+    assert.equal(forced.pixelArt.blockSize, 1);
+    assert.deepEqual(forced.pixelArt.grid, { width: 64, height: 48 });
+    assert.equal(shapeOf(forced.shapes, 1).area, 96);
+});
@@ -0,0 +1,168 @@
+// positions.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: OBJECT POSITION TESTS
+// =====================================================
+// Position symbols at each precision (3×3 grid digit,
+// 26×26 A–Z pair) and the boxes they decode to, the
+// precision each encoder mode writes, and the harness
+// helpers that check decoded positions: distanceOutside
+// and the per-mode precision check.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const VocabularyRegistry = require('../../src/vocabulary/vocabulary_registry');
+const RoundTripHarness = require('../conformance/roundtrip_harness');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const registry = VocabularyRegistry.default();
+
+const PRECISION_BY_MODE = { mobile: 1, balanced: 1, rich: 2 };
+const CELLS = { 1: 3, 2: 26 };
+
+function assertBox(box, minX, minY, size) {
+    [['minX', minX], ['minY', minY], ['maxX', minX + size], ['maxY', minY + size]].forEach(([key, value]) => {
+        assert.ok(Math.abs(box[key] - value) < 1e-9, `${key} ${box[key]} ≠ ${value}`);
+    });
+}
+
+const inside = (point, box) => point.x >= box.minX && point.x <= box.maxX && point.y >= box.minY && point.y <= box.maxY;
+
+// === SYMBOLS ================================================================
+
+test('precision 1 writes a grid digit, row-major from the top left', () => {
+    assert.equal(registry.encodePosition(0.1, 0.1, 1), '1');
+    assert.equal(registry.encodePosition(0.5, 0.1, 1), '2');
+    assert.equal(registry.encodePosition(0.9, 0.5, 1), '6');
+    assert.equal(registry.encodePosition(0.1, 0.9, 1), '7');
+    assert.equal(registry.encodePosition(1, 1, 1), '9', 'the far edge belongs to the last cell');
+
+    const decoded = registry.decodePosition('6');
+    assert.equal(decoded.precision, 1);
+    assertBox(decoded.box, 2 / 3, 1 / 3, 1 / 3);
+    assert.ok(Math.abs(decoded.x - 5 / 6) < 1e-9 && Math.abs(decoded.y - 0.5) < 1e-9, 'x, y is the cell centre');
+});
+
+test('precision 2 writes an A–Z pair whose box is 1/26 on each side', () => {
+    assert.equal(registry.encodePosition(0, 0, 2), 'AA');
+    assert.equal(registry.encodePosition(0.5, 0.25, 2), 'NG');
+    assert.equal(registry.encodePosition(1, 1, 2), 'ZZ');
+
+    const decoded = registry.decodePosition('NG');
+    assert.equal(decoded.precision, 2);
+    assertBox(decoded.box, 13 / 26, 6 / 26, 1 / 26);
+});
+
+test('every point decodes to a box that contains it, at either precision', () => {
+    [1, 2].forEach(precision => {
+        for (let i = 0; i <= 40; i++) {
+            const point = { x: i / 40, y: ((i * 17) % 41) / 40 };
+            const decoded = registry.decodePosition(registry.encodePosition(point.x, point.y, precision));
+            assert.equal(decoded.precision, precision);
+            assert.ok(inside(point, decoded.box), `${JSON.stringify(point)} at precision ${precision}`);
+            assert.equal(RoundTripHarness.boxPrecision(decoded), precision);
+        }
+    });
+});
+
+test('unsupported precisions and unreadable positions', () => {
+    assert.throws(() => registry.encodePosition(0.5, 0.5, 3), /Unsupported position precision: 3/);
+    assert.throws(() => new PerceptualAlchemyEncoder({ positionPrecision: 3 }), /Unsupported position precision: 3 \(expected 1 or 2\)/);
+    assert.equal(registry.decodePosition('0'), null);
+    assert.equal(registry.decodePosition('A1'), null);
+
+    const unreadable = new PerceptualAlchemyDecoder().decodePosition('');
+    assert.deepEqual(unreadable, { x: 0.5, y: 0.5, precision: 0, box: { minX: 0, minY: 0, maxX: 1, maxY: 1 } });
+    assert.equal(RoundTripHarness.boxPrecision(unreadable), null);
+});
+
+// === MODES ==================================================================
+
+test('each mode writes object positions at its own precision', () => {
+    const lanterns = SCENES.find(scene => scene.name === 'lanterns');
+    const image = renderScene(lanterns);
+
+    Object.entries(PRECISION_BY_MODE).forEach(([mode, precision]) => {
+        const encoder = new PerceptualAlchemyEncoder({ mode, debug: true, seed: 5 });
+        assert.equal(encoder.positionPrecision, precision);
+
+        const result = encoder.encode(image);
+        const written = Array.from(new Map(result.debug.symbolMap).entries()).filter(([key]) => key.startsWith('object['));
+        assert.ok(written.length > 0, `${mode} writes objects`);
+
+        const decoded = new PerceptualAlchemyDecoder({ mode: 'stable', seed: 5 }).decode(result.code);
+        assert.equal(decoded.experience.objects.length, written.length);
+
+        written.forEach(([, entry]) => {
+            const centroid = { x: entry.centroid.x / image.width, y: entry.centroid.y / image.height };
+            const object = decoded.experience.objects.find(obj => obj.type === entry.type && inside(centroid, obj.position.box));
+            assert.ok(object, `${mode}: ${entry.type} at ${JSON.stringify(centroid)} decodes inside its box`);
+            assert.equal(object.position.precision, precision);
+            assert.ok(Math.abs(object.position.box.maxX - object.position.box.minX - 1 / CELLS[precision]) < 1e-9);
+        });
+    });
+});
+
+test('positionPrecision overrides the mode', () => {
+    const image = renderScene(SCENES.find(scene => scene.name === 'tower'));
+    const code = new PerceptualAlchemyEncoder({ mode: 'balanced', positionPrecision: 2, seed: 5 }).encode(image).code;
+    const objects = new PerceptualAlchemyDecoder({ mode: 'stable', seed: 5 }).decode(code).experience.objects;
+
+    assert.ok(objects.length > 0);
+    objects.forEach(obj => assert.equal(obj.position.precision, 2));
+});
+
+// === HARNESS ================================================================
+
+test('distanceOutside is zero inside or on the box and the larger axis gap outside', () => {
+    const box = { minX: 0.2, minY: 0.4, maxX: 0.5, maxY: 0.6 };
+    const distance = (x, y) => RoundTripHarness.distanceOutside({ x, y }, box);
+
+    assert.equal(distance(0.3, 0.5), 0);
+    assert.equal(distance(0.2, 0.6), 0, 'edges are inside');
+    assert.ok(Math.abs(distance(0.1, 0.5) - 0.1) < 1e-9, 'left');
+    assert.ok(Math.abs(distance(0.8, 0.5) - 0.3) < 1e-9, 'right');
+    assert.ok(Math.abs(distance(0.3, 0.35) - 0.05) < 1e-9, 'above');
+    assert.ok(Math.abs(distance(0.3, 0.9) - 0.3) < 1e-9, 'below');
+    assert.ok(Math.abs(distance(0.1, 0.9) - 0.3) < 1e-9, 'corner: the larger gap, not the diagonal');
+});
+
+test('the harness position check fails positions outside the box or read at the wrong precision', () => {
+    const harness = new RoundTripHarness();
+    const pair = { type: 'light', ...registry.decodePosition('NG') };
+    const digit = { type: 'light', ...registry.decodePosition('2') };
+    const written = [{ type: 'light', x: 13.5 / 26, y: 6.5 / 26 }];
+
+    assert.equal(harness.compareObjectPositions(written, [pair], 1, 2).pass, true);
+    assert.equal(harness.compareObjectPositions(written, [digit], 1, 1).pass, true);
+
+    const coarse = harness.compareObjectPositions(written, [digit], 1, 2);
+    assert.equal(coarse.pass, false, 'a rich code must not decode to a grid cell');
+    assert.deepEqual(coarse.precision, { expected: 2, observed: [1] });
+    assert.match(RoundTripHarness.describeFailure('objectPositions', coarse), /read at precision \[1\], written at 2/);
+
+    const outside = harness.compareObjectPositions([{ type: 'light', x: 0.9, y: 0.9 }], [pair], 1, 2);
+    assert.equal(outside.pass, false);
+    assert.ok(outside.error > 0.5);
+
+    assert.equal(harness.compareObjectPositions([], [], 0, 2).pass, true);
+    assert.equal(harness.compareObjectPositions([], [], 1, 2).pass, false);
+});
+
+test('the harness checks precision per mode on scenes with objects', () => {
+    const scenes = SCENES.filter(scene => ['lanterns', 'tower'].includes(scene.name));
+    const report = new RoundTripHarness({ scenes, cultures: ['universal'] }).run();
+
+    assert.equal(report.passed, true);
+    report.cases.forEach(c => {
+        const { precision, count } = c.fields.objectPositions;
+        assert.ok(count > 0, `${c.scene} / ${c.mode} writes objects`);
+        assert.equal(precision.expected, PRECISION_BY_MODE[c.mode]);
+        assert.deepEqual(precision.observed, Array(count).fill(PRECISION_BY_MODE[c.mode]));
+    });
+});
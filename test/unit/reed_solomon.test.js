@@ -0,0 +1,184 @@
+// reed_solomon.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: REED-SOLOMON CODEC TESTS
+// =====================================================
+// Round-trips over the whole code alphabet, repair of
+// exactly t = floor(p / 2) errors with their reported
+// positions, and rejection of t + 1 errors, for several
+// parity lengths.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ReedSolomonCodec, CODE_ALPHABET, PARITY_DIGITS } = require('../../src/utils/reed_solomon');
+const SeededRandom = require('../../src/utils/prng');
+
+const PARITY_LENGTHS = [2, 4, 6, 8];
+
+// Every alphabet symbol, in a codeword short enough for GF(2^7)
+const FULL_ALPHABET = CODE_ALPHABET.slice(0, 60);
+const ALPHABET_TAIL = CODE_ALPHABET.slice(60);
+
+function randomData(random, length) {
+    return Array.from({ length }, () => CODE_ALPHABET[Math.floor(random.next() * CODE_ALPHABET.length)]).join('');
+}
+
+/** Distinct positions, ascending */
+function pickPositions(random, count, length) {
+    const positions = new Set();
+    while (positions.size < count) positions.add(Math.floor(random.next() * length));
+    return [...positions].sort((a, b) => a - b);
+}
+
+/** Replaces each data position with a different alphabet symbol */
+function corruptData(code, positions, random) {
+    const chars = code.split('');
+    positions.forEach(pos => {
+        const offset = 1 + Math.floor(random.next() * (CODE_ALPHABET.length - 1));
+        chars[pos] = CODE_ALPHABET[(CODE_ALPHABET.indexOf(chars[pos]) + offset) % CODE_ALPHABET.length];
+    });
+    return chars.join('');
+}
+
+// === ROUND-TRIPS ============================================================
+
+test('clean codes round-trip over the full alphabet, including Greek and punctuation', () => {
+    PARITY_LENGTHS.forEach(paritySymbols => {
+        const codec = new ReedSolomonCodec({ paritySymbols });
+
+        [FULL_ALPHABET, ALPHABET_TAIL, 'αβγδ', '!@#$%', 'Aα!z9+'].forEach(data => {
+            const code = codec.encode(data);
+            assert.equal(code.length, data.length + paritySymbols * 2);
+            assert.ok(codec.verify(code));
+            assert.deepEqual(codec.decode(code), { valid: true, data, corrections: [] });
+        });
+    });
+});
+
+test('parity is written with parity digits only', () => {
+    const codec = new ReedSolomonCodec({ paritySymbols: 6 });
+    const parity = codec.computeParity('αβγδ!@#$%');
+
+    assert.equal(parity.length, codec.parityLength);
+    assert.ok([...parity].every(char => PARITY_DIGITS.includes(char)));
+});
+
+test('encode rejects symbols outside the alphabet and over-long data', () => {
+    const codec = new ReedSolomonCodec({ paritySymbols: 4 });
+
+    assert.throws(() => codec.encode('AB~C'), /Symbol outside code alphabet: '~'/);
+    assert.throws(() => codec.encode('A'.repeat(codec.maxDataLength + 1)), /Code too long/);
+});
+
+test('invalid parity lengths are rejected', () => {
+    assert.throws(() => new ReedSolomonCodec({ paritySymbols: -1 }), /Invalid parity length/);
+    assert.throws(() => new ReedSolomonCodec({ paritySymbols: 2.5 }), /Invalid parity length/);
+});
+
+// === CORRECTION =============================================================
+
+test('exactly t data errors are repaired and their positions reported', () => {
+    const random = new SeededRandom(11);
+
+    PARITY_LENGTHS.forEach(paritySymbols => {
+        const codec = new ReedSolomonCodec({ paritySymbols });
+        const t = Math.floor(paritySymbols / 2);
+
+        for (let trial = 0; trial < 20; trial++) {
+            const data = randomData(random, 10 + trial);
+            const code = codec.encode(data);
+            const positions = pickPositions(random, t, data.length);
+            const corrupted = corruptData(code, positions, random);
+
+            const result = codec.decode(corrupted);
+
+            assert.equal(result.valid, true, `p=${paritySymbols} ${corrupted}`);
+            assert.equal(result.data, data);
+            assert.deepEqual(result.corrections.map(c => c.index), positions);
+            result.corrections.forEach(correction => {
+                assert.equal(correction.segment, 'data');
+                assert.equal(correction.from, corrupted[correction.index]);
+                assert.equal(correction.to, data[correction.index]);
+            });
+        }
+    });
+});
+
+test('errors in the parity block are repaired and reported as parity', () => {
+    const codec = new ReedSolomonCodec({ paritySymbols: 4 });
+    const data = 'Kαx!7';
+    const code = codec.encode(data);
+    const index = data.length + 2;
+    const flipped = code[index] === 'A' ? 'B' : 'A';
+    const corrupted = code.slice(0, index) + flipped + code.slice(index + 1);
+
+    const result = codec.decode(corrupted);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.data, data);
+    assert.deepEqual(result.corrections, [{
+        segment: 'parity',
+        index,
+        from: corrupted.substr(index, 2),
+        to: code.substr(index, 2)
+    }]);
+});
+
+test('unknown characters count as one symbol error each', () => {
+    const codec = new ReedSolomonCodec({ paritySymbols: 4 });
+    const data = 'abc$%δ';
+    const corrupted = '~' + codec.encode(data).slice(1);
+
+    const result = codec.decode(corrupted);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.data, data);
+    assert.deepEqual(result.corrections.map(c => [c.index, c.from, c.to]), [[0, '~', 'a']]);
+});
+
+test('t + 1 data errors are rejected, never silently miscorrected', () => {
+    const random = new SeededRandom(23);
+
+    PARITY_LENGTHS.forEach(paritySymbols => {
+        const codec = new ReedSolomonCodec({ paritySymbols });
+        const t = Math.floor(paritySymbols / 2);
+
+        for (let trial = 0; trial < 20; trial++) {
+            const data = randomData(random, 12);
+            const corrupted = corruptData(codec.encode(data), pickPositions(random, t + 1, data.length), random);
+
+            const result = codec.decode(corrupted);
+
+            // Beyond capacity the codec may land on another valid codeword, but never on the original
+            if (result.valid) {
+                assert.notEqual(result.data, data, `p=${paritySymbols} ${corrupted}`);
+            } else {
+                assert.equal(result.error, 'Too many symbol errors to correct');
+                assert.equal(result.data, null);
+            }
+        }
+    });
+});
+
+test('t + 1 adjacent errors are rejected at the default parity length', () => {
+    const codec = new ReedSolomonCodec();
+    const data = 'ABCDEFGHIJKL';
+    const code = codec.encode(data);
+
+    const result = codec.decode('zzz' + code.slice(3));
+
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Too many symbol errors to correct');
+});
+
+test('codes shorter than their parity block are rejected', () => {
+    const codec = new ReedSolomonCodec({ paritySymbols: 4 });
+    const result = codec.decode('ABCDE');
+
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Code shorter than its parity block');
+    assert.equal(codec.verify('ABCDE'), false);
+});
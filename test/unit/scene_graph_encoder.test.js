@@ -0,0 +1,178 @@
+// scene_graph_encoder.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: SCENE-GRAPH ENCODING TESTS
+// =====================================================
+// encodeSceneGraph(): entity validation (the view bounds
+// included), labels and classifiers for entity types,
+// depth layers, emotion tags, and the rasterized view
+// against a check of every entity at every grid point.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const SceneGraphEncoder = require('../../src/encoder/scene_graph_encoder');
+const SeededRandom = require('../../src/utils/prng');
+
+const DOOR = { type: 'door', position: { x: 0.6, y: 0.7 }, size: { width: 0.1, height: 0.3 }, color: '#785028' };
+const GOBLIN = { type: 'goblin', position: { x: 0.3, y: 0.75 }, size: { width: 0.08, height: 0.15 }, color: [90, 160, 60] };
+
+const encoder = options => new PerceptualAlchemyEncoder({ seed: 1, ...options });
+const perceive = (entities, context) => encoder().sceneGraphEncoder.perceive(entities, context);
+
+// === VALIDATION =============================================================
+
+test('entities wholly outside the view are rejected by name', () => {
+    const pixels = { ...GOBLIN, position: { x: 400, y: 300 }, size: { width: 40, height: 60 } };
+
+    assert.throws(() => perceive([DOOR, pixels]),
+        /Entity 1 \(goblin\) at \(400, 300\) lies outside the 1 × 1 view; pass context\.view in the units of its position/);
+    assert.throws(() => perceive([{ ...DOOR, position: { x: -0.2, y: 0.5 } }]), /Entity 0 \(door\) at \(-0.2, 0.5\)/);
+
+    // The same entity in a view of matching units
+    const perception = perceive([pixels], { view: { width: 800, height: 600 } });
+    assert.equal(perception.shapes.length, 1);
+    assert.deepEqual(perception.dimensions, { width: 320, height: 240 });
+});
+
+test('an entity partly in view is kept', () => {
+    const edge = { ...DOOR, position: { x: 1.02, y: 0.5 } };
+
+    assert.equal(perceive([edge]).shapeStats.contours, 1);
+});
+
+test('malformed scene graphs name what is wrong', () => {
+    assert.throws(() => perceive({}), /Scene graph must be an array of entities/);
+    assert.throws(() => perceive([], { view: { width: 0, height: 1 } }), /Scene view needs a positive width and height/);
+    assert.throws(() => perceive([DOOR, { position: { x: 0, y: 0 } }]), /Entity 1 needs a type/);
+    assert.throws(() => perceive([{ type: 'door', position: { x: '1', y: 0 } }]), /Entity 0 \(door\) needs a numeric position/);
+    assert.throws(() => perceive([{ ...DOOR, color: 'brown' }]), /Entity 0 color must be \[r, g, b\]/);
+    assert.throws(() => perceive([DOOR], { background: 12 }), /background must be/);
+    assert.throws(() => perceive([{ ...DOOR, emotion: 'smug' }]), /Entity 0 has unknown emotion tag 'smug' \(known: joyful, /);
+});
+
+// === ENTITIES ===============================================================
+
+test('vocabulary types are labels; other types go through the classifiers', () => {
+    // A green goblin looks like a tree to the rules
+    const types = perception => perception.shapes.map(shape => [shape.entityType, shape.type, shape.classification.source]);
+
+    assert.deepEqual(types(perceive([DOOR, GOBLIN])).sort(), [
+        ['door', 'door', 'scene-graph'],
+        ['goblin', 'tree', 'rules']
+    ].sort());
+
+    const monsters = encoder().registerClassifier('monsters', detection =>
+        (detection.entityType === 'goblin' ? { label: 'animal', confidence: 0.9 } : null));
+    assert.deepEqual(types(monsters.sceneGraphEncoder.perceive([GOBLIN])), [['goblin', 'animal', 'monsters']]);
+});
+
+test('encodeSceneGraph produces a code the decoder reads', () => {
+    const result = encoder().encodeSceneGraph([DOOR, { ...GOBLIN, type: 'tree' }], { light: 0.8, background: '#6688aa' });
+
+    assert.equal(result.inputMode, 'scene-graph');
+    assert.equal(result.analysis.perception.pixelArt, null);
+
+    const { experience } = new PerceptualAlchemyDecoder({ seed: 1 }).decode(result.code);
+    assert.deepEqual(experience.objects.map(obj => obj.type).sort(), ['door', 'tree']);
+});
+
+test('depth gives every entity a layer and the view its coverage', () => {
+    const perception = perceive([{ ...DOOR, depth: 0.9 }, { ...GOBLIN, depth: 0.1 }, { ...GOBLIN, position: { x: 0.5, y: 0.2 } }]);
+
+    assert.deepEqual(perception.channels, ['depth']);
+    assert.deepEqual(perception.shapes.map(shape => [shape.depth, shape.layer]).sort(), [[0.1, 'foreground'], [0.5, 'midground'], [0.9, 'background']]);
+
+    // The empty view counts as background
+    const { coverage } = perception.spatial.depthMap;
+    assert.ok(coverage.background > 0.9);
+    assert.ok(coverage.foreground > 0 && coverage.midground > 0);
+    assert.deepEqual(perceive([DOOR]).channels, []);
+});
+
+test('emotion tags are weighted by salience and averaged with the context', () => {
+    const calm = { ...DOOR, emotion: 'calm', salience: 1 };
+    const threat = { ...GOBLIN, emotion: 'threat', salience: 1 };
+    const sg = encoder().sceneGraphEncoder;
+
+    const both = sg.emotionContext(sg.perceive([calm, threat]));
+    const { peaceful, fear } = SceneGraphEncoder.EMOTION_TAGS;
+    assert.ok(both.emotion.valence > fear.valence && both.emotion.valence < peaceful.valence);
+
+    const alone = sg.emotionContext(sg.perceive([calm]), { emotion: { valence: 0.25, arousal: 0.25 }, note: 'kept' });
+    assert.deepEqual(alone, { emotion: { valence: (0.75 + 0.25) / 2, arousal: (0.25 + 0.25) / 2 }, note: 'kept' });
+    assert.deepEqual(sg.emotionContext(sg.perceive([DOOR]), { note: 'kept' }), { note: 'kept' });
+});
+
+// === RASTER =================================================================
+
+/** rasterize() by testing every entity at every grid point, far to near */
+function reference(shapes, background, width, height, step) {
+    const drawOrder = shapes.slice().sort((a, b) => ((b.depth ?? 0) - (a.depth ?? 0)) || a.order - b.order);
+    const hitAt = (x, y) => drawOrder.filter(({ boundingBox: box }) => x >= box.minX && x <= box.maxX && y >= box.minY && y <= box.maxY).pop();
+
+    const samples = [];
+    const layers = [0, 0, 0];
+    let boundaries = 0;
+    let cells = 0;
+    for (let y = 0; y < height; y += step) {
+        for (let x = 0; x < width; x += step) {
+            const hit = hitAt(x, y);
+            cells++;
+            layers[hit ? (hit.depth < 1 / 3 ? 0 : hit.depth < 2 / 3 ? 1 : 2) : 2]++;
+            if ((x + step < width && hitAt(x + step, y) !== hit) || (y + step < height && hitAt(x, y + step) !== hit)) boundaries++;
+            if (x % (step * 4) === 0 && y % (step * 4) === 0) {
+                const color = hit ? hit.color : background;
+                samples.push({ r: color.r, g: color.g, b: color.b, x, y });
+            }
+        }
+    }
+
+    return {
+        samples,
+        density: boundaries / cells,
+        coverage: { foreground: layers[0] / cells, midground: layers[1] / cells, background: layers[2] / cells }
+    };
+}
+
+test('the rasterized view matches testing every entity at every grid point', () => {
+    const random = SeededRandom.create('raster');
+    const background = { r: 1, g: 2, b: 3 };
+
+    ['mobile', 'balanced'].forEach(mode => {
+        const sg = encoder({ mode }).sceneGraphEncoder;
+        const step = sg.encoder.SAMPLE_RATE;
+
+        for (let round = 0; round < 20; round++) {
+            const shapes = Array.from({ length: 1 + Math.floor(random() * 30) }, (_, i) => {
+                // Every third box edge sits exactly on a grid point
+                const snap = value => (i % 3 === 0 ? Math.round(value / step) * step / 320 : value / 320);
+                const entity = {
+                    type: 'stone',
+                    position: { x: snap(random() * 320), y: snap(random() * 320) },
+                    size: { width: snap(random() * 120) * 2, height: snap(random() * 120) * 2 },
+                    color: [i, 255 - i, 7 * i % 256],
+                    depth: Math.floor(random() * 4) / 4
+                };
+                return sg.toShape(entity, i, { width: 1, height: 1 }, 1, 320, 320);
+            });
+
+            const raster = sg.rasterize(shapes, background, 320, 320, true);
+            const expected = reference(shapes, background, 320, 320, step);
+            assert.deepEqual(raster.samples, expected.samples, `${mode} round ${round}`);
+            assert.equal(raster.edges.density, expected.density, `${mode} round ${round}`);
+            assert.deepEqual(raster.coverage, expected.coverage, `${mode} round ${round}`);
+        }
+    });
+});
+
+test('gridSpan finds the grid points inside a range', () => {
+    assert.deepEqual(SceneGraphEncoder.gridSpan(4, 12, 4, 10), [1, 3]);
+    assert.deepEqual(SceneGraphEncoder.gridSpan(4.5, 11.9, 4, 10), [2, 2]);
+    assert.deepEqual(SceneGraphEncoder.gridSpan(5, 7, 4, 10), [2, 1]);
+    assert.deepEqual(SceneGraphEncoder.gridSpan(-20, 100, 4, 10), [0, 9]);
+});
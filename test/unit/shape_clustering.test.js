@@ -0,0 +1,122 @@
+// shape_clustering.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: SHAPE CLUSTERING TESTS
+// =====================================================
+// clusterShapes(): contours within clusterGap merge into
+// one object (chains included), maxClusterExtent stops
+// oversized merges, objects rank by symbol weight and
+// only maxObjects survive, each with its memberCount.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const FRAME = 200;
+
+/** A rectangular contour as extractShapes() reports it */
+function contour(minX, minY, maxX, maxY, symbolWeight) {
+    const width = maxX - minX;
+    const height = maxY - minY;
+    return {
+        points: [{ x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }],
+        centroid: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 },
+        area: width * height,
+        perimeter: 2 * (width + height),
+        boundingBox: { minX, minY, maxX, maxY, width, height },
+        saliency: 0.5,
+        type: 'square',
+        symbolWeight: symbolWeight ?? width * height
+    };
+}
+
+const encoder = (options = {}) => new PerceptualAlchemyEncoder({ seed: 1, clusterGap: 4, ...options });
+const cluster = (shapes, options, gap) => encoder(options).clusterShapes(shapes, FRAME, FRAME, gap);
+const members = objects => objects.map(obj => obj.memberCount);
+
+// === MERGING ================================================================
+
+test('contours within clusterGap merge; farther ones stay apart', () => {
+    const near = [contour(10, 10, 20, 20), contour(24, 10, 34, 20)];
+    const far = [contour(10, 10, 20, 20), contour(25, 10, 35, 20)];
+
+    assert.deepEqual(members(cluster(near)), [2]);
+    assert.deepEqual(members(cluster(far)), [1, 1]);
+
+    // The default gap is twice the sample rate
+    assert.equal(new PerceptualAlchemyEncoder().clusterGap, 8);
+    assert.deepEqual(members(cluster(far, { clusterGap: undefined })), [2]);
+});
+
+test('merging repeats until chains of touching contours are one object', () => {
+    // a touches c, c touches b, but a and b are far apart: b joins only on the second pass
+    const a = contour(10, 10, 20, 20);
+    const b = contour(50, 10, 60, 20);
+    const c = contour(22, 10, 48, 20);
+
+    assert.deepEqual(members(cluster([a, b, c])), [3]);
+});
+
+test('a merge that would cover more than maxClusterExtent is skipped', () => {
+    const halves = [contour(0, 0, 95, 190), contour(98, 0, 195, 190)];
+
+    assert.deepEqual(members(cluster(halves)), [1, 1]);
+    assert.deepEqual(members(cluster(halves, { maxClusterExtent: 1 })), [2]);
+});
+
+test('a null gap ranks and caps only; gap 0 merges only boxes that touch', () => {
+    const shapes = [contour(10, 10, 20, 20), contour(20, 10, 30, 20), contour(32, 10, 42, 20)];
+
+    assert.deepEqual(members(cluster(shapes, {}, null)), [1, 1, 1]);
+    assert.deepEqual(members(cluster(shapes, {}, 0)).sort(), [1, 2]);
+});
+
+// === MERGED OBJECTS =========================================================
+
+test('a merged object sums areas and weights its centroid by area', () => {
+    const small = contour(10, 10, 20, 20);
+    const large = contour(22, 10, 52, 20);
+    const [object] = cluster([small, large]);
+
+    assert.equal(object.memberCount, 2);
+    assert.equal(object.area, 100 + 300);
+    assert.deepEqual(object.centroid, { x: (15 * 100 + 37 * 300) / 400, y: 15 });
+    assert.deepEqual(object.boundingBox, { minX: 10, minY: 10, maxX: 52, maxY: 20, width: 42, height: 10 });
+    assert.equal(object.extent, (43 * 11) / (FRAME * FRAME));
+    assert.equal(object.points.length, 8);
+    assert.equal(typeof object.symbolWeight, 'number');
+});
+
+test('a lone contour passes through with memberCount 1 and its extent', () => {
+    const shape = contour(10, 10, 20, 30);
+    const [object] = cluster([shape]);
+
+    assert.equal(object, shape);
+    assert.equal(object.memberCount, 1);
+    assert.equal(object.extent, (11 * 21) / (FRAME * FRAME));
+});
+
+// === RANKING ================================================================
+
+test('objects rank by symbol weight and only maxObjects survive', () => {
+    const shapes = [5, 40, 10, 30, 20].map((weight, i) => contour(i * 40, 100, i * 40 + 10, 110, weight));
+
+    assert.deepEqual(cluster(shapes, {}, null).map(obj => obj.symbolWeight), [40, 30, 20, 10, 5]);
+    assert.deepEqual(cluster(shapes, { maxObjects: 2 }, null).map(obj => obj.symbolWeight), [40, 30]);
+    assert.equal(encoder({ mode: 'mobile' }).maxObjects, 12);
+    assert.equal(encoder({ mode: 'rich' }).maxObjects, 32);
+});
+
+test('encode reports contours and the objects clustered from them', () => {
+    const image = renderScene(SCENES.find(spec => spec.name === 'lanterns'));
+    const stats = options => new PerceptualAlchemyEncoder({ seed: 1, ...options }).encode(image).analysis.perception.shapeStats;
+
+    const wide = stats();
+    assert.ok(wide.objects <= wide.contours);
+    assert.ok(wide.objects > 2);
+    assert.deepEqual(stats({ maxObjects: 2 }), { contours: wide.contours, objects: 2 });
+});
@@ -0,0 +1,163 @@
+// strata.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: STRATA TESTS
+// =====================================================
+// Hierarchical encoding into global, intermediate and
+// fine strata, the region layouts, and progressive
+// decoding: a global code alone reads like a normal
+// decode, each stratum refines it, strata arrive in any
+// order and carry their own parity.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const StrataFormat = require('../../src/utils/strata_format');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+const scene = name => renderScene(SCENES.find(spec => spec.name === name));
+
+function encodeBlocks(options = {}) {
+    return new PerceptualAlchemyEncoder({ seed: 1, hierarchical: true, ...options }).encode(scene('blocks'));
+}
+
+/** The code with one symbol replaced */
+function corrupt(code, index) {
+    return code.slice(0, index) + (code[index] === 'A' ? 'B' : 'A') + code.slice(index + 1);
+}
+
+const json = value => JSON.parse(JSON.stringify(value));
+
+// === ENCODING ===============================================================
+
+test('hierarchical encoding appends an intermediate and a fine stratum to the same code', () => {
+    const plain = new PerceptualAlchemyEncoder({ seed: 1 }).encode(scene('blocks'));
+    const result = encodeBlocks();
+
+    assert.equal(plain.strata, undefined);
+    assert.equal(plain.hierarchicalCode, undefined);
+
+    assert.equal(result.code, plain.code);
+    assert.equal(result.strata.layout, 'cartesian');
+    assert.match(result.strata.intermediate, /^\^1Q/);
+    assert.match(result.strata.fine, /^\^2Q/);
+    assert.equal(result.hierarchicalCode, result.code + result.strata.intermediate + result.strata.fine);
+    assert.deepEqual(StrataFormat.split(result.hierarchicalCode), [result.code, result.strata.intermediate, result.strata.fine]);
+});
+
+test('radial cultures lay their strata out in sectors', () => {
+    const result = encodeBlocks({ culture: 'japanese' });
+
+    assert.equal(result.strata.layout, 'radial');
+    assert.match(result.strata.intermediate, /^\^1S/);
+    assert.match(result.strata.fine, /^\^2S/);
+});
+
+test('every region centre falls inside its own region', () => {
+    ['intermediate', 'fine'].forEach(level => ['cartesian', 'radial'].forEach(layout => {
+        for (let i = 0; i < StrataFormat.regionCount(level); i++) {
+            const { x, y } = StrataFormat.regionCenter(i, level, layout);
+            assert.equal(StrataFormat.regionIndex(x, y, level, layout), i, `${level} ${layout} ${i}`);
+        }
+    }));
+});
+
+// === PROGRESSIVE DECODING ===================================================
+
+test('the global code alone decodes like a normal decode', () => {
+    const { code } = encodeBlocks();
+    const coarse = new PerceptualAlchemyDecoder({ seed: 1 }).createProgressive().push(code);
+
+    assert.equal(coarse.level, 0);
+    assert.equal(coarse.regions, null);
+    assert.equal(coarse.cells, null);
+    assert.deepEqual(coarse.errors, []);
+    assert.deepEqual(coarse.experience, json(new PerceptualAlchemyDecoder({ seed: 1 }).decode(code).experience));
+});
+
+test('each stratum refines the reading without changing what the global code said', () => {
+    const result = encodeBlocks();
+    const { memory, stages } = new PerceptualAlchemyDecoder({ seed: 1 }).decodeHierarchical(result.hierarchicalCode);
+    const [coarse, regional, fine] = stages;
+
+    assert.deepEqual(stages.map(stage => stage.level), [0, 1, 2]);
+    assert.equal(memory, fine);
+
+    // Intermediate: four regions with their objects, warmth and energy
+    assert.equal(regional.regions.length, 4);
+    assert.equal(regional.cells, null);
+    assert.deepEqual(regional.regions.map(region => region.object), [null, null, 'person', 'person']);
+    assert.equal(regional.experience.regions.length, 4);
+    assert.equal(coarse.experience.regions, undefined);
+
+    // Fine: twelve cells, a light map and objects snapped onto occupied cells
+    assert.equal(fine.cells.length, 12);
+    assert.equal(fine.experience.lightMap.length, 12);
+    assert.equal(coarse.experience.lightMap, undefined);
+    const occupied = fine.cells.filter(cell => cell.occupied).map(cell => cell.center);
+    fine.experience.objects.forEach(obj => {
+        assert.equal(obj.refined, true);
+        assert.ok(occupied.some(center => center.x === obj.position.x && center.y === obj.position.y));
+    });
+
+    [regional, fine].forEach(stage => {
+        assert.deepEqual(stage.experience.scene, coarse.experience.scene);
+        assert.deepEqual(stage.experience.emotional, coarse.experience.emotional);
+        assert.deepEqual(stage.experience.objects.map(obj => obj.type), coarse.experience.objects.map(obj => obj.type));
+    });
+});
+
+test('intermediate regions add objects the global code had no room for', () => {
+    const encoder = new PerceptualAlchemyEncoder({ seed: 1 });
+    const { code } = encoder.encode(scene('blocks'));
+    const tree = encoder.vocabulary.getSymbol('object', 'tree');
+    const stratum = encoder.strataEncoder.frameStratum('intermediate', 'cartesian', `0AA0AA0AA${tree}AZ`);
+
+    const progressive = new PerceptualAlchemyDecoder({ seed: 1 }).createProgressive();
+    progressive.push(code);
+    const memory = progressive.push(stratum);
+    const added = memory.experience.objects.filter(obj => obj.fromStratum === 'intermediate');
+
+    assert.equal(added.length, 1);
+    assert.equal(added[0].type, 'tree');
+    assert.deepEqual(added[0].position, StrataFormat.regionCenter(3, 'intermediate', 'cartesian'));
+    assert.equal(added[0].importance, 0.6);
+});
+
+test('strata may arrive in any order, before or after the global code', () => {
+    const result = encodeBlocks();
+    const inOrder = new PerceptualAlchemyDecoder({ seed: 1 }).decodeHierarchical(result.hierarchicalCode).memory;
+
+    const progressive = new PerceptualAlchemyDecoder({ seed: 1 }).createProgressive();
+    const early = progressive.push(result.strata.fine);
+    assert.equal(early.level, 2);
+    assert.equal(early.experience, null);
+    assert.equal(early.cells.length, 12);
+
+    progressive.push(result.strata.intermediate);
+    assert.deepEqual(progressive.push(result.code), inOrder);
+});
+
+test('a stratum repairs its own symbol errors and reports ones it cannot', () => {
+    const result = encodeBlocks();
+    const clean = new PerceptualAlchemyDecoder({ seed: 1 }).decodeHierarchical(result.hierarchicalCode).memory;
+
+    const repaired = new PerceptualAlchemyDecoder({ seed: 1 }).createProgressive();
+    repaired.push(result.code);
+    repaired.push(result.strata.intermediate);
+    assert.deepEqual(repaired.push(corrupt(result.strata.fine, 5)), clean);
+
+    const lost = new PerceptualAlchemyDecoder({ seed: 1 }).createProgressive();
+    lost.push(result.code);
+    lost.push(result.strata.intermediate);
+    const garbled = [3, 4, 5, 6, 7, 8].reduce(corrupt, result.strata.fine);
+    const memory = lost.push(garbled);
+
+    assert.equal(memory.level, 1);
+    assert.equal(memory.cells, null);
+    assert.equal(memory.errors.length, 1);
+});
@@ -0,0 +1,142 @@
+// vocabulary_registry.test.js
+// =====================================================
+// PERCEPTUAL ALCHEMY: VOCABULARY REGISTRY TESTS
+// =====================================================
+// Validation of symbol tables, symbol lookup both ways,
+// aliases and fallbacks, object tokens, and a round trip
+// through a custom table shared by encoder and decoder.
+//
+//   node --test test/unit/
+// =====================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const VocabularyRegistry = require('../../src/vocabulary/vocabulary_registry');
+const SYMBOL_TABLE = require('../../src/vocabulary/symbol_table.json');
+const PerceptualAlchemyEncoder = require('../../src/encoder/symbolic_encoder');
+const PerceptualAlchemyDecoder = require('../../src/decoder/symbolic_decoder');
+const { renderScene, SCENES } = require('../conformance/synthetic_scenes');
+
+/** A deep copy of the published table, changed by edit(table) */
+function tableWith(edit) {
+    const table = JSON.parse(JSON.stringify(SYMBOL_TABLE));
+    edit(table);
+    return table;
+}
+
+/** The table with each category's values moved one symbol along */
+function rotated(table, ...categories) {
+    return tableWith(copy => categories.forEach(name => {
+        const symbols = Object.keys(copy.categories[name].symbols);
+        const entries = symbols.map(symbol => table.categories[name].symbols[symbol]);
+        symbols.forEach((symbol, i) => {
+            copy.categories[name].symbols[symbol] = entries[(i + 1) % entries.length];
+        });
+    }));
+}
+
+// === VALIDATION =============================================================
+
+test('rejects malformed tables, naming the category and symbol', () => {
+    const rejects = (edit, message) => assert.throws(() => new VocabularyRegistry(tableWith(edit)), message);
+
+    assert.throws(() => new VocabularyRegistry({}), /must define categories/);
+    rejects(t => delete t.categories.modifier, /must define object and modifier categories/);
+    rejects(t => { t.categories.scene.symbols.AB = { value: 'cave' }; }, /Symbol 'AB' in category 'scene' is not a single code alphabet character/);
+    rejects(t => { t.categories.scene.symbols['Ω'] = { value: 'cave' }; }, /Symbol 'Ω' in category 'scene'/);
+    rejects(t => { t.categories.scene.symbols.K = {}; }, /Symbol 'K' in category 'scene' has no value/);
+    rejects(t => { t.categories.scene.symbols.K = { value: 'outdoor' }; }, /Value 'outdoor' is mapped to more than one symbol in category 'scene'/);
+    rejects(t => { t.categories.scene.fallback = 'cave'; }, /Fallback 'cave' of category 'scene' has no symbol/);
+    rejects(t => { t.categories.focus.aliases.top = 'left'; }, /Alias 'top' shadows a value in category 'focus'/);
+    rejects(t => { t.categories.focus.aliases.up = 'above'; }, /Alias 'up' in category 'focus' points to unknown value 'above'/);
+    rejects(t => { t.padding.objects = '00'; }, /Padding for segment 'objects' is not a single code alphabet character/);
+});
+
+test('the published table validates', () => {
+    assert.doesNotThrow(() => VocabularyRegistry.validate(SYMBOL_TABLE));
+    assert.equal(VocabularyRegistry.default(), VocabularyRegistry.default());
+});
+
+// === LOOKUP =================================================================
+
+test('encode and decode are inverse for every published symbol', () => {
+    const registry = VocabularyRegistry.default();
+
+    Object.keys(SYMBOL_TABLE.categories).forEach(category => {
+        registry.symbols(category).forEach(symbol => {
+            const entry = registry.decode(category, symbol);
+            assert.equal(entry.symbol, symbol);
+            assert.equal(registry.encode(category, entry.value), symbol, `${category} ${symbol}`);
+        });
+        assert.equal(registry.symbols(category).length, registry.values(category).length);
+    });
+
+    assert.equal(registry.decode('light', 'N').intensity, 0.25);
+});
+
+test('aliases resolve to their value, case-insensitively', () => {
+    const registry = VocabularyRegistry.default();
+
+    assert.equal(registry.resolve('focus', 'North'), 'top');
+    assert.equal(registry.encode('focus', 'north'), registry.encode('focus', 'top'));
+    assert.equal(registry.encode('focus', 'SOUTHEAST'), registry.encode('focus', 'bottom-right'));
+    assert.equal(registry.encode('depth', 'empty'), registry.encode('depth', 'flat'));
+    assert.ok(registry.has('focus', 'west'));
+
+    // An alias lives in its own category only
+    assert.equal(registry.resolve('scene', 'north'), 'north');
+    assert.equal(registry.has('scene', 'north'), false);
+});
+
+test('unknown values fall back, unknown symbols and categories do not', () => {
+    const registry = VocabularyRegistry.default();
+
+    assert.equal(registry.encode('scene', 'cave'), registry.encode('scene', 'general'));
+    assert.equal(registry.encode('object', 'teapot'), registry.encode('object', 'mystery'));
+    assert.equal(registry.has('object', 'teapot'), false);
+    assert.equal(registry.decode('scene', 'Z'), null);
+    assert.throws(() => registry.encode('smell', 'smoke'), /Unknown vocabulary category: smell/);
+});
+
+// === OBJECT TOKENS ==========================================================
+
+test('tokenizeObjects reads symbols, modifiers and either position size', () => {
+    const registry = VocabularyRegistry.default();
+    const tree = registry.encode('object', 'tree');
+    const door = registry.encode('object', 'door');
+    const large = registry.encode('modifier', 'large');
+    const salient = registry.encode('modifier', 'salient');
+
+    assert.deepEqual(registry.tokenizeObjects(`${tree}${large}${salient}7${door}MC000`), [
+        { symbol: tree, modifiers: [large, salient], position: '7' },
+        { symbol: door, modifiers: [], position: 'MC' }
+    ]);
+
+    // A fixed position length; padding ends the segment
+    assert.deepEqual(registry.tokenizeObjects(`${tree}AB${door}00`, 2), [
+        { symbol: tree, modifiers: [], position: 'AB' }
+    ]);
+});
+
+// === CUSTOM TABLES ==========================================================
+
+test('encoder and decoder round-trip through a custom table', () => {
+    const vocabulary = new VocabularyRegistry(rotated(SYMBOL_TABLE, 'scene', 'object'));
+    const image = renderScene(SCENES.find(spec => spec.name === 'blocks'));
+
+    const published = new PerceptualAlchemyEncoder({ seed: 1 }).encode(image);
+    const custom = new PerceptualAlchemyEncoder({ seed: 1, vocabulary }).encode(image);
+    assert.notEqual(custom.code, published.code);
+
+    const reading = (code, options = {}) => {
+        const { experience } = new PerceptualAlchemyDecoder({ seed: 1, ...options }).decode(code);
+        return { scene: experience.scene.type, objects: experience.objects.map(obj => obj.type) };
+    };
+
+    const expected = reading(published.code);
+    assert.deepEqual(reading(custom.code, { vocabulary }), expected);
+
+    // Read through the published table, the same code means something else
+    assert.notDeepEqual(reading(custom.code), expected);
+});